@@ -0,0 +1,65 @@
+// ai/catalogMatch.js
+
+/**
+ * 🔎 商品名稱比對（名稱 / 中文名 / aliases），OpenAI 與本地 parser 共用
+ */
+export function normalizeText(s) {
+  return String(s || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const compact = (s) => normalizeText(s).replace(/\s+/g, "");
+const hasCjk = (s) => /[㐀-鿿]/.test(s);
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export function productAliases(p) {
+  return [...new Set([p.name, p.name_zh, ...(p.aliases || [])].map(normalizeText).filter(Boolean))];
+}
+
+/**
+ * "拿鐵" / "latte" / "a large latte" -> product id（整段文字只提到一個商品時使用）
+ */
+export function matchCatalogProduct(name, catalog) {
+  const n = compact(name);
+  if (!n) return null;
+  for (const p of catalog) {
+    const aliases = productAliases(p).map(compact);
+    if (aliases.some((a) => a === n)) return p.id;
+  }
+  const mentions = findProductMentions(name, catalog);
+  return mentions.length ? mentions[0].product_id : null;
+}
+
+/**
+ * 找出文字中所有商品出現的位置（最長別名優先、不重疊）
+ * 英文別名需完整單字（允許複數 s / es），中文別名直接子字串比對
+ * @param {boolean} [opts.normalized] - text 已經過 normalizeText（位置需對應原字串時使用）
+ * @returns {Array<{ product_id, alias, start, end }>} 依出現順序
+ */
+export function findProductMentions(text, catalog, { normalized = false } = {}) {
+  const t = normalized ? String(text || "") : normalizeText(text);
+  const candidates = [];
+
+  for (const p of catalog) {
+    for (const alias of productAliases(p)) {
+      const re = hasCjk(alias)
+        ? new RegExp(escapeRe(alias), "g")
+        : new RegExp(`(?<![a-z])${escapeRe(alias)}(?:e?s)?(?![a-z])`, "g");
+      for (const m of t.matchAll(re)) {
+        candidates.push({ product_id: p.id, alias, start: m.index, end: m.index + m[0].length });
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.end - b.start - (a.end - a.start) || a.start - b.start);
+  const picked = [];
+  for (const c of candidates) {
+    if (picked.some((x) => c.start < x.end && x.start < c.end)) continue;
+    picked.push(c);
+  }
+  return picked.sort((a, b) => a.start - b.start);
+}
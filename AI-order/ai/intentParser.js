@@ -0,0 +1,53 @@
+// ai/intentParser.js
+
+/**
+ * 🧠 可抽換的 intent parser
+ *
+ * backend 介面：{ name, parse(ctx) -> Promise<parsed> }
+ *   ctx    = { text, lang, catalog, modifierGroups, cart, history }
+ *   parsed = { intent, items: [{ product, product_id?, qty, modifiers }],
+ *              edits: [{ op, line_id?, product?, product_id?, qty? }],
+ *              clear_cart?, undo_last?, checkout?, promo_code?, reply?, raw_text? }
+ *
+ * 依 order 逐一嘗試；錯誤或逾時就換下一個 backend（例如 openai -> local）
+ * 失敗的 backend 在 cooldownMs 內直接跳過，避免每句話都等 LLM 逾時
+ */
+export function createIntentParser({ backends = [], order = [], timeoutMs = 8000, cooldownMs = 30000 } = {}) {
+  const byName = new Map(backends.map((b) => [b.name, b]));
+  const chain = order.map((n) => byName.get(n)).filter(Boolean);
+  if (!chain.length) throw new Error(`No intent parser available (order: ${order.join(",") || "-"})`);
+  const downUntil = new Map(); // name -> timestamp
+
+  function withTimeout(promise, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${name} parser timed out after ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async function parse(ctx) {
+    const failover = [];
+    for (const [i, backend] of chain.entries()) {
+      const isLast = i === chain.length - 1;
+      if (!isLast && (downUntil.get(backend.name) || 0) > Date.now()) {
+        failover.push({ backend: backend.name, error: "cooling down after a recent failure" });
+        continue;
+      }
+      try {
+        const parsed = await withTimeout(Promise.resolve().then(() => backend.parse(ctx)), backend.name);
+        downUntil.delete(backend.name);
+        return { parsed, backend: backend.name, failover };
+      } catch (err) {
+        console.warn(`⚠️ Intent parser "${backend.name}" failed:`, err?.message || err);
+        downUntil.set(backend.name, Date.now() + cooldownMs);
+        failover.push({ backend: backend.name, error: err?.message || String(err) });
+      }
+    }
+    const err = new Error(`All intent parsers failed: ${failover.map((f) => `${f.backend}: ${f.error}`).join("; ")}`);
+    err.failover = failover;
+    throw err;
+  }
+
+  return { order: chain.map((b) => b.name), parse };
+}
@@ -0,0 +1,294 @@
+// ai/parsers/localParser.js
+import { normalizeText, findProductMentions } from "../catalogMatch.js";
+
+/**
+ * 🧮 本地規則式 intent parser（不需網路，OpenAI 失敗時的備援）
+ * - 商品：名稱 / 中文名 / aliases（catalogStore）
+ * - 數量：阿拉伯數字、英文 one..twelve / a / an、中文數字＋量詞（兩杯、三個、十二份）
+ * - 客製化：選項名稱 + 常見說法（半糖、去冰、oat milk ...），套用到最近的商品
+ * - 修改：remove / no / 不要 / 少一杯、make that two / 改成三杯、清空、復原、結帳
+ * - 折扣碼：「I have code NKUST10」「優惠碼 NKUST10」-> promo_code
+ * 輸出格式與 openaiParser 相同
+ */
+
+const EN_NUMBERS = {
+  "a couple of": 2, a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+const ZH_DIGITS = { 零: 0, 〇: 0, 一: 1, 壹: 1, 二: 2, 貳: 2, 兩: 2, 两: 2, 三: 3, 參: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+const ZH_NUM = "[零〇一壹二貳兩两三參四五六七八九十]+";
+const CLASSIFIER = "(?:杯|個|个|份|塊|块|片|盒|碗|瓶)";
+const EN_NUM = "a couple of|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve";
+const CLAUSE_SEP = /[,，、;；.。!！?？]|(?<![a-z])(?:and|then|plus|also)(?![a-z])|還有|还有|然後|然后|和|跟/g;
+
+// 選項名稱以外的常見說法（group -> code -> phrases）
+const MODIFIER_PHRASES = {
+  size: {
+    large: ["large", "big", "grande", "大杯", "大的"],
+    regular: ["medium", "regular size", "中杯"],
+  },
+  sugar: {
+    normal: ["regular sugar", "full sugar", "正常甜", "全糖"],
+    less: ["less sugar", "half sugar", "less sweet", "半糖", "微糖", "少糖"],
+    none: ["no sugar", "without sugar", "sugar free", "sugar-free", "unsweetened", "無糖", "无糖", "不加糖", "不要糖"],
+  },
+  ice: {
+    regular: ["regular ice", "正常冰"],
+    less: ["less ice", "light ice", "少冰", "微冰"],
+    none: ["no ice", "without ice", "去冰", "不要冰", "不加冰"],
+    hot: ["hot", "熱的", "热的", "熱", "热"],
+  },
+  milk: {
+    whole: ["whole milk", "鮮奶", "全脂"],
+    oat: ["oat milk", "oat", "燕麥奶", "燕麥", "燕麦奶"],
+    soy: ["soy milk", "soy", "豆漿", "豆奶"],
+  },
+};
+
+const UNDO_RE = /(?<![a-z])(?:undo|never ?mind|go back|revert)(?![a-z])|復原|还原|還原|取消剛剛的?|取消上一步|上一步/g;
+const CLEAR_RE =
+  /(?<![a-z])(?:(?:clear|empty|reset)(?: (?:the|my))? (?:cart|order|everything|all)|start over|cancel (?:everything|all|the order|my order)|remove everything)(?![a-z])|清空(?:購物車|购物车)?|全部取消|全部不要|都不要了?|重新點|重來/g;
+const CHECKOUT_RE =
+  /(?<![a-z])(?:check ?out|pay|that'?s (?:it|all)|that is all|the bill|i'?m done)(?![a-z])|結帳|結賬|结账|買單|买单|付款|就這樣|就这样|這樣就好/g;
+// 碼本身先蓋掉，NKUST10 的 10 才不會被當成數量
+const PROMO_RE =
+  /(?<![a-z])(?:(?:promo(?:tion)?|coupon|discount|voucher) )?code\s*(?:is\s*|:\s*)?(?!(?:for|please|the|and|you|with|now)(?![a-z0-9]))([a-z0-9_-]{3,32})(?![a-z0-9_-])|(?:折扣碼|折扣码|優惠碼|优惠码|優惠券|优惠券|折價券)\s*[:：是]?\s*([a-z0-9_-]{3,32})(?![a-z0-9_-])/;
+const HELP_RE = /^(?:hi|hello|hey|yo|good (?:morning|afternoon|evening)|help|menu|what do you have)(?![a-z])|^(?:你好|您好|哈囉|哈啰|嗨)|幫助|菜單|有什麼|有什么/;
+
+const REMOVE_RE =
+  /(?<![a-z])(?:remove|delete|cancel|drop|no|without|minus|take (?:off|out)|don'?t want|do not want|less|fewer)(?![a-z])|不要|取消|刪除|删除|刪掉|删掉|拿掉|去掉|移除|少(?=\s*(?:\d|[一二兩两三四五六七八九十]))|減|减/;
+const SET_RE =
+  /(?<![a-z])(?:make (?:that|it|them|those|this)|change|set)(?![a-z])|改成|改為|改为|換成|换成|變成|变成/;
+// 沒提到商品時，移除必須明確指「那個」才作用在最後一行（避免 "no, ..." 誤刪）
+const PRONOUN_RE = /(?<![a-z])(?:that|it|this|them|those|the last one)(?![a-z])|這個|这个|那個|那个|這杯|这杯|那杯|剛剛那|刚刚那/;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const hasCjk = (s) => /[㐀-鿿]/.test(s);
+
+export function parseChineseNumber(s) {
+  if (!s) return null;
+  if (s.includes("十")) {
+    const [a, b] = s.split("十");
+    const tens = a ? ZH_DIGITS[a] : 1;
+    const ones = b ? ZH_DIGITS[b] : 0;
+    if (tens == null || ones == null || a.length > 1 || b.length > 1) return null;
+    return tens * 10 + ones;
+  }
+  return s.length === 1 ? ZH_DIGITS[s] ?? null : null;
+}
+
+function numberValue(raw) {
+  if (raw == null) return null;
+  if (/^\d+$/.test(raw)) return Number(raw);
+  if (EN_NUMBERS[raw] != null) return EN_NUMBERS[raw];
+  return parseChineseNumber(raw);
+}
+
+// 所有數字（中文數字必須接量詞，避免「一下」「一起」）
+function findNumbers(text) {
+  const re = new RegExp(`(\\d+)|(${ZH_NUM})(?=\\s*${CLASSIFIER})|(?<![a-z])(${EN_NUM})(?![a-z])`, "g");
+  const out = [];
+  for (const m of text.matchAll(re)) {
+    const value = numberValue(m[1] || m[2] || m[3]);
+    if (value != null) out.push({ value, start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// 商品後面緊接的數量：「拿鐵兩杯」「latte x2」「latte 2,」
+function trailingQty(text, from) {
+  const re = new RegExp(
+    `^\\s*(?:(?:x|×|\\*)\\s*(\\d+|${ZH_NUM})|(\\d+|${ZH_NUM})\\s*${CLASSIFIER}|(\\d+)(?=\\s*(?:$|[,，、.。!！?？])))`
+  );
+  const m = text.slice(from).match(re);
+  if (!m) return null;
+  const value = numberValue(m[1] || m[2] || m[3]);
+  return value == null ? null : { value, start: from, end: from + m[0].length };
+}
+
+// 以相同長度的空白蓋掉已處理的片段，位置不變
+function mask(text, start, end) {
+  return text.slice(0, start) + " ".repeat(end - start) + text.slice(end);
+}
+
+function maskAll(text, re) {
+  let hit = false;
+  let out = text;
+  for (const m of text.matchAll(re)) {
+    hit = true;
+    out = mask(out, m.index, m.index + m[0].length);
+  }
+  return { text: out, hit };
+}
+
+function findModifierMentions(text, modifierGroups) {
+  const candidates = [];
+  for (const g of modifierGroups) {
+    for (const o of g.options) {
+      const phrases = [o.name, o.name_zh, ...(MODIFIER_PHRASES[g.id]?.[o.code] || [])]
+        .map(normalizeText)
+        .filter(Boolean);
+      for (const phrase of new Set(phrases)) {
+        const re = hasCjk(phrase)
+          ? new RegExp(escapeRe(phrase), "g")
+          : new RegExp(`(?<![a-z])${escapeRe(phrase)}(?![a-z])`, "g");
+        for (const m of text.matchAll(re)) {
+          candidates.push({ group: g.id, option: o.code, start: m.index, end: m.index + m[0].length });
+        }
+      }
+    }
+  }
+  candidates.sort((a, b) => b.end - b.start - (a.end - a.start) || a.start - b.start);
+  const picked = [];
+  for (const c of candidates) {
+    if (picked.some((x) => c.start < x.end && x.start < c.end)) continue;
+    picked.push(c);
+  }
+  return picked;
+}
+
+function splitClauses(text) {
+  const clauses = [];
+  let start = 0;
+  for (const m of text.matchAll(CLAUSE_SEP)) {
+    clauses.push({ start, end: m.index });
+    start = m.index + m[0].length;
+  }
+  clauses.push({ start, end: text.length });
+  return clauses.filter((c) => text.slice(c.start, c.end).trim());
+}
+
+const REPLIES = {
+  help: {
+    en: 'What can I get you? Try "two large lattes" or "one tiramisu".',
+    zh: "想點些什麼呢？可以說「兩杯大杯拿鐵」或「一個提拉米蘇」。",
+  },
+};
+
+/**
+ * @param {object} ctx - { text, lang, catalog, modifierGroups, cart }
+ */
+export function parseLocal({ text, lang, catalog = [], modifierGroups = [], cart }) {
+  const original = normalizeText(text);
+  let t = original;
+
+  const promo = t.match(PROMO_RE);
+  if (promo) t = mask(t, promo.index, promo.index + promo[0].length);
+  const promoCode = promo ? (promo[1] || promo[2]).toUpperCase() : null;
+
+  const undo = maskAll(t, UNDO_RE);
+  t = undo.text;
+  const clear = maskAll(t, CLEAR_RE);
+  t = clear.text;
+  const checkout = maskAll(t, CHECKOUT_RE);
+  t = checkout.text;
+
+  // 客製化先蓋掉，「no sugar」「不要冰」才不會被當成移除
+  const modifierMentions = findModifierMentions(t, modifierGroups);
+  for (const m of modifierMentions) t = mask(t, m.start, m.end);
+
+  const byId = new Map(catalog.map((p) => [p.id, p]));
+  const mentions = findProductMentions(t, catalog, { normalized: true }).map((m) => ({ ...m, modifiers: {}, qty: null }));
+
+  // 每個客製化套到距離最近、且有該選項群組的商品
+  for (const mod of modifierMentions) {
+    const target = mentions
+      .filter((m) => (byId.get(m.product_id)?.modifier_groups || []).some((g) => g.id === mod.group))
+      .sort((a, b) => Math.abs(a.start - mod.start) - Math.abs(b.start - mod.start))[0];
+    if (target && !target.modifiers[mod.group]) target.modifiers[mod.group] = mod.option;
+  }
+
+  // 數量：先看商品前面的（「兩杯拿鐵」「two lattes」），沒有才吃商品後面的（「拿鐵兩杯」「latte x2」）。
+  // 後面緊接著下一個商品時，那個數量通常是下一個商品的（「兩杯美式三杯拿鐵」），
+  // 除非下一個商品後面也有數量（「拿鐵兩杯美式一杯」）
+  const consumed = [];
+  const allNumbers = findNumbers(t);
+  const unused = (n) => !consumed.some((c) => n.start < c.end && c.start < n.end);
+  mentions.forEach((m, i) => {
+    const prevEnd = Math.max(i ? mentions[i - 1].end : 0, ...consumed.filter((c) => c.end <= m.start).map((c) => c.end));
+    const lead = allNumbers.filter((n) => unused(n) && n.start >= prevEnd && n.end <= m.start).pop();
+    if (lead) m.qty = lead.value;
+    else {
+      const zh = t.slice(prevEnd, m.start).match(new RegExp(`(${ZH_NUM})\\s*$`));
+      if (zh) m.qty = parseChineseNumber(zh[1]);
+    }
+    if (m.qty != null) return;
+
+    const q = trailingQty(t, m.end);
+    if (!q) return;
+    const next = mentions[i + 1];
+    if (next && !t.slice(q.end, next.start).trim() && !trailingQty(t, next.end)) return;
+    m.qty = q.value;
+    consumed.push(q);
+  });
+  const numbers = allNumbers.filter(unused);
+
+  const items = [];
+  const edits = [];
+  const lastLine = (cart?.lines || [])[cart?.lines?.length - 1] || null;
+
+  for (const clause of splitClauses(t)) {
+    const body = t.slice(clause.start, clause.end);
+    const inClause = mentions.filter((m) => m.start >= clause.start && m.end <= clause.end);
+    const isSet = SET_RE.test(body);
+    const isRemove = !isSet && REMOVE_RE.test(body);
+    const clauseNumbers = numbers.filter((n) => n.start >= clause.start && n.end <= clause.end);
+
+    if (isSet) {
+      const qty = clauseNumbers.length ? clauseNumbers[clauseNumbers.length - 1].value : inClause.find((m) => m.qty != null)?.qty;
+      if (qty == null) continue;
+      if (inClause.length) {
+        for (const m of inClause) edits.push({ op: "set_quantity", product: m.alias, product_id: m.product_id, qty });
+      } else if (lastLine) {
+        edits.push({ op: "set_quantity", line_id: lastLine.line_id, qty });
+      }
+      continue;
+    }
+
+    if (isRemove) {
+      if (inClause.length) {
+        for (const m of inClause) {
+          edits.push({ op: "remove_from_cart", product: m.alias, product_id: m.product_id, ...(m.qty != null ? { qty: m.qty } : {}) });
+        }
+      } else if (lastLine && PRONOUN_RE.test(body)) {
+        const qty = clauseNumbers[0]?.value;
+        edits.push({ op: "remove_from_cart", line_id: lastLine.line_id, ...(qty != null ? { qty } : {}) });
+      }
+      continue;
+    }
+
+    for (const m of inClause) {
+      items.push({ product: byId.get(m.product_id)?.name || m.alias, product_id: m.product_id, qty: m.qty || 1, modifiers: m.modifiers });
+    }
+  }
+
+  let intent = "unknown";
+  if (items.length) intent = "order";
+  else if (edits.length) intent = edits[0].op;
+  else if (clear.hit) intent = "clear_cart";
+  else if (undo.hit) intent = "undo_last";
+  else if (promoCode) intent = "apply_promo_code";
+  else if (checkout.hit) intent = "checkout";
+  else if (HELP_RE.test(original)) intent = "help";
+
+  return {
+    intent,
+    items,
+    edits,
+    clear_cart: clear.hit,
+    undo_last: undo.hit,
+    checkout: checkout.hit,
+    promo_code: promoCode,
+    reply: intent === "help" ? REPLIES.help[lang === "zh" ? "zh" : "en"] : "",
+  };
+}
+
+export function createLocalParser() {
+  return {
+    name: "local",
+    async parse(ctx) {
+      return parseLocal(ctx);
+    },
+  };
+}
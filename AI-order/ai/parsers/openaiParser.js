@@ -0,0 +1,136 @@
+// ai/parsers/openaiParser.js
+import { describeCart } from "../../chat/cart.js";
+
+/**
+ * 🤖 OpenAI function-calling parser（gpt-4o-mini）
+ * 將菜單、客製化選項、目前購物車與對話紀錄交給模型，回傳 order_intent 的參數
+ * 錯誤 / 逾時直接 throw，由 intentParser 切換到下一個 backend
+ * currency：菜單價格的幣別（PRICE_CURRENCY），沒給時用 $
+ */
+export function createOpenAiParser({ openai, model = "gpt-4o-mini", timeoutMs = 8000, currency }) {
+  const price = (v) => (currency ? `${v} ${currency}` : `$${v}`);
+
+  async function parse({ text, lang, catalog = [], modifierGroups = [], cart, history = [] }) {
+    const targetLang = lang === "zh" ? "Traditional Chinese (繁體中文)" : "English";
+    const catalogText = catalog
+      .map((p) => {
+        const mods = (p.modifier_groups || [])
+          .map((g) => `${g.id}: ${g.options.map((o) => `${o.code}${o.price_delta ? `(+${price(o.price_delta)})` : ""}`).join("|")}`)
+          .join("; ");
+        return `${p.id}. ${p.name} / ${p.name_zh || p.name} (${price(p.price)})${mods ? ` [options ${mods}]` : ""}`;
+      })
+      .join("\n");
+    const modifierText = modifierGroups
+      .map((g) => `${g.id}: ${g.options.map((o) => `${o.code}=${o.name}/${o.name_zh}`).join(", ")}`)
+      .join("\n");
+
+    const functions = [
+      {
+        name: "order_intent",
+        description: "Return parsed order intent, new items and edits to lines already in the cart.",
+        parameters: {
+          type: "object",
+          properties: {
+            intent: {
+              type: "string",
+              enum: ["order", "remove_from_cart", "set_quantity", "clear_cart", "undo_last", "apply_promo_code", "checkout", "help"],
+            },
+            items: {
+              type: "array",
+              description: "New items to add.",
+              items: {
+                type: "object",
+                properties: {
+                  product: { type: "string" },
+                  qty: { type: "integer", minimum: 1 },
+                  modifiers: {
+                    type: "object",
+                    description: "Only options the customer asked for, by option code.",
+                    properties: Object.fromEntries(
+                      modifierGroups.map((g) => [g.id, { type: "string", enum: g.options.map((o) => o.code) }])
+                    ),
+                  },
+                },
+                required: ["product"],
+              },
+            },
+            edits: {
+              type: "array",
+              description: "Relative changes to existing cart lines.",
+              items: {
+                type: "object",
+                properties: {
+                  op: { type: "string", enum: ["remove_from_cart", "set_quantity"] },
+                  line_id: { type: "integer" },
+                  product: { type: "string" },
+                  qty: { type: "integer", minimum: 0 },
+                },
+                required: ["op"],
+              },
+            },
+            clear_cart: { type: "boolean", description: "Empty the whole cart." },
+            undo_last: { type: "boolean", description: "Revert the previous cart change." },
+            checkout: { type: "boolean" },
+            promo_code: { type: "string", description: "Discount / coupon code the customer gave, exactly as spelled." },
+            reply: { type: "string", description: `One short sentence to the customer in ${targetLang}.` },
+          },
+          required: ["intent", "items"],
+        },
+      },
+    ];
+
+    const resp = await openai.chat.completions.create(
+      {
+        model,
+        messages: [
+          {
+            role: "system",
+            content: `You are a smart barista AI.
+Rules:
+1. Reply in ${targetLang}.
+2. If user mentions ANY product (English or Chinese), interpret as order.
+3. Even single words (e.g. "Latte", "拿鐵") are orders.
+4. Only return "help" if input is a greeting unrelated to ordering.
+5. Put size / sugar / ice / milk requests into "modifiers" using option codes (e.g. "large oat latte, less sugar" => size=large, milk=oat, sugar=less). Leave out options the customer did not mention.
+6. Current Menu:\n${catalogText}
+7. Option codes:\n${modifierText}
+8. Current cart:\n${describeCart(cart, { currency })}
+9. Changes to something already in the cart ("make that two", "actually, no tiramisu", "one less latte") go into "edits" with the cart line_id, not into "items". "that" / "it" means the line discussed most recently in the conversation.
+10. set_quantity: qty is the new total for that line. remove_from_cart: without qty removes the whole line, with qty removes that many.
+11. "clear / empty the cart", "start over", "清空購物車" => clear_cart. "undo", "never mind", "go back", "復原", "取消剛剛的" => undo_last.
+12. "I have code NKUST10", "優惠碼 NKUST10" => promo_code (items may be empty). Never invent a code.`,
+          },
+          ...history,
+          { role: "user", content: text },
+        ],
+        functions,
+        function_call: "auto",
+        temperature: 0.1,
+        max_tokens: 400,
+      },
+      { timeout: timeoutMs, maxRetries: 0 }
+    );
+
+    const choice = resp.choices?.[0];
+    let parsed = null;
+
+    if (choice?.message?.function_call) {
+      try {
+        parsed = JSON.parse(choice.message.function_call.arguments);
+      } catch {
+        parsed = null;
+      }
+    } else {
+      try {
+        parsed = JSON.parse(choice?.message?.content || "");
+      } catch {
+        parsed = null;
+      }
+    }
+
+    if (!parsed) parsed = { intent: "help", items: [], raw_text: choice?.message?.content || text };
+    return parsed;
+  }
+
+  return { name: "openai", parse };
+}
@@ -0,0 +1,288 @@
+// artwork/qrCode.js
+
+/**
+ * 🔳 QR Code 產生器（兌換券圖上的訂單連結用，不需要外部套件）
+ * 只支援 byte mode、錯誤修正等級 M、版本 1–10（最多 213 bytes，網址夠用）
+ * 演算法照 ISO/IEC 18004：資料 -> Reed-Solomon -> 交錯 -> 擺放 -> 8 種 mask 取罰分最低
+ */
+
+// 等級 M：[ 每個 block 的 EC codewords, [block 數, 每 block 資料 codewords], ... ]
+const EC_M = {
+  1: [10, [1, 16]],
+  2: [16, [1, 28]],
+  3: [26, [1, 44]],
+  4: [18, [2, 32]],
+  5: [24, [2, 43]],
+  6: [16, [4, 27]],
+  7: [18, [4, 31]],
+  8: [22, [2, 38], [2, 39]],
+  9: [22, [3, 36], [2, 37]],
+  10: [26, [4, 43], [1, 44]],
+};
+
+const ALIGNMENT = {
+  1: [],
+  2: [6, 18],
+  3: [6, 22],
+  4: [6, 26],
+  5: [6, 30],
+  6: [6, 34],
+  7: [6, 22, 38],
+  8: [6, 24, 42],
+  9: [6, 26, 46],
+  10: [6, 28, 50],
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const dataCapacity = (version) => EC_M[version].slice(1).reduce((n, [count, len]) => n + count * len, 0);
+const bit = (v, i) => ((v >>> i) & 1) !== 0;
+
+// GF(256)，多項式 0x11D
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMul(coef, factor);
+    });
+  }
+  return result;
+}
+
+// byte mode 資料 codewords（含結尾與 0xEC / 0x11 填充）
+function dataCodewords(bytes, version) {
+  const bits = [];
+  const push = (value, len) => {
+    for (let i = len - 1; i >= 0; i--) bits.push(bit(value, i) ? 1 : 0);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version <= 9 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const out = [];
+  for (let i = 0; i < bits.length; i += 8) out.push(bits.slice(i, i + 8).reduce((v, b) => (v << 1) | b, 0));
+  for (let pad = 0xec; out.length < capacityBits / 8; pad ^= 0xec ^ 0x11) out.push(pad);
+  return out;
+}
+
+function interleaveWithEcc(data, version) {
+  const [ecLen, ...groups] = EC_M[version];
+  const divisor = rsDivisor(ecLen);
+  const blocks = [];
+  let offset = 0;
+  for (const [count, len] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + len);
+      offset += len;
+      blocks.push({ data: block, ecc: rsRemainder(block, divisor) });
+    }
+  }
+
+  const out = [];
+  const maxLen = Math.max(...blocks.map((b) => b.data.length));
+  for (let i = 0; i < maxLen; i++) for (const b of blocks) if (i < b.data.length) out.push(b.data[i]);
+  for (let i = 0; i < ecLen; i++) for (const b of blocks) out.push(b.ecc[i]);
+  return out;
+}
+
+function createGrid(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // timing
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  // finder + separator
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  // alignment（避開三個 finder 的角落）
+  const pos = ALIGNMENT[version];
+  for (let i = 0; i < pos.length; i++) {
+    for (let j = 0; j < pos.length; j++) {
+      if ((i === 0 && j === 0) || (i === 0 && j === pos.length - 1) || (i === pos.length - 1 && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(pos[i] + dx, pos[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+  // version info（7 以上）
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bit(bits, i));
+      set(b, a, bit(bits, i));
+    }
+  }
+
+  const drawFormat = (mask) => {
+    // 等級 M 的 format bits 是 00
+    const data = mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+    set(8, 7, bit(bits, 6));
+    set(8, 8, bit(bits, 7));
+    set(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+    set(8, size - 8, true);
+  };
+  drawFormat(0); // 先佔位，選定 mask 後再畫一次
+
+  return { size, modules, isFunction, drawFormat };
+}
+
+function placeCodewords({ size, modules, isFunction }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask({ size, modules, isFunction }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+const FINDER_LIKE = ["10111010000", "00001011101"];
+
+function penalty({ size, modules }) {
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i].map((d) => (d ? "1" : "0")).join(""));
+    lines.push(modules.map((row) => (row[i] ? "1" : "0")).join(""));
+  }
+  for (const line of lines) {
+    for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+    for (const pattern of FINDER_LIKE) {
+      for (let at = line.indexOf(pattern); at !== -1; at = line.indexOf(pattern, at + 1)) score += 40;
+    }
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/**
+ * 文字 -> QR 矩陣
+ * @param {string} text
+ * @returns {{ version: number, size: number, mask: number, modules: boolean[][] }} modules[y][x]，true = 深色
+ */
+export function encodeQr(text) {
+  const bytes = [...Buffer.from(String(text), "utf8")];
+  const version = Object.keys(EC_M)
+    .map(Number)
+    .find((v) => 4 + (v <= 9 ? 8 : 16) + bytes.length * 8 <= dataCapacity(v) * 8);
+  if (!version) {
+    const e = new Error(`QR content too long (${bytes.length} bytes, max ${dataCapacity(10) - 3})`);
+    e.code = "QR_TOO_LONG";
+    throw e;
+  }
+
+  const codewords = interleaveWithEcc(dataCodewords(bytes, version), version);
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const grid = createGrid(version);
+    placeCodewords(grid, codewords);
+    applyMask(grid, mask);
+    grid.drawFormat(mask);
+    const score = penalty(grid);
+    if (!best || score < best.score) best = { score, mask, grid };
+  }
+  return { version, size: best.grid.size, mask: best.mask, modules: best.grid.modules };
+}
+
+/**
+ * QR 矩陣 -> SVG path（每個深色 module 一個 1×1 方格，用 transform 縮放 / 定位）
+ */
+export function qrSvgPath({ size, modules }) {
+  const parts = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) if (modules[y][x]) parts.push(`M${x} ${y}h1v1h-1z`);
+  }
+  return parts.join("");
+}
@@ -0,0 +1,134 @@
+// artwork/voucherArt.js
+import { encodeQr, qrSvgPath } from "./qrCode.js";
+
+/**
+ * 🎨 每張 NFT 兌換券自己的圖（SVG，本機產生，不需要外部服務）
+ * 卡面：店名、商品 emoji 與名稱、客製化選項（整張訂單時列出品項）、數量、取餐號碼、可兌換時間、
+ *      訂單狀態 QR（掃了開 /orders/:id/receipt）
+ * 樣板只決定配色；分類用 menu_categories.voucher_template 指定，沒指定用 VOUCHER_TEMPLATE
+ */
+export const VOUCHER_TEMPLATES = {
+  classic: { background: "#f4ede4", card: "#fffdf9", accent: "#6f4e37", text: "#2b2118", muted: "#8a7a6a" },
+  espresso: { background: "#1f1510", card: "#33241a", accent: "#d9a066", text: "#f6eee3", muted: "#bfa88f" },
+  pastel: { background: "#f9e3ea", card: "#ffffff", accent: "#c9587f", text: "#3d2a33", muted: "#9c7f8a" },
+  matcha: { background: "#e6eddc", card: "#fbfdf7", accent: "#55743b", text: "#233018", muted: "#7d8a70" },
+};
+
+export const DEFAULT_VOUCHER_TEMPLATE = "classic";
+
+const WIDTH = 600;
+const HEIGHT = 900;
+const FONT = "Helvetica, Arial, 'Noto Sans TC', 'PingFang TC', sans-serif";
+const MAX_LINES = 4;
+
+const esc = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 以字數粗略換行（英文在空白處斷，中文直接切）
+function wrap(text, max, maxLines) {
+  const out = [];
+  let line = "";
+  for (const word of String(text || "").split(/(\s+)/)) {
+    if ((line + word).length <= max) {
+      line += word;
+      continue;
+    }
+    if (line.trim()) out.push(line.trim());
+    line = word.trimStart();
+    while (line.length > max) {
+      out.push(line.slice(0, max));
+      line = line.slice(max);
+    }
+  }
+  if (line.trim()) out.push(line.trim());
+  if (out.length > maxLines) {
+    out.length = maxLines;
+    out[maxLines - 1] = `${out[maxLines - 1].slice(0, max - 1)}…`;
+  }
+  return out;
+}
+
+function formatTime(ms, timeZone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).format(ms);
+}
+
+// 取餐時段：「Oct 19, 14:00 – Oct 20, 14:00」；不過期時只寫起始時間
+export function pickupWindowText({ validFrom, expiresAt, timeZone }) {
+  if (!validFrom) return expiresAt ? `Until ${formatTime(expiresAt, timeZone)}` : "Any time";
+  if (!expiresAt) return `From ${formatTime(validFrom, timeZone)}, no expiry`;
+  return `${formatTime(validFrom, timeZone)} – ${formatTime(expiresAt, timeZone)}`;
+}
+
+/**
+ * @param {object} card
+ * @param {string} card.storeName
+ * @param {string} card.title - 商品名稱（整張訂單時為 "Order #12 (3 items)"）
+ * @param {string} [card.emoji] - 菜單上的 emoji（menu_items.image，網址則不顯示）
+ * @param {string[]} [card.lines] - 客製化選項或品項清單
+ * @param {number} [card.qty]
+ * @param {string} card.orderLabel - 取餐號碼（receipts/receipt.js 的 orderNumber）
+ * @param {number} [card.validFrom] - ms
+ * @param {number} [card.expiresAt] - ms，null = 不過期
+ * @param {string} [card.timeZone] - STORE_TIMEZONE
+ * @param {string} card.qrUrl - 訂單狀態網址
+ * @param {object} opts
+ * @param {string} [opts.template] - VOUCHER_TEMPLATES 的 key；不認得的用 classic
+ * @returns {string} SVG
+ */
+export function renderVoucherSvg(card, { template = DEFAULT_VOUCHER_TEMPLATE } = {}) {
+  const t = VOUCHER_TEMPLATES[template] || VOUCHER_TEMPLATES[DEFAULT_VOUCHER_TEMPLATE];
+  const qr = encodeQr(card.qrUrl);
+  const qrBox = 220;
+  const qrScale = qrBox / (qr.size + 8); // 4 modules quiet zone each side
+  const qrX = (WIDTH - qrBox) / 2;
+  const qrY = 610;
+
+  const emoji = card.emoji && !/^(https?:|\/)/.test(card.emoji) ? card.emoji : "";
+  const titleLines = wrap(card.title, 24, 2);
+  const detailLines = card.lines || [];
+  const shown = detailLines.length > MAX_LINES ? [...detailLines.slice(0, MAX_LINES - 1), `+${detailLines.length - MAX_LINES + 1} more`] : detailLines;
+
+  let y = emoji ? 250 : 190;
+  const text = [];
+  for (const line of titleLines) {
+    text.push(`<text x="300" y="${y}" font-size="34" font-weight="700" fill="${t.text}" text-anchor="middle">${esc(line)}</text>`);
+    y += 42;
+  }
+  if (card.qty > 1) {
+    text.push(`<text x="300" y="${y}" font-size="24" font-weight="700" fill="${t.accent}" text-anchor="middle">× ${esc(card.qty)}</text>`);
+    y += 34;
+  }
+  y += 6;
+  for (const line of shown) {
+    text.push(`<text x="300" y="${y}" font-size="20" fill="${t.muted}" text-anchor="middle">${esc(wrap(line, 40, 1)[0] || "")}</text>`);
+    y += 28;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${esc(FONT)}">
+<rect width="${WIDTH}" height="${HEIGHT}" fill="${t.background}"/>
+<rect x="24" y="24" width="${WIDTH - 48}" height="${HEIGHT - 48}" rx="28" fill="${t.card}"/>
+<path d="M24 52a28 28 0 0 1 28-28h${WIDTH - 104}a28 28 0 0 1 28 28v56h-${WIDTH - 48}z" fill="${t.accent}"/>
+<text x="300" y="74" font-size="26" font-weight="700" fill="${t.card}" text-anchor="middle">${esc(card.storeName)}</text>
+<text x="300" y="98" font-size="14" letter-spacing="4" fill="${t.card}" text-anchor="middle">PICKUP VOUCHER</text>
+${emoji ? `<text x="300" y="200" font-size="72" text-anchor="middle">${esc(emoji)}</text>\n` : ""}${text.join("\n")}
+<line x1="64" y1="486" x2="${WIDTH - 64}" y2="486" stroke="${t.muted}" stroke-width="2" stroke-dasharray="8 8"/>
+<text x="300" y="530" font-size="16" letter-spacing="3" fill="${t.muted}" text-anchor="middle">ORDER</text>
+<text x="300" y="566" font-size="36" font-weight="700" fill="${t.accent}" text-anchor="middle">#${esc(card.orderLabel)}</text>
+<text x="300" y="596" font-size="17" fill="${t.text}" text-anchor="middle">${esc(pickupWindowText(card))}</text>
+<rect x="${qrX}" y="${qrY}" width="${qrBox}" height="${qrBox}" rx="10" fill="#ffffff"/>
+<path transform="translate(${(qrX + 4 * qrScale).toFixed(2)} ${(qrY + 4 * qrScale).toFixed(2)}) scale(${qrScale.toFixed(4)})" d="${qrSvgPath(qr)}" fill="#000000"/>
+<text x="300" y="${qrY + qrBox + 26}" font-size="15" fill="${t.muted}" text-anchor="middle">Scan for order status</text>
+</svg>
+`;
+}
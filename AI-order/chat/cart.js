@@ -0,0 +1,261 @@
+// chat/cart.js
+import { priceLine, modifierLabel } from "../store/catalogStore.js";
+import { getPromotionByCode, normalizePromoCode } from "../store/promotionStore.js";
+import { priceWithPromotions } from "../pricing/promotions.js";
+
+/**
+ * 🛒 Server-side 購物車（存在 chat session 裡）
+ * cart = { lines: [{ line_id, product_id, qty, modifiers: { size: "large" } }], next_line_id, promo_code }
+ * 所有函式都回傳新的 cart，不修改傳入的物件
+ */
+export function emptyCart() {
+  return { lines: [], next_line_id: 1, promo_code: null };
+}
+
+function cloneCart(cart) {
+  const c = cart && Array.isArray(cart.lines) ? cart : emptyCart();
+  return {
+    lines: c.lines.map((l) => ({ ...l, modifiers: { ...(l.modifiers || {}) } })),
+    next_line_id: c.next_line_id || c.lines.reduce((m, l) => Math.max(m, l.line_id || 0), 0) + 1,
+    promo_code: c.promo_code || null,
+  };
+}
+
+function sameModifiers(a = {}, b = {}) {
+  const ka = Object.keys(a).sort();
+  const kb = Object.keys(b).sort();
+  return ka.length === kb.length && ka.every((k, i) => k === kb[i] && a[k] === b[k]);
+}
+
+// resolve to full option codes (defaults filled in) so "latte" and "latte, regular" merge
+// disabled products -> null; unknown options throw (catalogStore badRequest)
+function canonicalModifiers(productId, modifiers) {
+  const line = priceLine({ product_id: productId, modifiers });
+  if (!line) return null;
+  return Object.fromEntries(line.modifiers.map((m) => [m.group, m.option]));
+}
+
+/**
+ * 找目標行：優先 line_id，其次 product_id（取最後一筆，對應「剛剛那杯」）
+ */
+export function findLine(cart, { line_id, product_id } = {}) {
+  const lines = cart?.lines || [];
+  if (line_id != null) return lines.find((l) => l.line_id === Number(line_id)) || null;
+  if (product_id != null) {
+    const hits = lines.filter((l) => String(l.product_id) === String(product_id));
+    return hits[hits.length - 1] || null;
+  }
+  return null;
+}
+
+export function addLine(cart, { product_id, qty = 1, modifiers = {} }) {
+  const next = cloneCart(cart);
+  const mods = canonicalModifiers(product_id, modifiers);
+  if (!mods) return { cart: next, line: null };
+
+  const n = Math.max(1, Math.floor(Number(qty) || 1));
+  const existing = next.lines.find((l) => String(l.product_id) === String(product_id) && sameModifiers(l.modifiers, mods));
+  if (existing) {
+    existing.qty += n;
+    return { cart: next, line: existing };
+  }
+
+  const line = { line_id: next.next_line_id++, product_id: Number(product_id), qty: n, modifiers: mods };
+  next.lines.push(line);
+  return { cart: next, line };
+}
+
+/**
+ * 移除一行；有給 qty 時只減少數量
+ */
+export function removeLine(cart, target = {}) {
+  const next = cloneCart(cart);
+  const line = findLine(next, target);
+  if (!line) return { cart: next, line: null };
+
+  const n = Math.floor(Number(target.qty) || 0);
+  if (n > 0 && n < line.qty) {
+    line.qty -= n;
+  } else {
+    next.lines = next.lines.filter((l) => l.line_id !== line.line_id);
+  }
+  return { cart: next, line };
+}
+
+export function setLineQty(cart, target = {}) {
+  const n = Math.floor(Number(target.qty));
+  if (!Number.isFinite(n) || n < 0) return { cart: cloneCart(cart), line: null };
+  if (n === 0) return removeLine(cart, { line_id: target.line_id, product_id: target.product_id });
+
+  const next = cloneCart(cart);
+  const line = findLine(next, target);
+  if (!line) return { cart: next, line: null };
+  line.qty = n;
+  return { cart: next, line };
+}
+
+/**
+ * 前端 / API 用的完整購物車（價格一律由 catalog 計算，促銷由 pricing/promotions.js 計算）
+ * total 是折扣後金額；錢包次數限制要到 /create-order / 付款時才知道
+ */
+export function serializeCart(cart) {
+  const lines = [];
+  const pricingLines = [];
+  for (const l of cart?.lines || []) {
+    const priced = priceLine(l, { includeDisabled: true });
+    if (!priced) continue;
+    const p = priced.product;
+    const label = modifierLabel(priced.modifiers, "en");
+    const labelZh = modifierLabel(priced.modifiers, "zh");
+    lines.push({
+      line_id: l.line_id,
+      product_id: p.id,
+      qty: l.qty,
+      modifiers: l.modifiers,
+      name: p.name,
+      name_zh: p.name_zh,
+      label: label ? `${p.name} (${label})` : p.name,
+      label_zh: labelZh ? `${p.name_zh} (${labelZh})` : p.name_zh,
+      image: p.image,
+      enabled: p.enabled,
+      unit_price: priced.unit_price,
+      line_total: Math.round(priced.unit_price * l.qty * 1e6) / 1e6,
+    });
+    pricingLines.push({ product_id: p.id, category_id: p.category_id, qty: l.qty, unit_price: priced.unit_price });
+  }
+  const count = lines.reduce((s, l) => s + l.qty, 0);
+  const pricing = priceWithPromotions(pricingLines, { code: cart?.promo_code });
+  return {
+    lines,
+    count,
+    subtotal: Number(pricing.subtotal),
+    discounts: pricing.discounts.map((d) => ({ promotion_id: d.promotion_id, code: d.code, name: d.name, name_zh: d.name_zh, amount: Number(d.amount) })),
+    total: Number(pricing.total),
+    promo_code: pricing.promo_code,
+    promo_code_error: pricing.promo_code_error,
+  };
+}
+
+/**
+ * 給 LLM 的購物車描述，line_id 讓模型可以回傳相對修改（"make that two"）
+ * currency：菜單幣別（PRICE_CURRENCY），沒給時沿用 $
+ */
+export function describeCart(cart, { currency } = {}) {
+  const { lines, discounts, total, promo_code, promo_code_error } = serializeCart(cart);
+  if (!lines.length) return "(empty)";
+  const price = (v) => (currency ? `${v} ${currency}` : `$${v}`);
+  const promo = promo_code ? `\nPromo code: ${promo_code}${promo_code_error ? ` (not applied: ${promo_code_error})` : ""}` : "";
+  return [
+    ...lines.map((l) => `line ${l.line_id}: ${l.label} × ${l.qty} (${price(l.line_total)})`),
+    ...discounts.map((d) => `discount: ${d.name} (-${price(d.amount)})`),
+  ].join("\n") + `${promo}\nTotal: ${price(total)}`;
+}
+
+// /create-order 的 items 格式（promo_code 另外送）
+export function cartToOrderItems(cart) {
+  return (cart?.lines || []).map((l) => ({ product_id: l.product_id, qty: l.qty, modifiers: l.modifiers }));
+}
+
+/**
+ * 🧾 購物車動作（/ai-order 的 actions 與購物車面板共用同一組 type）
+ *   add_to_cart / remove_from_cart / set_quantity / clear_cart / undo_last / apply_promo_code / remove_promo_code
+ *
+ * state = { cart, undo }，undo 為先前 cart 的堆疊；同一批動作只推一次 undo，
+ * 所以「undo」會還原整句話（或一次面板操作）造成的修改
+ */
+export const CART_ACTIONS = ["add_to_cart", "remove_from_cart", "set_quantity", "clear_cart", "undo_last", "apply_promo_code", "remove_promo_code"];
+
+export function applyCartActions(state, actions = [], { undoLimit = 20 } = {}) {
+  let cart = cloneCart(state?.cart);
+  let undo = (state?.undo || []).slice();
+  let before = cart;
+  const changes = [];
+  const failed = [];
+
+  // undo 先做：「undo that and add a latte」= 還原上一步再加拿鐵
+  const ordered = [...actions.filter((a) => a.type === "undo_last"), ...actions.filter((a) => a.type !== "undo_last")];
+
+  for (const a of ordered) {
+    if (a.type === "undo_last") {
+      const prev = undo.pop();
+      if (!prev) {
+        failed.push({ ...a, reason: "NOTHING_TO_UNDO" });
+        continue;
+      }
+      cart = cloneCart(prev);
+      before = cart;
+      changes.push({ type: a.type });
+      continue;
+    }
+
+    if (a.type === "clear_cart") {
+      if (!cart.lines.length && !cart.promo_code) continue;
+      // 保留 next_line_id，舊的 line_id 不會被重複使用
+      cart = { lines: [], next_line_id: cart.next_line_id, promo_code: null };
+      changes.push({ type: a.type });
+      continue;
+    }
+
+    // 只檢查碼存在；有效期間 / 次數 / 適用品項由 serializeCart 的 promo_code_error 告知
+    if (a.type === "apply_promo_code") {
+      const code = normalizePromoCode(a.code);
+      if (!code || !getPromotionByCode(code)) {
+        failed.push({ ...a, reason: "PROMO_CODE_NOT_FOUND" });
+        continue;
+      }
+      if (cart.promo_code === code) continue;
+      cart = { ...cloneCart(cart), promo_code: code };
+      changes.push({ type: a.type, code });
+      continue;
+    }
+
+    if (a.type === "remove_promo_code") {
+      if (!cart.promo_code) continue;
+      changes.push({ type: a.type, code: cart.promo_code });
+      cart = { ...cloneCart(cart), promo_code: null };
+      continue;
+    }
+
+    let r;
+    if (a.type === "add_to_cart") {
+      try {
+        r = addLine(cart, { product_id: a.product_id, qty: a.qty, modifiers: a.modifiers });
+      } catch (e) {
+        failed.push({ ...a, reason: "INVALID_MODIFIERS", detail: e.detail });
+        continue;
+      }
+      if (!r.line) {
+        failed.push({ ...a, reason: "PRODUCT_UNAVAILABLE" });
+        continue;
+      }
+    } else if (a.type === "remove_from_cart" || a.type === "set_quantity") {
+      // line_id 可能已過期（模型看到的是舊購物車），退回用 product_id 找
+      const target = { line_id: a.line_id ?? null, product_id: a.product_id ?? null, qty: a.qty };
+      if (target.line_id != null && !findLine(cart, { line_id: target.line_id })) target.line_id = null;
+      if (target.line_id == null && target.product_id == null) {
+        failed.push({ ...a, reason: "LINE_NOT_FOUND" });
+        continue;
+      }
+      r = a.type === "set_quantity" ? setLineQty(cart, target) : removeLine(cart, target);
+      if (!r.line) {
+        failed.push({ ...a, reason: "LINE_NOT_FOUND" });
+        continue;
+      }
+    } else {
+      failed.push({ ...a, reason: "UNSUPPORTED_ACTION" });
+      continue;
+    }
+
+    cart = r.cart;
+    changes.push({
+      type: a.type,
+      line_id: r.line.line_id,
+      product_id: r.line.product_id,
+      qty: a.type === "add_to_cart" ? Math.max(1, Math.floor(Number(a.qty) || 1)) : a.qty ?? null,
+      modifiers: r.line.modifiers,
+    });
+  }
+
+  if (changes.some((c) => c.type !== "undo_last")) undo = undo.concat([before]).slice(-undoLimit);
+  return { cart, undo, changes, failed };
+}
@@ -0,0 +1,417 @@
+// fulfillment/fulfillOrder.js
+import { ORDER_STATUS, getOrder, transitionOrder, saveMintProgress } from "../store/orderStore.js";
+import { getItem } from "../store/catalogStore.js";
+import { activeRefundTotals } from "../store/refundStore.js";
+import { addDecimal, compareDecimal, divideDecimal, multiplyDecimal, normalizeDecimal, subtractDecimal } from "../payments/amounts.js";
+import { submitIdempotent } from "./xrplSubmit.js";
+import { emitOrderStage } from "./orderEvents.js";
+import { buildVoucherMetadata, assertValidVoucherMetadata } from "../../shared/nftMetadata.cjs";
+
+/**
+ * 🎟️ fulfill_order job：付款確認後，每一張 NFT 兌換券（unit）依序跑四個步驟
+ *   pin   -> metadata 與圖片（卡面圖或商品圖）上傳 IPFS
+ *   mint  -> NFTokenMint（issuer）
+ *   offer -> NFTokenCreateOffer 0 元給 buyer
+ *   claim -> 建立 buyer 的 NFTokenAcceptOffer Xumm payload
+ *
+ * 一張兌換券涵蓋幾杯由 NFT_GRANULARITY 決定（建立 state 時固定，之後改設定不影響進行中的 job）：
+ *   unit  -> 每一杯一張（unit_key "行:第幾杯"）
+ *   line  -> 每個品項一張，附數量（unit_key "line:行"）
+ *   order -> 整張訂單一張，列出所有品項（unit_key "order"）
+ *
+ * job.state = { granularity, units: [{ unit_key, line_index, product_id, name, qty,
+ *                                      items: [{ line_index, product_id, qty, name }],
+ *                                      valid_from, expires_at, taxon,
+ *                                      status, attempts, error, steps: { pin, mint, offer, claim } }] }
+ * （line_index / product_id：兌換券只涵蓋一個品項時為該品項，整張訂單時為 null / 第一個品項）
+ * 有效期間：從付款起算，依商品的 voucher_validity_hours（沒設定用店家預設）；多個品項取最早到期，
+ * expires_at = null 不過期。寫進 metadata 的 properties，Smart-Locker 兌換時檢查
+ * NFTokenTaxon 由商品分類與店家決定（shared/nftTaxon.cjs）；品項跨分類的兌換券用分類碼 0
+ * 每完成一步就 save()，重試 / 重啟後跳過已完成的步驟；某一杯失敗不影響其他杯，
+ * 整輪跑完仍有未完成的 unit 時丟出錯誤，交給 worker 退避重試
+ * 已退款的 unit 不再鑄造；dead-letter 時有交付部分 -> partial，完全沒有 -> failed
+ * 進度透過 orderEvents 推給 /buy/stream：minting（done/total）-> offers_ready -> success / partial / error
+ */
+export const FULFILL_ORDER_JOB = "fulfill_order";
+
+export const UNIT_STEPS = ["pin", "mint", "offer", "claim"];
+
+export const NFT_GRANULARITY = {
+  UNIT: "unit",
+  LINE: "line",
+  ORDER: "order",
+};
+
+function toHexUri(urlStr) {
+  return Buffer.from(urlStr, "utf8").toString("hex").toUpperCase();
+}
+
+function createdNodeField(meta, field) {
+  return (meta?.AffectedNodes || []).find((n) => n.CreatedNode?.NewFields?.[field])?.CreatedNode?.NewFields?.[field];
+}
+
+/**
+ * 兌換券涵蓋的品項；舊版 state（沒有 items）的 unit 就是一杯
+ */
+export function voucherItems(unit) {
+  return unit.items || [{ line_index: unit.line_index, product_id: unit.product_id, qty: 1, name: unit.name }];
+}
+
+/**
+ * 每個品項折扣後的菜單幣別金額：單價 × 數量，扣掉 order.pricing 的折扣
+ * 折扣依 line_indexes 按品項金額比例分攤（捨去，零頭算在最後一個品項），合計剛好是 pricing.total
+ */
+export function lineNetAmounts(order) {
+  const net = (order.items || []).map((it) => multiplyDecimal(normalizeDecimal(it.unit_price ?? 0) || "0", String(it.qty || 1)));
+  const gross = net.slice();
+  for (const d of order.pricing?.discounts || []) {
+    const indexes = (d.line_indexes || []).filter((i) => gross[i] != null);
+    const base = indexes.reduce((s, i) => addDecimal(s, gross[i]), "0");
+    if (!indexes.length || compareDecimal(base, "0") <= 0) continue;
+    let left = normalizeDecimal(d.amount) || "0";
+    indexes.forEach((i, k) => {
+      const share = k === indexes.length - 1 ? left : divideDecimal(multiplyDecimal(d.amount, gross[i]), base, { decimals: 6, rounding: "down" });
+      net[i] = subtractDecimal(net[i], share);
+      left = subtractDecimal(left, share);
+    });
+  }
+  return net.map((a) => (compareDecimal(a, "0") > 0 ? a : "0"));
+}
+
+/**
+ * 兌換券折扣後的菜單幣別金額（各品項淨額 × 這張涵蓋的數量 / 品項數量），退款依此換算
+ */
+export function voucherPrice(order, unit, net = lineNetAmounts(order)) {
+  return voucherItems(unit).reduce((sum, v) => {
+    const lineQty = order.items?.[v.line_index]?.qty || 1;
+    const amount = net[v.line_index] ?? "0";
+    const share = v.qty >= lineQty ? amount : divideDecimal(multiplyDecimal(amount, String(v.qty)), String(lineQty), { decimals: 6, rounding: "down" });
+    return addDecimal(sum, share);
+  }, "0");
+}
+
+const quantityLabel = (name, qty) => (qty > 1 ? `${name} × ${qty}` : name);
+
+/**
+ * 依訂單內容與 granularity 建立初始 state；舊版（mint_json）已鑄造的 unit 直接標記 pin / mint 完成
+ * validityHours(product) -> 有效小時數（0 = 不過期）；validFrom 預設為付款（進廚房）時間
+ * taxonFor(categoryId | null) -> NFTokenTaxon
+ */
+export function buildFulfillState(order, { displayName, granularity = NFT_GRANULARITY.UNIT, validityHours = () => 0, taxonFor = () => 0, now = Date.now() }) {
+  const legacy = new Map((order.mint?.nfts || []).filter((n) => n.unit_key).map((n) => [n.unit_key, n]));
+  const validFrom = order.kitchen?.paid || now;
+  const expiry = new Map();
+  const category = new Map();
+  const lines = (order.items || []).map((it, lineIndex) => {
+    const p = getItem(it.product_id);
+    const hours = p ? Number(validityHours(p)) || 0 : 0;
+    expiry.set(lineIndex, hours > 0 ? validFrom + Math.round(hours * 3600 * 1000) : null);
+    category.set(lineIndex, p?.category_id || null);
+    return { line_index: lineIndex, product_id: it.product_id, qty: it.qty || 1, name: displayName(it, p) };
+  });
+
+  const voucher = (unitKey, items, name) => {
+    const minted = legacy.get(unitKey);
+    const expiresAt = items.map((v) => expiry.get(v.line_index)).filter((t) => t != null);
+    const categories = new Set(items.map((v) => category.get(v.line_index)));
+    return {
+      unit_key: unitKey,
+      line_index: items.length === 1 ? items[0].line_index : null,
+      product_id: items[0].product_id,
+      name,
+      qty: items.reduce((n, v) => n + v.qty, 0),
+      items,
+      valid_from: validFrom,
+      expires_at: expiresAt.length ? Math.min(...expiresAt) : null,
+      taxon: taxonFor(categories.size === 1 ? [...categories][0] : null),
+      status: "pending",
+      attempts: 0,
+      error: null,
+      steps: {
+        pin: minted ? { status: "done", image_url: minted.image || null } : { status: "pending" },
+        mint: minted ? { status: "done", nft_id: minted.nftId } : { status: "pending" },
+        offer: { status: "pending" },
+        claim: { status: "pending" },
+      },
+    };
+  };
+
+  let units;
+  if (granularity === NFT_GRANULARITY.ORDER && lines.length) {
+    const total = lines.reduce((n, l) => n + l.qty, 0);
+    const label = order.orderNumber != null ? `#${order.orderNumber}` : order.id.slice(0, 8);
+    units = [voucher("order", lines, `Order ${label} (${total} item${total > 1 ? "s" : ""})`)];
+  } else if (granularity === NFT_GRANULARITY.LINE) {
+    units = lines.map((l) => voucher(`line:${l.line_index}`, [l], quantityLabel(l.name, l.qty)));
+  } else {
+    units = lines.flatMap((l) => Array.from({ length: l.qty }, (_, i) => voucher(`${l.line_index}:${i}`, [{ ...l, qty: 1 }], l.name)));
+  }
+  return { granularity: granularity || NFT_GRANULARITY.UNIT, units };
+}
+
+/**
+ * NFT metadata（XLS-24d，shared/nftMetadata.cjs）：一杯的兌換券是 Product + 客製化選項；
+ * 多杯時加上 Quantity，整張訂單再逐項列出 Item；properties 帶 store_id / order_id / category /
+ * valid_from / expires_at（ISO 8601，null = 不過期）與 items，Smart-Locker 用 parseVoucherMetadata 解析
+ * 中文名稱放在 properties.localized.zh；上傳前先 validate，格式不對的 metadata 不會被鑄造
+ */
+function voucherMetadata(unit, order, p, { storeId, storeName, displayName }) {
+  const items = voucherItems(unit).map((v) => {
+    const line = order.items?.[v.line_index];
+    const product = v.product_id === p.id ? p : getItem(v.product_id);
+    return {
+      product_id: v.product_id,
+      category: product?.category_id || null,
+      product: product?.name || v.name,
+      name: v.name,
+      name_zh: displayName(line, product, "zh") || v.name,
+      qty: v.qty,
+      modifiers: (line?.modifiers || []).map((m) => ({ group: m.group_name || m.group, name: m.name })),
+    };
+  });
+  const qty = unit.qty || 1;
+  const categories = new Set(items.map((v) => v.category));
+  const total = items.reduce((n, v) => n + v.qty, 0);
+  const label = order.orderNumber != null ? `#${order.orderNumber}` : order.id.slice(0, 8);
+  const zhName = items.length > 1 ? `訂單 ${label}（${total} 件）` : quantityLabel(items[0].name_zh, qty);
+
+  return assertValidVoucherMetadata(
+    buildVoucherMetadata({
+      name: unit.name,
+      collection: { name: `${storeName || storeId || "Store"} Vouchers`, family: storeId || undefined },
+      storeId,
+      orderId: order.id,
+      orderNumber: order.orderNumber ?? null,
+      category: categories.size === 1 ? [...categories][0] : null, // mixed order vouchers have no category
+      validFrom: unit.valid_from,
+      expiresAt: unit.expires_at,
+      items,
+      localized: { zh: { name: zhName, description: `購買：${items.map((v) => quantityLabel(v.name_zh, v.qty)).join("、")}` } },
+    })
+  );
+}
+
+// 前端 / order.mint 用的摘要（只列出完成的部分）
+export function summarizeFulfillState(state) {
+  const units = state?.units || [];
+  return {
+    nfts: units
+      .filter((u) => u.steps.mint.status === "done")
+      .map((u) => ({
+        name: u.name,
+        qty: u.qty || 1,
+        image: u.steps.pin.image_url || null,
+        nftId: u.steps.mint.nft_id,
+        unit_key: u.unit_key,
+        expires_at: u.expires_at ?? null,
+        taxon: u.taxon ?? 0,
+      })),
+    accept_qr_list: units
+      .filter((u) => u.steps.claim.status === "done")
+      .map((u) => ({ product: u.name, qty: u.qty || 1, qr: u.steps.claim.qr, url: u.steps.claim.url, unit_key: u.unit_key })),
+  };
+}
+
+// 最終結果只列出真正交付（claim 完成）的 NFT / claim QR
+function deliveredResult(order, state) {
+  const units = state?.units || [];
+  const delivered = new Set(units.filter((u) => u.status === "done").map((u) => u.unit_key));
+  const summary = summarizeFulfillState(state);
+  return {
+    status: delivered.size === units.length ? "success" : delivered.size ? "partial" : "error",
+    payment_method: order?.paymentMethod || "mpt",
+    total_nfts: delivered.size,
+    nfts: summary.nfts.filter((n) => delivered.has(n.unit_key)),
+    accept_qr_list: summary.accept_qr_list.filter((a) => delivered.has(a.unit_key)),
+  };
+}
+
+const RESULT_ORDER_STATUS = {
+  success: ORDER_STATUS.COMPLETED,
+  partial: ORDER_STATUS.PARTIAL,
+  error: ORDER_STATUS.FAILED,
+};
+
+/**
+ * @param {object} deps
+ * @param {object} deps.xrpl - xrpl.js module
+ * @param {string} deps.xrplEndpoint
+ * @param {string} deps.issuerSecret
+ * @param {object} deps.xumm - XummSdk instance
+ * @param {string} deps.baseUrl - NFT URI 指向 `${baseUrl}/nft/meta/:cid`
+ * @param {Function} deps.pinMetadata - (product, metaJson, art?) -> { metadataURI, imageURL }
+ * @param {Function} deps.displayName - (orderLine, product, lang?) -> "Latte (Large · Oat milk)"
+ * @param {string} [deps.granularity] - NFT_GRANULARITY（job 沒有 state 時才用到）
+ * @param {Function} [deps.validityHours] - product -> 兌換券有效小時數（0 = 不過期；job 沒有 state 時才用到）
+ * @param {string} [deps.storeId] - 寫進 metadata 的 store_id，Smart-Locker 可限定只收自己店的兌換券
+ * @param {Function} [deps.taxonFor] - categoryId -> NFTokenTaxon（job 沒有 state 時才用到）
+ * @param {string} [deps.storeName] - metadata 的 collection 名稱（"<storeName> Vouchers"）
+ * @param {Function} [deps.renderArt] - (unit, order, product) -> { bytes, filename } | null：這張兌換券的卡面圖，null 用商品圖
+ * @param {Function} [deps.onUndelivered] - (order, unitKeys) dead-letter 後仍有未交付 unit 時呼叫（退款 policy）
+ */
+export function createFulfillOrderHandler({ xrpl, xrplEndpoint, issuerSecret, xumm, baseUrl, pinMetadata, displayName, granularity, validityHours, taxonFor, storeId, storeName, renderArt, onUndelivered }) {
+  async function runUnit({ unit, order, client, wallet, save }) {
+    const { steps } = unit;
+    const p = getItem(unit.product_id); // image of the (first) product
+
+    if (steps.pin.status !== "done") {
+      if (!p) throw new Error(`Product not found: ${unit.product_id}`);
+      // Modifiers / quantities go into attributes so locker staff see the exact drinks
+      const metaJson = voucherMetadata(unit, order, p, { storeId, storeName, displayName });
+      const art = renderArt ? renderArt(unit, order, p) : null;
+      const pinned = await pinMetadata(p, metaJson, art);
+      if (!pinned?.metadataURI) throw new Error("Failed to generate metadataURI");
+      steps.pin = {
+        status: "done",
+        metadata_uri: pinned.metadataURI,
+        meta_cid: pinned.metadataURI.replace("ipfs://", ""),
+        image_url: pinned.imageURL || null,
+      };
+      save();
+    }
+
+    if (steps.mint.status !== "done") {
+      const tx = await submitIdempotent({
+        client,
+        wallet,
+        step: steps.mint,
+        save,
+        tx: {
+          TransactionType: "NFTokenMint",
+          Account: wallet.classicAddress,
+          URI: toHexUri(`${baseUrl}/nft/meta/${steps.pin.meta_cid}`),
+          Flags: 8,
+          NFTokenTaxon: unit.taxon ?? 0, // states built before the taxon scheme have none
+        },
+      });
+      const nftId = tx.meta?.nftoken_id || createdNodeField(tx.meta, "NFTokenID");
+      if (!nftId) throw new Error("Mint failed, no NFTokenID");
+      Object.assign(steps.mint, { status: "done", nft_id: nftId });
+      save();
+    }
+
+    if (steps.offer.status !== "done") {
+      const tx = await submitIdempotent({
+        client,
+        wallet,
+        step: steps.offer,
+        save,
+        tx: {
+          TransactionType: "NFTokenCreateOffer",
+          Account: wallet.classicAddress,
+          NFTokenID: steps.mint.nft_id,
+          Destination: order.buyer,
+          Amount: "0",
+          Flags: 1,
+        },
+      });
+      const offerId = tx.meta?.offer_id || createdNodeField(tx.meta, "NFTokenOfferID");
+      if (!offerId) throw new Error("Offer failed, no NFTokenOfferID");
+      Object.assign(steps.offer, { status: "done", offer_id: offerId });
+      save();
+    }
+
+    if (steps.claim.status !== "done") {
+      // Buyer accept offer via XUMM payload (重建一次只會多一張 QR，offer 只能被接受一次)
+      const acceptPayload = await xumm.payload.create({
+        txjson: { TransactionType: "NFTokenAcceptOffer", Account: order.buyer, NFTokenSellOffer: steps.offer.offer_id },
+        options: { expire: 600, return_url: { app: "xumm://close", web: `${baseUrl}/index.html` } },
+      });
+      if (!acceptPayload?.uuid) throw new Error("Xumm accept payload.create returned empty payload");
+      steps.claim = {
+        status: "done",
+        payload_uuid: acceptPayload.uuid,
+        qr: acceptPayload?.refs?.qr_png || null,
+        url: acceptPayload?.next?.always || null,
+      };
+      save();
+    }
+  }
+
+  async function run(job, { save }) {
+    const order = getOrder(job.refId);
+    if (!order) throw new Error(`Order not found: ${job.refId}`);
+    if (!order.buyer) throw new Error(`Order ${order.id} has no buyer`);
+
+    const state = job.state?.units ? job.state : buildFulfillState(order, { displayName, granularity, validityHours, taxonFor });
+    const persist = () => {
+      save(state);
+      saveMintProgress(order.id, summarizeFulfillState(state));
+    };
+    persist();
+
+    if (order.status !== ORDER_STATUS.MINTING) transitionOrder(order.id, ORDER_STATUS.MINTING, { detail: { job: job.id, attempt: job.attempts } });
+
+    const progress = () => ({ done: state.units.filter((u) => u.status === "done").length, total: state.units.length });
+    emitOrderStage(order.id, "minting", progress());
+
+    const client = new xrpl.Client(xrplEndpoint);
+    await client.connect();
+    try {
+      const wallet = xrpl.Wallet.fromSeed(issuerSecret);
+      const refunded = activeRefundTotals(order.id).unitKeys;
+
+      for (const unit of state.units) {
+        if (unit.status === "done" || refunded.has(unit.unit_key)) continue;
+        try {
+          await runUnit({ unit, order, client, wallet, save: persist });
+          unit.status = "done";
+          unit.error = null;
+          emitOrderStage(order.id, "minting", progress());
+        } catch (e) {
+          unit.attempts += 1;
+          unit.error = e?.message || String(e);
+          console.error(`Mint error (${order.id} unit ${unit.unit_key}):`, unit.error);
+        }
+        persist();
+      }
+    } finally {
+      await client.disconnect().catch(() => {});
+    }
+
+    const refunded = activeRefundTotals(order.id).unitKeys;
+    const pending = state.units.filter((u) => u.status !== "done" && !refunded.has(u.unit_key));
+    if (pending.length) {
+      throw new Error(`${pending.length}/${state.units.length} unit(s) unfinished: ${pending.map((u) => `${u.unit_key} ${u.error}`).join("; ")}`);
+    }
+
+    emitOrderStage(order.id, "offers_ready", progress());
+    // 退款中的 unit 被跳過時為 partial
+    return deliveredResult(order, state);
+  }
+
+  function onDone(job, result) {
+    transitionOrder(job.refId, RESULT_ORDER_STATUS[result.status], { result });
+    emitOrderStage(job.refId, result.status);
+    console.log(`🎉 Order ${job.refId} fulfilled: ${result.total_nfts} NFT(s)`);
+  }
+
+  // /buy/stream 顯示「稍後重試」
+  function onRetry(job, err, delayMs) {
+    emitOrderStage(job.refId, "minting", { retry_in_ms: delayMs, attempt: job.attempts });
+  }
+
+  // dead-letter：已交付的保留，其餘交給退款（onUndelivered）
+  async function onDead(job, err) {
+    const order = getOrder(job.refId);
+    const units = job.state?.units || [];
+    const result = {
+      ...deliveredResult(order, job.state),
+      error: `Fulfillment failed after ${job.attempts} attempt(s): ${err?.message || err}`,
+    };
+    if (result.status === "success") result.status = "error"; // 沒有 unit 時（例如 state 尚未建立）
+
+    // 先排退款再改狀態，/buy/status 一看到最終結果就能顯示退款中
+    const undelivered = units.filter((u) => u.status !== "done").map((u) => u.unit_key);
+    if (order && undelivered.length) await onUndelivered?.(order, undelivered);
+
+    transitionOrder(job.refId, RESULT_ORDER_STATUS[result.status], {
+      result,
+      error: result.error,
+      detail: { job: job.id, dead: true, delivered: result.total_nfts, total: units.length },
+    });
+    emitOrderStage(job.refId, result.status);
+  }
+
+  return { run, onDone, onRetry, onDead };
+}
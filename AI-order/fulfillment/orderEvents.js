@@ -0,0 +1,53 @@
+// fulfillment/orderEvents.js
+import { EventEmitter } from "events";
+
+/**
+ * 📡 訂單進度事件（process 內），/buy/stream 的 SSE 連線訂閱這裡
+ *
+ * stage：pending -> signed -> verifying -> minting -> offers_ready -> success / partial / error
+ *   付款金額不符時：verifying -> underpaid（等補款，可能重複）/ overpaid（照常 minting，另外找零）
+ * 同一筆訂單連續送出相同的 stage + detail 時只推一次（付款輪詢會重複經過 signed / verifying）
+ */
+export const ORDER_STAGES = ["pending", "signed", "verifying", "underpaid", "overpaid", "minting", "offers_ready", "success", "partial", "error"];
+const FINAL_STAGES = new Set(["success", "partial", "error"]);
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // 每個 kiosk 一條 SSE 連線
+
+const lastEmitted = new Map(); // orderId -> "stage|detail"
+
+export function emitOrderStage(orderId, stage, detail = null) {
+  const key = `${stage}|${JSON.stringify(detail)}`;
+  if (lastEmitted.get(orderId) === key) return;
+  if (FINAL_STAGES.has(stage)) lastEmitted.delete(orderId);
+  else lastEmitted.set(orderId, key);
+  bus.emit(`order:${orderId}`, { stage, detail, at: Date.now() });
+}
+
+/**
+ * @returns {Function} unsubscribe
+ */
+export function onOrderStage(orderId, listener) {
+  bus.on(`order:${orderId}`, listener);
+  return () => bus.off(`order:${orderId}`, listener);
+}
+
+export function isFinalStage(stage) {
+  return FINAL_STAGES.has(stage);
+}
+
+/**
+ * 👨‍🍳 廚房畫面（/kitchen/stream）：有訂單付清（拿到叫號）或 bump / recall 時通知，
+ * 不分訂單，訂閱端自己重新讀取清單
+ */
+export function emitKitchenUpdate(orderId, kitchenStatus) {
+  bus.emit("kitchen", { order_id: orderId, kitchen_status: kitchenStatus, at: Date.now() });
+}
+
+/**
+ * @returns {Function} unsubscribe
+ */
+export function onKitchenUpdate(listener) {
+  bus.on("kitchen", listener);
+  return () => bus.off("kitchen", listener);
+}
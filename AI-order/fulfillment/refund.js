@@ -0,0 +1,175 @@
+// fulfillment/refund.js
+import { ORDER_STATUS } from "../store/orderStore.js";
+import { JOB_STATUS } from "../store/jobStore.js";
+import { REFUND_STATUS, getRefund, completeRefund, failRefund, activeRefundTotals, activeChangeTotal } from "../store/refundStore.js";
+import { submitIdempotent } from "./xrplSubmit.js";
+import { lineNetAmounts, voucherPrice } from "./fulfillOrder.js";
+import { addDecimal, compareDecimal, divideDecimal, multiplyDecimal, normalizeDecimal, subtractDecimal } from "../payments/amounts.js";
+
+/**
+ * 💸 refund job：從 STORE_ADDRESS 送一筆 Payment 把金額退給 buyer
+ * 與 fulfill_order 共用 worker（指數退避 / dead-letter）與 submitIdempotent（不會重複退款）
+ *
+ * job.refId = refund id，job.state = { payment: { tx } }
+ */
+export const REFUND_JOB = "refund";
+
+
+function refundError(status, code, message, detail) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  if (detail) e.detail = detail;
+  return e;
+}
+
+/**
+ * 每一張兌換券（unit）的交付結果，/buy/status 與 admin 共用
+ *   delivered / pending / failed，有退款時為 refunding / refunded
+ *   unit_price 只在兌換券只有一杯時有值（折扣前）；price = 整張兌換券扣掉折扣後的菜單幣別金額
+ */
+export function unitOutcomes(order, job, refunds = []) {
+  const finished = job?.status === JOB_STATUS.DEAD || job?.status === JOB_STATUS.DONE;
+  const net = lineNetAmounts(order);
+  return (job?.state?.units || []).map((u) => {
+    const refund = refunds.find((r) => r.status !== REFUND_STATUS.FAILED && r.unitKeys.includes(u.unit_key));
+    let status = u.status === "done" ? "delivered" : finished ? "failed" : "pending";
+    if (refund) status = refund.status === REFUND_STATUS.COMPLETED ? "refunded" : "refunding";
+    return {
+      unit_key: u.unit_key,
+      product_id: u.product_id,
+      name: u.name,
+      qty: u.qty || 1,
+      unit_price: (u.qty || 1) === 1 ? order.items?.[u.line_index]?.unit_price ?? null : null,
+      price: voucherPrice(order, u, net),
+      status,
+      nft_id: u.steps?.mint?.nft_id || null,
+      error: u.status === "done" ? null : u.error || null,
+      refund_id: refund?.id || null,
+    };
+  });
+}
+
+/**
+ * 兌換券金額（折扣後）是菜單幣別（PRICE_CURRENCY）；有報價（order.quote）的訂單依建單時鎖定的匯率換算成付款資產，
+ * 捨去到報價的小數位（不多退）。沒有報價的舊訂單單價本來就是資產數量；回傳十進位字串
+ */
+function unitRefundAmount(order, price) {
+  const { quote } = order;
+  if (!quote) return normalizeDecimal(price || 0) || "0";
+  const decimals = Number(String(quote.rounding || "").split(":")[1] || 6);
+  return divideDecimal(multiplyDecimal(String(price || 0), quote.amount), quote.base_total, { decimals, rounding: "down" }) || "0";
+}
+
+/**
+ * 退款額度：實際收到的金額（amount_paid 扣掉已找零的部分；多收的由找零退回）與訂單總額取小
+ * planRefund 與重試 dead 的退款 job 共用；金額都是十進位字串（orders.total 是 REAL，在這裡轉成字串）
+ */
+export function refundCap(order) {
+  const total = normalizeDecimal(order.total);
+  const received = order.amountPaid != null ? subtractDecimal(order.amountPaid, activeChangeTotal(order.id)) : total;
+  return { total, received, cap: compareDecimal(received, total) < 0 ? received : total };
+}
+
+/**
+ * 計算這次要退多少（付款資產的數量）：
+ *   - 給 unitKeys：退這些 unit 的單價（已交付 / 已在退款中的不行）
+ *   - 給 value：手動金額（付款資產的數量，例如客訴；捨去到 6 位小數），不綁 unit
+ *   - 都沒給：所有未交付、尚未退款的 unit（REFUND_POLICY=auto 用）
+ * 累計退款不得超過實際收到的金額（amount_paid 扣掉已找零的部分；underpaid 訂單少於總額），也不超過訂單總額
+ */
+export function planRefund(order, job, { unitKeys, value } = {}) {
+  if (!order) throw refundError(404, "ORDER_NOT_FOUND", "Order not found");
+  if ([ORDER_STATUS.CREATED, ORDER_STATUS.EXPIRED].includes(order.status) || !order.txid) {
+    throw refundError(409, "ORDER_NOT_PAID", "Order has no verified payment to refund");
+  }
+  if (!order.buyer) throw refundError(409, "ORDER_NO_BUYER", "Order has no buyer address");
+
+  const active = activeRefundTotals(order.id);
+  const units = job?.state?.units || [];
+  let keys = [];
+  let amount;
+
+  if (value != null && !(Array.isArray(unitKeys) && unitKeys.length)) {
+    amount = divideDecimal(String(value), "1", { decimals: 6, rounding: "down" });
+    if (amount == null || compareDecimal(amount, "0") <= 0) throw refundError(400, "INVALID_REFUND_VALUE", "value must be a positive number");
+  } else {
+    // 還在重試中的 unit 之後可能交付成功，等 job 結束（done / dead）才能按 unit 退款
+    if ([JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job?.status)) {
+      throw refundError(409, "FULFILLMENT_IN_PROGRESS", "Fulfillment is still running for this order");
+    }
+    const byKey = new Map(units.map((u) => [u.unit_key, u]));
+    if (Array.isArray(unitKeys) && unitKeys.length) {
+      for (const k of unitKeys) {
+        const u = byKey.get(String(k));
+        if (!u) throw refundError(400, "UNKNOWN_UNIT", `Unknown unit: ${k}`);
+        if (u.status === "done") throw refundError(409, "UNIT_DELIVERED", `Unit ${k} was delivered; refund it by value instead`);
+        if (active.unitKeys.has(u.unit_key)) throw refundError(409, "UNIT_ALREADY_REFUNDED", `Unit ${k} already has a refund`);
+      }
+      keys = [...new Set(unitKeys.map(String))];
+    } else {
+      keys = units.filter((u) => u.status !== "done" && !active.unitKeys.has(u.unit_key)).map((u) => u.unit_key);
+    }
+    const net = lineNetAmounts(order);
+    amount = keys.reduce((s, k) => addDecimal(s, unitRefundAmount(order, voucherPrice(order, byKey.get(k), net))), "0");
+  }
+
+  if (compareDecimal(amount, "0") <= 0) throw refundError(409, "NOTHING_TO_REFUND", "Nothing left to refund for this order");
+  const { total, received, cap } = refundCap(order);
+  if (compareDecimal(addDecimal(active.value, amount), cap) > 0) {
+    throw refundError(409, "REFUND_EXCEEDS_PAID", "Refunds would exceed the amount received for this order", {
+      total,
+      received,
+      refunded: active.value,
+      requested: amount,
+    });
+  }
+  return { unitKeys: keys, value: amount };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.xrpl - xrpl.js module
+ * @param {string} deps.xrplEndpoint
+ * @param {string} deps.storeSecret - STORE_ADDRESS 的 seed（退款一定由店家錢包送出）
+ */
+export function createRefundHandler({ xrpl, xrplEndpoint, storeSecret }) {
+  async function run(job, { save }) {
+    const refund = getRefund(job.refId);
+    if (!refund) throw new Error(`Refund not found: ${job.refId}`);
+    if (refund.status === REFUND_STATUS.COMPLETED) return { txid: refund.txid };
+
+    const state = job.state?.payment ? job.state : { payment: {} };
+    const client = new xrpl.Client(xrplEndpoint);
+    await client.connect();
+    try {
+      const wallet = xrpl.Wallet.fromSeed(storeSecret);
+      const tx = await submitIdempotent({
+        client,
+        wallet,
+        step: state.payment,
+        save: () => save(state),
+        tx: {
+          TransactionType: "Payment",
+          Account: wallet.classicAddress,
+          Destination: refund.destination,
+          Amount: refund.amount,
+        },
+      });
+      return { txid: tx.hash };
+    } finally {
+      await client.disconnect().catch(() => {});
+    }
+  }
+
+  function onDone(job, result) {
+    const refund = completeRefund(job.refId, { txid: result.txid });
+    console.log(`💸 Refund ${refund.id} for order ${refund.orderId} sent: ${refund.value} ${refund.paymentMethod} tx=${result.txid}`);
+  }
+
+  function onDead(job, err) {
+    failRefund(job.refId, { error: err?.message || err });
+  }
+
+  return { run, onDone, onDead };
+}
@@ -0,0 +1,102 @@
+// fulfillment/worker.js
+import {
+  claimDueJobs,
+  saveJobState,
+  completeJob,
+  failJob,
+  resetRunningJobs,
+} from "../store/jobStore.js";
+
+/**
+ * ⚙️ 背景 worker：輪詢 jobs 表，依 kind 交給 handler 執行
+ *
+ * handler 介面：{ run(job, { save }) -> Promise<result>, onDone?(job, result), onRetry?(job, err, delayMs), onDead?(job, err) }
+ *   save(state) 把進度寫回 job.state_json（每完成一步呼叫一次）
+ *
+ * 失敗時指數退避：baseDelayMs * 2^(attempts-1)，上限 maxDelayMs；
+ * 超過 job.maxAttempts 就進 dead-letter 並呼叫 onDead
+ */
+export function createJobWorker({ handlers = {}, pollMs = 2000, baseDelayMs = 5000, maxDelayMs = 5 * 60 * 1000 } = {}) {
+  let timer = null;
+  let ticking = false;
+
+  function retryDelay(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+    return Math.round(delay * (1 + Math.random() * 0.2)); // 小幅 jitter，避免同時重試
+  }
+
+  async function runJob(job) {
+    const handler = handlers[job.kind];
+    if (!handler) {
+      failJob(job.id, { error: `No handler for job kind "${job.kind}"` });
+      return;
+    }
+
+    const save = (state) => {
+      job.state = state;
+      saveJobState(job.id, state);
+    };
+
+    let result;
+    try {
+      result = await handler.run(job, { save });
+    } catch (err) {
+      const message = err?.message || String(err);
+      if (job.attempts < job.maxAttempts) {
+        const delay = retryDelay(job.attempts);
+        failJob(job.id, { error: message, retryAt: Date.now() + delay });
+        console.warn(`🔁 Job ${job.kind}/${job.refId} attempt ${job.attempts}/${job.maxAttempts} failed, retry in ${delay} ms:`, message);
+        try {
+          await handler.onRetry?.(job, err, delay);
+        } catch (e) {
+          console.error("onRetry error:", e?.message || e);
+        }
+      } else {
+        failJob(job.id, { error: message });
+        console.error(`☠️ Job ${job.kind}/${job.refId} dead after ${job.attempts} attempt(s):`, message);
+        try {
+          await handler.onDead?.(job, err);
+        } catch (e) {
+          console.error("onDead error:", e?.message || e);
+        }
+      }
+      return;
+    }
+
+    // job 已完成：onDone 出錯只記 log，不能再把它當失敗重試 / dead-letter
+    completeJob(job.id);
+    try {
+      await handler.onDone?.(job, result);
+    } catch (e) {
+      console.error("onDone error:", e?.message || e);
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      // 一次一個 job，同一筆訂單的 XRPL 交易不會並行送出
+      for (const job of claimDueJobs()) await runJob(job);
+    } catch (e) {
+      console.error("Job worker error:", e?.message || e);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    const reset = resetRunningJobs();
+    if (reset) console.log(`♻️ Resuming ${reset} interrupted job(s)`);
+    timer = setInterval(tick, pollMs);
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, tick };
+}
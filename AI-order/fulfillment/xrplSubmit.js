@@ -0,0 +1,110 @@
+// fulfillment/xrplSubmit.js
+
+/**
+ * 🔐 可重入的 XRPL 交易送出
+ *
+ * 簽名後先把 { hash, tx_blob, first_ledger, last_ledger } 寫進 step.tx 再送出，
+ * 之後不論是 timeout、斷線或 process 重啟，重試時都先用 hash 查這筆交易：
+ *   - 已 validated           -> 直接用結果（不會重複 mint / offer）
+ *   - 尚未過 LastLedgerSequence -> 重送同一個 blob 並繼續等
+ *   - 已過期且確定沒有上鏈      -> 清掉 step.tx，重新 autofill + 簽名
+ */
+const WAIT_POLL_MS = 1000;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function lookupTx(client, hash, { minLedger, maxLedger } = {}) {
+  try {
+    const resp = await client.request({
+      command: "tx",
+      transaction: hash,
+      ...(minLedger && maxLedger ? { min_ledger: minLedger, max_ledger: maxLedger } : {}),
+    });
+    return { found: true, tx: resp.result };
+  } catch (e) {
+    const data = e?.data || {};
+    if (data.error === "txnNotFound") return { found: false, searchedAll: data.searched_all === true };
+    throw e;
+  }
+}
+
+// tec 也會上鏈（消耗 sequence），清掉 step.tx，下次重試重新簽一筆
+function finalResult(tx, step, save) {
+  const code = tx?.meta?.TransactionResult;
+  if (code !== "tesSUCCESS") {
+    step.tx = null;
+    save();
+    const err = new Error(`${tx?.TransactionType || "Transaction"} failed: ${code || "unknown"}`);
+    err.code = code || "TX_FAILED";
+    throw err;
+  }
+  return tx;
+}
+
+/**
+ * 等到 validated 或過了 last_ledger；回傳 validated 的 tx，過期回傳 null
+ */
+async function waitForTx(client, pending) {
+  for (;;) {
+    const r = await lookupTx(client, pending.hash);
+    if (r.found && r.tx.validated) return r.tx;
+
+    const current = await client.getLedgerIndex();
+    if (current > pending.last_ledger) {
+      const final = await lookupTx(client, pending.hash, { minLedger: pending.first_ledger, maxLedger: pending.last_ledger });
+      if (final.found && final.tx.validated) return final.tx;
+      // 節點的歷史不完整時無法確定沒上鏈，交給 job 重試而不是重簽
+      if (!final.searchedAll) throw new Error(`Cannot confirm ${pending.hash} expired (incomplete ledger history)`);
+      return null;
+    }
+    await sleep(WAIT_POLL_MS);
+  }
+}
+
+/**
+ * @param {object} step - job state 裡這一步的物件（會寫入 step.tx）
+ * @param {Function} save - 寫回 job state
+ * @returns {Promise<object>} validated 的 tx（含 meta）
+ */
+export async function submitIdempotent({ client, wallet, tx, step, save }) {
+  if (step.tx?.hash) {
+    // 上次送過：可能已經上鏈，也可能還在路上
+    await client.request({ command: "submit", tx_blob: step.tx.tx_blob }).catch(() => null);
+    const done = await waitForTx(client, step.tx);
+    if (done) return finalResult(done, step, save);
+    console.warn(`⌛ ${tx.TransactionType} ${step.tx.hash} expired without validating, re-signing`);
+    step.tx = null;
+    save();
+  }
+
+  const prepared = await client.autofill(tx);
+  const signed = wallet.sign(prepared);
+  step.tx = {
+    hash: signed.hash,
+    tx_blob: signed.tx_blob,
+    first_ledger: await client.getLedgerIndex(),
+    last_ledger: prepared.LastLedgerSequence,
+  };
+  save();
+
+  const submitted = await client.request({ command: "submit", tx_blob: signed.tx_blob });
+  const engine = submitted?.result?.engine_result || "";
+  // tem / tef 代表這筆交易不可能上鏈，直接重簽比等到過期快
+  if (/^(tem|tef)/.test(engine)) {
+    step.tx = null;
+    save();
+    const err = new Error(`${tx.TransactionType} rejected: ${engine} ${submitted.result.engine_result_message || ""}`.trim());
+    err.code = engine;
+    throw err;
+  }
+
+  const done = await waitForTx(client, step.tx);
+  if (!done) {
+    step.tx = null;
+    save();
+    throw new Error(`${tx.TransactionType} expired before validation`);
+  }
+  return finalResult(done, step, save);
+}
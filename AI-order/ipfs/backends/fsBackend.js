@@ -0,0 +1,43 @@
+// ipfs/backends/fsBackend.js
+import fs from "fs";
+import path from "path";
+import { computeCid, isCid } from "../cid.js";
+
+/**
+ * 💾 本機檔案系統（離線開發 / Pinata 掛掉時的備援）：內容存成 <dir>/<cid>，CID 自己算（ipfs/cid.js）
+ * 內容只在這台 server 上，由 /ipfs/:cid 提供（gatewayUrl = BASE_URL/ipfs/<cid>）；
+ * Smart-Locker 要把這個網址加進 IPFS_GATEWAYS。之後用 Kubo 匯入同一批檔案，CID 不變
+ */
+export function createFsBackend({ dir, baseUrl }) {
+  const fileFor = (cid) => path.join(dir, cid);
+
+  return {
+    name: "fs",
+    local: true,
+
+    async add(bytes) {
+      const cid = computeCid(bytes);
+      const file = fileFor(cid);
+      if (!fs.existsSync(file)) {
+        fs.mkdirSync(dir, { recursive: true });
+        // temp + rename: a crash never leaves a half-written file under a valid CID
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, bytes);
+        fs.renameSync(tmp, file);
+      }
+      return cid;
+    },
+
+    addJson(obj) {
+      return this.add(Buffer.from(JSON.stringify(obj)));
+    },
+
+    async get(cid) {
+      if (!isCid(cid)) return null;
+      const file = fileFor(cid);
+      return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    },
+
+    gatewayUrl: (cid) => `${baseUrl}/ipfs/${cid}`,
+  };
+}
@@ -0,0 +1,52 @@
+// ipfs/backends/kuboBackend.js
+import axios from "axios";
+import FormData from "form-data";
+
+/**
+ * 🛰️ 本機 / 自架 IPFS 節點（Kubo HTTP RPC，預設 http://127.0.0.1:5001）
+ * add 會 pin 住內容，CIDv1 + raw leaves（小檔案與 fs backend 算出的 CID 相同）
+ * gatewayUrl 是節點的 HTTP gateway（預設 http://127.0.0.1:8080），給 NFT image 與 Smart-Locker 讀取
+ * get 超過 maxReadBytes 就放棄
+ */
+export function createKuboBackend({
+  apiUrl = "http://127.0.0.1:5001",
+  gatewayUrl = "http://127.0.0.1:8080",
+  timeoutMs = 30000,
+  maxReadBytes = 10 * 1024 * 1024,
+} = {}) {
+  const api = apiUrl.replace(/\/+$/, "");
+  const gateway = gatewayUrl.replace(/\/+$/, "");
+
+  async function add(bytes, { filename = "file" } = {}) {
+    const form = new FormData();
+    form.append("file", bytes, { filename });
+    const r = await axios.post(`${api}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`, form, {
+      maxBodyLength: Infinity,
+      headers: form.getHeaders(),
+      timeout: timeoutMs,
+    });
+    if (!r?.data?.Hash) throw new Error("Kubo returned no Hash");
+    return r.data.Hash;
+  }
+
+  return {
+    name: "kubo",
+    add,
+
+    addJson(obj, opts = {}) {
+      return add(Buffer.from(JSON.stringify(obj)), { filename: "metadata.json", ...opts });
+    },
+
+    async get(cid) {
+      // Kubo RPC only accepts POST
+      const r = await axios.post(`${api}/api/v0/cat?arg=${encodeURIComponent(cid)}`, null, {
+        responseType: "arraybuffer",
+        timeout: timeoutMs,
+        maxContentLength: maxReadBytes,
+      });
+      return Buffer.from(r.data);
+    },
+
+    gatewayUrl: (cid) => `${gateway}/ipfs/${cid}`,
+  };
+}
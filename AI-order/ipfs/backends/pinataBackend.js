@@ -0,0 +1,59 @@
+// ipfs/backends/pinataBackend.js
+import axios from "axios";
+import FormData from "form-data";
+
+/**
+ * 📌 Pinata（api.pinata.cloud）：檔案用 pinFileToIPFS，metadata 用 pinJSONToIPFS，CIDv1
+ * 讀回內容走 Pinata 的公開 gateway，超過 maxReadBytes 就放棄
+ */
+export function createPinataBackend({
+  jwt,
+  gatewayUrl = "https://gateway.pinata.cloud",
+  fileTimeoutMs = 60000,
+  jsonTimeoutMs = 15000,
+  maxReadBytes = 10 * 1024 * 1024,
+}) {
+  const v = String(jwt || "").trim();
+  if (!v) throw new Error("Missing PINATA_JWT");
+  const authorization = v.toLowerCase().startsWith("bearer ") ? v : `Bearer ${v}`;
+  const gateway = gatewayUrl.replace(/\/+$/, "");
+
+  return {
+    name: "pinata",
+
+    async add(bytes, { name, filename = "file" } = {}) {
+      const form = new FormData();
+      form.append("file", bytes, { filename });
+      form.append("pinataMetadata", JSON.stringify({ name: name || filename }));
+      form.append("pinataOptions", JSON.stringify({ cidVersion: 1 }));
+      const r = await axios.post("https://api.pinata.cloud/pinning/pinFileToIPFS", form, {
+        maxBodyLength: Infinity,
+        headers: { ...form.getHeaders(), Authorization: authorization },
+        timeout: fileTimeoutMs,
+      });
+      if (!r?.data?.IpfsHash) throw new Error("Pinata returned no IpfsHash");
+      return r.data.IpfsHash;
+    },
+
+    async addJson(obj, { name } = {}) {
+      const r = await axios.post(
+        "https://api.pinata.cloud/pinning/pinJSONToIPFS",
+        { pinataContent: obj, pinataMetadata: { name: name || obj?.name || "metadata" }, pinataOptions: { cidVersion: 1 } },
+        { headers: { "Content-Type": "application/json", Authorization: authorization }, timeout: jsonTimeoutMs }
+      );
+      if (!r?.data?.IpfsHash) throw new Error("Pinata returned no IpfsHash");
+      return r.data.IpfsHash;
+    },
+
+    async get(cid) {
+      const r = await axios.get(`${gateway}/ipfs/${cid}`, {
+        responseType: "arraybuffer",
+        timeout: jsonTimeoutMs,
+        maxContentLength: maxReadBytes,
+      });
+      return Buffer.from(r.data);
+    },
+
+    gatewayUrl: (cid) => `${gateway}/ipfs/${cid}`,
+  };
+}
@@ -0,0 +1,37 @@
+// ipfs/cid.js
+import crypto from "crypto";
+
+/**
+ * 🔑 CIDv1（raw codec 0x55 + sha2-256 multihash，base32 小寫 "b" 前綴，例如 bafkrei...）
+ * 與 Kubo `ipfs add --cid-version=1` 對單一區塊（<= 256 KiB，預設 chunker）的檔案算出的 CID 相同，
+ * 所以 fs backend 存下的內容之後用 Kubo 匯入就能在 IPFS 網路上用同一個 CID 取得
+ */
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const BASE32 = "abcdefghijklmnopqrstuvwxyz234567";
+
+function base32(bytes) {
+  let out = "";
+  let bits = 0;
+  let value = 0;
+  for (const b of bytes) {
+    value = (value << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function computeCid(bytes) {
+  const digest = crypto.createHash("sha256").update(bytes).digest();
+  return "b" + base32(Buffer.concat([Buffer.from([0x01, RAW_CODEC, SHA2_256, digest.length]), digest]));
+}
+
+// v0（Qm...）或 v1（bafy / bafk ...）；/nft/meta/:key 與 /ipfs/:cid 用來擋掉路徑字元
+export function isCid(v) {
+  return /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/.test(String(v || ""));
+}
@@ -0,0 +1,103 @@
+// ipfs/ipfsStorage.js
+import crypto from "crypto";
+
+/**
+ * 🗂️ 可抽換的 IPFS 儲存（NFT 圖片與 metadata）
+ *
+ * backend 介面：{ name, add(bytes, { name, filename }) -> cid, addJson?(obj, { name }) -> cid,
+ *                 get(cid) -> Promise<Buffer | null>, gatewayUrl(cid) -> http(s) 網址, local? }
+ * local = 內容只有這台 server 自己寫進去的（fs），讀取不必查 pinLog
+ *
+ * 寫入依 order 逐一嘗試（例如 pinata -> fs）；圖片和 metadata 放在同一個 backend，
+ * 其中一步失敗就整組換下一個 backend，不會出現 metadata 指向別處的圖片
+ * 讀取（/nft/meta/:key、/ipfs/:cid）先問 order 裡的 backend，再問其他可用的 backend
+ *
+ * imageRegistry（可選）：{ get(contentHash, backend) -> { cid, url } | null, put({ contentHash, backend, cid, url, filename, size }) }
+ * 圖片依內容 sha256 查表，同一個 backend 已經有就直接用，fulfillment 只上傳每張兌換券的 metadata
+ *
+ * pinLog（可選）：{ put({ cid, backend }), has(cid) -> boolean }
+ * 記下每個上傳過的 CID；有 pinLog 時 get 只向非 local 的 backend 讀取記錄過的 CID（不當任意 CID 的代理）
+ */
+export function createIpfsStorage({ backends = [], order = [], imageRegistry = null, pinLog = null }) {
+  const byName = new Map(backends.map((b) => [b.name, b]));
+  const chain = order.map((n) => byName.get(n)).filter(Boolean);
+  if (!chain.length) throw new Error(`No IPFS backend available (order: ${order.join(",") || "-"})`);
+  const readers = [...chain, ...backends.filter((b) => !chain.includes(b))];
+
+  async function addJson(backend, obj, opts) {
+    const cid = await (backend.addJson
+      ? backend.addJson(obj, opts)
+      : backend.add(Buffer.from(JSON.stringify(obj)), { filename: "metadata.json", ...opts }));
+    pinLog?.put({ cid, backend: backend.name });
+    return cid;
+  }
+
+  async function addImage(backend, image, name, { cache = true } = {}) {
+    const contentHash = crypto.createHash("sha256").update(image.bytes).digest("hex");
+    const registry = cache ? imageRegistry : null;
+    const known = registry?.get(contentHash, backend.name);
+    if (known) return { cid: known.cid, url: known.url, contentHash, cached: true };
+
+    const cid = await backend.add(image.bytes, { name, filename: image.filename });
+    pinLog?.put({ cid, backend: backend.name });
+    const url = backend.gatewayUrl(cid);
+    registry?.put({ contentHash, backend: backend.name, cid, url, filename: image.filename || null, size: image.bytes.length });
+    return { cid, url, contentHash, cached: false };
+  }
+
+  /**
+   * 只上傳圖片（商品圖預先上傳用）-> { backend, cid, url, contentHash, cached }
+   */
+  async function pinImage(image, { name } = {}) {
+    const tried = [];
+    for (const backend of chain) {
+      try {
+        return { backend: backend.name, ...(await addImage(backend, image, name)) };
+      } catch (err) {
+        tried.push({ backend: backend.name, error: err?.message || String(err) });
+      }
+    }
+    const err = new Error(`All IPFS backends failed: ${tried.map((t) => `${t.backend}: ${t.error}`).join("; ")}`);
+    err.code = "IPFS_UNAVAILABLE";
+    err.detail = { tried };
+    throw err;
+  }
+
+  /**
+   * 圖片（可選）+ metadata -> { metadataURI: "ipfs://<cid>", metadataCid, imageURL, metadata, backend }
+   * metadata.image 設成該 backend 的 gateway 網址
+   * cacheImage = false：每張 NFT 各自產生的圖（兌換券卡面）不進 image registry
+   */
+  async function pin({ image = null, metadata, name, cacheImage = true }) {
+    const tried = [];
+    for (const backend of chain) {
+      try {
+        let imageURL = null;
+        if (image) imageURL = (await addImage(backend, image, name, { cache: cacheImage })).url;
+        const meta = { ...metadata, ...(imageURL ? { image: imageURL } : {}) };
+        const metadataCid = await addJson(backend, meta, { name });
+        return { metadataURI: `ipfs://${metadataCid}`, metadataCid, imageURL, metadata: meta, backend: backend.name };
+      } catch (err) {
+        console.warn(`⚠️ IPFS backend "${backend.name}" failed:`, err?.message || err);
+        tried.push({ backend: backend.name, error: err?.message || String(err) });
+      }
+    }
+    const err = new Error(`All IPFS backends failed: ${tried.map((t) => `${t.backend}: ${t.error}`).join("; ")}`);
+    err.code = "IPFS_UNAVAILABLE";
+    err.detail = { tried };
+    throw err;
+  }
+
+  async function get(cid) {
+    const known = !pinLog || pinLog.has(cid);
+    for (const backend of readers.filter((b) => b.local || known)) {
+      try {
+        const bytes = await backend.get(cid);
+        if (bytes) return { bytes, backend: backend.name };
+      } catch {}
+    }
+    return null;
+  }
+
+  return { order: chain.map((b) => b.name), pin, pinImage, get };
+}
@@ -0,0 +1,151 @@
+// kitchen/kitchenDisplay.js
+import { KITCHEN_STATUS } from "../store/orderStore.js";
+import { modifierLabel } from "../store/catalogStore.js";
+
+/**
+ * 👨‍🍳 廚房畫面（/kitchen）：已付款訂單依叫號排列，店員按 bump 往下一步
+ *   paid（待製作）-> preparing（製作中）-> ready（可取餐）-> picked_up（已取餐）
+ * 清單由 /kitchen/orders 提供，/kitchen/stream（SSE）在訂單付清或狀態改變時推送新的清單
+ */
+
+/**
+ * 廚房畫面 / API 用的訂單（只有製作需要的資訊，不含金額與錢包）
+ */
+export function kitchenOrderView(order, { lang = "en" } = {}) {
+  return {
+    order_id: order.id,
+    order_number: order.orderNumber,
+    business_date: order.businessDate,
+    kitchen_status: order.kitchenStatus,
+    times: order.kitchen || {},
+    items: (order.items || []).map((it) => ({
+      product_id: it.product_id,
+      name: lang === "zh" ? it.name_zh || it.name : it.name,
+      modifier_label: modifierLabel(it.modifiers || [], lang) || null,
+      qty: it.qty || 1,
+    })),
+  };
+}
+
+const LABELS = {
+  en: {
+    title: "Kitchen",
+    [KITCHEN_STATUS.PAID]: "New",
+    [KITCHEN_STATUS.PREPARING]: "Preparing",
+    [KITCHEN_STATUS.READY]: "Ready",
+    [KITCHEN_STATUS.PICKED_UP]: "Picked up",
+    bump: { [KITCHEN_STATUS.PAID]: "Start", [KITCHEN_STATUS.PREPARING]: "Ready", [KITCHEN_STATUS.READY]: "Picked up" },
+    recall: "Recall",
+    empty: "No open orders",
+    offline: "Reconnecting…",
+  },
+  zh: {
+    title: "廚房",
+    [KITCHEN_STATUS.PAID]: "新訂單",
+    [KITCHEN_STATUS.PREPARING]: "製作中",
+    [KITCHEN_STATUS.READY]: "可取餐",
+    [KITCHEN_STATUS.PICKED_UP]: "已取餐",
+    bump: { [KITCHEN_STATUS.PAID]: "開始製作", [KITCHEN_STATUS.PREPARING]: "完成", [KITCHEN_STATUS.READY]: "已取餐" },
+    recall: "退回",
+    empty: "目前沒有訂單",
+    offline: "重新連線中…",
+  },
+};
+
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+/**
+ * 單一頁面（inline CSS / JS），平板開 /kitchen?lang=zh&token=...；token 存在 localStorage，
+ * API 用 x-admin-token header，SSE 無法帶 header 所以放在 query
+ */
+export function renderKitchenHtml({ storeName, lang = "en" }) {
+  const L = LABELS[lang] || LABELS.en;
+  const columns = [KITCHEN_STATUS.PAID, KITCHEN_STATUS.PREPARING, KITCHEN_STATUS.READY];
+
+  return `<!doctype html>
+<html lang="${lang === "zh" ? "zh-Hant" : "en"}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${L.title} · ${esc(storeName)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", "Noto Sans TC", sans-serif; margin: 0; background: #1e1e1e; color: #eee; }
+  header { display: flex; justify-content: space-between; align-items: center; padding: 8px 16px; background: #111; }
+  header h1 { font-size: 20px; margin: 0; }
+  #conn { font-size: 13px; color: #f0a030; }
+  main { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; padding: 12px; }
+  .col h2 { font-size: 16px; margin: 0 0 8px; text-transform: uppercase; letter-spacing: 1px; }
+  .ticket { background: #fafafa; color: #222; border-radius: 8px; padding: 10px; margin-bottom: 10px; border-top: 6px solid #999; }
+  .ticket.paid { border-color: #d33; }
+  .ticket.preparing { border-color: #f0a030; }
+  .ticket.ready { border-color: #2a2; }
+  .ticket.picked_up { opacity: .55; }
+  .num { font-size: 28px; font-weight: bold; }
+  .age { float: right; font-size: 13px; color: #666; }
+  .item { font-size: 16px; margin: 4px 0; }
+  .mod { font-size: 13px; color: #b35c00; margin-left: 22px; }
+  .actions { display: flex; gap: 6px; margin-top: 8px; }
+  button { flex: 1; font-size: 16px; padding: 10px; border: 0; border-radius: 6px; cursor: pointer; }
+  .bump { background: #2a6; color: #fff; }
+  .recall { background: #ccc; flex: 0 0 auto; }
+  .empty { color: #888; }
+</style>
+</head>
+<body>
+<header><h1>👨‍🍳 ${L.title} · ${esc(storeName)}</h1><span id="conn"></span></header>
+<main>
+  ${columns.map((c) => `<section class="col"><h2>${L[c]}</h2><div id="col-${c}"></div></section>`).join("")}
+</main>
+<script>
+  const L = ${JSON.stringify(L)};
+  const LANG = ${JSON.stringify(lang)};
+  const params = new URLSearchParams(location.search);
+  if (params.get("token")) localStorage.setItem("kitchen_token", params.get("token"));
+  const token = localStorage.getItem("kitchen_token") || "";
+  let orders = [];
+
+  const esc = (v) => String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  const age = (ts) => (ts ? Math.max(0, Math.floor((Date.now() - ts) / 60000)) + " min" : "");
+
+  function ticket(o) {
+    const items = o.items
+      .map((i) => '<div class="item">' + i.qty + " × " + esc(i.name) + "</div>" + (i.modifier_label ? '<div class="mod">' + esc(i.modifier_label) + "</div>" : ""))
+      .join("");
+    const bump = L.bump[o.kitchen_status] ? '<button class="bump" onclick="move(\\'' + o.order_id + '\\', \\'bump\\')">' + L.bump[o.kitchen_status] + "</button>" : "";
+    const recall = o.kitchen_status !== "paid" ? '<button class="recall" onclick="move(\\'' + o.order_id + '\\', \\'recall\\')">' + L.recall + "</button>" : "";
+    return '<div class="ticket ' + o.kitchen_status + '"><span class="age">' + age(o.times.paid) + '</span><div class="num">#' + o.order_number + "</div>" + items + '<div class="actions">' + recall + bump + "</div></div>";
+  }
+
+  function render() {
+    for (const col of ["paid", "preparing", "ready"]) {
+      // 剛取餐的訂單留在 ready 欄位（半透明），按錯時可以 recall
+      const list = orders.filter((o) => o.kitchen_status === col || (col === "ready" && o.kitchen_status === "picked_up"));
+      document.getElementById("col-" + col).innerHTML = list.length ? list.map(ticket).join("") : '<div class="empty">' + L.empty + "</div>";
+    }
+  }
+
+  async function move(id, to) {
+    const r = await fetch("/kitchen/orders/" + encodeURIComponent(id) + "/" + to, { method: "POST", headers: { "x-admin-token": token } });
+    if (!r.ok) alert((await r.json().catch(() => ({}))).error || r.statusText);
+  }
+
+  function connect() {
+    const es = new EventSource("/kitchen/stream?lang=" + LANG + "&token=" + encodeURIComponent(token));
+    es.addEventListener("orders", (e) => {
+      orders = JSON.parse(e.data).orders;
+      document.getElementById("conn").textContent = "";
+      render();
+    });
+    es.onerror = () => {
+      document.getElementById("conn").textContent = L.offline;
+    };
+  }
+
+  connect();
+  setInterval(render, 30000); // 更新等待時間
+</script>
+</body>
+</html>`;
+}
@@ -9,19 +9,25 @@ const chatContainer = document.querySelector("#chatContainer");
 const endOrderBtn = document.querySelector("#endOrderBtn");
 const cartFooter = document.querySelector("#cartFooter");
 const paymentModal = document.querySelector("#paymentModal");
+const modifierModal = document.querySelector("#modifierModal");
 
 // 抓取影片元素
 const vidIdle = document.getElementById("vidIdle");
 const vidAction = document.getElementById("vidAction");
 
-// 菜單資料
-const menuItems = [
-  { id: 1, name: "Classic Americano", name_zh: "經典美式咖啡", price: 1, category: "Coffee", category_zh: "咖啡系列", image: "☕️" },
-  { id: 2, name: "Latte", name_zh: "拿鐵咖啡", price: 2, category: "Coffee", category_zh: "咖啡系列", image: "🥛" },
-  { id: 3, name: "Tiramisu", name_zh: "提拉米蘇", price: 2, category: "Dessert", category_zh: "精選甜點", image: "🍰" },
-];
+// 菜單資料（由後端 /api/menu 提供，唯一來源）
+let menuItems = [];
+let menuCategories = [];
+let menuCurrency = "USD"; // 菜單價格幣別（PRICE_CURRENCY），結帳時換算成 XRP / RLUSD / MPT
 
+// 購物車由後端 chat session 保存，這裡只是最近一次回傳的 lines（/api/chat/cart、/ai-order）
 let cart = [];
+let cartTotal = 0;
+let cartSubtotal = 0;
+let cartDiscounts = []; // 促銷折扣 [{ promotion_id, code, name, name_zh, amount }]
+let cartPromoCode = null;
+let cartPromoError = null; // 碼存在但目前不能用（PROMO_EXPIRED ...）
+let canUndo = false;
 let paymentStarted = false;
 let currentLang = "en"; // 預設英文
 
@@ -50,9 +56,15 @@ const translations = {
     added: "Added",
     resetMsg: "✅ Transaction reset. You can start a new order.",
     scanPay: "Please scan to pay:",
+    quoteLine: "{base} = {amount} {asset} (1 {asset} = {rate}, locked for this order)",
+    payOtherWallet: "Paying from another wallet? Send the exact amount to {address} with Destination Tag {tag}.",
     creatingOrder: "Creating order...",
     polling: "Checking payment status...",
     paymentSuccess: "Payment successful! Please scan to claim your NFTs.",
+    receipt: "🧾 View / print receipt",
+    orderNumberLine: "Your order number is <b>#{number}</b> · {state}",
+    validUntil: "Redeem by {time}",
+    kitchenStates: { paid: "waiting for the barista", preparing: "being prepared", ready: "ready for pickup", picked_up: "picked up" },
     processingCard: "💳 Processing Credit Card...",
     paymentSuccessCard: "✅ Payment Successful!",
     aiError: "AI service error.",
@@ -61,8 +73,46 @@ const translations = {
     orderCreated: "Order created. Total is",
     errPrefix: "❌ Error:",
     pollTimeout: "⏳ Payment is taking longer than expected. Please refresh or try checkout again.",
+    paymentSigned: "✍️ Payment signed, confirming on the XRP Ledger...",
+    mintingNfts: "✅ Payment received. Preparing your NFTs",
+    mintRetrying: "⏳ Still working on your NFTs, retrying shortly",
+    partialDelivery: "⚠️ Some items could not be delivered as NFTs:",
+    refundQueued: "💸 A refund for them is on its way to your wallet.",
+    refundContactStaff: "Please contact our staff for a refund.",
+    underpaid: "⚠️ We received {received} {asset}, but the order total is {total} {asset}. Please scan to pay the remaining {due} {asset}:",
+    topupRequesting: "Creating a payment request for the remaining amount...",
+    overpaidReturning: "💸 You paid {excess} {asset} more than the total. The difference is on its way back to your wallet.",
+    overpaidStaff: "💸 You paid {excess} {asset} more than the total. Our staff will return the difference to your wallet.",
     orderMissing: "⚠️ Order info no longer exists. Please checkout again.",
     unknownStatus: "⚠️ Unknown status:",
+    menuLoadError: "⚠️ Failed to load the menu. Please refresh.",
+    addToCartBtn: "Add to cart",
+    cartUpdated: "Cart updated.",
+    removed: "Removed",
+    qtyChanged: "Quantity changed",
+    cartCleared: "🧹 Cart cleared.",
+    undone: "↩️ Undone.",
+    undoBtn: "↩️ Undo",
+    clearCartBtn: "🧹 Clear",
+    nothingToUndo: "Nothing to undo.",
+    lineNotFound: "That item isn't in your cart.",
+    productUnavailable: "Sorry, that item is not available.",
+    promoPlaceholder: "Promo code",
+    promoApply: "Apply",
+    promoApplied: "🏷️ Promo code applied",
+    promoRemoved: "Promo code removed",
+    subtotalLabel: "Subtotal",
+    discountLabel: "Discount",
+    promoErrors: {
+      PROMO_CODE_NOT_FOUND: "That promo code doesn't exist.",
+      PROMO_DISABLED: "That promo code is no longer active.",
+      PROMO_NOT_STARTED: "That promo code isn't valid yet.",
+      PROMO_EXPIRED: "That promo code has expired.",
+      PROMO_MIN_SUBTOTAL: "Your order doesn't reach the minimum for that promo code yet.",
+      PROMO_USED_UP: "That promo code has been fully redeemed.",
+      PROMO_WALLET_LIMIT: "This wallet has already used that promo code.",
+      PROMO_NOT_APPLICABLE: "That promo code doesn't apply to the items in your cart.",
+    },
   },
   zh: {
     menuHeader: "精選菜單 ☕",
@@ -81,9 +131,15 @@ const translations = {
     added: "已加入",
     resetMsg: "✅ 交易已結束，您可以開始新的訂單。",
     scanPay: "請掃描 QR Code 付款：",
+    quoteLine: "{base} = {amount} {asset}（1 {asset} = {rate}，本訂單已鎖定匯率）",
+    payOtherWallet: "用其他錢包付款？請將正確金額轉到 {address}，並填入 Destination Tag {tag}。",
     creatingOrder: "正在建立訂單...",
     polling: "正在確認付款狀態...",
     paymentSuccess: "付款成功！請掃描下方 QR 領取您的 NFT。",
+    receipt: "🧾 查看 / 列印收據",
+    orderNumberLine: "您的取餐號碼是 <b>#{number}</b> · {state}",
+    validUntil: "請於 {time} 前兌換",
+    kitchenStates: { paid: "等待製作", preparing: "製作中", ready: "可取餐", picked_up: "已取餐" },
     processingCard: "💳 信用卡處理中...",
     paymentSuccessCard: "✅ 付款成功！",
     aiError: "AI 服務暫時無法使用。",
@@ -92,8 +148,46 @@ const translations = {
     orderCreated: "訂單已建立，總金額是",
     errPrefix: "❌ 錯誤：",
     pollTimeout: "⏳ 等待時間較久，請重新整理或重新結帳再試一次。",
+    paymentSigned: "✍️ 已簽署付款，正在 XRP Ledger 上確認...",
+    mintingNfts: "✅ 已收到付款，正在準備您的 NFT",
+    mintRetrying: "⏳ NFT 製作中，稍後自動重試",
+    partialDelivery: "⚠️ 以下品項無法發送 NFT：",
+    refundQueued: "💸 這些品項的款項正在退回您的錢包。",
+    refundContactStaff: "請洽店員辦理退款。",
+    underpaid: "⚠️ 已收到 {received} {asset}，但訂單總額是 {total} {asset}。請掃描 QR 補付差額 {due} {asset}：",
+    topupRequesting: "正在建立補款 QR...",
+    overpaidReturning: "💸 您多付了 {excess} {asset}，差額正在退回您的錢包。",
+    overpaidStaff: "💸 您多付了 {excess} {asset}，店員會將差額退回您的錢包。",
     orderMissing: "⚠️ 訂單資訊不存在（可能 server 重啟或 uuid 已過期）。請重新結帳再試一次。",
     unknownStatus: "⚠️ 未知狀態：",
+    menuLoadError: "⚠️ 菜單載入失敗，請重新整理頁面。",
+    addToCartBtn: "加入購物車",
+    cartUpdated: "購物車已更新。",
+    removed: "已移除",
+    qtyChanged: "已修改數量",
+    cartCleared: "🧹 購物車已清空。",
+    undone: "↩️ 已復原上一步。",
+    undoBtn: "↩️ 復原",
+    clearCartBtn: "🧹 清空",
+    nothingToUndo: "沒有可以復原的動作。",
+    lineNotFound: "購物車裡沒有這個品項喔。",
+    productUnavailable: "抱歉，這個品項目前無法供應。",
+    promoPlaceholder: "折扣碼",
+    promoApply: "套用",
+    promoApplied: "🏷️ 已套用折扣碼",
+    promoRemoved: "已移除折扣碼",
+    subtotalLabel: "小計",
+    discountLabel: "折扣",
+    promoErrors: {
+      PROMO_CODE_NOT_FOUND: "找不到這個折扣碼。",
+      PROMO_DISABLED: "這個折扣碼已停用。",
+      PROMO_NOT_STARTED: "這個折扣碼還沒開始使用。",
+      PROMO_EXPIRED: "這個折扣碼已過期。",
+      PROMO_MIN_SUBTOTAL: "訂單金額還沒達到這個折扣碼的最低消費。",
+      PROMO_USED_UP: "這個折扣碼已經被用完了。",
+      PROMO_WALLET_LIMIT: "這個錢包已經用過這個折扣碼了。",
+      PROMO_NOT_APPLICABLE: "這個折扣碼不適用購物車裡的品項。",
+    },
   },
 };
 
@@ -112,6 +206,30 @@ const videoMap = {
   pay: "pay.mp4",
   success: "success.mp4",
   thanks: "thanks.mp4",
+  remove: "remove.mp4",
+  update: "update.mp4",
+  clear: "clear.mp4",
+  undo: "undo.mp4",
+};
+
+// 沒有專屬影片時改播的片段（例如 en 沒有 checkout.mp4）
+const videoFallback = {
+  checkout: "pay",
+  remove: "add",
+  update: "add",
+  undo: "add",
+  clear: "welcome",
+};
+
+// 購物車動作 -> 影片反應
+const cartReactions = {
+  add_to_cart: "add",
+  remove_from_cart: "remove",
+  set_quantity: "update",
+  clear_cart: "clear",
+  undo_last: "undo",
+  apply_promo_code: "update",
+  remove_promo_code: "update",
 };
 
 function playVideo(intent) {
@@ -122,6 +240,10 @@ function playVideo(intent) {
 
   vidAction.src = p;
   vidAction.muted = false;
+  vidAction.onerror = () => {
+    const fb = videoFallback[intent];
+    if (fb) playVideo(fb);
+  };
 
   const playPromise = vidAction.play();
   if (playPromise !== undefined) {
@@ -169,7 +291,12 @@ function updateUIText() {
   document.getElementById("paymentTitle").innerText = t("paymentTitle");
   document.getElementById("cancelPay").innerText = t("cancel");
   document.getElementById("endOrderBtn").innerText = t("endReset");
+  document.getElementById("undoBtn").innerText = t("undoBtn");
+  document.getElementById("clearCartBtn").innerText = t("clearCartBtn");
+  document.getElementById("promoCodeInput").placeholder = t("promoPlaceholder");
+  document.getElementById("promoApplyBtn").innerText = t("promoApply");
   renderMenu();
+  renderCartLines();
 }
 
 // --- 5. 業務邏輯 ---
@@ -182,27 +309,50 @@ function addMessage(type, text, opts = {}) {
   chatContainer.scrollTop = chatContainer.scrollHeight;
 }
 
+async function loadMenu() {
+  const r = await fetch(`/api/menu?t=${Date.now()}`);
+  const data = await r.json();
+  if (!r.ok || !data.ok) throw new Error(data.error || "menu load failed");
+  menuItems = Array.isArray(data.items) ? data.items : [];
+  menuCategories = Array.isArray(data.categories) ? data.categories : [];
+  menuCurrency = data.currency || menuCurrency;
+  return menuItems;
+}
+
+// 4.5 -> "$4.50" / "NT$45.00"（依介面語言）
+function formatPrice(v) {
+  try {
+    return new Intl.NumberFormat(currentLang === "zh" ? "zh-TW" : "en-US", { style: "currency", currency: menuCurrency }).format(Number(v) || 0);
+  } catch {
+    return `${(Number(v) || 0).toFixed(2)} ${menuCurrency}`;
+  }
+}
+
 function renderMenu() {
   const container = document.getElementById("menuContainer");
   if (!container) return;
 
-  const uniqueCategories = [...new Set(menuItems.map((i) => i.category))];
+  // 依後端分類排序；沒有分類資料時退回商品本身的 category_id
+  const categoryIds = menuCategories.length
+    ? menuCategories.map((c) => c.id)
+    : [...new Set(menuItems.map((i) => i.category_id))];
 
-  container.innerHTML = uniqueCategories
+  container.innerHTML = categoryIds
     .map((catKey) => {
-      const sampleItem = menuItems.find((i) => i.category === catKey);
+      const itemsInCat = menuItems.filter((i) => i.category_id === catKey);
+      if (!itemsInCat.length) return "";
+      const sampleItem = itemsInCat[0];
       const displayCategory = currentLang === "zh" ? sampleItem.category_zh : sampleItem.category;
-      const itemsInCat = menuItems.filter((i) => i.category === catKey);
 
       const cardsHtml = itemsInCat
         .map((i) => {
           const displayName = currentLang === "zh" ? i.name_zh : i.name;
           return `
-          <div class="menu-item-card" onclick="window.globalFunctions.addToCart(${i.id})">
+          <div class="menu-item-card" onclick="window.globalFunctions.selectMenuItem(${i.id})">
             <div class="menu-icon">${i.image}</div>
             <div class="menu-details">
               <div class="menu-name">${displayName}</div>
-              <div class="menu-price">$${i.price.toFixed(2)}</div>
+              <div class="menu-price">${formatPrice(i.price)}</div>
             </div>
           </div>`;
         })
@@ -220,24 +370,250 @@ function renderMenu() {
     .join("");
 }
 
-function addToCart(id) {
-  hideEndBtn();
+// --- 客製化選項（大小 / 甜度 / 冰塊 / 奶類）---
+
+function cartLineLabel(line) {
+  return currentLang === "zh" ? line.label_zh || line.name_zh : line.label || line.name;
+}
+
+function openModifierPicker(item) {
+  if (!modifierModal) return addToCart(item.id, {});
+
+  document.getElementById("modifierTitle").innerText = currentLang === "zh" ? item.name_zh : item.name;
+  document.getElementById("modifierGroups").innerHTML = item.modifier_groups
+    .map((g) => {
+      const opts = g.options
+        .map((o) => {
+          const label = currentLang === "zh" ? o.name_zh : o.name;
+          const delta = o.price_delta ? ` (+${formatPrice(o.price_delta)})` : "";
+          return `<option value="${o.code}" ${o.default ? "selected" : ""}>${label}${delta}</option>`;
+        })
+        .join("");
+      return `
+        <label class="modifier-row" style="display:block;margin:8px 0;">
+          <span>${currentLang === "zh" ? g.name_zh : g.name}</span>
+          <select data-group="${g.id}" class="modifier-select">${opts}</select>
+        </label>`;
+    })
+    .join("");
+
+  const addBtn = document.getElementById("modifierAdd");
+  addBtn.innerText = t("addToCartBtn");
+  addBtn.onclick = () => {
+    const modifiers = {};
+    modifierModal.querySelectorAll(".modifier-select").forEach((sel) => {
+      modifiers[sel.dataset.group] = sel.value;
+    });
+    modifierModal.classList.add("hidden");
+    addToCart(item.id, modifiers);
+  };
+  document.getElementById("modifierCancel").innerText = t("cancel");
+  modifierModal.classList.remove("hidden");
+}
+
+function selectMenuItem(id) {
   const i = menuItems.find((x) => x.id === id);
   if (!i) return;
-  cart.push(i);
+  if (Array.isArray(i.modifier_groups) && i.modifier_groups.length) return openModifierPicker(i);
+  addToCart(id, {});
+}
+
+// --- Chat session（對話紀錄 + 購物車存在後端）---
+
+function saveChatSessionId(id) {
+  if (id) localStorage.setItem("chat_session_id", id);
+  else localStorage.removeItem("chat_session_id");
+}
+function getChatSessionId() {
+  return localStorage.getItem("chat_session_id");
+}
+
+function applyCart(c, undoAvailable = false) {
+  cart = Array.isArray(c?.lines) ? c.lines : [];
+  cartTotal = Number(c?.total) || 0;
+  cartSubtotal = Number(c?.subtotal ?? c?.total) || 0;
+  cartDiscounts = Array.isArray(c?.discounts) ? c.discounts : [];
+  cartPromoCode = c?.promo_code || null;
+  cartPromoError = c?.promo_code_error || null;
+  canUndo = !!undoAvailable;
   updateCart();
+}
+
+// 購物車面板 / 菜單點選：type 與 /ai-order 的 action type 相同
+async function postCartAction(type, body = {}) {
+  const r = await fetch("/api/chat/cart", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ session_id: getChatSessionId(), lang: currentLang, type, ...body }),
+  });
+  const data = await r.json();
+  if (!r.ok || !data.ok) throw new Error(data.error || "cart update failed");
+  saveChatSessionId(data.session_id);
+  applyCart(data.cart, data.can_undo);
+  return data;
+}
+
+function cartErrorText(code) {
+  const promo = translations[currentLang].promoErrors[code];
+  if (promo) return promo;
+  const map = {
+    NOTHING_TO_UNDO: "nothingToUndo",
+    LINE_NOT_FOUND: "lineNotFound",
+    PRODUCT_UNAVAILABLE: "productUnavailable",
+  };
+  return map[code] ? t(map[code]) : `${t("errPrefix")} ${code}`;
+}
+
+function cartChangeText(c) {
+  const label = (currentLang === "zh" ? c.label_zh : c.label) || "";
+  if (c.type === "add_to_cart") return `${t("added")}: ${label} × ${c.qty || 1}`;
+  if (c.type === "remove_from_cart") return `${t("removed")}: ${label}${c.qty ? ` × ${c.qty}` : ""}`;
+  if (c.type === "set_quantity") return `${t("qtyChanged")}: ${label} × ${c.qty}`;
+  if (c.type === "clear_cart") return t("cartCleared");
+  if (c.type === "undo_last") return t("undone");
+  if (c.type === "apply_promo_code") return `${t("promoApplied")}: ${c.code}${cartPromoError ? `<br>${cartErrorText(cartPromoError)}` : ""}`;
+  if (c.type === "remove_promo_code") return `${t("promoRemoved")}: ${c.code}`;
+  return "";
+}
+
+// 依實際套用的變更顯示訊息 + 播放對應影片，回傳是否有變更
+function reactToCartChanges(changes = []) {
+  const applied = changes.filter((c) => cartReactions[c.type]);
+  if (!applied.length) return false;
+
+  addMessage("bot", applied.map(cartChangeText).join("<br>"));
+  // 有新增時以「加入」為主，其餘以最後一個動作為準
+  const main = applied.some((c) => c.type === "add_to_cart") ? "add_to_cart" : applied[applied.length - 1].type;
+  playVideo(cartReactions[main]);
+  return true;
+}
+
+async function runCartAction(type, body = {}) {
+  hideEndBtn();
+  try {
+    const data = await postCartAction(type, body);
+    reactToCartChanges(data.changes);
+  } catch (e) {
+    console.error("Cart Error:", e);
+    addMessage("bot", cartErrorText(e.message || e));
+    playVideo("error");
+  }
+}
+
+function changeLineQty(lineId, delta) {
+  const line = cart.find((l) => l.line_id === lineId);
+  if (!line) return;
+  const qty = line.qty + delta;
+  if (qty <= 0) return runCartAction("remove_from_cart", { line_id: lineId });
+  return runCartAction("set_quantity", { line_id: lineId, qty });
+}
+
+function removeCartLine(lineId) {
+  return runCartAction("remove_from_cart", { line_id: lineId });
+}
+
+function clearCart() {
+  return runCartAction("clear_cart");
+}
+
+function undoLast() {
+  return runCartAction("undo_last");
+}
 
-  const displayName = currentLang === "zh" ? i.name_zh : i.name;
-  addMessage("bot", `${t("added")}: ${displayName}`);
-  playVideo("add");
+function removePromoCode() {
+  return runCartAction("remove_promo_code");
+}
+
+async function restoreChatSession() {
+  const id = getChatSessionId();
+  if (!id) return;
+  try {
+    const r = await fetch(`/api/chat/session/${encodeURIComponent(id)}?t=${Date.now()}`);
+    if (r.status === 404) return saveChatSessionId(null);
+    const data = await r.json();
+    if (data.ok) applyCart(data.cart, data.can_undo);
+  } catch (e) {
+    console.error("Session restore error:", e);
+  }
+}
+
+function addToCart(id, modifiers = {}) {
+  return runCartAction("add_to_cart", { product_id: id, qty: 1, modifiers });
+}
+window.globalFunctions = { addToCart, selectMenuItem, changeLineQty, removeCartLine, clearCart, undoLast, removePromoCode };
+
+// 購物車面板：每行一筆，可 −/+ 數量、移除
+function renderCartLines() {
+  const box = document.getElementById("cartLines");
+  if (!box) return;
+  box.innerHTML = cart
+    .map(
+      (l) => `
+      <div class="cart-line" style="display:flex;align-items:center;gap:6px;margin:4px 0;">
+        <span style="flex:1;text-align:left;">${l.image || ""} ${cartLineLabel(l)}</span>
+        <button class="qty-btn" onclick="window.globalFunctions.changeLineQty(${l.line_id}, -1)">−</button>
+        <span>${l.qty}</span>
+        <button class="qty-btn" onclick="window.globalFunctions.changeLineQty(${l.line_id}, 1)">+</button>
+        <span style="min-width:48px;text-align:right;">${formatPrice(l.line_total)}</span>
+        <button class="qty-btn" onclick="window.globalFunctions.removeCartLine(${l.line_id})">✕</button>
+      </div>`
+    )
+    .join("");
+  if (!cart.length) return;
+
+  // 小計 / 折扣明細 / 折扣碼（不能用時顯示原因）
+  const promoRows = cartDiscounts.map(
+    (d) => `
+      <div class="cart-line" style="display:flex;gap:6px;margin:2px 0;opacity:.85;">
+        <span style="flex:1;text-align:left;">🏷️ ${t("discountLabel")}: ${(currentLang === "zh" && d.name_zh) || d.name}</span>
+        <span style="min-width:48px;text-align:right;">-${formatPrice(d.amount)}</span>
+      </div>`
+  );
+  if (cartDiscounts.length) {
+    promoRows.unshift(`
+      <div class="cart-line" style="display:flex;gap:6px;margin:2px 0;border-top:1px dashed #999;">
+        <span style="flex:1;text-align:left;">${t("subtotalLabel")}</span>
+        <span style="min-width:48px;text-align:right;">${formatPrice(cartSubtotal)}</span>
+      </div>`);
+  }
+  if (cartPromoCode) {
+    promoRows.push(`
+      <div class="cart-line" style="display:flex;align-items:center;gap:6px;margin:2px 0;font-size:13px;">
+        <span style="flex:1;text-align:left;">🎟️ <code>${cartPromoCode}</code>${cartPromoError ? ` · ${cartErrorText(cartPromoError)}` : ""}</span>
+        <button class="qty-btn" onclick="window.globalFunctions.removePromoCode()">✕</button>
+      </div>`);
+  }
+  box.innerHTML += promoRows.join("");
+}
+
+// 結帳視窗的折扣碼狀態
+function renderPromoStatus() {
+  const el = document.getElementById("promoStatus");
+  if (!el) return;
+  if (!cartPromoCode) el.innerHTML = "";
+  else if (cartPromoError) el.innerHTML = `⚠️ <code>${cartPromoCode}</code> ${cartErrorText(cartPromoError)}`;
+  else el.innerHTML = `🏷️ <code>${cartPromoCode}</code> -${formatPrice(cartSubtotal - cartTotal)} · ${t("totalLabel")} ${formatPrice(cartTotal)}`;
+}
+
+async function applyPromoCode() {
+  const input = document.getElementById("promoCodeInput");
+  const code = input.value.trim();
+  if (!code) return cartPromoCode ? removePromoCode() : undefined;
+  await runCartAction("apply_promo_code", { code });
 }
-window.globalFunctions = { addToCart };
 
 function updateCart() {
-  document.getElementById("cartCount").textContent = cart.length;
-  const total = cart.reduce((s, x) => s + x.price, 0);
-  document.getElementById("totalPrice").textContent = total.toFixed(2);
-  if (cart.length > 0) cartFooter.classList.remove("hidden");
+  document.getElementById("cartCount").textContent = cart.reduce((s, l) => s + l.qty, 0);
+  document.getElementById("totalPrice").textContent = formatPrice(cartTotal);
+  renderCartLines();
+  renderPromoStatus();
+
+  document.getElementById("undoBtn").disabled = !canUndo;
+  document.getElementById("clearCartBtn").disabled = !cart.length;
+  document.getElementById("checkoutBtn").disabled = !cart.length;
+
+  // 清空後仍顯示面板，讓使用者可以復原
+  if (cart.length > 0 || canUndo) cartFooter.classList.remove("hidden");
   else cartFooter.classList.add("hidden");
 }
 
@@ -250,37 +626,30 @@ async function handleAiOrderText(text) {
     const r = await fetch("/ai-order", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text, lang: currentLang }),
+      body: JSON.stringify({ text, lang: currentLang, session_id: getChatSessionId() }),
     });
     const data = await r.json();
     if (!data.ok) throw new Error(data.error || "AI Error");
 
-    const acts = Array.isArray(data.actions) ? data.actions : [];
-    let addedNames = [];
+    // 後端已套用新增 / 相對修改，直接使用回傳的購物車狀態
+    saveChatSessionId(data.session_id);
+    applyCart(data.cart, data.can_undo);
 
-    if (data.parsed && data.parsed.intent === "help") {
-      addMessage("bot", data.parsed.raw_text || t("help"));
-      playVideo("welcome");
-      return;
-    }
+    const acts = Array.isArray(data.actions) ? data.actions : [];
+    const failed = Array.isArray(data.failed) ? data.failed : [];
+    const changed = reactToCartChanges(acts);
+    const wantsCheckout = acts.some((a) => a.type === "checkout");
 
-    for (const a of acts) {
-      if (a.type === "add_to_cart" && a.product_id) {
-        const item = menuItems.find((m) => m.id == a.product_id);
-        if (item) {
-          for (let i = 0; i < (a.qty || 1); i++) cart.push(item);
-          const displayName = currentLang === "zh" ? item.name_zh : item.name;
-          addedNames.push(`${displayName} × ${a.qty || 1}`);
-        }
+    if (!changed && failed.length) {
+      addMessage("bot", cartErrorText(failed[0].reason));
+      playVideo("error");
+    } else if (!changed && !wantsCheckout) {
+      if (data.parsed && data.parsed.intent === "help") {
+        addMessage("bot", data.reply || t("help"));
+        playVideo("welcome");
+        return;
       }
-    }
-
-    if (addedNames.length) {
-      updateCart();
-      addMessage("bot", `${t("added")}: ${addedNames.join(", ")}`);
-      playVideo("add");
-    } else if (!acts.some((a) => a.type === "checkout")) {
-      addMessage("bot", data.parsed.raw_text || t("sorry"));
+      addMessage("bot", data.reply || t("sorry"));
       playVideo("error");
     }
 
@@ -298,6 +667,8 @@ function openCheckout() {
     playVideo("error");
     return;
   }
+  document.getElementById("promoCodeInput").value = cartPromoCode || "";
+  renderPromoStatus();
   paymentModal.classList.remove("hidden");
   playVideo("checkout");
 }
@@ -331,29 +702,70 @@ function resolveMediaUrl(u) {
   if (!u) return "";
   if (u.startsWith("ipfs://")) {
     const cid = u.replace("ipfs://", "").replace(/^ipfs\//, "");
-    return `https://gateway.pinata.cloud/ipfs/${cid}`;
+    return `/ipfs/${cid}`; // server reads it from whichever IPFS backend has it
   }
   return `${u}${u.includes("?") ? "&" : "?"}t=${Date.now()}`;
 }
 
-// ✅ 建立 items 給後端：[{product_id, qty}]
+// ✅ 建立 items 給後端：[{product_id, qty, modifiers}]（購物車已是每行一筆）
 function buildItemsForApi() {
-  const map = new Map();
-  for (const it of cart) {
-    map.set(it.id, (map.get(it.id) || 0) + 1);
-  }
-  return Array.from(map.entries()).map(([product_id, qty]) => ({ product_id, qty }));
+  return cart.map((l) => ({ product_id: l.product_id, qty: l.qty, modifiers: l.modifiers || {} }));
 }
 
-async function pollBuyStatus(payloadUuid) {
-  if (!payloadUuid) return;
+// 未交付品項 + 退款狀態（/buy/status 的 items / refunds）
+function undeliveredText(data) {
+  const missing = (data.items || []).filter((i) => i.status !== "delivered");
+  const names = missing.map((i) => `• ${i.name}`).join("<br>");
+  const refunding = missing.some((i) => i.status === "refunding" || i.status === "refunded");
+  return `${t("partialDelivery")}<br>${names}<br>${refunding ? t("refundQueued") : t("refundContactStaff")}`;
+}
+
+// {name} 佔位符
+function fillText(text, values) {
+  return Object.entries(values).reduce((s, [k, v]) => s.replaceAll(`{${k}}`, v ?? ""), text);
+}
+
+// 建單時鎖定的報價：菜單幣別總額 -> 付款資產數量
+function quoteText(quote, method) {
+  const asset = PAYMENT_LABELS[method] || method || "";
+  return fillText(t("quoteLine"), {
+    base: formatPrice(quote.base_total),
+    amount: quote.amount,
+    asset,
+    rate: `${quote.rate} ${quote.base_currency}`,
+  });
+}
+
+// 多付：找零中 / 已退回 -> 自動退回；awaiting_staff -> 請店員處理
+function overpaidText(data) {
+  const key = data.payment.change_status === "awaiting_staff" ? "overpaidStaff" : "overpaidReturning";
+  return fillText(t(key), { excess: data.payment.excess, asset: PAYMENT_LABELS[data.payment_method] || data.payment_method || "" });
+}
 
+function stopBuyStatus() {
   if (window.__buyStatusTimer) {
     clearInterval(window.__buyStatusTimer);
     window.__buyStatusTimer = null;
   }
+  if (window.__buyStatusStream) {
+    window.__buyStatusStream.close();
+    window.__buyStatusStream = null;
+  }
+}
 
-  const startedAt = Date.now();
+// 付款 / 鑄造進度：優先訂閱 SSE（/buy/stream），不支援或連不上時才每 2.5 秒輪詢 /buy/status
+async function pollBuyStatus(payloadUuid) {
+  if (!payloadUuid) return;
+
+  stopBuyStatus();
+
+  // 付款後由 server 背景 job 鑄造；只要進度有變化就重新計算逾時
+  let lastActivityAt = Date.now();
+  let lastStage = null;
+  let lastProgress = null;
+  let shownTopUp = null; // 已顯示的補款 payload
+  let topUpRequested = false;
+  let overpaidShown = false;
   const MAX_POLL_MS = 3 * 60 * 1000;
   const POLL_INTERVAL_MS = 2500;
 
@@ -361,127 +773,217 @@ async function pollBuyStatus(payloadUuid) {
 
   hideEndBtn();
 
-  window.__buyStatusTimer = setInterval(async () => {
-    try {
-      if (Date.now() - startedAt > MAX_POLL_MS) {
-        clearInterval(window.__buyStatusTimer);
-        window.__buyStatusTimer = null;
+  function checkTimeout() {
+    if (Date.now() - lastActivityAt <= MAX_POLL_MS) return false;
+    stopBuyStatus();
+    if (window.__buyStatusDoneFor === payloadUuid || window.nftShown) return true;
 
-        if (window.__buyStatusDoneFor === payloadUuid || window.nftShown) return;
+    addMessage("bot", t("pollTimeout"));
+    playVideo("error");
+    return true;
+  }
 
-        addMessage("bot", t("pollTimeout"));
-        playVideo("error");
+  // 付款不足：顯示補款 QR；補款 payload 被拒絕 / 過期（topup=null）就再要一張
+  function handleUnderpaid(data) {
+    const asset = PAYMENT_LABELS[data.payment_method] || data.payment_method || "";
+    if (!data.topup) {
+      if (topUpRequested) return;
+      topUpRequested = true;
+      addMessage("bot", `<small style="opacity:.8">${t("topupRequesting")}</small>`);
+      fetch("/buy/topup", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ payload_uuid: payloadUuid }),
+      }).catch((err) => console.error("Top-up Error:", err));
+      return;
+    }
+    topUpRequested = false;
+    if (shownTopUp === data.topup.payload_uuid) return;
+    shownTopUp = data.topup.payload_uuid;
+    lastActivityAt = Date.now();
+
+    const qr = deriveXummQr({ qr: data.topup.qr, url: data.topup.url, uuid: data.topup.payload_uuid });
+    const text = fillText(t("underpaid"), {
+      received: data.payment?.paid,
+      total: data.payment?.total,
+      due: data.topup.amount,
+      asset,
+    });
+    addMessage("bot", `${text}<br><img src="${qr}" style="width:280px; border-radius:10px;">`, { wide: true });
+    playVideo("pay");
+  }
+
+  function handleStatus(data) {
+    if (data?.payment?.excess && !overpaidShown) {
+      overpaidShown = true;
+      addMessage("bot", overpaidText(data));
+    }
+
+    if (data?.status === "pending") {
+      const progress = data.job ? `${data.job.done}/${data.job.total}` : null;
+      if (data.stage !== lastStage || progress !== lastProgress) lastActivityAt = Date.now();
+      if (data.transition === "signed") addMessage("bot", t("paymentSigned"));
+      if (data.stage === "underpaid") {
+        handleUnderpaid(data);
+        lastStage = data.stage;
         return;
       }
+      if (data.stage !== lastStage && (data.stage === "minting" || data.stage === "retrying")) {
+        const key = data.stage === "retrying" ? "mintRetrying" : "mintingNfts";
+        addMessage("bot", `${t(key)}${progress ? ` (${progress})` : ""}...`);
+      }
+      lastStage = data.stage;
+      lastProgress = progress;
+      return;
+    }
 
-      const res = await fetch(`/buy/status?payload_uuid=${encodeURIComponent(payloadUuid)}&t=${Date.now()}`);
-      const data = await res.json();
-
-      if (data?.status === "pending") return;
-
-      if (data?.status === "success") {
-        clearInterval(window.__buyStatusTimer);
-        window.__buyStatusTimer = null;
-
-        if (window.__buyStatusDoneFor === payloadUuid || window.nftShown) return;
-        window.__buyStatusDoneFor = payloadUuid;
-        window.nftShown = true;
-
-        let nftHtml = "";
-        if (Array.isArray(data.nfts) && data.nfts.length > 0) {
-          const cards = data.nfts
-            .map((n, i) => {
-              const img = resolveMediaUrl(n.image);
-              return `
-              <div class="nft-card">
-                <span style="color:var(--accent-color)">#${i + 1} ${n.name}</span>
-                ${img ? `<img src="${img}" />` : ""}
-              </div>`;
-            })
-            .join("");
-          nftHtml = `<div class="nft-grid">${cards}</div>`;
-        }
-
-        let qrListHtml = "";
-        if (Array.isArray(data.accept_qr_list) && data.accept_qr_list.length > 0) {
-          const cards = data.accept_qr_list
-            .map((a, i) => {
-              const openLink = a.url
-                ? `<a href="${a.url}" target="_blank" style="color:blue;text-decoration:underline;">Open Xumm</a>`
-                : "";
-              return `
-              <div class="nft-card" style="background:#fff;">
-                <p style="color:var(--accent-color)">Claim #${i + 1} - ${a.product || ""}</p>
-                ${a.qr ? `<img src="${a.qr}" style="width:120px;height:120px;margin:0 auto;">` : ""}
-                ${openLink}
-              </div>`;
-            })
-            .join("");
-          qrListHtml = `<div class="nft-grid">${cards}</div>`;
-        }
-
-        const payMethodText = data?.payment_method ? `<p><b>${PAYMENT_LABELS[data.payment_method] || data.payment_method}</b></p>` : "";
-
-        const finalHtml = `
-          <div>
-            ${payMethodText}
-            <p>${t("paymentSuccess")}</p>
-            ${nftHtml}
-            ${qrListHtml ? `<p style="margin-top:15px;">Scan:</p>${qrListHtml}` : ""}
-          </div>
-        `;
-
-        addMessage("bot", finalHtml, { wide: true });
-        playVideo("success");
+    if (data?.status === "success" || data?.status === "partial") {
+      stopBuyStatus();
+
+      if (window.__buyStatusDoneFor === payloadUuid || window.nftShown) return;
+      window.__buyStatusDoneFor = payloadUuid;
+      window.nftShown = true;
+
+      let nftHtml = "";
+      if (Array.isArray(data.nfts) && data.nfts.length > 0) {
+        const cards = data.nfts
+          .map((n, i) => {
+            const img = resolveMediaUrl(n.image);
+            return `
+            <div class="nft-card">
+              <span style="color:var(--accent-color)">#${i + 1} ${n.name}</span>
+              ${img ? `<img src="${img}" />` : ""}
+              ${n.expires_at ? `<small>${fillText(t("validUntil"), { time: new Date(n.expires_at).toLocaleString(currentLang === "zh" ? "zh-TW" : "en-US") })}</small>` : ""}
+            </div>`;
+          })
+          .join("");
+        nftHtml = `<div class="nft-grid">${cards}</div>`;
+      }
 
-        savePayloadUuid(null);
+      let qrListHtml = "";
+      if (Array.isArray(data.accept_qr_list) && data.accept_qr_list.length > 0) {
+        const cards = data.accept_qr_list
+          .map((a, i) => {
+            const openLink = a.url
+              ? `<a href="${a.url}" target="_blank" style="color:blue;text-decoration:underline;">Open Xumm</a>`
+              : "";
+            return `
+            <div class="nft-card" style="background:#fff;">
+              <p style="color:var(--accent-color)">Claim #${i + 1} - ${a.product || ""}</p>
+              ${a.qr ? `<img src="${a.qr}" style="width:120px;height:120px;margin:0 auto;">` : ""}
+              ${openLink}
+            </div>`;
+          })
+          .join("");
+        qrListHtml = `<div class="nft-grid">${cards}</div>`;
+      }
 
-        cart = [];
-        updateCart();
-        setTimeout(() => {
-          if (endOrderBtn) endOrderBtn.classList.remove("hidden");
-        }, 600);
+      const payMethodText = data?.payment_method ? `<p><b>${PAYMENT_LABELS[data.payment_method] || data.payment_method}</b></p>` : "";
+
+      const receiptLink = data.order_id
+        ? `<p><a href="/orders/${encodeURIComponent(data.order_id)}/receipt?lang=${currentLang}" target="_blank" style="color:blue;text-decoration:underline;">${t("receipt")}</a></p>`
+        : "";
+
+      const orderNumberHtml =
+        data.order_number != null
+          ? `<p style="font-size:1.2em;">${fillText(t("orderNumberLine"), {
+              number: data.order_number,
+              state: translations[currentLang].kitchenStates[data.kitchen_status] || data.kitchen_status || "",
+            })}</p>`
+          : "";
+
+      const finalHtml = `
+        <div>
+          ${orderNumberHtml}
+          ${payMethodText}
+          <p>${t("paymentSuccess")}</p>
+          ${nftHtml}
+          ${qrListHtml ? `<p style="margin-top:15px;">Scan:</p>${qrListHtml}` : ""}
+          ${receiptLink}
+        </div>
+      `;
 
-        return;
-      }
+      addMessage("bot", finalHtml, { wide: true });
+      playVideo("success");
+      if (data.status === "partial") addMessage("bot", undeliveredText(data));
+
+      savePayloadUuid(null);
 
-      if (data?.status === "no_order" || data?.status === "completed_or_expired") {
-        if (window.__buyStatusDoneFor === payloadUuid || window.nftShown) {
-          clearInterval(window.__buyStatusTimer);
-          window.__buyStatusTimer = null;
-          savePayloadUuid(null);
-          return;
-        }
+      applyCart(null);
+      setTimeout(() => {
+        if (endOrderBtn) endOrderBtn.classList.remove("hidden");
+      }, 600);
 
-        clearInterval(window.__buyStatusTimer);
-        window.__buyStatusTimer = null;
+      return;
+    }
 
-        addMessage("bot", t("orderMissing"));
-        playVideo("error");
+    if (data?.status === "no_order" || data?.status === "completed_or_expired") {
+      stopBuyStatus();
+      if (window.__buyStatusDoneFor === payloadUuid || window.nftShown) {
         savePayloadUuid(null);
         return;
       }
 
-      if (data?.status === "error") {
-        clearInterval(window.__buyStatusTimer);
-        window.__buyStatusTimer = null;
+      addMessage("bot", t("orderMissing"));
+      playVideo("error");
+      savePayloadUuid(null);
+      return;
+    }
 
-        const msg = data?.error ? `❌ ${data.error}` : "❌ 發生錯誤";
-        addMessage("bot", msg);
-        playVideo("error");
-        savePayloadUuid(null);
-        return;
-      }
+    if (data?.status === "error") {
+      stopBuyStatus();
 
-      clearInterval(window.__buyStatusTimer);
-      window.__buyStatusTimer = null;
-      addMessage("bot", `${t("unknownStatus")} ${data?.status || "unknown"}`);
+      const msg = data?.error ? `❌ ${data.error}` : "❌ 發生錯誤";
+      addMessage("bot", msg);
+      if (data?.items?.length) addMessage("bot", undeliveredText(data));
       playVideo("error");
       savePayloadUuid(null);
+      return;
+    }
+
+    stopBuyStatus();
+    addMessage("bot", `${t("unknownStatus")} ${data?.status || "unknown"}`);
+    playVideo("error");
+    savePayloadUuid(null);
+  }
+
+  function startPolling() {
+    stopBuyStatus();
+    window.__buyStatusTimer = setInterval(async () => {
+      try {
+        if (checkTimeout()) return;
+        const res = await fetch(`/buy/status?payload_uuid=${encodeURIComponent(payloadUuid)}&t=${Date.now()}`);
+        handleStatus(await res.json());
+      } catch (err) {
+        console.error("Poll Error:", err);
+      }
+    }, POLL_INTERVAL_MS);
+  }
+
+  if (!window.EventSource) return startPolling();
+
+  const stream = new EventSource(`/buy/stream?payload_uuid=${encodeURIComponent(payloadUuid)}`);
+  let streamOpened = false;
+  window.__buyStatusStream = stream;
+  window.__buyStatusTimer = setInterval(checkTimeout, 5000);
+
+  stream.addEventListener("status", (ev) => {
+    streamOpened = true;
+    try {
+      handleStatus(JSON.parse(ev.data));
     } catch (err) {
-      console.error("Poll Error:", err);
+      console.error("Stream Error:", err);
     }
-  }, POLL_INTERVAL_MS);
+  });
+
+  // 一開始就連不上，或瀏覽器放棄自動重連 -> 改用輪詢
+  stream.onerror = () => {
+    if (window.__buyStatusStream !== stream) return;
+    if (!streamOpened || stream.readyState === EventSource.CLOSED) {
+      console.warn("SSE unavailable, falling back to polling");
+      startPolling();
+    }
+  };
 }
 
 async function startLedgerPayment(method) {
@@ -506,13 +1008,15 @@ async function startLedgerPayment(method) {
       body: JSON.stringify({
         items,
         payment_method: method,
+        session_id: getChatSessionId(),
+        promo_code: cartPromoCode,
       }),
     });
 
     const j = await res.json();
 
     if (!res.ok) {
-      addMessage("bot", `${t("errPrefix")} ${j.error || "create-order failed"}`);
+      addMessage("bot", String(j.code || "").startsWith("PROMO_") ? cartErrorText(j.code) : `${t("errPrefix")} ${j.error || "create-order failed"}`);
       playVideo("error");
       return;
     }
@@ -526,8 +1030,15 @@ async function startLedgerPayment(method) {
     addMessage(
       "bot",
       `${t("scanPay")} (${PAYMENT_LABELS[j.payment_method] || j.payment_method || method})<br>
+       ${j.quote ? `<b>${quoteText(j.quote, j.payment_method)}</b><br>` : ""}
        <small style="opacity:.75">payload_uuid: <code>${j.payload_uuid}</code></small><br>
-       <img src="${payQr}" style="width:280px; border-radius:10px;">`,
+       <img src="${payQr}" style="width:280px; border-radius:10px;">
+       ${j.destination_tag != null
+         ? `<br><small style="opacity:.75">${fillText(t("payOtherWallet"), {
+             address: `<code>${j.store_address}</code>`,
+             tag: `<code>${j.destination_tag}</code>`,
+           })}</small>`
+         : ""}`,
       { wide: true }
     );
 
@@ -539,8 +1050,7 @@ async function startLedgerPayment(method) {
       playVideo("error");
     }
 
-    cart = [];
-    updateCart();
+    applyCart(null); // 後端已在 /create-order 清空 session 購物車
   } catch (e) {
     console.error(e);
     addMessage("bot", `${t("errPrefix")} ${e.message || e}`);
@@ -551,7 +1061,14 @@ async function startLedgerPayment(method) {
 // --- 7. 事件綁定 ---
 
 document.getElementById("checkoutBtn").addEventListener("click", openCheckout);
+document.getElementById("undoBtn")?.addEventListener("click", undoLast);
+document.getElementById("clearCartBtn")?.addEventListener("click", clearCart);
 document.getElementById("cancelPay").onclick = () => paymentModal.classList.add("hidden");
+document.getElementById("promoApplyBtn").onclick = applyPromoCode;
+document.getElementById("promoCodeInput").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") applyPromoCode();
+});
+document.getElementById("modifierCancel")?.addEventListener("click", () => modifierModal.classList.add("hidden"));
 
 // ✅ Ledger Payment Buttons
 document.getElementById("kfdPay")?.addEventListener("click", () => startLedgerPayment("mpt"));
@@ -566,8 +1083,9 @@ document.getElementById("creditPay").onclick = () => {
   setTimeout(() => {
     addMessage("bot", t("paymentSuccessCard"));
     playVideo("success");
-    cart = [];
-    updateCart();
+    // 已付款的購物車不需要復原：直接開新的 session
+    saveChatSessionId(null);
+    applyCart(null);
     if (endOrderBtn) endOrderBtn.classList.remove("hidden");
   }, 2000);
 };
@@ -577,14 +1095,11 @@ if (endOrderBtn) {
     if (confirm("Reset?")) {
       window.nftShown = false;
       window.__buyStatusDoneFor = null;
-      if (window.__buyStatusTimer) {
-        clearInterval(window.__buyStatusTimer);
-        window.__buyStatusTimer = null;
-      }
+      stopBuyStatus();
       savePayloadUuid(null);
       paymentStarted = false;
-      cart = [];
-      updateCart();
+      saveChatSessionId(null); // 下一句話開新的 session
+      applyCart(null);
       hideEndBtn();
       addMessage("bot", t("resetMsg"));
       playVideo("thanks");
@@ -634,6 +1149,13 @@ if (sendBtn && messageInput) {
 }
 
 // --- 啟動邏輯 ---
+const menuReady = loadMenu()
+  .then(() => true)
+  .catch((e) => {
+    console.error("Menu Error:", e);
+    return false;
+  });
+
 const startOverlay = document.getElementById("startOverlay");
 const startBtn = document.getElementById("startButton");
 
@@ -642,6 +1164,11 @@ if (startBtn) {
     startOverlay.classList.add("hidden");
 
     updateUIText();
+    menuReady.then((ok) => {
+      if (ok) renderMenu();
+      else addMessage("bot", t("menuLoadError"));
+    });
+    restoreChatSession();
     initSpeechRecognition();
 
     vidIdle.play().catch(() => {});
@@ -27,9 +27,13 @@ function normalizeUri(input) {
  * 🪙 Mint NFT on XRPL
  * @param {string} recipientAddress - 目前未直接使用（XRPL NFT 需先鑄在自己名下，再轉移）
  * @param {string|object} ipfsUri - Pinata 回傳或 IPFS URI
+ * @param {object} [opts]
+ * @param {number} [opts.taxon] - NFTokenTaxon（shared/nftTaxon.cjs 的 taxonFor(分類)；預設 0 = 不分類）
  * @returns {Promise<{ result: object, nft_id: string }>}
  */
-export default async function mintNFT(recipientAddress, ipfsUri) {
+export default async function mintNFT(recipientAddress, ipfsUri, { taxon = 0 } = {}) {
+  if (!Number.isInteger(taxon) || taxon < 0 || taxon > 0xffffffff) throw new Error(`NFTokenTaxon 必須是 0..4294967295 的整數：${taxon}`);
+
   const client = new xrpl.Client("wss://s.altnet.rippletest.net:51233");
   await client.connect();
 
@@ -48,7 +52,7 @@ export default async function mintNFT(recipientAddress, ipfsUri) {
     Account: wallet.classicAddress,
     URI: xrpl.convertStringToHex(uriString),
     Flags: xrpl.NFTokenMintFlags.tfTransferable,
-    NFTokenTaxon: 0,
+    NFTokenTaxon: taxon,
   };
 
   const prepared = await client.autofill(mintTx);
@@ -1,13 +1,38 @@
 // nft/uploadIPFS.js
-import axios from "axios";
-import FormData from "form-data";
 import fs from "fs";
+import path from "path";
 import dotenv from "dotenv";
+import { createIpfsStorage } from "../ipfs/ipfsStorage.js";
+import { createPinataBackend } from "../ipfs/backends/pinataBackend.js";
+import { createKuboBackend } from "../ipfs/backends/kuboBackend.js";
+import { createFsBackend } from "../ipfs/backends/fsBackend.js";
 
 dotenv.config();
 
 /**
- * 📤 上傳圖片與 metadata 至 IPFS（Pinata）
+ * 依 .env 建立與 server.js 相同的 IPFS 儲存（IPFS_PROVIDER，預設有 PINATA_JWT 用 pinata，否則 fs）
+ */
+function storageFromEnv() {
+  const jwt = (process.env.PINATA_JWT || "").trim();
+  const order = (process.env.IPFS_PROVIDER || (jwt ? "pinata" : "fs"))
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return createIpfsStorage({
+    backends: [
+      ...(jwt ? [createPinataBackend({ jwt, gatewayUrl: process.env.PINATA_GATEWAY_URL || undefined })] : []),
+      createKuboBackend({ apiUrl: process.env.IPFS_KUBO_API_URL || undefined, gatewayUrl: process.env.IPFS_KUBO_GATEWAY_URL || undefined }),
+      createFsBackend({
+        dir: path.resolve(process.env.IPFS_FS_DIR || path.join(process.cwd(), "ipfs-store")),
+        baseUrl: (process.env.BASE_URL || "http://localhost:3001").trim().replace(/\/+$/, ""),
+      }),
+    ],
+    order,
+  });
+}
+
+/**
+ * 📤 上傳圖片與 metadata 至 IPFS（IPFS_PROVIDER 指定的 backend）
  * @param {string} filePath - 圖片檔案路徑
  * @param {string} name - NFT 名稱
  * @param {string} description - NFT 描述
@@ -15,53 +40,12 @@ dotenv.config();
  * @returns {Promise<{ metadataURI: string, imageURL: string }>}
  */
 export default async function uploadToIPFS(filePath, name, description, extraMeta = {}) {
-  // 1️⃣ 上傳圖片檔案到 Pinata
-  const form = new FormData();
-  form.append("file", fs.createReadStream(filePath));
-
-  const metadata = JSON.stringify({ name });
-  form.append("pinataMetadata", metadata);
-
-  const options = JSON.stringify({ cidVersion: 1 });
-  form.append("pinataOptions", options);
-
-  const response = await axios.post(
-    "https://api.pinata.cloud/pinning/pinFileToIPFS",
-    form,
-    {
-      maxBodyLength: Infinity,
-      headers: {
-        ...form.getHeaders(),
-        Authorization: process.env.PINATA_JWT,
-      },
-    }
-  );
-
-  const imageCid = response.data.IpfsHash;
-  const imageURL = `https://gateway.pinata.cloud/ipfs/${imageCid}`;
-
-  // 2️⃣ 建立 metadata JSON 並上傳
-  const metadataJson = {
+  const { metadataURI, imageURL, backend } = await storageFromEnv().pin({
+    image: { bytes: fs.readFileSync(filePath), filename: path.basename(filePath) },
+    metadata: { name, description, ...extraMeta },
     name,
-    description,
-    image: imageURL,
-    ...extraMeta,
-  };
-
-  const jsonRes = await axios.post(
-    "https://api.pinata.cloud/pinning/pinJSONToIPFS",
-    metadataJson,
-    {
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: process.env.PINATA_JWT,
-      },
-    }
-  );
-
-  const metadataCid = jsonRes.data.IpfsHash;
-  const metadataURI = `ipfs://${metadataCid}`;
+  });
 
-  console.log("✅ 已上傳至 IPFS：", metadataURI);
+  console.log(`✅ 已上傳至 IPFS（${backend}）：`, metadataURI);
   return { metadataURI, imageURL };
 }
@@ -0,0 +1,123 @@
+// payments/amounts.js
+
+/**
+ * 🔢 金額比對：XRPL 的 value 是十進位字串（"2"、"2.0"、"2.50"、"1e-6" 都可能出現）
+ * 用 BigInt 定點運算比大小 / 加減，不經過 float，"2" 與 "2.0" 視為相同
+ */
+const DECIMAL_RE = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * "12.340" -> { units: 1234n, scale: 2 }；無法解析回傳 null
+ */
+export function parseDecimal(v) {
+  if (v == null || typeof v === "object") return null;
+  const m = DECIMAL_RE.exec(String(v).trim());
+  if (!m || (!m[2] && !m[3])) return null;
+
+  const [, sign, int = "", frac = "", exp = "0"] = m;
+  let digits = `${int}${frac}`.replace(/^0+(?=\d)/, "");
+  let scale = frac.length - Number(exp);
+  if (scale < 0) {
+    digits += "0".repeat(-scale);
+    scale = 0;
+  }
+  let units = BigInt(digits || "0");
+  // 去掉多餘的尾數 0，讓同一個數只有一種表示
+  while (scale > 0 && units % 10n === 0n) {
+    units /= 10n;
+    scale -= 1;
+  }
+  if (sign === "-") units = -units;
+  return { units, scale };
+}
+
+function rescale({ units, scale }, to) {
+  return units * 10n ** BigInt(to - scale);
+}
+
+function formatDecimal(units, scale) {
+  while (scale > 0 && units % 10n === 0n) {
+    units /= 10n;
+    scale -= 1;
+  }
+  const neg = units < 0n;
+  const s = (neg ? -units : units).toString().padStart(scale + 1, "0");
+  return `${neg ? "-" : ""}${s.slice(0, s.length - scale)}${scale ? `.${s.slice(-scale)}` : ""}`;
+}
+
+/**
+ * @returns {-1|0|1|null} 任一邊無法解析時為 null
+ */
+export function compareDecimal(a, b) {
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  if (!x || !y) return null;
+  const scale = Math.max(x.scale, y.scale);
+  const l = rescale(x, scale);
+  const r = rescale(y, scale);
+  return l === r ? 0 : l < r ? -1 : 1;
+}
+
+export function sameDecimal(a, b) {
+  return compareDecimal(a, b) === 0;
+}
+
+/**
+ * 標準化成最短的十進位字串（"2.50" -> "2.5"、"1e-6" -> "0.000001"），存 audit / 回傳給前端用
+ */
+export function normalizeDecimal(v) {
+  const d = parseDecimal(v);
+  return d ? formatDecimal(d.units, d.scale) : null;
+}
+
+function combine(a, b, sign) {
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  if (!x || !y) return null;
+  const scale = Math.max(x.scale, y.scale);
+  return formatDecimal(rescale(x, scale) + sign * rescale(y, scale), scale);
+}
+
+/**
+ * 精確加減（已付金額累計、差額），回傳標準化字串；無法解析時為 null
+ */
+export function addDecimal(a, b) {
+  return combine(a, b, 1n);
+}
+
+export function subtractDecimal(a, b) {
+  return combine(a, b, -1n);
+}
+
+export function multiplyDecimal(a, b) {
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  if (!x || !y) return null;
+  return formatDecimal(x.units * y.units, x.scale + y.scale);
+}
+
+/**
+ * a / b 取到 decimals 位小數；rounding：up（無條件進位）/ down（捨去）/ nearest（四捨五入）
+ * 報價用 up（店家不少收），退款用 down（不多退）
+ */
+export function divideDecimal(a, b, { decimals = 6, rounding = "nearest" } = {}) {
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  if (!x || !y || y.units === 0n) return null;
+  // a/b * 10^decimals = (x.units * 10^(y.scale + decimals)) / (y.units * 10^x.scale)
+  let num = x.units * 10n ** BigInt(y.scale + decimals);
+  let den = y.units * 10n ** BigInt(x.scale);
+  if (den < 0n) {
+    num = -num;
+    den = -den;
+  }
+  let q = num / den;
+  const r = num % den;
+  if (r !== 0n) {
+    const away = num < 0n ? -1n : 1n; // 遠離 0 的方向
+    if (rounding === "up") q += num > 0n ? 1n : 0n;
+    else if (rounding === "down") q -= num < 0n ? 1n : 0n;
+    else if (2n * (r < 0n ? -r : r) >= den) q += away;
+  }
+  return formatDecimal(q, decimals);
+}
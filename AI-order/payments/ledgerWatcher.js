@@ -0,0 +1,130 @@
+// payments/ledgerWatcher.js
+
+/**
+ * 👀 長駐的 XRPL subscribe：盯著 STORE_ADDRESS 的入帳
+ *
+ * 只把 validated、tesSUCCESS、Destination = account 的 Payment 交給 onPayment
+ * （店家自己送出的退款 / TrustSet 也會出現在 stream 上，這裡過濾掉）
+ * 斷線後指數退避重連；重連時用 account_tx 從 fromLedger() 補抓漏掉的交易，onPayment 需自行去重
+ *
+ * onPayment(payment, { client })：
+ *   payment = { txid, ledgerIndex, account, amount, deliveredAmount, invoiceId, destinationTag }
+ *   依序呼叫（上一筆處理完才處理下一筆）
+ */
+export function createLedgerWatcher({ xrpl, endpoint, account, onPayment, fromLedger = () => null, reconnectMs = 5000, maxReconnectMs = 60 * 1000 }) {
+  let client = null;
+  let stopped = true;
+  let retryTimer = null;
+  let failures = 0;
+  let queue = Promise.resolve();
+
+  function toPayment(tx, meta, ledgerIndex) {
+    if (!tx || tx.TransactionType !== "Payment" || tx.Destination !== account) return null;
+    if (meta?.TransactionResult !== "tesSUCCESS") return null;
+    return {
+      txid: tx.hash,
+      ledgerIndex: ledgerIndex ?? tx.ledger_index,
+      account: tx.Account,
+      amount: tx.Amount ?? tx.DeliverMax ?? null,
+      deliveredAmount: meta.delivered_amount ?? meta.DeliveredAmount ?? null,
+      invoiceId: tx.InvoiceID ? String(tx.InvoiceID).toUpperCase() : null,
+      destinationTag: tx.DestinationTag ?? null,
+    };
+  }
+
+  function enqueue(payment) {
+    if (!payment?.txid) return;
+    const c = client;
+    queue = queue
+      .then(() => onPayment(payment, { client: c }))
+      .catch((e) => console.error(`Ledger watcher: payment ${payment.txid} handler error:`, e?.message || e));
+  }
+
+  function onTransaction(ev) {
+    if (!ev?.validated) return;
+    const tx = ev.transaction || ev.tx_json || ev.tx;
+    enqueue(toPayment(tx && { ...tx, hash: tx.hash || ev.hash }, ev.meta, ev.ledger_index));
+  }
+
+  // 重連時補抓：fromLedger 之後（含）所有與 account 有關的交易
+  async function catchUp(c) {
+    const from = fromLedger();
+    if (!from) return;
+    let marker;
+    let count = 0;
+    do {
+      const resp = await c.request({
+        command: "account_tx",
+        account,
+        ledger_index_min: from,
+        ledger_index_max: -1,
+        forward: true,
+        limit: 200,
+        marker,
+      });
+      for (const item of resp.result?.transactions || []) {
+        if (!item.validated) continue;
+        const tx = item.tx || item.tx_json;
+        const p = toPayment(tx && { ...tx, hash: tx.hash || item.hash }, item.meta, tx?.ledger_index ?? item.ledger_index);
+        if (p) {
+          enqueue(p);
+          count++;
+        }
+      }
+      marker = resp.result?.marker;
+    } while (marker && !stopped);
+    if (count) console.log(`👀 Ledger watcher: caught up ${count} payment(s) since ledger ${from}`);
+  }
+
+  function scheduleReconnect() {
+    if (stopped || retryTimer) return;
+    const delay = Math.min(maxReconnectMs, reconnectMs * 2 ** Math.min(failures, 10));
+    failures++;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, delay);
+  }
+
+  async function connect() {
+    if (stopped) return;
+    const c = new xrpl.Client(endpoint);
+    client = c;
+    c.on("transaction", onTransaction);
+    c.on("disconnected", () => {
+      if (client === c) scheduleReconnect();
+    });
+    try {
+      await c.connect();
+      await c.request({ command: "subscribe", accounts: [account] });
+      failures = 0;
+      console.log(`👀 Ledger watcher subscribed to ${account}`);
+      await catchUp(c);
+    } catch (e) {
+      console.warn("⚠️ Ledger watcher connect failed:", e?.message || e);
+      c.removeAllListeners();
+      await c.disconnect().catch(() => {});
+      if (client === c) scheduleReconnect();
+    }
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    connect();
+  }
+
+  async function stop() {
+    stopped = true;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    const c = client;
+    client = null;
+    if (c) {
+      c.removeAllListeners();
+      await c.disconnect().catch(() => {});
+    }
+  }
+
+  return { start, stop };
+}
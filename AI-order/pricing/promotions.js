@@ -0,0 +1,192 @@
+// pricing/promotions.js
+import { PROMOTION_TYPE, getPromotion, listPromotions, normalizePromoCode, promotionLimitReason, promotionUsage } from "../store/promotionStore.js";
+import { addDecimal, compareDecimal, divideDecimal, multiplyDecimal, normalizeDecimal, subtractDecimal } from "../payments/amounts.js";
+
+/**
+ * 🏷️ 促銷計價：購物車 / 訂單品項 -> breakdown（/create-order 存進訂單，verifyPaymentTx 再核對一次）
+ *
+ * lines：[{ product_id, category_id, qty, unit_price }]（unit_price 為 PRICE_CURRENCY）
+ * breakdown = {
+ *   subtotal, discount, total,                 // 十進位字串
+ *   discounts: [{ promotion_id, code, name, name_zh, type, amount, line_indexes, wallet_limited }],
+ *   promo_code, promo_code_error,              // 顧客輸入的碼；無法使用時的原因（PROMO_EXPIRED ...）
+ *   wallet,                                    // 檢查每錢包次數用的錢包（未知時為 null，付款驗證時再檢查）
+ * }
+ *
+ * 套用順序：bogo -> percent -> fixed；每個促銷最多套用一次，折扣從品項剩餘金額扣，總額不會低於 0
+ * 折扣金額捨去到 decimals 位（店家不多折）
+ */
+const TYPE_ORDER = [PROMOTION_TYPE.BOGO, PROMOTION_TYPE.PERCENT, PROMOTION_TYPE.FIXED];
+
+function percentOf(amount, pct, decimals) {
+  return divideDecimal(multiplyDecimal(amount, String(pct)), "100", { decimals, rounding: "down" });
+}
+
+function minDecimal(a, b) {
+  return compareDecimal(a, b) <= 0 ? a : b;
+}
+
+function inScope(promo, line) {
+  const products = promo.product_ids || [];
+  const categories = promo.category_ids || [];
+  if (!products.length && !categories.length) return true;
+  return products.includes(Number(line.product_id)) || categories.includes(String(line.category_id));
+}
+
+// 可不可以用（不含「有沒有適用品項」）；回傳 null 或原因碼
+function ineligibleReason(promo, { subtotal, wallet, now, usage }) {
+  if (!promo.enabled) return "PROMO_DISABLED";
+  if (promo.starts_at && now < promo.starts_at) return "PROMO_NOT_STARTED";
+  if (promo.ends_at && now >= promo.ends_at) return "PROMO_EXPIRED";
+  if (promo.min_subtotal && compareDecimal(subtotal, String(promo.min_subtotal)) < 0) return "PROMO_MIN_SUBTOTAL";
+  if (promo.max_uses || (promo.max_uses_per_wallet && wallet)) {
+    const used = usage(promo, wallet);
+    if (promo.max_uses && used.total >= promo.max_uses) return "PROMO_USED_UP";
+    if (promo.max_uses_per_wallet && wallet && used.wallet >= promo.max_uses_per_wallet) return "PROMO_WALLET_LIMIT";
+  }
+  return null;
+}
+
+// 每買 buy_qty 件，接著 get_qty 件打折；同一組裡由較便宜的那幾件打折
+function bogoDiscounts(promo, lines, remaining, decimals) {
+  const units = [];
+  lines.forEach((l, i) => {
+    if (!inScope(promo, l)) return;
+    for (let k = 0; k < l.qty; k++) units.push({ index: i, price: normalizeDecimal(l.unit_price) });
+  });
+  units.sort((a, b) => compareDecimal(b.price, a.price));
+
+  const group = promo.buy_qty + promo.get_qty;
+  const perLine = new Map();
+  for (let g = 0; g + group <= units.length; g += group) {
+    for (const u of units.slice(g + promo.buy_qty, g + group)) {
+      perLine.set(u.index, addDecimal(perLine.get(u.index) || "0", percentOf(u.price, promo.value, decimals)));
+    }
+  }
+  return [...perLine].map(([index, amount]) => ({ index, amount: minDecimal(amount, remaining[index]) }));
+}
+
+function promotionDiscounts(promo, lines, remaining, decimals) {
+  if (promo.type === PROMOTION_TYPE.BOGO) return bogoDiscounts(promo, lines, remaining, decimals);
+
+  const eligible = lines.map((l, i) => i).filter((i) => inScope(promo, lines[i]) && compareDecimal(remaining[i], "0") > 0);
+  if (promo.type === PROMOTION_TYPE.PERCENT) {
+    return eligible.map((index) => ({ index, amount: percentOf(remaining[index], promo.value, decimals) }));
+  }
+
+  // fixed：依品項順序扣，直到折完或品項歸零
+  let left = normalizeDecimal(promo.value);
+  const out = [];
+  for (const index of eligible) {
+    if (compareDecimal(left, "0") <= 0) break;
+    const amount = minDecimal(left, remaining[index]);
+    out.push({ index, amount });
+    left = subtractDecimal(left, amount);
+  }
+  return out;
+}
+
+/**
+ * 純計算（不碰資料庫）；usage(promo, wallet) -> { total, wallet } 由呼叫端提供
+ */
+export function applyPromotions(lines, { promotions = [], code = null, wallet = null, now = Date.now(), usage = () => ({ total: 0, wallet: 0 }), decimals = 2 } = {}) {
+  const promoCode = normalizePromoCode(code);
+  const amounts = lines.map((l) => multiplyDecimal(normalizeDecimal(l.unit_price) || "0", String(l.qty || 1)));
+  const subtotal = amounts.reduce((s, a) => addDecimal(s, a), "0");
+  const remaining = amounts.slice();
+
+  let promoCodeError = null;
+  const codePromo = promoCode ? promotions.find((p) => p.code === promoCode) : null;
+  if (promoCode && !codePromo) promoCodeError = "PROMO_CODE_NOT_FOUND";
+
+  const candidates = promotions
+    .filter((p) => !p.code || p === codePromo)
+    .sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+
+  const discounts = [];
+  for (const promo of candidates) {
+    const reason = ineligibleReason(promo, { subtotal, wallet, now, usage });
+    if (reason) {
+      if (promo === codePromo) promoCodeError = reason;
+      continue;
+    }
+
+    const parts = promotionDiscounts(promo, lines, remaining, decimals).filter((d) => compareDecimal(d.amount, "0") > 0);
+    if (!parts.length) {
+      if (promo === codePromo) promoCodeError = "PROMO_NOT_APPLICABLE";
+      continue;
+    }
+    for (const d of parts) remaining[d.index] = subtractDecimal(remaining[d.index], d.amount);
+
+    discounts.push({
+      promotion_id: promo.id,
+      code: promo.code || null,
+      name: promo.name,
+      name_zh: promo.name_zh || null,
+      type: promo.type,
+      amount: parts.reduce((s, d) => addDecimal(s, d.amount), "0"),
+      line_indexes: parts.map((d) => d.index),
+      wallet_limited: !!promo.max_uses_per_wallet,
+    });
+  }
+
+  const discount = discounts.reduce((s, d) => addDecimal(s, d.amount), "0");
+  return {
+    subtotal,
+    discount,
+    total: subtractDecimal(subtotal, discount),
+    discounts,
+    promo_code: promoCode,
+    promo_code_error: promoCodeError,
+    wallet: wallet || null,
+  };
+}
+
+/**
+ * 用資料庫裡啟用中的促銷與使用次數計價（購物車預覽、/create-order 共用）
+ * excludeOrderId：重新計價既有訂單時不把它自己算進使用次數
+ */
+export function priceWithPromotions(lines, { code = null, wallet = null, excludeOrderId = null, now = Date.now(), decimals } = {}) {
+  return applyPromotions(lines, {
+    promotions: listPromotions({ includeDisabled: !!code }).filter((p) => p.enabled || p.code === normalizePromoCode(code)),
+    code,
+    wallet,
+    now,
+    usage: (promo, w) => promotionUsage(promo.id, { wallet: w, excludeOrderId }),
+    decimals,
+  });
+}
+
+/**
+ * verifyPaymentTx 的核對：訂單存的 breakdown 本身要一致、與鎖定的報價相符，
+ * 次數限制用真正付款的錢包、付款當下的使用次數再檢查一次（付款視窗過後才付的訂單不再佔名額）
+ * @returns {null | { reason, details }}
+ */
+export function checkPricing(pricing, { quote = null, wallet, orderId }) {
+  const discount = (pricing.discounts || []).reduce((s, d) => addDecimal(s, d.amount), "0");
+  const total = subtractDecimal(pricing.subtotal, discount);
+  if (compareDecimal(total, pricing.total) !== 0 || compareDecimal(total, "0") < 0 || (quote && compareDecimal(quote.base_total, total) !== 0)) {
+    return {
+      reason: "pricing_mismatch",
+      details: { subtotal: pricing.subtotal, discount, total: pricing.total, quoted: quote?.base_total ?? null },
+    };
+  }
+
+  for (const d of pricing.discounts || []) {
+    const promo = getPromotion(d.promotion_id);
+    const reason = promotionLimitReason(promo, { wallet, excludeOrderId: orderId });
+    if (!reason) continue;
+    const used = promotionUsage(promo.id, { wallet, excludeOrderId: orderId });
+    return {
+      reason: reason === "PROMO_USED_UP" ? "promotion_used_up" : "promotion_wallet_limit",
+      details: {
+        promotion_id: promo.id,
+        code: promo.code,
+        wallet,
+        used: reason === "PROMO_USED_UP" ? used.total : used.wallet,
+        limit: reason === "PROMO_USED_UP" ? promo.max_uses : promo.max_uses_per_wallet,
+      },
+    };
+  }
+  return null;
+}
@@ -0,0 +1,92 @@
+// pricing/rateProvider.js
+import { divideDecimal, normalizeDecimal, compareDecimal } from "../payments/amounts.js";
+
+/**
+ * 💱 匯率 provider：菜單價格以 baseCurrency（TWD / USD ...）計價，結帳時換算成付款資產（xrp / rlusd / mpt）
+ *
+ * source 介面：{ name, getRate(asset) -> Promise<{ rate, at? } | null> }
+ *   rate = 1 單位資產值多少 baseCurrency（例如 1 XRP = 0.52 USD），十進位字串
+ *   回傳 null 代表這個 source 沒有該資產的匯率，換下一個
+ *
+ * 依 order 逐一嘗試（例如 admin -> static -> feed），第一個有匯率的 source 勝出；丟錯也換下一個
+ * rounding：每個資產 { mode: up / down / nearest, decimals }，報價預設無條件進位（店家不少收）
+ */
+export function createRateProvider({ sources = [], order = [], baseCurrency, rounding = {} }) {
+  const byName = new Map(sources.map((s) => [s.name, s]));
+  const chain = order.map((n) => byName.get(n)).filter(Boolean);
+  if (!chain.length) throw new Error(`No rate source available (order: ${order.join(",") || "-"})`);
+
+  async function getRate(asset) {
+    const tried = [];
+    for (const source of chain) {
+      try {
+        const r = await source.getRate(asset);
+        const rate = normalizeDecimal(r?.rate);
+        if (rate && compareDecimal(rate, "0") > 0) return { rate, source: source.name, at: r.at || Date.now() };
+        tried.push({ source: source.name, error: "no rate" });
+      } catch (err) {
+        console.warn(`⚠️ Rate source "${source.name}" failed for ${asset}:`, err?.message || err);
+        tried.push({ source: source.name, error: err?.message || String(err) });
+      }
+    }
+    const err = new Error(`No ${baseCurrency} rate for ${asset} (${tried.map((t) => `${t.source}: ${t.error}`).join("; ")})`);
+    err.code = "RATE_UNAVAILABLE";
+    err.detail = { asset, tried };
+    throw err;
+  }
+
+  function roundingFor(asset) {
+    return { mode: "up", decimals: 6, ...(rounding[asset] || {}) };
+  }
+
+  /**
+   * baseTotal（菜單總額）-> 要付的資產數量；整份報價（含匯率快照）存進訂單
+   */
+  async function quote(baseTotal, asset) {
+    const r = await getRate(asset);
+    const round = roundingFor(asset);
+    const amount = divideDecimal(normalizeDecimal(baseTotal), r.rate, { decimals: round.decimals, rounding: round.mode });
+    if (!amount || compareDecimal(amount, "0") <= 0) {
+      const err = new Error(`Quote for ${baseTotal} ${baseCurrency} in ${asset} rounds to zero`);
+      err.code = "INVALID_QUOTE";
+      throw err;
+    }
+    return {
+      base_currency: baseCurrency,
+      base_total: normalizeDecimal(baseTotal),
+      asset,
+      rate: r.rate,
+      rate_source: r.source,
+      rate_at: r.at,
+      rounding: `${round.mode}:${round.decimals}`,
+      amount,
+      quoted_at: Date.now(),
+    };
+  }
+
+  return { order: chain.map((s) => s.name), baseCurrency, getRate, quote, roundingFor };
+}
+
+/**
+ * "xrp=up:2,mpt=up:0" -> { xrp: { mode: "up", decimals: 2 }, mpt: { mode: "up", decimals: 0 } }
+ */
+export function parseRounding(spec = "") {
+  const out = {};
+  for (const part of String(spec).split(",")) {
+    const m = part.trim().match(/^(\w+)\s*=\s*(up|down|nearest)\s*:\s*(\d+)$/i);
+    if (m) out[m[1].toLowerCase()] = { mode: m[2].toLowerCase(), decimals: Number(m[3]) };
+  }
+  return out;
+}
+
+/**
+ * "xrp=0.52,rlusd=1" -> { xrp: "0.52", rlusd: "1" }
+ */
+export function parseRates(spec = "") {
+  const out = {};
+  for (const part of String(spec).split(",")) {
+    const [k, v] = part.split("=").map((s) => s?.trim());
+    if (k && normalizeDecimal(v)) out[k.toLowerCase()] = normalizeDecimal(v);
+  }
+  return out;
+}
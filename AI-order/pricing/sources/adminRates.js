@@ -0,0 +1,17 @@
+// pricing/sources/adminRates.js
+import { getAdminRate } from "../../store/rateStore.js";
+
+/**
+ * 🧑‍💼 店員在 /api/admin/rates 手動設定的匯率（存在 SQLite，重啟後仍有效）
+ * 只採用與目前 baseCurrency 相同的紀錄（改了 PRICE_CURRENCY 後舊匯率自動失效）
+ */
+export function createAdminRates({ baseCurrency }) {
+  return {
+    name: "admin",
+    async getRate(asset) {
+      const r = getAdminRate(asset);
+      if (!r || r.baseCurrency !== baseCurrency) return null;
+      return { rate: r.rate, at: r.updatedAt };
+    },
+  };
+}
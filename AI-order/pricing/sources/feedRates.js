@@ -0,0 +1,52 @@
+// pricing/sources/feedRates.js
+
+/**
+ * 📡 外部匯率 feed（可抽換）：fetchRates() -> { base, rates: { xrp, rlusd, mpt }, at? }
+ *   - RATE_FEED_URL 設定時由 server 用 HTTP 取得同樣格式的 JSON
+ *   - 沒設定時用 stubFeed（本地固定值，開發 / 測試網用）
+ *
+ * 結果快取 ttlMs；超過 maxAgeMs 的資料不用（feed 掛了就交給 chain 裡的下一個 source）
+ */
+export function createFeedRates({ fetchRates, baseCurrency, ttlMs = 60 * 1000, maxAgeMs = 10 * 60 * 1000 }) {
+  let cache = null; // { rates, at, fetchedAt }
+  let inflight = null;
+
+  async function load() {
+    if (cache && Date.now() - cache.fetchedAt < ttlMs) return cache;
+    if (!inflight) {
+      inflight = Promise.resolve()
+        .then(fetchRates)
+        .then((data) => {
+          if (String(data?.base || "").toUpperCase() !== baseCurrency) {
+            throw new Error(`Feed base ${data?.base || "-"} does not match ${baseCurrency}`);
+          }
+          const rates = Object.fromEntries(Object.entries(data.rates || {}).map(([k, v]) => [k.toLowerCase(), String(v)]));
+          cache = { rates, at: Number(data.at) || Date.now(), fetchedAt: Date.now() };
+          return cache;
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    }
+    return inflight;
+  }
+
+  return {
+    name: "feed",
+    async getRate(asset) {
+      const c = await load();
+      if (Date.now() - c.at > maxAgeMs) throw new Error(`Feed rates are stale (${Math.round((Date.now() - c.at) / 1000)} s old)`);
+      return c.rates[asset] ? { rate: c.rates[asset], at: c.at } : null;
+    },
+  };
+}
+
+// 本地 stub：固定的示範匯率（1 單位資產 = ? baseCurrency），不連網
+const STUB_RATES = {
+  USD: { xrp: "0.5", rlusd: "1", mpt: "0.1" },
+  TWD: { xrp: "16", rlusd: "32", mpt: "3.2" },
+};
+
+export function stubFeed(baseCurrency) {
+  return async () => ({ base: baseCurrency, rates: STUB_RATES[baseCurrency] || {}, at: Date.now() });
+}
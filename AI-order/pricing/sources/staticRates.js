@@ -0,0 +1,15 @@
+// pricing/sources/staticRates.js
+
+/**
+ * 📌 設定檔裡的固定匯率（STATIC_RATES=xrp=0.52,rlusd=1,mpt=0.1）
+ */
+export function createStaticRates({ rates = {} } = {}) {
+  const at = Date.now();
+  return {
+    name: "static",
+    async getRate(asset) {
+      return rates[asset] ? { rate: rates[asset], at } : null;
+    },
+    rates: () => ({ ...rates }),
+  };
+}
@@ -0,0 +1,274 @@
+// receipts/receipt.js
+import { ORDER_STATUS, getOrderEvents, listPaymentClaims } from "../store/orderStore.js";
+import { REFUND_STATUS, listRefunds } from "../store/refundStore.js";
+import { modifierLabel } from "../store/catalogStore.js";
+import { multiplyDecimal, normalizeDecimal } from "../payments/amounts.js";
+
+/**
+ * 🧾 訂單收據：/orders/:id/receipt 回傳 JSON 或可列印的 HTML
+ * 內容：訂單編號、品項（含客製化選項）、促銷折扣、付款方式、代幣金額與菜單幣別金額（建單時鎖定的報價）、
+ *      付款 txid（含 explorer 連結，補款也列出）、已鑄造的 NFT ID、店家資訊、退款 / 找零
+ *
+ * 只有收到付款的訂單才有收據（created / expired 沒有）
+ */
+export const RECEIPT_STATUSES = [
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.UNDERPAID,
+  ORDER_STATUS.OVERPAID,
+  ORDER_STATUS.MINTING,
+  ORDER_STATUS.COMPLETED,
+  ORDER_STATUS.PARTIAL,
+  ORDER_STATUS.FAILED,
+];
+
+const PAYMENT_LABELS = { xrp: "XRP", rlusd: "RLUSD", mpt: "MPT" };
+const PAID_STATUSES = new Set([ORDER_STATUS.PAID, ORDER_STATUS.UNDERPAID, ORDER_STATUS.OVERPAID]);
+
+// 櫃台叫號用當天的 order_number（付清時才有）；舊訂單沒有時用 order id 開頭當客服查詢的短編號
+export function orderNumber(order) {
+  if (order.orderNumber != null) return String(order.orderNumber);
+  return order.id.replace(/-/g, "").slice(0, 8).toUpperCase();
+}
+
+/**
+ * @param {object} order - orderStore 的訂單
+ * @param {object} opts
+ * @param {object} opts.store - { name, info, address }（address = STORE_ADDRESS）
+ * @param {string} opts.explorerUrl - 例如 https://testnet.xrpl.org
+ * @param {string} [opts.lang] - en / zh（品項名稱與選項）
+ */
+export function buildReceipt(order, { store, explorerUrl, lang = "en" }) {
+  const quote = order.quote || null;
+  const pricing = order.pricing || null;
+  const asset = order.paymentMethod || "mpt";
+  const paidEvent = getOrderEvents(order.id).find((e) => PAID_STATUSES.has(e.to_status));
+  const txUrl = (txid) => (explorerUrl ? `${explorerUrl}/transactions/${txid}` : null);
+
+  const items = (order.items || []).map((it) => {
+    const unitPrice = normalizeDecimal(it.unit_price);
+    return {
+      product_id: it.product_id,
+      name: lang === "zh" ? it.name_zh || it.name : it.name,
+      modifiers: (it.modifiers || []).map((m) => ({
+        group: lang === "zh" ? m.group_name_zh || m.group_name || m.group : m.group_name || m.group,
+        option: lang === "zh" ? m.name_zh || m.name : m.name,
+        price_delta: m.price_delta || 0,
+      })),
+      modifier_label: modifierLabel(it.modifiers || [], lang) || null,
+      qty: it.qty || 1,
+      unit_price: unitPrice,
+      line_total: multiplyDecimal(unitPrice, String(it.qty || 1)),
+    };
+  });
+
+  // 第一筆付款以 order.txid 為準，其餘為補款
+  const claims = listPaymentClaims(order.id);
+  const txids = [...new Set([order.txid, ...claims.map((c) => c.txid)].filter(Boolean))];
+
+  const nfts = (order.result?.nfts || order.mint?.nfts || [])
+    .filter((n) => n.nftId)
+    .map((n) => ({ name: n.name, nft_id: n.nftId, explorer_url: explorerUrl ? `${explorerUrl}/nft/${n.nftId}` : null }));
+
+  const refunds = listRefunds({ orderId: order.id })
+    .filter((r) => r.status !== REFUND_STATUS.FAILED)
+    .map((r) => ({
+      kind: r.kind,
+      value: r.value,
+      status: r.status,
+      txid: r.txid,
+      explorer_url: r.txid ? txUrl(r.txid) : null,
+    }));
+
+  return {
+    order_id: order.id,
+    order_number: orderNumber(order),
+    business_date: order.businessDate || null,
+    status: order.status,
+    created_at: order.createdAt,
+    paid_at: paidEvent?.created_at || null,
+    store: {
+      name: store.name,
+      info: store.info || null,
+      xrpl_address: store.address,
+    },
+    items,
+    currency: quote?.base_currency || null,
+    subtotal: pricing?.subtotal ?? quote?.base_total ?? null,
+    discounts: (pricing?.discounts || []).map((d) => ({
+      promotion_id: d.promotion_id,
+      code: d.code,
+      name: lang === "zh" ? d.name_zh || d.name : d.name,
+      amount: d.amount,
+    })),
+    total: quote?.base_total || null,
+    payment: {
+      method: asset,
+      asset: PAYMENT_LABELS[asset] || asset.toUpperCase(),
+      amount: normalizeDecimal(order.total),
+      paid: order.amountPaid || normalizeDecimal(order.total),
+      fiat: quote ? { currency: quote.base_currency, amount: quote.base_total, rate: quote.rate, rate_at: quote.rate_at } : null,
+      buyer: order.buyer,
+      transactions: txids.map((txid, i) => ({ txid, kind: i === 0 ? "payment" : "top_up", explorer_url: txUrl(txid) })),
+    },
+    nfts,
+    refunds,
+  };
+}
+
+const LABELS = {
+  en: {
+    title: "Receipt",
+    order: "Order",
+    date: "Date",
+    paidAt: "Paid",
+    item: "Item",
+    qty: "Qty",
+    amount: "Amount",
+    subtotal: "Subtotal",
+    total: "Total",
+    discount: "Discount",
+    payment: "Payment",
+    paid: "Paid",
+    rate: "Rate",
+    buyer: "Buyer",
+    payment_tx: "Payment tx",
+    top_up_tx: "Top-up tx",
+    nfts: "NFTs",
+    refunds: "Refunds",
+    refund: "Refund",
+    change: "Change",
+    print: "Print",
+    storeWallet: "Store wallet",
+  },
+  zh: {
+    title: "收據",
+    order: "訂單編號",
+    date: "日期",
+    paidAt: "付款時間",
+    item: "品項",
+    qty: "數量",
+    amount: "金額",
+    subtotal: "小計",
+    total: "總計",
+    discount: "折扣",
+    payment: "付款方式",
+    paid: "實收",
+    rate: "匯率",
+    buyer: "付款錢包",
+    payment_tx: "付款交易",
+    top_up_tx: "補款交易",
+    nfts: "NFT",
+    refunds: "退款",
+    refund: "退款",
+    change: "找零",
+    print: "列印",
+    storeWallet: "店家錢包",
+  },
+};
+
+function esc(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function link(url, text) {
+  return url ? `<a href="${esc(url)}" target="_blank" rel="noopener">${esc(text)}</a>` : esc(text);
+}
+
+/**
+ * 可列印的 HTML（單一頁面、inline CSS，kiosk 直接 window.print()）
+ */
+export function renderReceiptHtml(r, { lang = "en" } = {}) {
+  const L = LABELS[lang] || LABELS.en;
+  const locale = lang === "zh" ? "zh-TW" : "en-US";
+  const time = (ts) => (ts ? new Date(ts).toLocaleString(locale) : "");
+  const money = (v) => {
+    if (v == null) return "";
+    if (!r.currency) return esc(v);
+    try {
+      return esc(new Intl.NumberFormat(locale, { style: "currency", currency: r.currency }).format(Number(v)));
+    } catch {
+      return `${esc(v)} ${esc(r.currency)}`;
+    }
+  };
+  const short = (id) => (id.length > 20 ? `${id.slice(0, 10)}…${id.slice(-8)}` : id);
+
+  const rows = r.items
+    .map(
+      (it) => `
+      <tr>
+        <td>${esc(it.name)}${it.modifier_label ? `<div class="mod">${esc(it.modifier_label)}</div>` : ""}</td>
+        <td class="num">${it.qty}</td>
+        <td class="num">${money(it.line_total)}</td>
+      </tr>`
+    )
+    .join("");
+
+  const discounts = r.discounts.length
+    ? `<tr class="sub"><td>${L.subtotal}</td><td></td><td class="num">${money(r.subtotal)}</td></tr>${r.discounts
+        .map((d) => `<tr><td>${L.discount}: ${esc(d.name)}${d.code ? ` <code>${esc(d.code)}</code>` : ""}</td><td></td><td class="num">-${money(d.amount)}</td></tr>`)
+        .join("")}`
+    : "";
+
+  const txs = r.payment.transactions
+    .map((t) => `<div class="kv"><span>${L[`${t.kind}_tx`]}</span><code>${link(t.explorer_url, short(t.txid))}</code></div>`)
+    .join("");
+
+  const nfts = r.nfts.length
+    ? `<h3>${L.nfts}</h3>${r.nfts.map((n) => `<div class="kv"><span>${esc(n.name)}</span><code>${link(n.explorer_url, short(n.nft_id))}</code></div>`).join("")}`
+    : "";
+
+  const refunds = r.refunds.length
+    ? `<h3>${L.refunds}</h3>${r.refunds
+        .map((f) => `<div class="kv"><span>${L[f.kind] || L.refund} (${esc(f.status)})</span><span>${esc(f.value)} ${esc(r.payment.asset)}${f.txid ? ` · <code>${link(f.explorer_url, short(f.txid))}</code>` : ""}</span></div>`)
+        .join("")}`
+    : "";
+
+  return `<!doctype html>
+<html lang="${lang === "zh" ? "zh-Hant" : "en"}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${L.title} ${esc(r.order_number)} · ${esc(r.store.name)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", "Noto Sans TC", sans-serif; max-width: 380px; margin: 16px auto; padding: 0 12px; color: #222; }
+  h1 { font-size: 20px; text-align: center; margin: 0; }
+  h2 { font-size: 15px; text-align: center; margin: 4px 0 12px; font-weight: normal; }
+  h3 { font-size: 14px; margin: 14px 0 4px; border-bottom: 1px dashed #999; }
+  .store { text-align: center; font-size: 12px; color: #555; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; margin-top: 8px; }
+  th, td { padding: 4px 0; text-align: left; vertical-align: top; }
+  th { border-bottom: 1px solid #222; font-size: 12px; }
+  .num { text-align: right; white-space: nowrap; }
+  .mod { font-size: 12px; color: #666; }
+  .sub td { border-top: 1px dashed #999; }
+  .total td { border-top: 1px solid #222; font-weight: bold; }
+  .kv { display: flex; justify-content: space-between; gap: 8px; font-size: 13px; margin: 2px 0; }
+  code { font-size: 12px; word-break: break-all; }
+  .actions { text-align: center; margin: 16px 0; }
+  @media print { .actions { display: none; } a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+  <h1>${esc(r.store.name)}</h1>
+  <div class="store">${r.store.info ? `${esc(r.store.info)}<br>` : ""}${L.storeWallet}: <code>${esc(r.store.xrpl_address)}</code></div>
+  <h2>${L.title} · ${L.order} #${esc(r.order_number)}</h2>
+  <div class="kv"><span>${L.date}</span><span>${time(r.created_at)}</span></div>
+  ${r.paid_at ? `<div class="kv"><span>${L.paidAt}</span><span>${time(r.paid_at)}</span></div>` : ""}
+  <table>
+    <tr><th>${L.item}</th><th class="num">${L.qty}</th><th class="num">${L.amount}</th></tr>
+    ${rows}
+    ${discounts}
+    <tr class="total"><td>${L.total}</td><td></td><td class="num">${r.total != null ? money(r.total) : `${esc(r.payment.amount)} ${esc(r.payment.asset)}`}</td></tr>
+  </table>
+  <h3>${L.payment}</h3>
+  <div class="kv"><span>${esc(r.payment.asset)}</span><b>${esc(r.payment.amount)} ${esc(r.payment.asset)}</b></div>
+  ${r.payment.paid !== r.payment.amount ? `<div class="kv"><span>${L.paid}</span><span>${esc(r.payment.paid)} ${esc(r.payment.asset)}</span></div>` : ""}
+  ${r.payment.fiat ? `<div class="kv"><span>${L.rate}</span><span>1 ${esc(r.payment.asset)} = ${esc(r.payment.fiat.rate)} ${esc(r.payment.fiat.currency)}</span></div>` : ""}
+  ${r.payment.buyer ? `<div class="kv"><span>${L.buyer}</span><code>${esc(r.payment.buyer)}</code></div>` : ""}
+  ${txs}
+  ${nfts}
+  ${refunds}
+  <div class="actions"><button onclick="window.print()">🖨️ ${L.print}</button></div>
+</body>
+</html>`;
+}
@@ -1,10 +1,27 @@
 // ✅ server.js - Plan A (no explicit login) + MPT / XRP / RLUSD Payment + RLUSD TrustLine Check + NFT Mint/Offer
 // - /create-order: idempotent create Payment payload directly (no login)
-// - /buy/status: strict tx verification + mint/offer + cache result
+// - Payment poller: strict tx verification, then enqueue a persistent fulfill_order job
+// - Fulfillment worker (fulfillment/): per-voucher pin/mint/offer/claim steps (NFT_GRANULARITY: cup / line / order), exponential retry, dead-letter
+// - /buy/status: read-only view of order + job progress, per-item outcomes
+// - /buy/stream: SSE push of the same view on every stage change (fulfillment/orderEvents.js); Xaman payload
+//   subscription resolves signatures immediately, the payment poller is only the fallback
+// - /webhooks/xumm: signed Xumm webhook (../shared/xummWebhook.cjs) records the payload and runs the same payment check
+// - Ledger watcher (payments/ledgerWatcher.js): subscribe on STORE_ADDRESS, match incoming Payments to orders by
+//   InvoiceID / DestinationTag (paid from any wallet), unmatched ones listed for staff (/api/admin/payments)
+// - Refunds (fulfillment/refund.js): undelivered items paid back from STORE_ADDRESS, by admin or REFUND_POLICY=auto
+// - Wrong amounts: underpaid orders get a top-up payload (/buy/topup), the excess of overpaid ones goes back as change
 // - /rlusd/trustline: create TrustSet payload for STORE wallet to scan/sign in Xaman
 // - /rlusd/trustline/status: check if STORE_ADDRESS already has RLUSD trust line
-// - Do NOT delete order immediately; mark completed + TTL sweep cleanup
-// - Keep AI ordering + IPFS/Pinata fallback + local meta proxy
+// - Orders persisted in SQLite (store/orderStore.js); TTL sweep archives instead of deleting
+// - Keep AI ordering + local meta proxy
+// - NFT images / metadata go through ipfs/ipfsStorage.js: Pinata, a Kubo node or a local content-addressed store
+//   (IPFS_PROVIDER, with fallback); /ipfs/:cid serves stored content to the kiosk and the locker
+// - /api/menu: server-owned catalog (store/catalogStore.js) + /api/admin/menu CRUD
+// - /ai-order: multi-turn chat sessions (store/chatSessionStore.js) keep history + cart server-side
+// - /ai-order: pluggable intent parser (ai/intentParser.js): OpenAI with offline local fallback
+// - Menu prices in PRICE_CURRENCY (e.g. TWD / USD); pricing/rateProvider.js converts the total to XRP / RLUSD / MPT
+//   at /create-order and the quote (amount + rate snapshot) is locked into the order
+// - /orders/:id/receipt: printable HTML / JSON receipt (receipts/receipt.js) linked from the kiosk success message
 
 import dotenv from "dotenv";
 import express from "express";
@@ -14,6 +31,129 @@ import OpenAI from "openai";
 import fs from "fs";
 import path from "path";
 import axios from "axios";
+import {
+  ORDER_STATUS,
+  createOrder,
+  getOrder,
+  getOrderByPayload,
+  getOrderByInvoiceId,
+  claimPaymentTx,
+  getOpenOrderByDestinationTag,
+  newOrderRef,
+  listOrdersByStatus,
+  listOverpaidOrders,
+  isTxProcessed,
+  bindPayment,
+  getPaymentClaim,
+  setAmountPaid,
+  saveTopUp,
+  transitionOrder,
+  archiveStaleOrders,
+  assignOrderNumber,
+  moveKitchenStatus,
+  listKitchenOrders,
+} from "./store/orderStore.js";
+import { JOB_STATUS, enqueueJob, getJob, getJobByRef, listJobs, requeueJob } from "./store/jobStore.js";
+import {
+  REFUND_KIND,
+  REFUND_STATUS,
+  createRefund,
+  getRefund,
+  listRefunds,
+  reopenRefund,
+  activeRefundTotals,
+  activeChangeTotal,
+} from "./store/refundStore.js";
+import {
+  getMenu,
+  getItem,
+  listItems,
+  listCategories,
+  upsertCategory,
+  createItem,
+  updateItem,
+  setItemEnabled,
+  reorderItems,
+  reorderCategories,
+  priceLine,
+  resolveModifiers,
+  modifierLabel,
+  listModifierGroups,
+  upsertModifierGroup,
+  setItemModifierGroups,
+} from "./store/catalogStore.js";
+import {
+  getSession,
+  getOrCreateSession,
+  saveSession,
+  purgeIdleSessions,
+} from "./store/chatSessionStore.js";
+import {
+  emptyCart,
+  CART_ACTIONS,
+  applyCartActions,
+  serializeCart,
+  describeCart,
+} from "./chat/cart.js";
+import { createIntentParser } from "./ai/intentParser.js";
+import { createOpenAiParser } from "./ai/parsers/openaiParser.js";
+import { createLocalParser } from "./ai/parsers/localParser.js";
+import { matchCatalogProduct } from "./ai/catalogMatch.js";
+import { createJobWorker } from "./fulfillment/worker.js";
+import { createIpfsStorage } from "./ipfs/ipfsStorage.js";
+import { createPinataBackend } from "./ipfs/backends/pinataBackend.js";
+import { createKuboBackend } from "./ipfs/backends/kuboBackend.js";
+import { createFsBackend } from "./ipfs/backends/fsBackend.js";
+import { isCid } from "./ipfs/cid.js";
+import {
+  FULFILL_ORDER_JOB,
+  UNIT_STEPS,
+  NFT_GRANULARITY,
+  createFulfillOrderHandler,
+  buildFulfillState,
+  voucherItems,
+} from "./fulfillment/fulfillOrder.js";
+import { emitOrderStage, onOrderStage, emitKitchenUpdate, onKitchenUpdate } from "./fulfillment/orderEvents.js";
+import { REFUND_JOB, createRefundHandler, planRefund, refundCap, unitOutcomes } from "./fulfillment/refund.js";
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyXummWebhook,
+  parseXummWebhook,
+  keepRawBody,
+} from "../shared/xummWebhook.cjs";
+import { recordWebhook, markWebhookProcessed, listWebhooks } from "./store/webhookStore.js";
+import {
+  INCOMING_STATUS,
+  getIncomingPayment,
+  recordIncomingPayment,
+  listIncomingPayments,
+  resolveIncomingPayment,
+  lastSeenLedger,
+  recordVerification,
+  listVerifications,
+} from "./store/paymentStore.js";
+import { createLedgerWatcher } from "./payments/ledgerWatcher.js";
+import { createRateProvider, parseRates, parseRounding } from "./pricing/rateProvider.js";
+import { createStaticRates } from "./pricing/sources/staticRates.js";
+import { createAdminRates } from "./pricing/sources/adminRates.js";
+import { createFeedRates, stubFeed } from "./pricing/sources/feedRates.js";
+import { listAdminRates, setAdminRate, deleteAdminRate } from "./store/rateStore.js";
+import { getPinnedImage, recordPinnedImage, listPinnedImages, forgetPinnedImage, recordPinnedCid, isPinnedCid } from "./store/ipfsImageStore.js";
+import { RECEIPT_STATUSES, buildReceipt, renderReceiptHtml, orderNumber } from "./receipts/receipt.js";
+import { VOUCHER_TEMPLATES, DEFAULT_VOUCHER_TEMPLATE, renderVoucherSvg } from "./artwork/voucherArt.js";
+import { createTaxonScheme } from "../shared/nftTaxon.cjs";
+import { kitchenOrderView, renderKitchenHtml } from "./kitchen/kitchenDisplay.js";
+import { priceWithPromotions, checkPricing } from "./pricing/promotions.js";
+import {
+  listPromotions,
+  upsertPromotion,
+  setPromotionEnabled,
+  recordRedemptions,
+  bindRedemptionWallet,
+  listRedemptions,
+} from "./store/promotionStore.js";
+import { compareDecimal, normalizeDecimal, addDecimal, subtractDecimal } from "./payments/amounts.js";
 
 dotenv.config();
 const require = createRequire(import.meta.url);
@@ -21,7 +161,7 @@ const xrpl = require("xrpl");
 
 const app = express();
 app.use(express.static("public"));
-app.use(express.json());
+app.use(express.json({ verify: keepRawBody }));
 
 // ===== Utils (put before config if config depends on them) =====
 function safeUpper(s) {
@@ -67,21 +207,16 @@ function stableStringify(obj) {
   return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(obj[k])}`).join(",")}}`;
 }
 
-function getPinataAuthHeader(raw = process.env.PINATA_JWT || "") {
-  const v = (raw || "").toString().trim();
-  if (!v) throw new Error("Missing PINATA_JWT");
-  return v.toLowerCase().startsWith("bearer ") ? v : `Bearer ${v}`;
-}
-
 // ===== Config =====
 const BASE_URL = (process.env.BASE_URL || "").trim().replace(/\/+$/, "") || "http://localhost:3000";
 const XRPL_ENDPOINT = process.env.XRPL_ENDPOINT || "wss://s.altnet.rippletest.net:51233";
 
 const XUMM_API_KEY = process.env.XUMM_API_KEY;
 const XUMM_API_SECRET = process.env.XUMM_API_SECRET;
+const XUMM_WEBHOOK_SECRET = (process.env.XUMM_WEBHOOK_SECRET || XUMM_API_SECRET || "").trim(); // HMAC key of /webhooks/xumm
 
 const STORE_ADDRESS = (process.env.STORE_ADDRESS || "").trim();
-const STORE_SECRET = (process.env.STORE_SECRET || "").trim(); // optional, only if you later want backend auto TrustSet
+const STORE_SECRET = (process.env.STORE_SECRET || "").trim(); // optional: backend auto TrustSet + refunds
 const ISSUER_SECRET = (process.env.ISSUER_SECRET || "").trim();
 const KFD_MPT_ISSUANCE_ID = (process.env.KFD_MPT_ISSUANCE_ID || "").trim().toUpperCase();
 
@@ -93,6 +228,91 @@ const ORDER_TTL_MS = Number(process.env.ORDER_TTL_MS || 10 * 60 * 1000); // defa
 const SWEEP_INTERVAL_MS = Number(process.env.SWEEP_INTERVAL_MS || 60 * 1000); // default 60 sec
 const CREATE_ORDER_CACHE_MS = Number(process.env.CREATE_ORDER_CACHE_MS || 60 * 1000); // 1 min
 const TRUSTLINE_CACHE_MS = Number(process.env.TRUSTLINE_CACHE_MS || 30 * 1000); // 30 sec
+const CHAT_SESSION_TTL_MS = Number(process.env.CHAT_SESSION_TTL_MS || 2 * 60 * 60 * 1000); // idle 2 hours
+const CHAT_HISTORY_TURNS = Number(process.env.CHAT_HISTORY_TURNS || 8); // user+assistant pairs sent to the model
+
+// Intent parser order, e.g. "openai,local" (failover) / "local" (offline only) / "openai"
+const INTENT_PARSER = (process.env.INTENT_PARSER || "openai,local")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const INTENT_PARSER_TIMEOUT_MS = Number(process.env.INTENT_PARSER_TIMEOUT_MS || 8000);
+const INTENT_PARSER_COOLDOWN_MS = Number(process.env.INTENT_PARSER_COOLDOWN_MS || 30 * 1000); // skip a failed backend this long
+
+// Payment detection + fulfillment job queue
+const PAYMENT_POLL_MS = Number(process.env.PAYMENT_POLL_MS || 10 * 1000); // fallback when the Xaman subscription is lost (restart / network)
+const JOB_POLL_MS = Number(process.env.JOB_POLL_MS || 2000);
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 6); // then dead-letter
+const JOB_RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 5000); // 5s, 10s, 20s, ...
+const JOB_RETRY_MAX_MS = Number(process.env.JOB_RETRY_MAX_MS || 5 * 60 * 1000);
+// NFT vouchers per order: "unit" = one per cup, "line" = one per line item (with a quantity), "order" = one for the whole order
+const NFT_GRANULARITY_SETTING = (process.env.NFT_GRANULARITY || NFT_GRANULARITY.UNIT).trim().toLowerCase();
+// Vouchers are redeemable this many hours after payment unless the menu item sets voucher_validity_hours (0 = never expire)
+const VOUCHER_VALIDITY_HOURS = Number(process.env.VOUCHER_VALIDITY_HOURS || 24);
+// NFT image: "svg" renders a card per voucher (product, options, order number, pickup window, status QR); "off" uses the product image
+const VOUCHER_ART = (process.env.VOUCHER_ART || "svg").trim().toLowerCase();
+// Card colours for categories without their own voucher_template
+const VOUCHER_TEMPLATE = (process.env.VOUCHER_TEMPLATE || DEFAULT_VOUCHER_TEMPLATE).trim().toLowerCase();
+
+// Ledger watcher on STORE_ADDRESS ("off" to rely on Xaman payloads only)
+const LEDGER_WATCHER = (process.env.LEDGER_WATCHER || "on").trim().toLowerCase() !== "off";
+// Give every order its own DestinationTag (for wallets that cannot set InvoiceID); InvoiceID is always set
+const ORDER_DESTINATION_TAGS = ["1", "true", "on"].includes((process.env.ORDER_DESTINATION_TAGS || "").trim().toLowerCase());
+
+// "auto": refund undelivered items as soon as fulfillment is dead-lettered; "manual": staff use /api/admin/orders/:id/refunds
+const REFUND_POLICY = (process.env.REFUND_POLICY || "manual").trim().toLowerCase();
+// "auto": return the excess of an overpaid order right away; "manual": staff approve it with /api/admin/orders/:id/change
+const OVERPAYMENT_POLICY = (process.env.OVERPAYMENT_POLICY || "manual").trim().toLowerCase();
+
+// Menu prices are in PRICE_CURRENCY; /create-order quotes the total in the payment asset
+const PRICE_CURRENCY = (process.env.PRICE_CURRENCY || "USD").trim().toUpperCase();
+// Rate source order, e.g. "admin,static" / "admin,feed,static" / "feed"
+const RATE_PROVIDER = (process.env.RATE_PROVIDER || "admin,static")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+// Price of 1 unit of each asset in PRICE_CURRENCY, e.g. "xrp=0.52,rlusd=1,mpt=0.1"
+const STATIC_RATES = parseRates(process.env.STATIC_RATES || "");
+// Per-asset rounding of quoted amounts (up = the store never gets less); MPT values are integers
+const RATE_ROUNDING = parseRounding(process.env.RATE_ROUNDING || "xrp=up:2,rlusd=up:2,mpt=up:0");
+const RATE_FEED_URL = (process.env.RATE_FEED_URL || "").trim(); // JSON { base, rates: { xrp, rlusd, mpt }, at? }; unset -> local stub
+const RATE_FEED_TTL_MS = Number(process.env.RATE_FEED_TTL_MS || 60 * 1000);
+const RATE_FEED_MAX_AGE_MS = Number(process.env.RATE_FEED_MAX_AGE_MS || 10 * 60 * 1000); // older feed rates are not used
+
+// Receipts (/orders/:id/receipt)
+const STORE_NAME = (process.env.STORE_NAME || "AI Cafe").trim();
+const STORE_INFO = (process.env.STORE_INFO || "").trim(); // address / phone / tax id line
+// Written into NFT metadata; a locker with the same STORE_ID only accepts this store's vouchers
+const STORE_ID = (process.env.STORE_ID || STORE_NAME.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "store").trim();
+// NFTokenTaxon = store code * 65536 + category code (shared/nftTaxon.cjs); the Smart Locker filters / groups by it
+const NFT_STORE_CODE = (process.env.NFT_STORE_CODE || "").trim(); // 0..65535, default: derived from STORE_ID
+const NFT_CATEGORY_TAXONS = (process.env.NFT_CATEGORY_TAXONS || "coffee=1,dessert=2").trim();
+// tx / NFT links; defaults to the explorer of the network in XRPL_ENDPOINT
+const XRPL_EXPLORER_URL = (
+  process.env.XRPL_EXPLORER_URL ||
+  (/altnet|testnet/.test(XRPL_ENDPOINT) ? "https://testnet.xrpl.org" : /devnet/.test(XRPL_ENDPOINT) ? "https://devnet.xrpl.org" : "https://livenet.xrpl.org")
+)
+  .trim()
+  .replace(/\/+$/, "");
+
+// Daily order numbers restart at 1 each day in this time zone (default: the server's)
+const STORE_TIMEZONE = (process.env.STORE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone).trim();
+// Picked-up tickets stay on /kitchen this long, so a mistaken bump can be recalled
+const KITCHEN_PICKED_UP_VISIBLE_MS = Number(process.env.KITCHEN_PICKED_UP_VISIBLE_MS || 15 * 60 * 1000);
+
+// NFT storage, in fallback order, e.g. "pinata,fs" / "kubo" / "fs" (default: pinata when PINATA_JWT is set, else fs)
+const PINATA_JWT = (process.env.PINATA_JWT || "").trim();
+const IPFS_PROVIDER = (process.env.IPFS_PROVIDER || (PINATA_JWT ? "pinata" : "fs"))
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const PINATA_GATEWAY_URL = (process.env.PINATA_GATEWAY_URL || "https://gateway.pinata.cloud").trim();
+const IPFS_KUBO_API_URL = (process.env.IPFS_KUBO_API_URL || "http://127.0.0.1:5001").trim();
+const IPFS_KUBO_GATEWAY_URL = (process.env.IPFS_KUBO_GATEWAY_URL || "http://127.0.0.1:8080").trim();
+const IPFS_FS_DIR = path.resolve(process.env.IPFS_FS_DIR || path.join(process.cwd(), "ipfs-store"));
+
+// Admin endpoints (/api/admin/*) require header x-admin-token when set
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || "").trim();
 
 if (!XUMM_API_KEY || !XUMM_API_SECRET) {
   console.error("❌ Missing XUMM_API_KEY / XUMM_API_SECRET");
@@ -102,6 +322,35 @@ if (!STORE_ADDRESS) {
   console.error("❌ Missing STORE_ADDRESS in .env");
   process.exit(1);
 }
+if (!Number.isFinite(VOUCHER_VALIDITY_HOURS) || VOUCHER_VALIDITY_HOURS < 0) {
+  console.error(`❌ Invalid VOUCHER_VALIDITY_HOURS: ${process.env.VOUCHER_VALIDITY_HOURS} (hours, 0 = never expire)`);
+  process.exit(1);
+}
+if (!["svg", "off"].includes(VOUCHER_ART)) {
+  console.error(`❌ Invalid VOUCHER_ART: ${VOUCHER_ART} (use svg / off)`);
+  process.exit(1);
+}
+if (!VOUCHER_TEMPLATES[VOUCHER_TEMPLATE]) {
+  console.error(`❌ Invalid VOUCHER_TEMPLATE: ${VOUCHER_TEMPLATE} (use ${Object.keys(VOUCHER_TEMPLATES).join(" / ")})`);
+  process.exit(1);
+}
+let taxonScheme;
+try {
+  taxonScheme = createTaxonScheme({ storeId: STORE_ID, storeCode: NFT_STORE_CODE, categories: NFT_CATEGORY_TAXONS });
+} catch (e) {
+  console.error(`❌ Invalid NFT_STORE_CODE / NFT_CATEGORY_TAXONS: ${e.message}`);
+  process.exit(1);
+}
+if (!Object.values(NFT_GRANULARITY).includes(NFT_GRANULARITY_SETTING)) {
+  console.error(`❌ Invalid NFT_GRANULARITY: ${NFT_GRANULARITY_SETTING} (use ${Object.values(NFT_GRANULARITY).join(" / ")})`);
+  process.exit(1);
+}
+try {
+  new Intl.DateTimeFormat("en-CA", { timeZone: STORE_TIMEZONE });
+} catch {
+  console.error(`❌ Invalid STORE_TIMEZONE: ${STORE_TIMEZONE}`);
+  process.exit(1);
+}
 if (!ISSUER_SECRET) {
   console.error("❌ Missing ISSUER_SECRET in .env (needed for NFTokenMint / NFTokenCreateOffer)");
   process.exit(1);
@@ -116,6 +365,17 @@ if (!RLUSD_ISSUER) {
 if (!RLUSD_CURRENCY) {
   console.warn("⚠️ Missing RLUSD_CURRENCY in .env (RLUSD payment will fail if used)");
 }
+if (!ADMIN_TOKEN) {
+  console.warn("⚠️ Missing ADMIN_TOKEN in .env (/api/admin/* and the kitchen display are disabled)");
+}
+
+// Refunds are sent from STORE_ADDRESS, so they need its seed
+const refundsEnabled = !!STORE_SECRET && xrpl.Wallet.fromSeed(STORE_SECRET).classicAddress === STORE_ADDRESS;
+if (STORE_SECRET && !refundsEnabled) {
+  console.warn("⚠️ STORE_SECRET does not belong to STORE_ADDRESS (refunds disabled)");
+} else if (!STORE_SECRET) {
+  console.warn("⚠️ Missing STORE_SECRET in .env (refunds disabled)");
+}
 
 const xumm = new XummSdk(XUMM_API_KEY, XUMM_API_SECRET);
 
@@ -130,21 +390,90 @@ if (openAiKeyTrimmed.startsWith("sk-proj-") && !OPENAI_PROJECT) {
   process.exit(1);
 }
 
-const openai = new OpenAI({
-  apiKey: openAiKeyTrimmed,
-  project: OPENAI_PROJECT || undefined,
-  organization: OPENAI_ORG || undefined,
-});
+// No key -> no OpenAI backend; /ai-order keeps working with the local parser
+const openai = openAiKeyTrimmed
+  ? new OpenAI({
+      apiKey: openAiKeyTrimmed,
+      project: OPENAI_PROJECT || undefined,
+      organization: OPENAI_ORG || undefined,
+    })
+  : null;
 
 console.log("DEBUG: OPENAI_API_KEY present?", !!process.env.OPENAI_API_KEY);
 
+const intentBackends = [
+  ...(openai ? [createOpenAiParser({ openai, timeoutMs: INTENT_PARSER_TIMEOUT_MS, currency: PRICE_CURRENCY })] : []),
+  createLocalParser(),
+];
+const intentOrder = INTENT_PARSER.filter((n) => intentBackends.some((b) => b.name === n));
+if (intentOrder.length < INTENT_PARSER.length) {
+  console.warn(`⚠️ Intent parser unavailable: ${INTENT_PARSER.filter((n) => !intentOrder.includes(n)).join(", ")} (check OPENAI_API_KEY / INTENT_PARSER)`);
+}
+const intentParser = createIntentParser({
+  backends: intentBackends,
+  order: intentOrder.length ? intentOrder : ["local"],
+  timeoutMs: INTENT_PARSER_TIMEOUT_MS,
+  cooldownMs: INTENT_PARSER_COOLDOWN_MS,
+});
+
+// ===== NFT storage (IPFS backends) =====
+// "fs" and "kubo" are always available; Pinata needs PINATA_JWT
+const ipfsBackends = [
+  ...(PINATA_JWT
+    ? [
+        createPinataBackend({
+          jwt: PINATA_JWT,
+          gatewayUrl: PINATA_GATEWAY_URL,
+          fileTimeoutMs: Number(process.env.PINATA_WAIT_MS || 60000),
+          jsonTimeoutMs: Number(process.env.PINATA_TIMEOUT_MS || 15000),
+        }),
+      ]
+    : []),
+  createKuboBackend({ apiUrl: IPFS_KUBO_API_URL, gatewayUrl: IPFS_KUBO_GATEWAY_URL }),
+  createFsBackend({ dir: IPFS_FS_DIR, baseUrl: BASE_URL }),
+];
+const ipfsOrder = IPFS_PROVIDER.filter((n) => ipfsBackends.some((b) => b.name === n));
+if (ipfsOrder.length < IPFS_PROVIDER.length) {
+  console.warn(`⚠️ IPFS backend unavailable: ${IPFS_PROVIDER.filter((n) => !ipfsOrder.includes(n)).join(", ")} (check PINATA_JWT / IPFS_PROVIDER)`);
+}
+// product images are uploaded once per backend (store/ipfsImageStore.js), keyed by content hash;
+// every pinned CID is logged so /ipfs/:cid and /nft/meta/:key only read back our own content
+const ipfsStorage = createIpfsStorage({
+  backends: ipfsBackends,
+  order: ipfsOrder.length ? ipfsOrder : ["fs"],
+  imageRegistry: { get: getPinnedImage, put: recordPinnedImage },
+  pinLog: { put: recordPinnedCid, has: isPinnedCid },
+});
+
+// ===== Exchange rates (menu currency -> payment asset) =====
+const rateSources = [
+  createAdminRates({ baseCurrency: PRICE_CURRENCY }),
+  createStaticRates({ rates: STATIC_RATES }),
+  createFeedRates({
+    baseCurrency: PRICE_CURRENCY,
+    ttlMs: RATE_FEED_TTL_MS,
+    maxAgeMs: RATE_FEED_MAX_AGE_MS,
+    fetchRates: RATE_FEED_URL
+      ? async () => (await axios.get(RATE_FEED_URL, { timeout: 5000 })).data
+      : stubFeed(PRICE_CURRENCY),
+  }),
+];
+const rateOrder = RATE_PROVIDER.filter((n) => rateSources.some((s) => s.name === n));
+if (rateOrder.length < RATE_PROVIDER.length) {
+  console.warn(`⚠️ Unknown rate source: ${RATE_PROVIDER.filter((n) => !rateOrder.includes(n)).join(", ")} (check RATE_PROVIDER)`);
+}
+if (rateOrder.includes("static") && !Object.keys(STATIC_RATES).length) {
+  console.warn("⚠️ RATE_PROVIDER uses static but STATIC_RATES is empty (set e.g. STATIC_RATES=xrp=0.5,rlusd=1,mpt=0.1)");
+}
+const rateProvider = createRateProvider({
+  sources: rateSources,
+  order: rateOrder.length ? rateOrder : ["admin", "static"],
+  baseCurrency: PRICE_CURRENCY,
+  rounding: RATE_ROUNDING,
+});
+
 // ===== In-memory state =====
-const processedTx = new Set();                 // txid processed (mint started)
-const txCache = new Map();                     // txid -> final response
-const inflight = new Map();                    // txid -> Promise
-const ordersByPaymentPayload = new Map();      // payload_uuid -> order
-const completedByPayload = new Map();          // payload_uuid -> { result, completedAt }
-const memoryMeta = {};
+// orders / fulfillment jobs live in SQLite (store/orderStore.js, store/jobStore.js); only per-process helpers stay here
 
 // ✅ create-order idempotency / dedupe
 const createOrderInflight = new Map();         // orderKey -> Promise<response>
@@ -153,23 +482,82 @@ const createOrderCache = new Map();            // orderKey -> { response, create
 // ✅ trustline status cache
 const trustlineStatusCache = new Map();        // key -> { ok, checkedAt }
 
+// ✅ chat session lock (serialize cart edits of the same session across awaits)
+const chatSessionLocks = new Map();            // sessionId -> Promise
+
 // ===== Paths =====
 const metaDir = path.join(process.cwd(), "public", "meta");
 if (!fs.existsSync(metaDir)) fs.mkdirSync(metaDir, { recursive: true });
 
-// ===== Products =====
-const products = {
-  1: { name: "Classic Americano", name_zh: "經典美式咖啡", price: 1, imageFile: "image1.png" },
-  2: { name: "Latte", name_zh: "拿鐵咖啡", price: 2, imageFile: "image2.png" },
-  3: { name: "Tiramisu", name_zh: "提拉米蘇", price: 2, imageFile: "image3.png" },
-};
-
 // ===== More Utils =====
-function calcOrderTotal(items = []) {
-  return items.reduce(
-    (sum, i) => sum + (i.qty || 1) * (products[i.product_id]?.price || 0),
-    0
-  );
+// Prices always come from the catalog (store/catalogStore.js), never from the client
+// base price + modifier price deltas, then promotions (pricing/promotions.js)
+// -> { subtotal, discounts, discount, total, promo_code, promo_code_error, wallet }, amounts in PRICE_CURRENCY
+function calcOrderTotal(items = [], { promoCode = null, wallet = null } = {}) {
+  const lines = items.map((i) => {
+    const line = priceLine(i);
+    return {
+      product_id: i.product_id,
+      category_id: line?.product?.category_id ?? null,
+      qty: i.qty || 1,
+      unit_price: line?.unit_price || 0,
+    };
+  });
+  return priceWithPromotions(lines, { code: promoCode, wallet });
+}
+
+// Validate cart lines against the catalog and snapshot name / unit price into the order
+function normalizeOrderItems(items) {
+  if (!Array.isArray(items) || !items.length) {
+    const err = new Error("Missing items");
+    err.code = "INVALID_ITEMS";
+    throw err;
+  }
+
+  return items.map((i) => {
+    let line;
+    try {
+      line = priceLine(i);
+    } catch (e) {
+      const err = new Error(`${e.message}: ${JSON.stringify(e.detail || {})}`);
+      err.code = "INVALID_MODIFIERS";
+      throw err;
+    }
+    if (!line) {
+      const err = new Error(`Product not available: ${i?.product_id}`);
+      err.code = "PRODUCT_UNAVAILABLE";
+      throw err;
+    }
+    const p = line.product;
+    const qty = Math.max(1, Math.floor(Number(i.qty) || 1));
+    return {
+      product_id: p.id,
+      qty,
+      name: p.name,
+      name_zh: p.name_zh,
+      modifiers: line.modifiers,
+      unit_price: line.unit_price,
+    };
+  });
+}
+
+// "Latte (Large · Oat milk)" for NFT names / claim labels
+function lineDisplayName(line, p, lang = "en") {
+  const base = lang === "zh" ? p?.name_zh || line?.name_zh || p?.name : p?.name || line?.name;
+  const label = modifierLabel(line?.modifiers || [], lang);
+  return label ? `${base} (${label})` : base;
+}
+
+// YYYY-MM-DD in STORE_TIMEZONE: the day an order number belongs to
+function businessDate(ts = Date.now()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: STORE_TIMEZONE, year: "numeric", month: "2-digit", day: "2-digit" }).format(ts);
+}
+
+// No localhost fallback: requests through the Vite dev proxy (or any reverse proxy) also come from 127.0.0.1
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: "ADMIN_TOKEN_NOT_CONFIGURED" });
+  if (req.get("x-admin-token") === ADMIN_TOKEN) return next();
+  return res.status(401).json({ error: "ADMIN_TOKEN_REQUIRED" });
 }
 
 function buildPaymentAmount({ paymentMethod, total }) {
@@ -198,8 +586,8 @@ function buildPaymentAmount({ paymentMethod, total }) {
   throw new Error(`Unsupported payment method: ${paymentMethod}`);
 }
 
-function buildCreateOrderKey({ items, buyer, paymentMethod }) {
-  return `${paymentMethod}|${buyer || ""}|${stableStringify(items || [])}`;
+function buildCreateOrderKey({ items, buyer, paymentMethod, sessionId, promoCode }) {
+  return `${paymentMethod}|${buyer || ""}|${sessionId || ""}|${promoCode || ""}|${stableStringify(items || [])}`;
 }
 
 function getTrustlineCacheKey({ account, issuer, currency }) {
@@ -289,15 +677,24 @@ function invalidateStoreRlusdTrustlineCache() {
   trustlineStatusCache.delete(cacheKey);
 }
 
+const TF_PARTIAL_PAYMENT = 0x00020000;
+
 /**
  * Verify txid is a validated successful Payment that matches:
  * - Payment
  * - Account == expectedBuyer
  * - Destination == STORE_ADDRESS
- * - Amount matches expected asset and total
+ * - InvoiceID / DestinationTag match the order reference
  * - meta.TransactionResult == tesSUCCESS
+ * - meta.delivered_amount (not Amount) matches expected asset and total
+ * - tfPartialPayment: flagged (details.partial_payment); only the delivered amount is settled
  *
  * If not validated yet, return ok:false reason=not_validated_yet
+ * Right asset but a different amount: ok:false reason=underpaid / overpaid, details.received = delivered value
+ * in order units (settleOrderPayment turns these into a top-up / change)
+ * quote: the order's locked quote; expectedTotal is always in its asset (the rate at payment time never matters),
+ * and the rate snapshot goes into details for the audit trail
+ * Every result carries a reason code + details; callers store them (payment_verifications) for auditing
  */
 async function verifyPaymentTx({
   client,
@@ -305,7 +702,18 @@ async function verifyPaymentTx({
   expectedBuyer,
   expectedTotal,
   paymentMethod,
+  expectedInvoiceId = null,
+  expectedDestinationTag = null,
+  requireInvoiceId = true,
+  quote = null,
+  pricing = null,
+  orderId = null,
 }) {
+  // the order was quoted in another asset (should never happen: payment_method is fixed at /create-order)
+  if (quote && quote.asset !== paymentMethod) {
+    return { ok: false, reason: "quote_asset_mismatch", details: { asset: quote.asset, paymentMethod } };
+  }
+
   let txResp;
   try {
     txResp = await client.request({ command: "tx", transaction: txid });
@@ -333,14 +741,71 @@ async function verifyPaymentTx({
     return { ok: false, reason: "destination_mismatch", details: { txDest, expected: STORE_ADDRESS } };
   }
 
+  // Order reference: the same Payment can never satisfy two orders with the same total
+  // (requireInvoiceId=false only for manual payments matched by DestinationTag; a present InvoiceID must still match)
+  if (expectedInvoiceId && (requireInvoiceId || tx.InvoiceID)) {
+    if (safeUpper(tx.InvoiceID) !== safeUpper(expectedInvoiceId)) {
+      return { ok: false, reason: "invoice_id_mismatch", details: { invoiceId: tx.InvoiceID || null, expected: expectedInvoiceId } };
+    }
+  }
+  if (expectedDestinationTag != null && tx.DestinationTag !== expectedDestinationTag) {
+    return {
+      ok: false,
+      reason: "destination_tag_mismatch",
+      details: { destinationTag: tx.DestinationTag ?? null, expected: expectedDestinationTag },
+    };
+  }
+
   const resultCode = tx.meta?.TransactionResult;
   if (!resultCode) return { ok: false, reason: "not_validated_yet" };
   if (resultCode !== "tesSUCCESS") {
     return { ok: false, reason: "not_success", details: { resultCode } };
   }
 
-  const amt = tx.Amount;
+  // Only what actually arrived counts: with tfPartialPayment set, Amount is just the upper bound
+  const delivered = tx.meta.delivered_amount ?? tx.meta.DeliveredAmount;
+  if (delivered == null || delivered === "unavailable") {
+    return { ok: false, reason: "delivered_amount_unavailable", details: { amount: tx.Amount ?? null } };
+  }
+
+  const partial = (Number(tx.Flags || 0) & TF_PARTIAL_PAYMENT) !== 0;
+  const checked = checkDeliveredAmount(delivered, { expectedTotal, paymentMethod });
+  const details = {
+    ...checked.details,
+    amount: tx.Amount ?? null,
+    delivered,
+    partial_payment: partial,
+    ...(quote ? { quote: { base_total: quote.base_total, base_currency: quote.base_currency, rate: quote.rate, amount: quote.amount } } : {}),
+    ...(pricing
+      ? { pricing: { subtotal: pricing.subtotal, discount: pricing.discount, total: pricing.total, promotions: pricing.discounts.map((d) => d.promotion_id) } }
+      : {}),
+  };
+  // The stored breakdown must add up to the quoted total, and per-wallet promotion limits
+  // are checked against the wallet that actually paid (unknown at /create-order for Plan A).
+  // The tx already succeeded, so details keep what was received for the refund
+  if (pricing) {
+    const bad = checkPricing(pricing, { quote, wallet: txAccount, orderId });
+    if (bad) return { ok: false, reason: bad.reason, details: { ...details, ...bad.details } };
+  }
+  if (!checked.ok) return { ok: false, reason: checked.reason, details };
+  // tfPartialPayment that still delivered the full total: accepted, but flagged in the audit trail
+  return { ok: true, reason: partial ? "partial_payment_flag" : null, details };
+}
+
+// equal -> ok; more / less of the right asset -> overpaid / underpaid with the difference
+function compareReceived(received, expected, details) {
+  const cmp = compareDecimal(received, expected);
+  if (cmp === null) return { ok: false, reason: "amount_invalid", details };
+  if (cmp === 0) return { ok: true, details: { ...details, received } };
+  return {
+    ok: false,
+    reason: cmp < 0 ? "underpaid" : "overpaid",
+    details: { ...details, received, difference: subtractDecimal(received, expected) },
+  };
+}
 
+// delivered_amount vs the order total for the order's asset; values compared as decimals ("2" == "2.0")
+function checkDeliveredAmount(amt, { expectedTotal, paymentMethod }) {
   // XRP
   if (paymentMethod === "xrp") {
     if (typeof amt !== "string") {
@@ -348,15 +813,8 @@ async function verifyPaymentTx({
     }
 
     const expectedDrops = xrpl.xrpToDrops(expectedTotal.toString());
-    if (amt !== expectedDrops) {
-      return {
-        ok: false,
-        reason: "amount_mismatch",
-        details: { value: amt, expected: expectedDrops },
-      };
-    }
-
-    return { ok: true };
+    if (compareDecimal(amt, "0") === null) return { ok: false, reason: "amount_invalid", details: { value: amt } };
+    return compareReceived(xrpl.dropsToXrp(amt), normalizeDecimal(expectedTotal), { value: amt, expected: expectedDrops });
   }
 
   // RLUSD (issued token)
@@ -385,15 +843,7 @@ async function verifyPaymentTx({
       };
     }
 
-    if (value !== expectedTotal.toString()) {
-      return {
-        ok: false,
-        reason: "amount_mismatch",
-        details: { value, expected: expectedTotal.toString() },
-      };
-    }
-
-    return { ok: true };
+    return compareReceived(normalizeDecimal(value), normalizeDecimal(expectedTotal), { value, expected: normalizeDecimal(expectedTotal) });
   }
 
   // MPT
@@ -413,20 +863,139 @@ async function verifyPaymentTx({
       };
     }
 
-    if (value !== expectedTotal.toString()) {
-      return {
-        ok: false,
-        reason: "amount_mismatch",
-        details: { value, expected: expectedTotal.toString() },
-      };
-    }
-
-    return { ok: true };
+    return compareReceived(normalizeDecimal(value), normalizeDecimal(expectedTotal), { value, expected: normalizeDecimal(expectedTotal) });
   }
 
   return { ok: false, reason: "unsupported_payment_method" };
 }
 
+// right asset, wrong amount: the funds arrived, settleOrderPayment asks for a top-up / returns the excess
+const SETTLEABLE_REASONS = new Set(["underpaid", "overpaid"]);
+// the funds arrived but the order can't take them (promotion used up, or already used by the paying wallet): refundRejectedPayment
+const REFUNDABLE_REASONS = new Set(["promotion_used_up", "promotion_wallet_limit"]);
+
+// verifyPaymentTx + an audit row (payment_verifications); not_validated_yet is retried, so not recorded
+async function verifyAndRecordPayment({ orderId, source, ...args }) {
+  const v = await verifyPaymentTx({ ...args, orderId });
+  if (v.reason !== "not_validated_yet") {
+    recordVerification({ orderId, txid: args.txid, source, ok: v.ok, reason: v.reason, details: v.details || null });
+  }
+  if (v.ok && v.reason === "partial_payment_flag") {
+    console.warn(`⚠️ Partial-payment flag on ${args.txid} (order ${orderId}), full total delivered`);
+  }
+  return v;
+}
+
+// ===== Menu (single source of truth) =====
+app.get("/api/menu", (req, res) => {
+  try {
+    return res.json({ ok: true, currency: PRICE_CURRENCY, ...getMenu() });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// ===== Menu admin =====
+function sendAdminError(res, err) {
+  return res.status(err.status || 500).json({ ok: false, error: err.message, detail: err.detail });
+}
+
+app.get("/api/admin/menu", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, ...getMenu({ includeDisabled: true }) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/menu/categories", requireAdmin, (req, res) => {
+  const template = req.body?.voucher_template;
+  if (template && !VOUCHER_TEMPLATES[String(template).trim().toLowerCase()]) {
+    return res.status(400).json({ ok: false, error: "Unknown voucher_template", detail: { templates: Object.keys(VOUCHER_TEMPLATES) } });
+  }
+  try {
+    return res.json({ ok: true, category: upsertCategory(req.body || {}) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/menu/categories/reorder", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, categories: reorderCategories(req.body?.category_ids) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/menu/items", requireAdmin, (req, res) => {
+  try {
+    const item = createItem(req.body || {});
+    prepinCatalogImages();
+    return res.json({ ok: true, item });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.patch("/api/admin/menu/items/:id", requireAdmin, (req, res) => {
+  try {
+    const item = updateItem(req.params.id, req.body || {});
+    if (req.body?.image_file !== undefined) prepinCatalogImages();
+    return res.json({ ok: true, item });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/menu/items/:id/disable", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, item: setItemEnabled(req.params.id, false) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/menu/items/:id/enable", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, item: setItemEnabled(req.params.id, true) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.get("/api/admin/menu/modifier-groups", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, groups: listModifierGroups() });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/menu/modifier-groups", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, group: upsertModifierGroup(req.body || {}) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.put("/api/admin/menu/items/:id/modifier-groups", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, item: setItemModifierGroups(req.params.id, req.body?.group_ids) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/menu/items/reorder", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, items: reorderItems(req.body?.item_ids) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
 // ===== Optional: MPT authorize payload (Plan A helper) =====
 app.post("/mpt/authorize", async (req, res) => {
   try {
@@ -523,13 +1092,21 @@ app.post("/create-order", async (req, res) => {
   const startedAt = Date.now();
 
   try {
-    const { items, buyer, payment_method } = req.body || {};
+    const { buyer, payment_method, session_id, promo_code } = req.body || {};
     const paymentMethod = normalizePaymentMethod(payment_method || "mpt");
 
-    const total = calcOrderTotal(items);
-    if (total <= 0) throw new Error("Invalid total");
+    const items = normalizeOrderItems(req.body?.items);
+    // A code the customer typed must apply; automatic promotions apply silently
+    const pricing = calcOrderTotal(items, { promoCode: promo_code, wallet: buyer || null });
+    if (pricing.promo_code_error) {
+      const err = new Error(`Promo code ${pricing.promo_code} cannot be used: ${pricing.promo_code_error}`);
+      err.code = pricing.promo_code_error;
+      throw err;
+    }
+    const baseTotal = pricing.total; // PRICE_CURRENCY, after discounts
+    if (!(compareDecimal(baseTotal, "0") > 0)) throw new Error("Invalid total");
 
-    const orderKey = buildCreateOrderKey({ items, buyer, paymentMethod });
+    const orderKey = buildCreateOrderKey({ items, buyer, paymentMethod, sessionId: session_id, promoCode: pricing.promo_code });
 
     // ✅ reuse recent identical create-order response
     const cached = createOrderCache.get(orderKey);
@@ -558,10 +1135,18 @@ app.post("/create-order", async (req, res) => {
         }
       }
 
+      // Lock the amount in the payment asset now: later rate changes never affect this order
+      const quote = await rateProvider.quote(baseTotal, paymentMethod);
+      const total = quote.amount;
+
+      // InvoiceID / DestinationTag let the ledger watcher match the payment even without this payload
+      const ref = newOrderRef({ withDestinationTag: ORDER_DESTINATION_TAGS });
       const txjson = {
         TransactionType: "Payment",
         Destination: STORE_ADDRESS,
         Amount: buildPaymentAmount({ paymentMethod, total }),
+        InvoiceID: ref.invoiceId,
+        ...(ref.destinationTag != null ? { DestinationTag: ref.destinationTag } : {}),
         ...(buyer ? { Account: buyer } : {}),
       };
 
@@ -585,24 +1170,51 @@ app.post("/create-order", async (req, res) => {
         throw new Error("Xumm payload.create returned empty payload");
       }
 
-      ordersByPaymentPayload.set(payload.uuid, {
-        items,
-        total,
+      const order = createOrder({
+        id: ref.id,
+        destinationTag: ref.destinationTag,
+        orderKey,
+        payloadUuid: payload.uuid,
         buyer: buyer || null,
         paymentMethod,
-        status: "created",
-        createdAt: Date.now(),
-        completedAt: null,
-        txid: null,
-        orderKey,
+        items,
+        total,
+        quote,
+        pricing,
       });
+      // holds its promotion uses while the payload is open; the wallet is bound once the payment is verified.
+      // The limits are checked again here: another order may have taken the last use during the awaits above
+      try {
+        recordRedemptions(order.id, { wallet: buyer || null, discounts: pricing.discounts });
+      } catch (e) {
+        transitionOrder(order.id, ORDER_STATUS.FAILED, { result: { status: "error", error: e.message }, error: e.message });
+        xumm.payload.cancel(payload.uuid).catch((ce) => console.warn(`⚠️ Payload cancel failed (${order.id}):`, ce?.message || ce));
+        throw e;
+      }
+      watchOrderPayload(order); // not awaited: resolves when the customer signs / declines
+
+      // The chat cart became this order; start the session's cart fresh
+      if (session_id && getSession(session_id)) {
+        saveSession(session_id, {
+          cart: emptyCart(),
+          undo: [],
+          lastOrderId: order.id,
+          append: [{ role: "assistant", content: `Order created, total ${baseTotal} ${PRICE_CURRENCY}${pricing.discounts.length ? ` (${pricing.discount} off)` : ""} = ${total} ${paymentMethod.toUpperCase()}. Cart now:\n(empty)` }],
+        });
+      }
 
       const responseBody = {
+        order_id: order.id,
         total_price: total,
         payment_method: paymentMethod,
+        quote,
+        pricing,
         xumm_qr: payload?.refs?.qr_png || null,
         xumm_payload_url: payload?.next?.always || null,
         payload_uuid: payload.uuid,
+        store_address: STORE_ADDRESS,
+        invoice_id: order.invoiceId,
+        destination_tag: order.destinationTag,
       };
 
       createOrderCache.set(orderKey, {
@@ -624,8 +1236,12 @@ app.post("/create-order", async (req, res) => {
   } catch (err) {
     console.error("❌ /create-order error:", err);
 
-    const statusCode =
-      err?.code === "STORE_RLUSD_TRUSTLINE_MISSING" ? 400 : 500;
+    const statusCode = ["STORE_RLUSD_TRUSTLINE_MISSING", "INVALID_ITEMS", "PRODUCT_UNAVAILABLE", "INVALID_MODIFIERS", "INVALID_QUOTE"].includes(err?.code) ||
+      String(err?.code || "").startsWith("PROMO_")
+      ? 400
+      : err?.code === "RATE_UNAVAILABLE"
+        ? 503
+        : 500;
 
     return res.status(statusCode).json({
       error: err.message,
@@ -634,392 +1250,1385 @@ app.post("/create-order", async (req, res) => {
   }
 });
 
-// ===== Buy Status (verify payment -> mint -> offer -> accept payloads) =====
-app.get("/buy/status", async (req, res) => {
-  const payload_uuid = req.query.payload_uuid;
-  if (!payload_uuid) return res.status(400).json({ error: "Missing payload_uuid" });
+// ===== NFT pinning (ipfsStorage: image + metadata on the first working backend) =====
+const IMAGES_DIR = path.resolve(process.cwd(), "public", "images");
 
-  try {
-    // If order already swept, still allow returning completion for a while
-    const completed = completedByPayload.get(payload_uuid);
-    if (completed?.result) return res.json(completed.result);
+// image_file is validated on save; older rows are still kept inside public/images here
+function productImage(p) {
+  const imagePath = p?.image_file ? path.resolve(IMAGES_DIR, p.image_file) : null;
+  if (imagePath && !imagePath.startsWith(IMAGES_DIR + path.sep)) {
+    console.warn(`⚠️ Ignoring image_file outside public/images: ${p.image_file}`);
+    return null;
+  }
+  return imagePath && fs.existsSync(imagePath) ? { bytes: fs.readFileSync(imagePath), filename: p.image_file } : null;
+}
 
-    const order = ordersByPaymentPayload.get(payload_uuid);
-    if (!order) {
-      return res.json({ status: "completed_or_expired" });
+// Catalog images are pinned ahead of time (startup, menu item created / image changed), so the pin step
+// normally finds the image in the registry and uploads only the metadata JSON. Runs one at a time.
+let prepinQueue = Promise.resolve();
+function prepinCatalogImages() {
+  prepinQueue = prepinQueue.then(async () => {
+    const files = new Map();
+    for (const item of listItems({ includeDisabled: true })) {
+      if (item.image_file && !files.has(item.image_file)) files.set(item.image_file, item);
     }
-
-    // If already marked completed, return cached result if present
-    if (order.status === "completed") {
-      const c = completedByPayload.get(payload_uuid);
-      if (c?.result) return res.json(c.result);
-      return res.json({ status: "completed_or_expired" });
+    let added = 0;
+    let failed = 0;
+    for (const item of files.values()) {
+      const image = productImage(item);
+      if (!image) continue;
+      try {
+        const r = await ipfsStorage.pinImage(image, { name: item.name });
+        if (!r.cached) {
+          added++;
+          console.log(`🖼️ Pinned ${item.image_file} -> ${r.cid} (${r.backend})`);
+        }
+      } catch (e) {
+        failed++;
+        console.warn(`⚠️ Pre-pin ${item.image_file} failed:`, e?.message || e);
+      }
     }
+    if (added || failed) console.log(`🖼️ Catalog images: ${added} pinned, ${failed} failed, ${files.size} total`);
+  });
+  return prepinQueue;
+}
 
-    const payload = await xumm.payload.get(payload_uuid);
-    if (!payload?.meta) return res.status(404).json({ error: "Payload not found" });
-    if (!payload?.meta?.signed) return res.json({ status: "pending" });
-
-    const buyer = payload.response.account;
-    const txid = payload.response.txid;
-    if (!txid) return res.status(500).json({ status: "error", error: "No txid" });
-
-    // Fill buyer once (Plan A)
-    if (!order.buyer) order.buyer = buyer;
-    // Freeze txid for this order
-    if (!order.txid) order.txid = txid;
+// Pin step of the fulfill_order job; returns { metadataURI: "ipfs://<cid>", imageURL }
+// art = this voucher's own card (not cached: every card is different), otherwise the product image
+async function pinNftMetadata(p, metaJson, art = null) {
+  const image = art || productImage(p);
 
-    // Prevent buyer mismatch
-    if (buyer !== order.buyer) {
-      return res.status(400).json({ status: "error", error: "Buyer mismatch for this order" });
-    }
+  const pinned = await ipfsStorage.pin({ image, metadata: metaJson, name: p.name, cacheImage: !art });
 
-    // If already have tx cached, return it
-    if (txCache.has(txid)) return res.json(txCache.get(txid));
-    if (inflight.has(txid)) return res.json({ status: "pending" });
-    if (processedTx.has(txid)) return res.json({ status: "pending" });
+  // Local meta save (served by /nft/meta/:key even when the backend is unreachable)
+  try {
+    const metaPath = path.join(metaDir, `${pinned.metadataCid}.json`);
+    if (!fs.existsSync(metaPath)) fs.writeFileSync(metaPath, JSON.stringify(pinned.metadata, null, 2));
+  } catch {}
 
-    const jobPromise = (async () => {
-      const client = new xrpl.Client(XRPL_ENDPOINT);
-      await client.connect();
+  return { metadataURI: pinned.metadataURI, imageURL: pinned.imageURL };
+}
 
-      const v = await verifyPaymentTx({
-        client,
-        txid,
-        expectedBuyer: order.buyer,
-        expectedTotal: order.total,
-        paymentMethod: order.paymentMethod || "mpt",
-      });
+// ===== Voucher artwork (artwork/voucherArt.js, pinned as the NFT image) =====
+function voucherTemplate(p) {
+  return p?.voucher_template && VOUCHER_TEMPLATES[p.voucher_template] ? p.voucher_template : VOUCHER_TEMPLATE;
+}
 
-      if (!v.ok) {
-        await client.disconnect();
-        if (v.reason === "not_validated_yet") return { status: "pending" };
-        return { status: "error", error: `Payment verification failed: ${v.reason}`, details: v.details || null };
-      }
+// One product: its emoji, name and options; several: the item list. The QR opens the order's receipt (status, NFTs, refunds)
+function voucherCard(unit, order, p) {
+  const items = voucherItems(unit);
+  const line = items.length === 1 ? order.items?.[items[0].line_index] : null;
+  return {
+    storeName: STORE_NAME,
+    title: items.length === 1 ? p.name : unit.name,
+    emoji: items.length === 1 ? p.image : "",
+    lines: line
+      ? (line.modifiers || []).map((m) => `${m.group_name || m.group}: ${m.name}`)
+      : items.map((v) => (v.qty > 1 ? `${v.name} × ${v.qty}` : v.name)),
+    qty: unit.qty || 1,
+    orderLabel: orderNumber(order),
+    validFrom: unit.valid_from,
+    expiresAt: unit.expires_at,
+    timeZone: STORE_TIMEZONE,
+    qrUrl: `${BASE_URL}/orders/${order.id}/receipt`,
+  };
+}
 
-      processedTx.add(txid);
-      console.log(`✅ Verified ${order.paymentMethod || "mpt"} payment: buyer=${buyer} total=${order.total} tx=${txid}`);
-
-      const issuerWallet = xrpl.Wallet.fromSeed(ISSUER_SECRET);
-      const mintedNFTs = [];
-      const acceptQrList = [];
-
-      // Optional IPFS helper
-      const uploadModule = await import("./nft/uploadIPFS.js").catch(() => null);
-      const uploadToIPFS =
-        uploadModule && (uploadModule.default || uploadModule.uploadToIPFS || uploadModule)
-          ? (uploadModule.default || uploadModule.uploadToIPFS || uploadModule)
-          : null;
-
-      const FormDataModule = await import("form-data").catch(() => null);
-      const FormData = FormDataModule ? FormDataModule.default : null;
-
-      async function pinLocalImageAndMetadata(foundPath, p, metaJson) {
-        if (!FormData) throw new Error("FormData required for Pinata fallback");
-        const form = new FormData();
-        form.append("file", fs.createReadStream(foundPath));
-        form.append("pinataMetadata", JSON.stringify({ name: p.name }));
-        form.append("pinataOptions", JSON.stringify({ cidVersion: 1 }));
-
-        const pinFileRes = await axios.post("https://api.pinata.cloud/pinning/pinFileToIPFS", form, {
-          maxBodyLength: Infinity,
-          headers: { ...form.getHeaders(), Authorization: getPinataAuthHeader() },
-          timeout: Number(process.env.PINATA_WAIT_MS || 60000),
-        });
+function renderVoucherArt(unit, order, p) {
+  if (VOUCHER_ART === "off") return null;
+  const svg = renderVoucherSvg(voucherCard(unit, order, p), { template: voucherTemplate(p) });
+  return { bytes: Buffer.from(svg, "utf8"), filename: `voucher-${orderNumber(order)}-${unit.unit_key.replace(/:/g, "-")}.svg` };
+}
 
-        const imageCid = pinFileRes?.data?.IpfsHash;
-        const imageURL = `https://gateway.pinata.cloud/ipfs/${imageCid}`;
-        metaJson.image = imageURL;
+// ===== Fulfillment worker (persistent job queue) =====
+const jobWorker = createJobWorker({
+  handlers: {
+    [FULFILL_ORDER_JOB]: createFulfillOrderHandler({
+      xrpl,
+      xrplEndpoint: XRPL_ENDPOINT,
+      issuerSecret: ISSUER_SECRET,
+      xumm,
+      baseUrl: BASE_URL,
+      pinMetadata: pinNftMetadata,
+      displayName: (line, p, lang) => lineDisplayName(line, p, lang),
+      granularity: NFT_GRANULARITY_SETTING,
+      validityHours: voucherValidityHours,
+      taxonFor: (categoryId) => taxonScheme.taxonFor(categoryId),
+      storeId: STORE_ID,
+      storeName: STORE_NAME,
+      renderArt: renderVoucherArt,
+      onUndelivered: autoRefundUndelivered,
+    }),
+    ...(refundsEnabled
+      ? { [REFUND_JOB]: createRefundHandler({ xrpl, xrplEndpoint: XRPL_ENDPOINT, storeSecret: STORE_SECRET }) }
+      : {}),
+  },
+  pollMs: JOB_POLL_MS,
+  baseDelayMs: JOB_RETRY_BASE_MS,
+  maxDelayMs: JOB_RETRY_MAX_MS,
+});
 
-        const pinJsonRes = await axios.post("https://api.pinata.cloud/pinning/pinJSONToIPFS", metaJson, {
-          headers: { "Content-Type": "application/json", Authorization: getPinataAuthHeader() },
-          timeout: Number(process.env.PINATA_TIMEOUT_MS || 15000),
-        });
+// Per-item validity of the NFT voucher, falling back to the store default
+function voucherValidityHours(product) {
+  return product?.voucher_validity_hours ?? VOUCHER_VALIDITY_HOURS;
+}
 
-        const metaCid = pinJsonRes?.data?.IpfsHash;
-        const metadataURI = `ipfs://${metaCid}`;
+// Idempotent: an order has at most one fulfill_order job; granularity, validity and taxons are fixed when it is enqueued
+function enqueueFulfillment(order) {
+  return enqueueJob({
+    kind: FULFILL_ORDER_JOB,
+    refId: order.id,
+    state: buildFulfillState(order, {
+      displayName: (line, p) => lineDisplayName(line, p),
+      granularity: NFT_GRANULARITY_SETTING,
+      validityHours: voucherValidityHours,
+      taxonFor: (categoryId) => taxonScheme.taxonFor(categoryId),
+    }),
+    maxAttempts: JOB_MAX_ATTEMPTS,
+  });
+}
 
-        try {
-          const corrected = { ...metaJson };
-          if (corrected.image && corrected.image.startsWith("ipfs://")) {
-            corrected.image = `https://gateway.pinata.cloud/ipfs/${corrected.image.replace("ipfs://", "")}`;
-          }
-          const metaPath = path.join(metaDir, `${metaCid}.json`);
-          if (!fs.existsSync(metaPath)) fs.writeFileSync(metaPath, JSON.stringify(corrected, null, 2), "utf8");
-          memoryMeta[metaCid] = corrected;
-        } catch {}
-
-        await new Promise((r) => setTimeout(r, 200));
-        return { finalMetadataURI: metadataURI, finalImageURL: imageURL };
-      }
+// ===== Refunds (undelivered items -> Payment from STORE_ADDRESS) =====
+function requestRefund(order, { unitKeys, value, reason, createdBy }) {
+  const plan = planRefund(order, getJobByRef(FULFILL_ORDER_JOB, order?.id), { unitKeys, value });
+  if (!refundsEnabled) {
+    const e = new Error("Refunds need STORE_SECRET for STORE_ADDRESS");
+    e.status = 409;
+    e.code = "REFUNDS_DISABLED";
+    throw e;
+  }
+  const refund = createRefund({
+    orderId: order.id,
+    unitKeys: plan.unitKeys,
+    value: plan.value,
+    amount: buildPaymentAmount({ paymentMethod: order.paymentMethod || "mpt", total: plan.value }),
+    paymentMethod: order.paymentMethod || "mpt",
+    destination: order.buyer,
+    reason,
+    createdBy,
+  });
+  enqueueJob({ kind: REFUND_JOB, refId: refund.id, maxAttempts: JOB_MAX_ATTEMPTS });
+  console.log(`💸 Refund ${refund.id} queued for order ${order.id}: ${refund.value} ${refund.paymentMethod} (${createdBy})`);
+  if (order.status === ORDER_STATUS.UNDERPAID) closeRefundedOrder(order, refund);
+  return refund;
+}
 
-      for (const it of order.items || []) {
-        const p = products[it.product_id];
-        if (!p) continue;
-        const qty = it.qty || 1;
-
-        for (let i = 0; i < qty; i++) {
-          try {
-            const metaJson = {
-              name: `${p.name}`,
-              description: `Purchased: ${p.name}`,
-              attributes: [{ trait_type: "Product", value: p.name }],
-            };
-
-            let finalMetadataURI = null;
-            let finalImageURL = null;
-
-            // Local image fallback
-            const tryPaths = [];
-            if (p.imageFile) tryPaths.push(path.join(process.cwd(), "public", "images", p.imageFile));
-
-            let foundPath = null;
-            for (const t of tryPaths) {
-              if (fs.existsSync(t)) {
-                foundPath = t;
-                break;
-              }
-            }
-
-            if (foundPath) {
-              if (uploadToIPFS) {
-                try {
-                  const up = await uploadToIPFS(foundPath, p.name, metaJson.description, metaJson);
-                  if (up) {
-                    finalMetadataURI = up.metadataURI;
-                    finalImageURL = up.imageURL;
-                  }
-                } catch {}
-              }
-              if (!finalMetadataURI) {
-                const r = await pinLocalImageAndMetadata(foundPath, p, metaJson);
-                finalMetadataURI = r.finalMetadataURI;
-                finalImageURL = r.finalImageURL;
-              }
-            }
-
-            // Metadata fallback: pin JSON only
-            if (!finalMetadataURI) {
-              const r = await axios.post("https://api.pinata.cloud/pinning/pinJSONToIPFS", metaJson, {
-                headers: { "Content-Type": "application/json", Authorization: getPinataAuthHeader() },
-              });
-              if (r?.data?.IpfsHash) finalMetadataURI = `ipfs://${r.data.IpfsHash}`;
-            }
-
-            if (!finalMetadataURI) throw new Error("Failed to generate metadataURI");
-            const metaCid = finalMetadataURI.replace("ipfs://", "");
-
-            // Local meta save
-            try {
-              const metaPath = path.join(metaDir, `${metaCid}.json`);
-              const metaObj = { ...metaJson, image: finalImageURL || metaJson.image };
-              if (!fs.existsSync(metaPath)) fs.writeFileSync(metaPath, JSON.stringify(metaObj, null, 2));
-            } catch {}
-
-            // Mint
-            const proxiedUrl = `${BASE_URL}/nft/meta/${metaCid}`;
-            const mintTx = {
-              TransactionType: "NFTokenMint",
-              Account: issuerWallet.classicAddress,
-              URI: toHexUri(proxiedUrl),
-              Flags: 8,
-              NFTokenTaxon: 0,
-            };
-
-            const mint = await client.submitAndWait(
-              issuerWallet.sign(await client.autofill(mintTx)).tx_blob
-            );
-
-            const nftId =
-              mint.result?.meta?.nftoken_id ||
-              (mint.result?.meta?.AffectedNodes || []).find((n) => n.CreatedNode?.NewFields?.NFTokenID)
-                ?.CreatedNode?.NewFields?.NFTokenID;
-
-            if (!nftId) throw new Error("Mint failed, no NFTokenID");
-            mintedNFTs.push({ name: p.name, image: finalImageURL, nftId });
-
-            // Offer to buyer (free)
-            const offerTx = {
-              TransactionType: "NFTokenCreateOffer",
-              Account: issuerWallet.classicAddress,
-              NFTokenID: nftId,
-              Destination: buyer,
-              Amount: "0",
-              Flags: 1,
-            };
-
-            const offer = await client.submitAndWait(
-              issuerWallet.sign(await client.autofill(offerTx)).tx_blob
-            );
-
-            const offerId =
-              offer.result?.meta?.offer_id ||
-              (offer.result?.meta?.AffectedNodes || []).find((n) => n.CreatedNode?.NewFields?.NFTokenOfferID)
-                ?.CreatedNode?.NewFields?.NFTokenOfferID;
-
-            if (!offerId) throw new Error("Offer failed, no NFTokenOfferID");
-
-            // Buyer accept offer via XUMM payload
-            const acceptPayload = await xumm.payload.create({
-              txjson: { TransactionType: "NFTokenAcceptOffer", Account: buyer, NFTokenSellOffer: offerId },
-              options: { expire: 600, return_url: { app: "xumm://close", web: `${BASE_URL}/index.html` } },
-            });
-
-            acceptQrList.push({
-              product: p.name,
-              qr: acceptPayload?.refs?.qr_png || null,
-              url: acceptPayload?.next?.always || null,
-            });
-          } catch (e) {
-            console.error("Mint error:", e?.message || e);
-          }
-        }
-      }
+// a refunded underpaid order is over: it fails and its top-up payload is cancelled, so a late top-up can't fulfill it
+function closeRefundedOrder(order, refund) {
+  const payloadUuid = order.topUp?.payload_uuid;
+  const error = "Order refunded before it was paid in full";
+  saveTopUp(order.id, null);
+  transitionOrder(order.id, ORDER_STATUS.FAILED, { detail: { refund: refund.id }, result: { status: "error", error }, error });
+  emitOrderStage(order.id, "error");
+  console.warn(`❌ Order ${order.id} closed: refunded while underpaid`);
+  if (payloadUuid) {
+    xumm.payload.cancel(payloadUuid).catch((e) => console.warn(`⚠️ Top-up payload cancel failed (${order.id}):`, e?.message || e));
+  }
+}
 
-      await client.disconnect();
+// fulfill_order dead-letter hook
+function autoRefundUndelivered(order, unitKeys) {
+  if (REFUND_POLICY !== "auto") {
+    console.warn(`⚠️ Order ${order.id}: ${unitKeys.length} item(s) undelivered, waiting for a manual refund`);
+    return;
+  }
+  try {
+    requestRefund(order, { reason: "undelivered", createdBy: "policy" });
+  } catch (e) {
+    console.error(`Auto refund error (${order.id}):`, e?.message || e);
+  }
+}
 
-      return {
-        status: "success",
-        payment_method: order.paymentMethod || "mpt",
-        total_nfts: mintedNFTs.length,
-        nfts: mintedNFTs,
-        accept_qr_list: acceptQrList,
-      };
-    })();
+function serializeRefund(r) {
+  return {
+    id: r.id,
+    kind: r.kind,
+    status: r.status,
+    value: r.value,
+    amount: r.amount,
+    payment_method: r.paymentMethod,
+    unit_keys: r.unitKeys,
+    reason: r.reason,
+    created_by: r.createdBy,
+    txid: r.txid,
+    error: r.error,
+    created_at: r.createdAt,
+    completed_at: r.completedAt,
+  };
+}
 
-    inflight.set(txid, jobPromise);
-    const result = await jobPromise;
+// per-item outcomes + refunds of one order (/buy/status and admin)
+function orderOutcome(order) {
+  const refunds = listRefunds({ orderId: order.id });
+  return {
+    items: unitOutcomes(order, getJobByRef(FULFILL_ORDER_JOB, order.id), refunds),
+    refunded: activeRefundTotals(order.id).value,
+    refunds: refunds.map(serializeRefund),
+    payment: paymentSummary(order, refunds),
+  };
+}
 
-    // If still pending (not validated), do NOT finalize or cache as success
-    if (result?.status === "pending") {
-      inflight.delete(txid);
-      return res.json({ status: "pending" });
-    }
+// amount received vs total (+ the locked quote); excess + its change status for overpaid orders
+function paymentSummary(order, refunds = listRefunds({ orderId: order.id })) {
+  const total = normalizeDecimal(order.total);
+  const paid = order.amountPaid || null;
+  const diff = paid ? subtractDecimal(paid, total) : null;
+  const excess = diff && compareDecimal(diff, "0") > 0 ? diff : null;
+  const change = refunds.filter((r) => r.kind === REFUND_KIND.CHANGE);
+  let changeStatus = null;
+  if (excess) {
+    if (compareDecimal(outstandingChange(order), "0") > 0) changeStatus = "awaiting_staff";
+    else changeStatus = change.some((r) => r.status === REFUND_STATUS.QUEUED) ? "returning" : "returned";
+  }
+  return {
+    total,
+    paid,
+    due: paid && compareDecimal(diff, "0") < 0 ? subtractDecimal("0", diff) : null,
+    excess,
+    change_status: changeStatus,
+    quote: order.quote || null,
+    pricing: order.pricing || null,
+  };
+}
 
-    // Cache by txid
-    txCache.set(txid, result);
-    inflight.delete(txid);
+// ===== Payment detection (signed payload -> verify -> enqueue fulfillment) =====
+const orderLocks = new Map(); // orderId -> Promise (poller, Xaman subscription, webhook and ledger watcher may race)
+const payloadWatches = new Map(); // orderId -> Xaman PayloadSubscription
 
-    // Mark completed + cache by payload_uuid for TTL window
-    if (result?.status === "success") {
-      order.status = "completed";
-      order.completedAt = Date.now();
-      ordersByPaymentPayload.set(payload_uuid, order);
+function failPayment(order, error, details = null) {
+  // an underpaid order already holds the customer's first payment: keep it open for a top-up or a staff refund
+  if (order.status === ORDER_STATUS.UNDERPAID) {
+    console.warn(`⚠️ Order ${order.id} top-up rejected: ${error}`);
+    emitOrderStage(order.id, "underpaid", { error });
+    return;
+  }
+  const result = { status: "error", error, details };
+  transitionOrder(order.id, ORDER_STATUS.FAILED, { result, error });
+  emitOrderStage(order.id, "error");
+  console.warn(`❌ Order ${order.id} payment rejected: ${error}`);
+}
 
-      completedByPayload.set(payload_uuid, {
-        result,
-        completedAt: Date.now(),
-      });
+// lazy XRPL client: only connect once some payload is actually signed
+async function withLedgerClient(fn) {
+  let client = null;
+  const getClient = async () => {
+    if (!client) {
+      client = new xrpl.Client(XRPL_ENDPOINT);
+      await client.connect();
     }
-
-    return res.json(result);
-  } catch (err) {
-    console.error(err);
-    return res.status(500).json({ status: "error", error: err.message });
+    return client;
+  };
+  try {
+    return await fn(getClient);
+  } finally {
+    if (client) await client.disconnect().catch(() => {});
   }
-});
+}
 
-// ===== AI ordering =====
-app.post("/ai-order", async (req, res) => {
-  try {
-    const { text, lang } = req.body || {};
-    if (!text) return res.status(400).json({ ok: false, error: "missing text" });
+// payment handling for one order runs one at a time
+function withOrderLock(orderId, fn) {
+  const run = (orderLocks.get(orderId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  orderLocks.set(orderId, tail);
+  tail.then(() => {
+    if (orderLocks.get(orderId) === tail) orderLocks.delete(orderId);
+  });
+  return run;
+}
 
-    const targetLang = lang === "zh" ? "Traditional Chinese (繁體中文)" : "English";
-    const catalogText = Object.entries(products)
-      .map(([id, p]) => `${id}. ${p.name} / ${p.name_zh || p.name} ($${p.price})`)
-      .join("\n");
-
-    const functions = [
-      {
-        name: "order_intent",
-        description: "Return parsed order intent and items.",
-        parameters: {
-          type: "object",
-          properties: {
-            intent: { type: "string", enum: ["order", "checkout", "help"] },
-            items: {
-              type: "array",
-              items: {
-                type: "object",
-                properties: {
-                  product: { type: "string" },
-                  qty: { type: "integer", minimum: 1 },
-                },
-                required: ["product"],
-              },
-            },
-            checkout: { type: "boolean" },
-          },
-          required: ["intent", "items"],
-        },
-      },
-    ];
-
-    const resp = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: `You are a smart barista AI.
-Rules:
-1. Reply in ${targetLang}.
-2. If user mentions ANY product (English or Chinese), interpret as order.
-3. Even single words (e.g. "Latte", "拿鐵") are orders.
-4. Only return "help" if input is a greeting unrelated to ordering.
-5. Current Menu:\n${catalogText}`,
-        },
-        { role: "user", content: text },
-      ],
-      functions,
-      function_call: "auto",
-      temperature: 0.1,
-      max_tokens: 400,
-    });
+async function checkOrderPayment(orderId, getClient) {
+  if (orderLocks.has(orderId)) return; // a check is already running, it will see the same payload
+  await withOrderLock(orderId, () => verifyOrderPayment(getOrder(orderId), getClient));
+}
 
-    const choice = resp.choices?.[0];
-    let parsed = null;
+// what the order still expects: the total, or the difference once it is underpaid
+function amountDue(order) {
+  return subtractDecimal(normalizeDecimal(order.total), order.amountPaid || "0");
+}
 
-    if (choice?.message?.function_call) {
-      try {
-        parsed = JSON.parse(choice.message.function_call.arguments);
-      } catch {
-        parsed = null;
-      }
-    } else {
-      try {
-        parsed = JSON.parse(choice?.message?.content || "");
-      } catch {
-        parsed = null;
-      }
-    }
+// the payload the customer is asked to sign right now (original payment / latest top-up)
+function pendingPayloadUuid(order) {
+  if (order?.status === ORDER_STATUS.CREATED) return order.payloadUuid;
+  if (order?.status === ORDER_STATUS.UNDERPAID) return order.topUp?.payload_uuid || null;
+  return null;
+}
 
-    if (!parsed) parsed = { intent: "help", items: [], raw_text: choice?.message?.content || text };
-    if (!Array.isArray(parsed.items)) parsed.items = [];
-
-    const norm = (s) => (s || "").toLowerCase().replace(/\s+/g, "");
-    parsed.items = parsed.items.map((it) => {
-      const name = norm(it.product);
-      let pid = null;
-      for (const k of Object.keys(products)) {
-        const p = products[k];
-        const pnEn = norm(p.name);
-        const pnZh = norm(p.name_zh);
-        if (pnEn === name || pnZh === name || name.includes(pnEn) || name.includes(pnZh)) {
-          pid = k;
-          break;
+/**
+ * A verified payment (txid already claimed) counts towards the order:
+ *   paid in full -> paid; short -> underpaid + top-up payload for the difference;
+ *   too much -> overpaid (fulfilled as usual) + change for the excess
+ */
+async function settleOrderPayment(order, { txid, received, detail = {} }) {
+  const due = amountDue(order);
+  bindRedemptionWallet(order.id, order.buyer);
+  order = setAmountPaid(order.id, addDecimal(order.amountPaid || "0", received));
+  const left = subtractDecimal(due, received);
+
+  if (compareDecimal(left, "0") > 0) {
+    order = transitionOrder(order.id, ORDER_STATUS.UNDERPAID, { detail: { ...detail, txid, received, due: left } });
+    saveTopUp(order.id, null);
+    emitOrderStage(order.id, "underpaid", { txid, received, due: left });
+    console.warn(`🪙 Order ${order.id} underpaid: received ${received}, ${left} still due`);
+    await requestTopUp(getOrder(order.id)).catch((e) => console.error(`Top-up payload error (${order.id}):`, e?.message || e));
+    return getOrder(order.id);
+  }
+
+  const excess = compareDecimal(left, "0") < 0 ? subtractDecimal("0", left) : null;
+  saveTopUp(order.id, null);
+  order = transitionOrder(order.id, excess ? ORDER_STATUS.OVERPAID : ORDER_STATUS.PAID, {
+    detail: { ...detail, txid, received, ...(excess ? { excess } : {}) },
+  });
+  // paid in full: the order gets its daily number and shows up on /kitchen
+  order = assignOrderNumber(order.id, { businessDate: businessDate() });
+  emitKitchenUpdate(order.id, order.kitchenStatus);
+  console.log(`👨‍🍳 Order ${order.id} is #${order.orderNumber} (${order.businessDate})`);
+  enqueueFulfillment(order);
+  if (excess) {
+    console.warn(`🪙 Order ${order.id} overpaid by ${excess}`);
+    if (OVERPAYMENT_POLICY === "auto") {
+      try {
+        requestChange(order, { createdBy: "policy" });
+      } catch (e) {
+        console.error(`Auto change error (${order.id}):`, e?.message || e);
+      }
+    }
+    emitOrderStage(order.id, "overpaid", { txid, excess });
+  }
+  return order;
+}
+
+/**
+ * A verified payment (txid already claimed) the order can't accept: the order fails and everything it received
+ * goes back to the buyer (refund up to the total, change for any excess); without STORE_SECRET staff refund it
+ */
+function refundRejectedPayment(order, { txid, received, reason, details }) {
+  order = setAmountPaid(order.id, addDecimal(order.amountPaid || "0", received));
+  saveTopUp(order.id, null);
+  const error = `Payment rejected after it was sent: ${reason}`;
+  order = transitionOrder(order.id, ORDER_STATUS.FAILED, { detail: { txid, received, reason }, result: { status: "error", error, details }, error });
+  emitOrderStage(order.id, "error");
+  console.warn(`❌ Order ${order.id} payment rejected (${reason}), returning ${order.amountPaid}`);
+
+  if (!refundsEnabled) {
+    console.warn(`⚠️ Order ${order.id}: refunds disabled, ${order.amountPaid} waiting for a manual refund`);
+    return order;
+  }
+  try {
+    const paid = normalizeDecimal(order.amountPaid);
+    const total = normalizeDecimal(order.total);
+    requestRefund(order, { value: compareDecimal(paid, total) > 0 ? total : paid, reason, createdBy: "policy" });
+    if (compareDecimal(outstandingChange(order), "0") > 0) requestChange(order, { createdBy: "policy" });
+  } catch (e) {
+    console.error(`Auto refund error (${order.id}):`, e?.message || e);
+  }
+  return order;
+}
+
+const TOPUP_EXPIRE_SEC = 300;
+
+// Xaman payload for what an underpaid order still owes (same InvoiceID / DestinationTag, same buyer)
+async function requestTopUp(order) {
+  if (order?.status !== ORDER_STATUS.UNDERPAID) throw paymentError(409, "ORDER_NOT_UNDERPAID", "Order is not underpaid");
+  const due = amountDue(order);
+  const paymentMethod = order.paymentMethod || "mpt";
+  const payload = await xumm.payload.create({
+    txjson: {
+      TransactionType: "Payment",
+      Destination: STORE_ADDRESS,
+      Amount: buildPaymentAmount({ paymentMethod, total: due }),
+      InvoiceID: order.invoiceId,
+      ...(order.destinationTag != null ? { DestinationTag: order.destinationTag } : {}),
+      ...(order.buyer ? { Account: order.buyer } : {}),
+    },
+    options: { expire: TOPUP_EXPIRE_SEC, return_url: { app: "xumm://close", web: `${BASE_URL}/index.html` } },
+  });
+  if (!payload?.uuid) throw new Error("Xumm payload.create returned empty payload");
+
+  const topUp = {
+    payload_uuid: payload.uuid,
+    amount: due,
+    qr: payload?.refs?.qr_png || null,
+    url: payload?.next?.always || null,
+    created_at: Date.now(),
+  };
+  order = saveTopUp(order.id, topUp);
+  emitOrderStage(order.id, "underpaid", { due, topup: payload.uuid });
+  watchOrderPayload(order, payload.uuid);
+  return topUp;
+}
+
+function paymentError(status, code, message, detail) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  if (detail) e.detail = detail;
+  return e;
+}
+
+// excess of an overpaid order not yet returned (or being returned)
+function outstandingChange(order) {
+  if (!order?.amountPaid) return "0";
+  const excess = subtractDecimal(order.amountPaid, normalizeDecimal(order.total));
+  const left = subtractDecimal(excess, activeChangeTotal(order.id));
+  return compareDecimal(left, "0") > 0 ? left : "0";
+}
+
+// Return the excess of an overpaid order from STORE_ADDRESS (same refund job, kind=change)
+function requestChange(order, { createdBy }) {
+  if (!order) throw paymentError(404, "ORDER_NOT_FOUND", "Order not found");
+  const value = outstandingChange(order);
+  if (compareDecimal(value, "0") <= 0) throw paymentError(409, "NO_EXCESS", "Order has no excess payment to return");
+  if (!order.buyer) throw paymentError(409, "ORDER_NO_BUYER", "Order has no buyer address");
+  if (!refundsEnabled) throw paymentError(409, "REFUNDS_DISABLED", "Refunds need STORE_SECRET for STORE_ADDRESS");
+
+  const refund = createRefund({
+    orderId: order.id,
+    kind: REFUND_KIND.CHANGE,
+    value,
+    amount: buildPaymentAmount({ paymentMethod: order.paymentMethod || "mpt", total: value }),
+    paymentMethod: order.paymentMethod || "mpt",
+    destination: order.buyer,
+    reason: "overpayment",
+    createdBy,
+  });
+  enqueueJob({ kind: REFUND_JOB, refId: refund.id, maxAttempts: JOB_MAX_ATTEMPTS });
+  console.log(`💸 Change ${refund.id} queued for order ${order.id}: ${refund.value} ${refund.paymentMethod} (${createdBy})`);
+  return refund;
+}
+
+async function verifyOrderPayment(order, getClient) {
+  const payloadUuid = pendingPayloadUuid(order);
+  if (!payloadUuid) return;
+
+  const payload = await xumm.payload.get(payloadUuid);
+  if (!payload?.meta?.signed) return;
+
+  const buyer = payload.response.account;
+  const txid = payload.response.txid;
+  if (!txid) return;
+
+  // Fill buyer once (Plan A) + freeze txid for this order (a top-up keeps the first txid)
+  if (getPaymentClaim(txid) === order.id) return; // this top-up was already settled (ledger watcher)
+  order = bindPayment(order.id, { buyer, txid });
+  emitOrderStage(order.id, "signed", { txid });
+
+  // Prevent buyer mismatch
+  if (buyer !== order.buyer) return failPayment(order, "Buyer mismatch for this order");
+  if (isTxProcessed(txid, { excludeOrderId: order.id })) return failPayment(order, "Payment tx already used by another order", { txid });
+
+  emitOrderStage(order.id, "verifying", { txid });
+  const v = await verifyAndRecordPayment({
+    orderId: order.id,
+    source: "payload",
+    client: await getClient(),
+    txid,
+    expectedBuyer: order.buyer,
+    expectedTotal: amountDue(order),
+    paymentMethod: order.paymentMethod || "mpt",
+    expectedInvoiceId: order.invoiceId,
+    expectedDestinationTag: order.destinationTag,
+    quote: order.quote,
+    pricing: order.pricing,
+  });
+
+  if (REFUNDABLE_REASONS.has(v.reason) && v.details?.received != null) {
+    if (!claimPaymentTx(txid, order.id)) return failPayment(order, "Payment tx already used by another order", { txid });
+    refundRejectedPayment(order, { txid, received: v.details.received, reason: v.reason, details: v.details });
+    return;
+  }
+  if (!v.ok && !SETTLEABLE_REASONS.has(v.reason)) {
+    if (v.reason === "not_validated_yet") return;
+    return failPayment(order, `Payment verification failed: ${v.reason}`, v.details || null);
+  }
+  if (!claimPaymentTx(txid, order.id)) return failPayment(order, "Payment tx already used by another order", { txid });
+
+  order = await settleOrderPayment(order, { txid, received: v.details.received });
+  console.log(`✅ Verified ${order.paymentMethod || "mpt"} payment${order.orderNumber != null ? ` (#${order.orderNumber})` : ""}: buyer=${buyer} total=${order.total} received=${v.details.received} tx=${txid}`);
+}
+
+let paymentPollRunning = false;
+async function pollPayments() {
+  if (paymentPollRunning) return;
+  const open = listOrdersByStatus([ORDER_STATUS.CREATED, ORDER_STATUS.UNDERPAID]).filter(pendingPayloadUuid);
+  if (!open.length) return;
+
+  paymentPollRunning = true;
+  try {
+    await withLedgerClient(async (getClient) => {
+      for (const order of open) {
+        try {
+          await checkOrderPayment(order.id, getClient);
+        } catch (e) {
+          console.error(`Payment check error (${order.id}):`, e?.message || e);
         }
       }
-      return { ...it, product_id: pid };
     });
+  } finally {
+    paymentPollRunning = false;
+  }
+}
+
+// Xaman pushes resolve / expire over a websocket, so a signature is handled without waiting for the poller
+async function watchOrderPayload(order, payloadUuid = order?.payloadUuid) {
+  if (!payloadUuid || payloadWatches.has(payloadUuid)) return;
+  try {
+    const sub = await xumm.payload.subscribe(payloadUuid, (event) => {
+      if (typeof event?.data?.signed === "boolean" || event?.data?.expired) return event.data;
+    });
+    payloadWatches.set(payloadUuid, sub);
+    const data = await sub.resolved;
+
+    if (data?.signed === true) {
+      await withLedgerClient((getClient) => checkOrderPayment(order.id, getClient));
+    } else if (data?.signed === false) {
+      closeUnsignedPayload(getOrder(order.id), payloadUuid, "cancelled");
+    } else if (data?.expired && payloadUuid !== order.payloadUuid) {
+      closeUnsignedPayload(getOrder(order.id), payloadUuid, "expired"); // top-up only; unpaid orders expire via the TTL sweep
+    }
+  } catch (e) {
+    console.warn(`⚠️ Xaman subscription for order ${order.id} failed (poller will pick it up):`, e?.message || e);
+  } finally {
+    payloadWatches.get(payloadUuid)?.websocket?.close();
+    payloadWatches.delete(payloadUuid);
+  }
+}
+
+// declined / expired: an unpaid order fails; a declined top-up only drops that payload (kiosk asks for a new one)
+function closeUnsignedPayload(order, payloadUuid, outcome) {
+  if (order?.status === ORDER_STATUS.UNDERPAID && order.topUp?.payload_uuid === payloadUuid) {
+    saveTopUp(order.id, null);
+    emitOrderStage(order.id, "underpaid", { due: amountDue(order), topup: null, outcome });
+  } else if (order?.status === ORDER_STATUS.CREATED && order.payloadUuid === payloadUuid) {
+    failPayment(order, outcome === "expired" ? "Payment request expired in Xaman" : "Payment was declined in Xaman");
+  }
+}
+
+// ===== Xumm webhook (payload resolved -> same payment check as the subscription / poller) =====
+async function handleXummWebhook(event) {
+  const order = getOrderByPayload(event.payloadUuid);
+  if (!order) return; // not an order payment (trustline / MPT authorize payloads)
+
+  if (event.signed) {
+    // signature + amount are still verified against Xaman and the ledger, not the webhook body
+    await withLedgerClient((getClient) => checkOrderPayment(order.id, getClient));
+  } else if (["cancelled", "expired"].includes(event.outcome)) {
+    // the payload state is re-read from Xaman before the order is failed, as for a signed one
+    const p = await xumm.payload.get(event.payloadUuid);
+    if (p?.meta?.signed) {
+      await withLedgerClient((getClient) => checkOrderPayment(order.id, getClient));
+      return;
+    }
+    const outcome = p?.meta?.expired ? "expired" : p?.meta?.cancelled || p?.meta?.resolved ? "cancelled" : null;
+    if (!outcome) return;
+    await withOrderLock(order.id, () => closeUnsignedPayload(getOrder(order.id), event.payloadUuid, outcome));
+  }
+}
+
+app.post("/webhooks/xumm", (req, res) => {
+  const valid = verifyXummWebhook({
+    secret: XUMM_WEBHOOK_SECRET,
+    timestamp: req.get(TIMESTAMP_HEADER),
+    signature: req.get(SIGNATURE_HEADER),
+    rawBody: req.rawBody,
+    body: req.body,
+  });
+  if (!valid) return res.status(401).json({ error: "Invalid webhook signature", code: "INVALID_SIGNATURE" });
+
+  const event = parseXummWebhook(req.body);
+  if (!event) return res.status(400).json({ error: "Missing payload uuid", code: "INVALID_WEBHOOK" });
+
+  // replays / redeliveries are accepted and processed again
+  const record = recordWebhook({ ...event, body: req.body });
+  res.json({ ok: true, payload_uuid: event.payloadUuid, outcome: event.outcome, deliveries: record.deliveries });
+
+  // answer Xumm right away; the payment check talks to Xaman + XRPL
+  handleXummWebhook(event).then(
+    () => markWebhookProcessed(event.payloadUuid),
+    (e) => {
+      markWebhookProcessed(event.payloadUuid, { error: e?.message || e });
+      console.error(`Xumm webhook error (${event.payloadUuid}):`, e?.message || e);
+    }
+  );
+});
+
+app.get("/api/admin/webhooks", requireAdmin, (req, res) => {
+  res.json({
+    webhooks: listWebhooks().map((w) => ({
+      payload_uuid: w.payloadUuid,
+      outcome: w.outcome,
+      txid: w.txid,
+      identifier: w.identifier,
+      order_id: getOrderByPayload(w.payloadUuid)?.id || null,
+      deliveries: w.deliveries,
+      first_received_at: w.firstReceivedAt,
+      last_received_at: w.lastReceivedAt,
+      processed_at: w.processedAt,
+      process_error: w.processError,
+    })),
+  });
+});
+
+// ===== Ledger watcher (incoming Payments to STORE_ADDRESS, matched by InvoiceID / DestinationTag) =====
+function findOrderForPayment(payment) {
+  const byInvoice = payment.invoiceId ? getOrderByInvoiceId(payment.invoiceId) : null;
+  if (byInvoice) return byInvoice;
+  return payment.destinationTag != null ? getOpenOrderByDestinationTag(payment.destinationTag) : null;
+}
+
+async function handleStorePayment(payment, { client }) {
+  if (getIncomingPayment(payment.txid)) return; // seen before (catch-up after reconnect)
+
+  const order = findOrderForPayment(payment);
+  const record = (status, reason = null) => {
+    recordIncomingPayment({ ...payment, orderId: order?.id, status, reason });
+    if (status === INCOMING_STATUS.UNASSIGNED) {
+      console.warn(`💰 Unassigned payment ${payment.txid} from ${payment.account}: ${reason}${order ? ` (order ${order.id})` : ""}`);
+    }
+  };
+  if (!order) return record(INCOMING_STATUS.UNASSIGNED, "no_matching_order");
+
+  await withOrderLock(order.id, async () => {
+    const cur = getOrder(order.id);
+
+    // the Xaman payload flow already bound (or settled) this tx; make sure it gets verified
+    if (cur.txid === payment.txid || getPaymentClaim(payment.txid) === cur.id) {
+      if (cur.status === ORDER_STATUS.CREATED) await verifyOrderPayment(cur, async () => client);
+      return record(INCOMING_STATUS.MATCHED);
+    }
+    if (![ORDER_STATUS.CREATED, ORDER_STATUS.UNDERPAID].includes(cur.status)) return record(INCOMING_STATUS.UNASSIGNED, `order_${cur.status}`);
+    if (cur.status === ORDER_STATUS.CREATED && cur.txid) return record(INCOMING_STATUS.UNASSIGNED, "order_already_paid");
+
+    // paid from any wallet: that wallet becomes the buyer and receives the NFTs (a top-up keeps the first buyer)
+    const v = await verifyAndRecordPayment({
+      orderId: cur.id,
+      source: "ledger",
+      client,
+      txid: payment.txid,
+      expectedBuyer: payment.account,
+      expectedTotal: amountDue(cur),
+      paymentMethod: cur.paymentMethod || "mpt",
+      expectedInvoiceId: cur.invoiceId,
+      expectedDestinationTag: cur.destinationTag,
+      requireInvoiceId: cur.destinationTag == null,
+      quote: cur.quote,
+      pricing: cur.pricing,
+    });
+    const refundable = REFUNDABLE_REASONS.has(v.reason) && v.details?.received != null;
+    if (!v.ok && !SETTLEABLE_REASONS.has(v.reason) && !refundable) {
+      if (v.reason === "not_validated_yet") throw new Error(`Cannot load tx ${payment.txid}: ${v.details?.message || v.reason}`);
+      return record(INCOMING_STATUS.UNASSIGNED, v.reason);
+    }
+    if (!claimPaymentTx(payment.txid, cur.id)) return record(INCOMING_STATUS.UNASSIGNED, "tx_already_used");
 
-    const actions = [];
-    for (const it of parsed.items) {
-      if (it.product_id) actions.push({ type: "add_to_cart", product_id: it.product_id, qty: it.qty || 1 });
+    const topUp = cur.status === ORDER_STATUS.UNDERPAID;
+    const paid = bindPayment(cur.id, { buyer: payment.account, txid: payment.txid, replaceBuyer: !topUp });
+    if (refundable) {
+      refundRejectedPayment(paid, { txid: payment.txid, received: v.details.received, reason: v.reason, details: v.details });
+      return record(INCOMING_STATUS.MATCHED, v.reason);
     }
-    if (parsed.intent === "checkout" || parsed.checkout) actions.push({ type: "checkout" });
+    emitOrderStage(paid.id, "signed", { txid: payment.txid });
+    await settleOrderPayment(paid, {
+      txid: payment.txid,
+      received: v.details.received,
+      detail: {
+        source: "ledger",
+        ...(!topUp && cur.buyer && cur.buyer !== payment.account ? { previous_buyer: cur.buyer } : {}),
+      },
+    });
+    record(INCOMING_STATUS.MATCHED);
+    console.log(`✅ Ledger payment matched order ${paid.id}: buyer=${payment.account} received=${v.details.received} tx=${payment.txid}`);
+  });
+}
+
+const ledgerWatcher = createLedgerWatcher({
+  xrpl,
+  endpoint: XRPL_ENDPOINT,
+  account: STORE_ADDRESS,
+  onPayment: handleStorePayment,
+  fromLedger: lastSeenLedger,
+});
+
+// ===== Buy Status (read-only: order + fulfillment job progress) =====
+function jobProgress(job) {
+  const units = (job?.state?.units || []).map((u) => ({
+    unit_key: u.unit_key,
+    name: u.name,
+    status: u.status,
+    steps: Object.fromEntries(UNIT_STEPS.map((s) => [s, u.steps?.[s]?.status || "pending"])),
+    error: u.error || null,
+  }));
+  return {
+    job_id: job.id,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.maxAttempts,
+    next_run_at: job.status === JOB_STATUS.QUEUED ? job.runAt : null,
+    last_error: job.lastError,
+    done: units.filter((u) => u.status === "done").length,
+    total: units.length,
+    units,
+  };
+}
 
-    return res.json({ ok: true, parsed, actions });
+// Daily number + /kitchen state for the customer (null until paid in full)
+function pickupSummary(order) {
+  return { order_number: order.orderNumber ?? null, kitchen_status: order.kitchenStatus || null };
+}
+
+// Shared by /buy/status and /buy/stream
+function buyStatusView(order) {
+  if (!order || order.status === ORDER_STATUS.EXPIRED) {
+    return { status: "completed_or_expired" };
+  }
+
+  // Final result is persisted (survives restart and TTL archival); outcomes reflect refunds made since
+  if ([ORDER_STATUS.COMPLETED, ORDER_STATUS.PARTIAL, ORDER_STATUS.FAILED].includes(order.status)) {
+    if (order.result) return { ...order.result, order_id: order.id, ...pickupSummary(order), ...orderOutcome(order) };
+    return { status: "completed_or_expired" };
+  }
+
+  if (order.status === ORDER_STATUS.CREATED) {
+    return { status: "pending", stage: "awaiting_payment", order_id: order.id };
+  }
+
+  // topup=null: the last top-up payload was declined / expired, POST /buy/topup creates a new one
+  if (order.status === ORDER_STATUS.UNDERPAID) {
+    return {
+      status: "pending",
+      stage: "underpaid",
+      order_id: order.id,
+      payment_method: order.paymentMethod || "mpt",
+      payment: paymentSummary(order),
+      topup: order.topUp
+        ? { payload_uuid: order.topUp.payload_uuid, amount: order.topUp.amount, qr: order.topUp.qr, url: order.topUp.url }
+        : null,
+    };
+  }
+
+  const job = getJobByRef(FULFILL_ORDER_JOB, order.id);
+  const stage = !job ? "paid" : job.attempts > 0 && job.status === JOB_STATUS.QUEUED ? "retrying" : "minting";
+  return {
+    status: "pending",
+    stage,
+    order_id: order.id,
+    ...pickupSummary(order),
+    payment_method: order.paymentMethod || "mpt",
+    payment: paymentSummary(order),
+    job: job ? jobProgress(job) : null,
+  };
+}
+
+app.get("/buy/status", (req, res) => {
+  const payload_uuid = req.query.payload_uuid;
+  if (!payload_uuid) return res.status(400).json({ error: "Missing payload_uuid" });
+
+  try {
+    return res.json(buyStatusView(getOrderByPayload(payload_uuid)));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ status: "error", error: err.message });
+  }
+});
+
+// ===== Receipt (HTML for the kiosk printer, JSON with ?format=json or Accept: application/json) =====
+app.get("/orders/:id/receipt", (req, res) => {
+  const order = getOrder(req.params.id);
+  if (!order) return res.status(404).json({ error: "ORDER_NOT_FOUND" });
+  if (!RECEIPT_STATUSES.includes(order.status)) {
+    return res.status(409).json({ error: "ORDER_NOT_PAID", status: order.status });
+  }
+
+  const lang = req.query.lang === "zh" ? "zh" : "en";
+  try {
+    const receipt = buildReceipt(order, {
+      store: { name: STORE_NAME, info: STORE_INFO, address: STORE_ADDRESS },
+      explorerUrl: XRPL_EXPLORER_URL,
+      lang,
+    });
+    const wantsJson = req.query.format === "json" || (req.query.format !== "html" && req.accepts(["html", "json"]) === "json");
+    if (wantsJson) return res.json(receipt);
+    return res.type("html").send(renderReceiptHtml(receipt, { lang }));
+  } catch (err) {
+    console.error("❌ Receipt error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// ===== Kitchen display (paid orders by daily number: paid -> preparing -> ready -> picked_up) =====
+// Same credentials as the admin endpoints; EventSource cannot send headers, so the stream also takes ?token=
+function requireKitchen(req, res, next) {
+  if (ADMIN_TOKEN && req.query.token === ADMIN_TOKEN) return next();
+  return requireAdmin(req, res, next);
+}
+
+function kitchenOrders(lang) {
+  return listKitchenOrders({ pickedUpSince: Date.now() - KITCHEN_PICKED_UP_VISIBLE_MS }).map((o) => kitchenOrderView(o, { lang }));
+}
+
+app.get("/kitchen", (req, res) => {
+  res.type("html").send(renderKitchenHtml({ storeName: STORE_NAME, lang: req.query.lang === "zh" ? "zh" : "en" }));
+});
+
+app.get("/kitchen/orders", requireKitchen, (req, res) => {
+  res.json({ ok: true, orders: kitchenOrders(req.query.lang === "zh" ? "zh" : "en") });
+});
+
+// event "orders" data = { orders }: the full list, sent on connect and after every change
+app.get("/kitchen/stream", requireKitchen, (req, res) => {
+  const lang = req.query.lang === "zh" ? "zh" : "en";
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  const send = () => res.write(`event: orders\ndata: ${JSON.stringify({ orders: kitchenOrders(lang) })}\n\n`);
+  send();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25 * 1000);
+  const unsubscribe = onKitchenUpdate(send);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// bump = next state, recall = previous state (undo a mistaken bump)
+app.post("/kitchen/orders/:id/:move", requireKitchen, (req, res) => {
+  const { id, move } = req.params;
+  if (!["bump", "recall"].includes(move)) return res.status(404).json({ ok: false, error: "UNKNOWN_KITCHEN_ACTION" });
+  try {
+    const order = moveKitchenStatus(id, move);
+    emitKitchenUpdate(order.id, order.kitchenStatus);
+    return res.json({ ok: true, order: kitchenOrderView(order) });
+  } catch (err) {
+    return res.status(err.status || 500).json({ ok: false, error: err.code || err.message, detail: err.message });
+  }
+});
+
+// ===== Top-up (underpaid order -> new Xaman payload for the difference) =====
+// body: { payload_uuid } (the order's original payload); reuses the current top-up while it is still open
+app.post("/buy/topup", async (req, res) => {
+  const order = getOrderByPayload(req.body?.payload_uuid);
+  if (!order) return res.status(404).json({ error: "ORDER_NOT_FOUND" });
+  try {
+    const topUp = await withOrderLock(order.id, () => {
+      const cur = getOrder(order.id);
+      if (cur.topUp && Date.now() - cur.topUp.created_at < (TOPUP_EXPIRE_SEC - 20) * 1000) return cur.topUp;
+      return requestTopUp(cur);
+    });
+    res.json({ ok: true, order_id: order.id, ...topUp });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.code || "TOPUP_FAILED", message: err.message });
+  }
+});
+
+// ===== Buy Stream (SSE: same view as /buy/status, pushed on every stage change) =====
+// event "status" data = /buy/status body + transition (pending / signed / verifying / underpaid / overpaid / minting / offers_ready /
+// success / partial / error)
+function initialTransition(view) {
+  if (view.status !== "pending") return view.status;
+  if (view.stage === "underpaid") return "underpaid";
+  return view.stage === "awaiting_payment" ? "pending" : "minting";
+}
+
+app.get("/buy/stream", (req, res) => {
+  const payload_uuid = req.query.payload_uuid;
+  if (!payload_uuid) return res.status(400).json({ error: "Missing payload_uuid" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  // returns true once the view is final (stream ends, client stops reconnecting)
+  const send = (transition) => {
+    let view;
+    try {
+      view = buyStatusView(getOrderByPayload(payload_uuid));
+    } catch (err) {
+      view = { status: "error", error: err.message };
+    }
+    res.write(`event: status\ndata: ${JSON.stringify({ ...view, transition: transition || initialTransition(view) })}\n\n`);
+    return view.status !== "pending";
+  };
+
+  const order = getOrderByPayload(payload_uuid);
+  if (send() || !order) return res.end();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25 * 1000);
+  const unsubscribe = onOrderStage(order.id, (e) => {
+    if (send(e.stage)) close();
+  });
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+  req.on("close", close);
+});
+
+// ===== Fulfillment jobs admin (inspect / retry dead-letter) =====
+app.get("/api/admin/jobs", requireAdmin, (req, res) => {
+  const jobs = listJobs({ kind: req.query.kind || undefined, status: req.query.status || undefined });
+  res.json({ jobs: jobs.map((j) => ({ kind: j.kind, ref_id: j.refId, created_at: j.createdAt, updated_at: j.updatedAt, ...jobProgress(j) })) });
+});
+
+app.post("/api/admin/jobs/:id/retry", requireAdmin, (req, res) => {
+  const existing = getJob(req.params.id);
+  if (!existing) return res.status(404).json({ error: "JOB_NOT_FOUND" });
+  if (existing.kind === REFUND_JOB && existing.status === JOB_STATUS.DEAD) {
+    // a failed refund may have been replaced by a newer one in the meantime (same caps as planRefund / requestChange)
+    const refund = getRefund(existing.refId);
+    const order = getOrder(refund?.orderId);
+    const active = activeRefundTotals(refund?.orderId);
+    const superseded =
+      !refund ||
+      !order ||
+      (refund.kind === REFUND_KIND.CHANGE
+        ? compareDecimal(refund.value, outstandingChange(order)) > 0
+        : refund.unitKeys.some((k) => active.unitKeys.has(k)) || compareDecimal(addDecimal(active.value, refund.value), refundCap(order).cap) > 0);
+    if (superseded) return res.status(409).json({ error: "REFUND_SUPERSEDED" });
+    reopenRefund(refund.id);
+  }
+  const job = requeueJob(existing.id);
+  if (!job) return res.status(409).json({ error: "JOB_NOT_DEAD", status: existing.status });
+  // order goes back to minting when the worker picks the job up again
+  console.log(`🔁 Dead job ${job.kind}/${job.refId} requeued`);
+  res.json({ ok: true, ref_id: job.refId, ...jobProgress(job) });
+});
+
+// ===== Incoming payments admin (ledger watcher: unassigned payments) =====
+function serializeIncomingPayment(p) {
+  return {
+    txid: p.txid,
+    ledger_index: p.ledgerIndex,
+    account: p.account,
+    amount: p.amount,
+    delivered_amount: p.deliveredAmount,
+    invoice_id: p.invoiceId,
+    destination_tag: p.destinationTag,
+    order_id: p.orderId,
+    status: p.status,
+    reason: p.reason,
+    note: p.note,
+    created_at: p.createdAt,
+    updated_at: p.updatedAt,
+  };
+}
+
+app.get("/api/admin/payments", requireAdmin, (req, res) => {
+  const status = req.query.status || INCOMING_STATUS.UNASSIGNED;
+  res.json({ payments: listIncomingPayments({ status: status === "all" ? undefined : status }).map(serializeIncomingPayment) });
+});
+
+app.post("/api/admin/payments/:txid/resolve", requireAdmin, (req, res) => {
+  const existing = getIncomingPayment(req.params.txid);
+  if (!existing) return res.status(404).json({ error: "PAYMENT_NOT_FOUND" });
+  if (existing.status !== INCOMING_STATUS.UNASSIGNED) {
+    return res.status(409).json({ error: "PAYMENT_NOT_UNASSIGNED", status: existing.status });
+  }
+  const note = String(req.body?.note || "").trim();
+  res.json({ ok: true, payment: serializeIncomingPayment(resolveIncomingPayment(existing.txid, { note })) });
+});
+
+// ===== Payment verification audit (every verifyPaymentTx outcome + reason code) =====
+// ?order_id= / ?txid= / ?ok=false
+app.get("/api/admin/verifications", requireAdmin, (req, res) => {
+  const ok = req.query.ok == null ? undefined : req.query.ok === "true";
+  res.json({
+    verifications: listVerifications({ orderId: req.query.order_id, txid: req.query.txid, ok }).map((v) => ({
+      id: v.id,
+      order_id: v.orderId,
+      txid: v.txid,
+      source: v.source,
+      ok: v.ok,
+      reason: v.reason,
+      details: v.details,
+      created_at: v.createdAt,
+    })),
+  });
+});
+
+// ===== Refunds admin =====
+app.get("/api/admin/refunds", requireAdmin, (req, res) => {
+  res.json({ refunds: listRefunds({ status: req.query.status || undefined }).map((r) => ({ order_id: r.orderId, ...serializeRefund(r) })) });
+});
+
+app.get("/api/admin/orders/:id/refunds", requireAdmin, (req, res) => {
+  const order = getOrder(req.params.id);
+  if (!order) return res.status(404).json({ ok: false, error: "Order not found" });
+  res.json({ order_id: order.id, status: order.status, total: order.total, payment_method: order.paymentMethod, ...orderOutcome(order) });
+});
+
+// body: { unit_keys?: ["0:1"], value?, reason? } -- no unit_keys / value = every undelivered item
+app.post("/api/admin/orders/:id/refunds", requireAdmin, async (req, res) => {
+  try {
+    const { unit_keys, value, reason } = req.body || {};
+    // under the order lock: a top-up being verified right now settles first, then the refund sees the new state
+    const refund = await withOrderLock(req.params.id, () =>
+      requestRefund(getOrder(req.params.id), {
+        unitKeys: unit_keys,
+        value,
+        reason: reason || "manual",
+        createdBy: "admin",
+      })
+    );
+    return res.status(202).json({ ok: true, refund: serializeRefund(refund) });
+  } catch (err) {
+    return res.status(err.status || 500).json({ ok: false, error: err.message, code: err.code, detail: err.detail });
+  }
+});
+
+// ===== Underpaid / overpaid orders admin =====
+// ?status=underpaid (default) / overpaid / any order status; overpaid orders move on to minting, so ?status=change
+// lists every order whose excess is still waiting for staff
+app.get("/api/admin/orders", requireAdmin, (req, res) => {
+  const status = req.query.status || ORDER_STATUS.UNDERPAID;
+  const orders =
+    status === "change"
+      ? listOverpaidOrders().filter((o) => compareDecimal(outstandingChange(o), "0") > 0)
+      : listOrdersByStatus([status]);
+  res.json({
+    orders: orders.map((o) => ({
+      order_id: o.id,
+      status: o.status,
+      payment_method: o.paymentMethod,
+      buyer: o.buyer,
+      txid: o.txid,
+      created_at: o.createdAt,
+      updated_at: o.updatedAt,
+      payment: paymentSummary(o),
+    })),
+  });
+});
+
+// return the excess of an overpaid order (OVERPAYMENT_POLICY=manual)
+app.post("/api/admin/orders/:id/change", requireAdmin, (req, res) => {
+  try {
+    const refund = requestChange(getOrder(req.params.id), { createdBy: "admin" });
+    return res.status(202).json({ ok: true, refund: serializeRefund(refund) });
+  } catch (err) {
+    return res.status(err.status || 500).json({ ok: false, error: err.message, code: err.code, detail: err.detail });
+  }
+});
+
+// ===== Pinned images admin (image CID registry) =====
+app.get("/api/admin/ipfs/images", requireAdmin, (req, res) => {
+  return res.json({ ok: true, backends: ipfsStorage.order, images: listPinnedImages() });
+});
+
+// pin catalog images that are not in the registry yet (e.g. after adding files to public/images)
+app.post("/api/admin/ipfs/images/prepin", requireAdmin, async (req, res) => {
+  try {
+    await prepinCatalogImages();
+    return res.json({ ok: true, backends: ipfsStorage.order, images: listPinnedImages() });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+// drop a registry entry (content unpinned on that backend); the next pin uploads it again
+app.delete("/api/admin/ipfs/images/:hash", requireAdmin, (req, res) => {
+  const backend = String(req.query.backend || ipfsStorage.order[0]);
+  if (!forgetPinnedImage(req.params.hash, backend)) return res.status(404).json({ ok: false, error: "Pinned image not found" });
+  return res.json({ ok: true });
+});
+
+// ===== Voucher artwork preview (sample card for a menu item, nothing is pinned) =====
+// ?item_id= (default: first item) &template= (default: the item's category template)
+app.get("/api/admin/voucher-art/preview", requireAdmin, (req, res) => {
+  const p = req.query.item_id ? getItem(req.query.item_id) : listItems({ includeDisabled: true })[0];
+  if (!p) return res.status(404).json({ ok: false, error: "Menu item not found" });
+  const template = req.query.template ? String(req.query.template).toLowerCase() : voucherTemplate(p);
+  if (!VOUCHER_TEMPLATES[template]) {
+    return res.status(400).json({ ok: false, error: "Unknown template", detail: { templates: Object.keys(VOUCHER_TEMPLATES) } });
+  }
+  const now = Date.now();
+  const hours = Number(voucherValidityHours(p)) || 0;
+  const unit = { unit_key: "0:0", line_index: 0, product_id: p.id, name: p.name, qty: 1, valid_from: now, expires_at: hours ? now + hours * 3600 * 1000 : null };
+  const line = { product_id: p.id, modifiers: resolveModifiers(p, {}) };
+  const order = { id: "00000000-0000-4000-8000-000000000000", orderNumber: 42, items: [line] };
+  res.type("image/svg+xml").send(renderVoucherSvg(voucherCard(unit, order, p), { template }));
+});
+
+// ===== Exchange rates admin (PRICE_CURRENCY -> xrp / rlusd / mpt) =====
+const RATE_ASSETS = ["xrp", "rlusd", "mpt"];
+
+// effective rate per asset (first source in RATE_PROVIDER order that has one) + the staff-set rates
+app.get("/api/admin/rates", requireAdmin, async (req, res) => {
+  const effective = {};
+  for (const asset of RATE_ASSETS) {
+    try {
+      const r = await rateProvider.getRate(asset);
+      const round = rateProvider.roundingFor(asset);
+      effective[asset] = { rate: r.rate, source: r.source, at: r.at, rounding: `${round.mode}:${round.decimals}` };
+    } catch (err) {
+      effective[asset] = { error: err.message };
+    }
+  }
+  res.json({
+    base_currency: PRICE_CURRENCY,
+    order: rateProvider.order,
+    effective,
+    admin: listAdminRates().map((r) => ({
+      asset: r.asset,
+      base_currency: r.baseCurrency,
+      rate: r.rate,
+      note: r.note,
+      updated_at: r.updatedAt,
+      active: r.baseCurrency === PRICE_CURRENCY,
+    })),
+  });
+});
+
+// body { rate, note? }: rate = price of 1 unit of the asset in PRICE_CURRENCY; used by new orders only
+app.put("/api/admin/rates/:asset", requireAdmin, (req, res) => {
+  const asset = String(req.params.asset || "").toLowerCase();
+  if (!RATE_ASSETS.includes(asset)) return res.status(404).json({ ok: false, error: "UNKNOWN_ASSET", detail: { assets: RATE_ASSETS } });
+  const rate = normalizeDecimal(req.body?.rate);
+  if (!rate || compareDecimal(rate, "0") <= 0) {
+    return res.status(400).json({ ok: false, error: "INVALID_RATE", detail: { rate: req.body?.rate ?? null } });
+  }
+  const saved = setAdminRate(asset, { baseCurrency: PRICE_CURRENCY, rate, note: req.body?.note });
+  if (!rateProvider.order.includes("admin")) console.warn(`⚠️ Admin rate for ${asset} saved, but RATE_PROVIDER does not use "admin"`);
+  res.json({ ok: true, rate: { asset: saved.asset, base_currency: saved.baseCurrency, rate: saved.rate, note: saved.note, updated_at: saved.updatedAt } });
+});
+
+// back to the next source (static / feed)
+app.delete("/api/admin/rates/:asset", requireAdmin, (req, res) => {
+  const asset = String(req.params.asset || "").toLowerCase();
+  if (!deleteAdminRate(asset)) return res.status(404).json({ ok: false, error: "RATE_NOT_FOUND" });
+  res.json({ ok: true });
+});
+
+// ===== Promotions admin (codes, automatic discounts, BOGO; see pricing/promotions.js) =====
+app.get("/api/admin/promotions", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, currency: PRICE_CURRENCY, promotions: listPromotions() });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+// create or replace by id; past redemptions are kept
+app.post("/api/admin/promotions", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, promotion: upsertPromotion(req.body || {}) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/promotions/:id/disable", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, promotion: setPromotionEnabled(req.params.id, false) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.post("/api/admin/promotions/:id/enable", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, promotion: setPromotionEnabled(req.params.id, true) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+app.get("/api/admin/promotions/:id/redemptions", requireAdmin, (req, res) => {
+  try {
+    return res.json({ ok: true, redemptions: listRedemptions(req.params.id) });
+  } catch (err) {
+    return sendAdminError(res, err);
+  }
+});
+
+// ===== AI ordering =====
+// Keep only modifiers the product supports; a bad guess from the model should not drop the item
+function pickValidModifiers(productId, requested) {
+  if (!productId || !requested || typeof requested !== "object") return {};
+  const out = {};
+  for (const [group, option] of Object.entries(requested)) {
+    try {
+      const line = priceLine({ product_id: productId, modifiers: { [group]: option } });
+      const hit = line?.modifiers.find((m) => m.group === group);
+      if (hit) out[group] = hit.option;
+    } catch {
+      // unknown option for this product -> ignore
+    }
+  }
+  return out;
+}
+
+// Run fn with the latest session row; calls for the same session are serialized
+async function withChatSession(sessionId, { lang } = {}, fn) {
+  const { id } = getOrCreateSession(sessionId, { lang });
+  const prev = chatSessionLocks.get(id) || Promise.resolve();
+  const run = prev.catch(() => {}).then(() => fn(getSession(id)));
+  chatSessionLocks.set(id, run);
+  try {
+    return await run;
+  } finally {
+    if (chatSessionLocks.get(id) === run) chatSessionLocks.delete(id);
+  }
+}
+
+// Model output -> cart actions (same types as the cart panel uses)
+function parsedToCartActions(parsed) {
+  const actions = [];
+  if (parsed.undo_last || parsed.intent === "undo_last") actions.push({ type: "undo_last" });
+  if (parsed.clear_cart || parsed.intent === "clear_cart") actions.push({ type: "clear_cart" });
+  for (const e of parsed.edits) {
+    if (!["remove_from_cart", "set_quantity"].includes(e.op)) continue;
+    actions.push({ type: e.op, line_id: e.line_id ?? null, product_id: e.product_id, qty: e.qty });
+  }
+  for (const it of parsed.items) {
+    if (!it.product_id) continue;
+    actions.push({ type: "add_to_cart", product_id: it.product_id, qty: it.qty || 1, modifiers: it.modifiers });
+  }
+  // "I have code NKUST10": applied after the items so a clear_cart in the same message doesn't drop it
+  if (parsed.promo_code) actions.push({ type: "apply_promo_code", code: parsed.promo_code });
+  return actions;
+}
+
+// Attach display labels; removed lines are looked up in the cart before the change
+function labelCartChanges(changes, beforeCart, afterCart) {
+  const before = serializeCart(beforeCart).lines;
+  const after = serializeCart(afterCart).lines;
+  return changes.map((c) => {
+    if (c.line_id == null) return c;
+    const line = after.find((l) => l.line_id === c.line_id) || before.find((l) => l.line_id === c.line_id);
+    return { ...c, label: line?.label, label_zh: line?.label_zh };
+  });
+}
+
+const CART_FAILURE_STATUS = { INVALID_MODIFIERS: 400, PRODUCT_UNAVAILABLE: 400, UNSUPPORTED_ACTION: 400, LINE_NOT_FOUND: 404, NOTHING_TO_UNDO: 409, PROMO_CODE_NOT_FOUND: 404 };
+
+function chatHistoryMessages(session) {
+  return (session?.history || [])
+    .slice(-CHAT_HISTORY_TURNS * 2)
+    .filter((m) => m.role === "user" || m.role === "assistant")
+    .map((m) => ({ role: m.role, content: m.content }));
+}
+
+function sendChatError(res, err) {
+  return res.status(err.status || 500).json({ ok: false, error: err.message, detail: err.detail });
+}
+
+// Restore cart + conversation after a page reload
+app.get("/api/chat/session/:id", (req, res) => {
+  const session = getSession(req.params.id);
+  if (!session) return res.status(404).json({ ok: false, error: "SESSION_NOT_FOUND" });
+  return res.json({
+    ok: true,
+    session_id: session.id,
+    cart: serializeCart(session.cart),
+    can_undo: session.undo.length > 0,
+    history: session.history.map((m) => ({ role: m.role, content: m.content })),
+  });
+});
+
+// Cart panel / menu clicks: one action per request, no model involved
+app.post("/api/chat/cart", async (req, res) => {
+  try {
+    const { session_id, type, product_id, line_id, qty, modifiers, code, lang } = req.body || {};
+    if (!CART_ACTIONS.includes(type)) {
+      const err = new Error(`Unsupported cart action: ${type}`);
+      err.status = 400;
+      throw err;
+    }
+
+    const out = await withChatSession(session_id, { lang }, (session) => {
+      const r = applyCartActions(session, [{ type, product_id, line_id, qty, modifiers, code }]);
+      if (r.failed.length) {
+        const { reason, detail } = r.failed[0];
+        const err = new Error(reason);
+        err.status = CART_FAILURE_STATUS[reason] || 400;
+        err.detail = detail || { product_id, line_id, ...(code ? { code } : {}) };
+        throw err;
+      }
+
+      saveSession(session.id, { cart: r.cart, undo: r.undo, lang });
+      return {
+        session_id: session.id,
+        changes: labelCartChanges(r.changes, session.cart, r.cart),
+        cart: serializeCart(r.cart),
+        can_undo: r.undo.length > 0,
+      };
+    });
+
+    return res.json({ ok: true, ...out });
+  } catch (err) {
+    return sendChatError(res, err);
+  }
+});
+
+app.post("/ai-order", async (req, res) => {
+  try {
+    const { text, lang, session_id } = req.body || {};
+    if (!text) return res.status(400).json({ ok: false, error: "missing text" });
+
+    const out = await withChatSession(session_id, { lang }, async (session) => {
+      const catalog = listItems();
+      const { parsed, backend, failover } = await intentParser.parse({
+        text,
+        lang,
+        catalog,
+        modifierGroups: listModifierGroups(),
+        cart: session.cart,
+        history: chatHistoryMessages(session),
+      });
+
+      if (!Array.isArray(parsed.items)) parsed.items = [];
+      if (!Array.isArray(parsed.edits)) parsed.edits = [];
+
+      parsed.items = parsed.items.map((it) => {
+        const pid = it.product_id ?? matchCatalogProduct(it.product, catalog);
+        return { ...it, product_id: pid, modifiers: pickValidModifiers(pid, it.modifiers) };
+      });
+      parsed.edits = parsed.edits.map((e) => ({
+        ...e,
+        product_id: e.product_id ?? (e.product ? matchCatalogProduct(e.product, catalog) : null),
+      }));
+
+      const { cart, undo, changes, failed } = applyCartActions(session, parsedToCartActions(parsed));
+      const cartOut = serializeCart(cart);
+
+      const actions = labelCartChanges(changes, session.cart, cart);
+      if (parsed.intent === "checkout" || parsed.checkout) actions.push({ type: "checkout" });
+
+      // assistant turn = model reply + resulting cart, so the next turn can resolve "that"
+      const reply = parsed.reply || parsed.raw_text || "";
+      saveSession(session.id, {
+        cart,
+        undo,
+        lang,
+        append: [
+          { role: "user", content: text },
+          { role: "assistant", content: `${reply ? `${reply}\n` : ""}Cart now:\n${describeCart(cart, { currency: PRICE_CURRENCY })}` },
+        ],
+      });
+
+      return {
+        session_id: session.id,
+        parser: backend,
+        ...(failover.length ? { parser_failover: failover } : {}),
+        parsed,
+        actions,
+        failed: failed.map((f) => ({ type: f.type, reason: f.reason, product_id: f.product_id, line_id: f.line_id, code: f.code })),
+        reply,
+        cart: cartOut,
+        can_undo: undo.length > 0,
+      };
+    });
+
+    return res.json({ ok: true, ...out });
   } catch (err) {
     console.error("AI Error:", err);
     return res.status(500).json({ ok: false, error: err.message });
@@ -1031,30 +2640,56 @@ app.get("/nft/meta/:key", async (req, res) => {
   const metaKey = req.params.key;
   const metaPath = path.join(metaDir, `${metaKey}.json`);
   res.setHeader("Content-Type", "application/json");
-  if (memoryMeta[metaKey]) return res.json(memoryMeta[metaKey]);
-  if (fs.existsSync(metaPath)) return res.sendFile(metaPath);
+  if (isCid(metaKey) && fs.existsSync(metaPath)) return res.sendFile(metaPath);
+  if (isCid(metaKey)) {
+    const hit = await ipfsStorage.get(metaKey);
+    if (hit) return res.send(hit.bytes);
+  }
   res.json({ name: "Loading...", image: `${BASE_URL}/images/loading.png` });
 });
 
-// ===== TTL Sweep cleanup =====
+// ===== IPFS content (CIDs this server pinned, from whichever backend has them; the fs backend's public gateway) =====
+function sniffContentType(bytes) {
+  if (bytes[0] === 0x89 && bytes.subarray(1, 4).toString() === "PNG") return "image/png";
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return "image/jpeg";
+  if (bytes.subarray(0, 4).toString() === "GIF8") return "image/gif";
+  if (bytes.subarray(0, 4).toString() === "RIFF" && bytes.subarray(8, 12).toString() === "WEBP") return "image/webp";
+  const head = bytes.subarray(0, 256).toString().trimStart();
+  if (head.startsWith("<svg") || head.startsWith("<?xml")) return "image/svg+xml";
+  if (head.startsWith("{") || head.startsWith("[")) return "application/json";
+  return "application/octet-stream";
+}
+
+app.get("/ipfs/:cid", async (req, res) => {
+  const { cid } = req.params;
+  if (!isCid(cid)) return res.status(400).json({ error: "invalid CID" });
+  const hit = await ipfsStorage.get(cid);
+  if (!hit) return res.status(404).json({ error: "Content not found" });
+  res.setHeader("Content-Type", sniffContentType(hit.bytes));
+  res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+  // voucher cards are SVG served from this origin: no scripts
+  res.setHeader("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  res.send(hit.bytes);
+});
+
+// ===== TTL Sweep (archive orders, cleanup caches) =====
 setInterval(() => {
   const now = Date.now();
 
-  // Cleanup completedByPayload
-  for (const [payloadUuid, entry] of completedByPayload.entries()) {
-    if (!entry?.completedAt) continue;
-    if (now - entry.completedAt > ORDER_TTL_MS) {
-      completedByPayload.delete(payloadUuid);
-    }
+  // Archive finished orders + expire unpaid ones (rows are kept in SQLite)
+  try {
+    const archived = archiveStaleOrders({ ttlMs: ORDER_TTL_MS, now });
+    if (archived) console.log(`🗄️ Archived ${archived} order(s)`);
+  } catch (e) {
+    console.error("Archive sweep error:", e?.message || e);
   }
 
-  // Cleanup ordersByPaymentPayload (only completed & older than TTL)
-  for (const [payloadUuid, order] of ordersByPaymentPayload.entries()) {
-    if (order?.status !== "completed") continue;
-    if (!order?.completedAt) continue;
-    if (now - order.completedAt > ORDER_TTL_MS) {
-      ordersByPaymentPayload.delete(payloadUuid);
-    }
+  // Drop idle chat sessions (history + cart)
+  try {
+    const purged = purgeIdleSessions({ ttlMs: CHAT_SESSION_TTL_MS, now });
+    if (purged) console.log(`💬 Purged ${purged} idle chat session(s)`);
+  } catch (e) {
+    console.error("Chat session sweep error:", e?.message || e);
   }
 
   // Cleanup createOrderCache
@@ -1072,20 +2707,20 @@ setInterval(() => {
       trustlineStatusCache.delete(key);
     }
   }
-
-  // Optional: cleanup txCache to avoid unbounded memory
-  const TX_CACHE_TTL = Number(process.env.TX_CACHE_TTL_MS || 30 * 60 * 1000);
-  if (TX_CACHE_TTL > 0) {
-    for (const [txid, val] of txCache.entries()) {
-      const ts = val?.__cachedAt;
-      if (ts && now - ts > TX_CACHE_TTL) txCache.delete(txid);
-    }
-  }
 }, SWEEP_INTERVAL_MS);
 
-// Patch: stamp cache time
-const _txCacheSet = txCache.set.bind(txCache);
-txCache.set = (k, v) => _txCacheSet(k, { ...v, __cachedAt: Date.now() });
+// ===== Background loops (payment poller + fulfillment worker) =====
+// paid / minting orders from before a restart (or older builds without jobs) get their job back
+for (const order of listOrdersByStatus([ORDER_STATUS.PAID, ORDER_STATUS.OVERPAID, ORDER_STATUS.MINTING])) {
+  if (!getJobByRef(FULFILL_ORDER_JOB, order.id)) {
+    enqueueFulfillment(order);
+    console.log(`♻️ Enqueued fulfillment for order ${order.id} (${order.status})`);
+  }
+}
+prepinCatalogImages();
+jobWorker.start();
+setInterval(pollPayments, PAYMENT_POLL_MS);
+if (LEDGER_WATCHER) ledgerWatcher.start();
 
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
@@ -1097,6 +2732,24 @@ app.listen(PORT, () => {
   console.log(`💵 RLUSD currency: ${RLUSD_CURRENCY}, issuer: ${RLUSD_ISSUER || "(not set)"}`);
   console.log(`♻️ CREATE_ORDER_CACHE_MS: ${CREATE_ORDER_CACHE_MS} ms`);
   console.log(`🔗 TRUSTLINE_CACHE_MS: ${TRUSTLINE_CACHE_MS} ms`);
+  console.log(`🧠 Intent parser: ${intentParser.order.join(" -> ")} (timeout ${INTENT_PARSER_TIMEOUT_MS} ms)`);
+  console.log(`🧵 Jobs: poll ${JOB_POLL_MS} ms, max ${JOB_MAX_ATTEMPTS} attempts, retry ${JOB_RETRY_BASE_MS}..${JOB_RETRY_MAX_MS} ms; PAYMENT_POLL_MS: ${PAYMENT_POLL_MS} ms`);
+  console.log(
+    `🎟️ NFT vouchers: one per ${NFT_GRANULARITY_SETTING === NFT_GRANULARITY.UNIT ? "cup" : NFT_GRANULARITY_SETTING === NFT_GRANULARITY.LINE ? "line item" : "order"}, ` +
+      `valid ${VOUCHER_VALIDITY_HOURS ? `${VOUCHER_VALIDITY_HOURS} h` : "forever"} by default, STORE_ID: ${STORE_ID}`
+  );
+  const untaxed = listCategories().filter((c) => !taxonScheme.categories[c.id]).map((c) => c.id);
+  console.log(
+    `🏷️ NFT taxon: store code ${taxonScheme.storeCode}, categories ${Object.entries(taxonScheme.categories).map(([id, c]) => `${id}=${c}`).join(", ") || "(none)"}` +
+      (untaxed.length ? ` (no code, taxon category 0: ${untaxed.join(", ")})` : "")
+  );
+  console.log(`🎨 VOUCHER_ART: ${VOUCHER_ART}${VOUCHER_ART === "svg" ? `, default template: ${VOUCHER_TEMPLATE}` : ""}`);
+  console.log(`👀 Ledger watcher: ${LEDGER_WATCHER ? "on" : "off"}, per-order DestinationTag: ${ORDER_DESTINATION_TAGS ? "on" : "off"}`);
+  console.log(`💱 Prices in ${PRICE_CURRENCY}, rates: ${rateProvider.order.join(" -> ")}${rateProvider.order.includes("feed") ? ` (feed: ${RATE_FEED_URL || "local stub"})` : ""}`);
+  console.log(`💸 Refunds: ${refundsEnabled ? "enabled" : "disabled"}, REFUND_POLICY: ${REFUND_POLICY}, OVERPAYMENT_POLICY: ${OVERPAYMENT_POLICY}`);
+  console.log(`👨‍🍳 Kitchen: /kitchen, order numbers per day in ${STORE_TIMEZONE}`);
+  console.log(`🗂️ IPFS: ${ipfsStorage.order.join(" -> ")}${ipfsStorage.order.includes("fs") ? ` (fs: ${IPFS_FS_DIR})` : ""}${ipfsStorage.order.includes("kubo") ? ` (kubo: ${IPFS_KUBO_API_URL})` : ""}`);
+  console.log(`💬 CHAT_SESSION_TTL_MS: ${CHAT_SESSION_TTL_MS} ms, CHAT_HISTORY_TURNS: ${CHAT_HISTORY_TURNS}`);
   if (STORE_SECRET) {
     console.log(`🔐 STORE_SECRET present: true`);
   } else {
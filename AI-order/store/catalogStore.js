@@ -0,0 +1,619 @@
+// store/catalogStore.js
+import db, { parseJson, ensureColumn } from "./db.js";
+
+/**
+ * ☕ 菜單唯一來源（前端 renderMenu、/ai-order 的 catalogText、calcOrderTotal 都從這裡讀）
+ * - menu_categories：分類（雙語名稱、排序）
+ * - menu_items：商品（雙語名稱、價格、emoji/圖片、NFT 圖檔、啟用、排序）
+ * - modifier_groups / modifier_options / item_modifier_groups：客製化選項（大小、甜度、冰塊、奶類）與加價
+ * - menu_items.aliases_json：口語別名（本地 intent parser 與 AI 比對商品名稱用）
+ * - menu_items.voucher_validity_hours：NFT 兌換券從付款起幾小時內有效（NULL = 店家預設 VOUCHER_VALIDITY_HOURS，0 = 不過期）
+ * - menu_categories.voucher_template：該分類兌換券圖的樣板（artwork/voucherArt.js；NULL = VOUCHER_TEMPLATE）
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS menu_categories (
+  id TEXT PRIMARY KEY,          -- slug, e.g. coffee / dessert
+  name TEXT NOT NULL,
+  name_zh TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS menu_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  category_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  name_zh TEXT,
+  price REAL NOT NULL,
+  image TEXT,                   -- emoji or image URL shown on the kiosk menu
+  image_file TEXT,              -- file under public/images used for the NFT
+  enabled INTEGER NOT NULL DEFAULT 1,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_category ON menu_items(category_id, sort_order);
+
+CREATE TABLE IF NOT EXISTS modifier_groups (
+  id TEXT PRIMARY KEY,          -- slug, e.g. size / sugar / ice / milk
+  name TEXT NOT NULL,
+  name_zh TEXT,
+  required INTEGER NOT NULL DEFAULT 1,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS modifier_options (
+  group_id TEXT NOT NULL,
+  code TEXT NOT NULL,           -- e.g. large / oat / less
+  name TEXT NOT NULL,
+  name_zh TEXT,
+  price_delta REAL NOT NULL DEFAULT 0,
+  is_default INTEGER NOT NULL DEFAULT 0,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (group_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS item_modifier_groups (
+  item_id INTEGER NOT NULL,
+  group_id TEXT NOT NULL,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (item_id, group_id)
+);
+`);
+
+ensureColumn("menu_items", "aliases_json", "TEXT");
+ensureColumn("menu_items", "voucher_validity_hours", "REAL");
+ensureColumn("menu_categories", "voucher_template", "TEXT");
+
+// Price deltas are in the menu currency like item prices; the order total is converted to the payment asset via the quote
+const DEFAULT_MODIFIER_GROUPS = [
+  {
+    id: "size", name: "Size", name_zh: "尺寸", sort_order: 1,
+    options: [
+      { code: "regular", name: "Regular", name_zh: "中杯", price_delta: 0, is_default: 1 },
+      { code: "large", name: "Large", name_zh: "大杯", price_delta: 1 },
+    ],
+  },
+  {
+    id: "sugar", name: "Sugar", name_zh: "甜度", sort_order: 2,
+    options: [
+      { code: "normal", name: "Normal sugar", name_zh: "正常糖", price_delta: 0, is_default: 1 },
+      { code: "less", name: "Less sugar", name_zh: "少糖", price_delta: 0 },
+      { code: "none", name: "No sugar", name_zh: "無糖", price_delta: 0 },
+    ],
+  },
+  {
+    id: "ice", name: "Ice", name_zh: "冰塊", sort_order: 3,
+    options: [
+      { code: "regular", name: "Regular ice", name_zh: "正常冰", price_delta: 0, is_default: 1 },
+      { code: "less", name: "Less ice", name_zh: "少冰", price_delta: 0 },
+      { code: "none", name: "No ice", name_zh: "去冰", price_delta: 0 },
+      { code: "hot", name: "Hot", name_zh: "熱", price_delta: 0 },
+    ],
+  },
+  {
+    id: "milk", name: "Milk", name_zh: "奶類", sort_order: 4,
+    options: [
+      { code: "whole", name: "Whole milk", name_zh: "鮮奶", price_delta: 0, is_default: 1 },
+      { code: "oat", name: "Oat milk", name_zh: "燕麥奶", price_delta: 1 },
+      { code: "soy", name: "Soy milk", name_zh: "豆漿", price_delta: 1 },
+    ],
+  },
+];
+
+// item id -> modifier groups (Americano / Latte)
+const DEFAULT_ITEM_MODIFIERS = {
+  1: ["size", "sugar", "ice"],
+  2: ["size", "sugar", "ice", "milk"],
+};
+
+const DEFAULT_CATEGORIES = [
+  { id: "coffee", name: "Coffee", name_zh: "咖啡系列", sort_order: 1 },
+  { id: "dessert", name: "Dessert", name_zh: "精選甜點", sort_order: 2 },
+];
+
+const DEFAULT_ITEMS = [
+  { id: 1, category_id: "coffee", name: "Classic Americano", name_zh: "經典美式咖啡", price: 1, image: "☕️", image_file: "image1.PNG", sort_order: 1 },
+  { id: 2, category_id: "coffee", name: "Latte", name_zh: "拿鐵咖啡", price: 2, image: "🥛", image_file: "image2.PNG", sort_order: 2 },
+  { id: 3, category_id: "dessert", name: "Tiramisu", name_zh: "提拉米蘇", price: 2, image: "🍰", image_file: "image3.PNG", sort_order: 1 },
+];
+
+// Spoken / typed alternatives besides name and name_zh
+const DEFAULT_ITEM_ALIASES = {
+  1: ["americano", "black coffee", "美式", "美式咖啡", "黑咖啡"],
+  2: ["latte", "cafe latte", "caffe latte", "拿鐵", "拿铁", "咖啡拿鐵"],
+  3: ["tiramisu", "提拉米蘇", "提拉米苏"],
+};
+
+// Seed once so existing product ids (1, 2, 3) keep working for old orders
+function seedDefaults() {
+  const { c } = db.prepare("SELECT COUNT(*) AS c FROM menu_items").get();
+  if (c > 0) return;
+
+  const now = Date.now();
+  db.transaction(() => {
+    for (const cat of DEFAULT_CATEGORIES) {
+      db.prepare(`
+        INSERT OR IGNORE INTO menu_categories(id, name, name_zh, sort_order, created_at, updated_at)
+        VALUES(?,?,?,?,?,?)
+      `).run(cat.id, cat.name, cat.name_zh, cat.sort_order, now, now);
+    }
+    for (const it of DEFAULT_ITEMS) {
+      db.prepare(`
+        INSERT INTO menu_items(id, category_id, name, name_zh, price, image, image_file, enabled, sort_order, created_at, updated_at)
+        VALUES(?,?,?,?,?,?,?,1,?,?,?)
+      `).run(it.id, it.category_id, it.name, it.name_zh, it.price, it.image, it.image_file, it.sort_order, now, now);
+    }
+  })();
+}
+seedDefaults();
+
+// Separate from seedDefaults so menus created before modifiers existed also get them
+function seedModifierDefaults() {
+  const { c } = db.prepare("SELECT COUNT(*) AS c FROM modifier_groups").get();
+  if (c > 0) return;
+
+  const now = Date.now();
+  db.transaction(() => {
+    for (const g of DEFAULT_MODIFIER_GROUPS) {
+      db.prepare(`
+        INSERT INTO modifier_groups(id, name, name_zh, required, sort_order, created_at, updated_at)
+        VALUES(?,?,?,1,?,?,?)
+      `).run(g.id, g.name, g.name_zh, g.sort_order, now, now);
+      g.options.forEach((o, idx) => {
+        db.prepare(`
+          INSERT INTO modifier_options(group_id, code, name, name_zh, price_delta, is_default, sort_order)
+          VALUES(?,?,?,?,?,?,?)
+        `).run(g.id, o.code, o.name, o.name_zh, o.price_delta, o.is_default ? 1 : 0, idx + 1);
+      });
+    }
+    for (const [itemId, groupIds] of Object.entries(DEFAULT_ITEM_MODIFIERS)) {
+      const exists = db.prepare("SELECT 1 AS x FROM menu_items WHERE id=?").get(Number(itemId));
+      if (!exists) continue;
+      groupIds.forEach((gid, idx) => {
+        db.prepare("INSERT OR IGNORE INTO item_modifier_groups(item_id, group_id, sort_order) VALUES(?,?,?)").run(
+          Number(itemId),
+          gid,
+          idx + 1
+        );
+      });
+    }
+  })();
+}
+seedModifierDefaults();
+
+// Aliases arrived after the menu tables; fill them once for the seeded items
+function seedAliasDefaults() {
+  for (const [itemId, aliases] of Object.entries(DEFAULT_ITEM_ALIASES)) {
+    db.prepare("UPDATE menu_items SET aliases_json=? WHERE id=? AND aliases_json IS NULL").run(
+      JSON.stringify(aliases),
+      Number(itemId)
+    );
+  }
+}
+seedAliasDefaults();
+
+function badRequest(message, detail) {
+  const e = new Error(message);
+  e.status = 400;
+  if (detail) e.detail = detail;
+  return e;
+}
+
+function notFound(message) {
+  const e = new Error(message);
+  e.status = 404;
+  return e;
+}
+
+function listModifierGroupsForItem(itemId) {
+  return db
+    .prepare(`
+      SELECT ig.group_id
+      FROM item_modifier_groups ig
+      JOIN modifier_groups g ON g.id = ig.group_id
+      WHERE ig.item_id = ?
+      ORDER BY ig.sort_order, g.sort_order, g.id
+    `)
+    .all(itemId)
+    .map(({ group_id }) => getModifierGroup(group_id));
+}
+
+function rowToItem(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    category_id: row.category_id,
+    category: row.category_name || row.category_id,
+    category_zh: row.category_name_zh || row.category_name || row.category_id,
+    name: row.name,
+    name_zh: row.name_zh || row.name,
+    price: row.price,
+    image: row.image || "",
+    image_file: row.image_file || null,
+    aliases: parseJson(row.aliases_json, []),
+    voucher_validity_hours: row.voucher_validity_hours ?? null,
+    voucher_template: row.category_voucher_template || null,
+    enabled: row.enabled === 1,
+    sort_order: row.sort_order,
+    modifier_groups: listModifierGroupsForItem(row.id),
+  };
+}
+
+const ITEM_SELECT = `
+  SELECT i.*, c.name AS category_name, c.name_zh AS category_name_zh, c.sort_order AS category_sort,
+    c.voucher_template AS category_voucher_template
+  FROM menu_items i
+  LEFT JOIN menu_categories c ON c.id = i.category_id
+`;
+
+export function listCategories() {
+  return db.prepare("SELECT id, name, name_zh, sort_order, voucher_template FROM menu_categories ORDER BY sort_order, id").all();
+}
+
+export function listItems({ includeDisabled = false } = {}) {
+  const where = includeDisabled ? "" : "WHERE i.enabled = 1";
+  return db
+    .prepare(`${ITEM_SELECT} ${where} ORDER BY COALESCE(category_sort, 0), i.category_id, i.sort_order, i.id`)
+    .all()
+    .map(rowToItem);
+}
+
+/**
+ * 取得單一商品；結帳用 includeDisabled=false，已付款訂單的 mint 用 true
+ */
+export function getItem(id, { includeDisabled = true } = {}) {
+  const item = rowToItem(db.prepare(`${ITEM_SELECT} WHERE i.id = ?`).get(Number(id)));
+  if (!item) return null;
+  if (!includeDisabled && !item.enabled) return null;
+  return item;
+}
+
+export function getMenu({ includeDisabled = false } = {}) {
+  return {
+    categories: listCategories(),
+    items: listItems({ includeDisabled }),
+  };
+}
+
+function normalizePrice(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) throw badRequest("price must be > 0", { price: v });
+  return n;
+}
+
+function normalizeAliases(v) {
+  if (v == null) return [];
+  if (!Array.isArray(v)) throw badRequest("aliases must be an array of strings", { aliases: v });
+  return [...new Set(v.map((a) => String(a || "").trim()).filter(Boolean))];
+}
+
+function normalizeValidityHours(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw badRequest("voucher_validity_hours must be >= 0 (0 = never expires)", { voucher_validity_hours: v });
+  return n;
+}
+
+function normalizeTemplate(v) {
+  if (v == null || v === "") return null;
+  const slug = String(v).trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,32}$/.test(slug)) throw badRequest("voucher_template must be a template name", { voucher_template: v });
+  return slug;
+}
+
+// public/images 裡的檔名，不能帶路徑（"../../.env" 會被讀出來 pin 到 IPFS）
+function normalizeImageFile(v) {
+  if (v == null || v === "") return null;
+  const name = String(v).trim();
+  if (!/^\w[\w .-]{0,127}$/.test(name) || name.includes("..")) {
+    throw badRequest("image_file must be a file name under public/images", { image_file: v });
+  }
+  return name;
+}
+
+function assertCategory(categoryId) {
+  const cat = db.prepare("SELECT id FROM menu_categories WHERE id=?").get(categoryId);
+  if (!cat) throw badRequest("UNKNOWN_CATEGORY", { category_id: categoryId });
+}
+
+// voucher_template 沒帶時保留原本的設定，null / "" 清除（改用 VOUCHER_TEMPLATE）
+export function upsertCategory({ id, name, name_zh, sort_order, voucher_template }) {
+  const slug = String(id || "").trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,32}$/.test(slug)) throw badRequest("category id must be a slug (a-z, 0-9, _ -)");
+  if (!String(name || "").trim()) throw badRequest("category name required");
+
+  const now = Date.now();
+  const maxSort = db.prepare("SELECT COALESCE(MAX(sort_order), 0) AS m FROM menu_categories").get().m;
+  db.prepare(`
+    INSERT INTO menu_categories(id, name, name_zh, sort_order, voucher_template, created_at, updated_at)
+    VALUES(?,?,?,?,?,?,?)
+    ON CONFLICT(id) DO UPDATE SET
+      name=excluded.name,
+      name_zh=excluded.name_zh,
+      sort_order=COALESCE(?, menu_categories.sort_order),
+      voucher_template=CASE WHEN ? THEN excluded.voucher_template ELSE menu_categories.voucher_template END,
+      updated_at=excluded.updated_at
+  `).run(
+    slug,
+    String(name).trim(),
+    name_zh ? String(name_zh).trim() : null,
+    sort_order == null ? maxSort + 1 : Number(sort_order),
+    normalizeTemplate(voucher_template),
+    now,
+    now,
+    sort_order == null ? null : Number(sort_order),
+    voucher_template === undefined ? 0 : 1
+  );
+  return db.prepare("SELECT id, name, name_zh, sort_order, voucher_template FROM menu_categories WHERE id=?").get(slug);
+}
+
+export function createItem(body = {}) {
+  const categoryId = String(body.category_id || "").trim();
+  assertCategory(categoryId);
+
+  const name = String(body.name || "").trim();
+  if (!name) throw badRequest("name required");
+  const price = normalizePrice(body.price);
+
+  const now = Date.now();
+  const maxSort = db
+    .prepare("SELECT COALESCE(MAX(sort_order), 0) AS m FROM menu_items WHERE category_id=?")
+    .get(categoryId).m;
+
+  const info = db.prepare(`
+    INSERT INTO menu_items(category_id, name, name_zh, price, image, image_file, aliases_json, voucher_validity_hours, enabled, sort_order, created_at, updated_at)
+    VALUES(?,?,?,?,?,?,?,?,?,?,?,?)
+  `).run(
+    categoryId,
+    name,
+    body.name_zh ? String(body.name_zh).trim() : null,
+    price,
+    body.image ? String(body.image) : null,
+    normalizeImageFile(body.image_file),
+    JSON.stringify(normalizeAliases(body.aliases)),
+    normalizeValidityHours(body.voucher_validity_hours),
+    body.enabled === false ? 0 : 1,
+    body.sort_order == null ? maxSort + 1 : Number(body.sort_order),
+    now,
+    now
+  );
+  return getItem(info.lastInsertRowid);
+}
+
+const UPDATABLE = ["category_id", "name", "name_zh", "price", "image", "image_file", "voucher_validity_hours", "sort_order"];
+
+export function updateItem(id, patch = {}) {
+  const cur = getItem(id);
+  if (!cur) throw notFound(`Menu item not found: ${id}`);
+
+  const sets = [];
+  const vals = [];
+  for (const k of UPDATABLE) {
+    if (patch[k] === undefined) continue;
+    let v = patch[k];
+    if (k === "category_id") assertCategory(String(v));
+    if (k === "price") v = normalizePrice(v);
+    if (k === "voucher_validity_hours") v = normalizeValidityHours(v);
+    if (k === "image_file") v = normalizeImageFile(v);
+    if (k === "name" && !String(v || "").trim()) throw badRequest("name required");
+    if (k === "sort_order") v = Number(v);
+    sets.push(`${k}=?`);
+    vals.push(v === null ? null : v);
+  }
+  if (patch.aliases !== undefined) {
+    sets.push("aliases_json=?");
+    vals.push(JSON.stringify(normalizeAliases(patch.aliases)));
+  }
+  if (patch.enabled !== undefined) {
+    sets.push("enabled=?");
+    vals.push(patch.enabled ? 1 : 0);
+  }
+  if (!sets.length) return cur;
+
+  db.prepare(`UPDATE menu_items SET ${sets.join(", ")}, updated_at=? WHERE id=?`).run(...vals, Date.now(), Number(id));
+  return getItem(id);
+}
+
+export function setItemEnabled(id, enabled) {
+  return updateItem(id, { enabled: !!enabled });
+}
+
+/**
+ * 重新排序：itemIds 依序給 sort_order = 1..n（可只傳同一分類內的商品）
+ */
+export function reorderItems(itemIds = []) {
+  if (!Array.isArray(itemIds) || !itemIds.length) throw badRequest("item_ids required (array)");
+  const now = Date.now();
+  db.transaction(() => {
+    itemIds.forEach((id, idx) => {
+      const r = db.prepare("UPDATE menu_items SET sort_order=?, updated_at=? WHERE id=?").run(idx + 1, now, Number(id));
+      if (!r.changes) throw notFound(`Menu item not found: ${id}`);
+    });
+  })();
+  return listItems({ includeDisabled: true });
+}
+
+export function reorderCategories(categoryIds = []) {
+  if (!Array.isArray(categoryIds) || !categoryIds.length) throw badRequest("category_ids required (array)");
+  const now = Date.now();
+  db.transaction(() => {
+    categoryIds.forEach((id, idx) => {
+      const r = db.prepare("UPDATE menu_categories SET sort_order=?, updated_at=? WHERE id=?").run(idx + 1, now, String(id));
+      if (!r.changes) throw notFound(`Category not found: ${id}`);
+    });
+  })();
+  return listCategories();
+}
+
+// ===== Modifiers =====
+function roundPrice(n) {
+  return Math.round(Number(n) * 1e6) / 1e6;
+}
+
+function normText(v) {
+  return String(v || "").toLowerCase().replace(/\s+/g, "");
+}
+
+// LLM / 前端可能給 code（"oat"）或名稱（"Oat milk" / "燕麥奶"），兩者都接受
+function findOption(group, wanted) {
+  const w = normText(wanted);
+  if (!w) return null;
+  return (
+    group.options.find((o) => normText(o.code) === w) ||
+    group.options.find((o) => normText(o.name) === w || normText(o.name_zh) === w) ||
+    null
+  );
+}
+
+/**
+ * 依商品可用的 modifier groups 解析客人選擇
+ * @param {object} item - getItem() 回傳的商品
+ * @param {object|Array} requested - { size: "large" } 或 [{ group, option }]
+ * @returns {Array<{group, group_name, group_name_zh, option, name, name_zh, price_delta}>}
+ */
+export function resolveModifiers(item, requested = {}) {
+  const wanted = {};
+  if (Array.isArray(requested)) {
+    for (const m of requested) if (m?.group) wanted[m.group] = m.option;
+  } else if (requested && typeof requested === "object") {
+    Object.assign(wanted, requested);
+  }
+
+  const out = [];
+  for (const g of item?.modifier_groups || []) {
+    let opt = null;
+    if (wanted[g.id] != null && wanted[g.id] !== "") {
+      opt = findOption(g, wanted[g.id]);
+      if (!opt) {
+        throw badRequest("UNKNOWN_MODIFIER", { product_id: item.id, group: g.id, option: wanted[g.id] });
+      }
+    } else {
+      opt = g.options.find((o) => o.default) || (g.required ? g.options[0] : null);
+    }
+    if (!opt) continue;
+
+    out.push({
+      group: g.id,
+      group_name: g.name,
+      group_name_zh: g.name_zh,
+      option: opt.code,
+      name: opt.name,
+      name_zh: opt.name_zh,
+      price_delta: opt.price_delta,
+    });
+  }
+  return out;
+}
+
+/**
+ * 一行購物車的定價：base price + modifier 加價（結帳、AI、mint 共用）
+ * 商品不存在或已停售回傳 null
+ */
+export function priceLine(line, { includeDisabled = false } = {}) {
+  const product = getItem(line?.product_id, { includeDisabled });
+  if (!product) return null;
+  const modifiers = resolveModifiers(product, line?.modifiers);
+  const unit_price = roundPrice(product.price + modifiers.reduce((s, m) => s + Number(m.price_delta || 0), 0));
+  return { product, modifiers, unit_price };
+}
+
+/**
+ * 顯示用標籤：只列出非預設的選項，例如 "Large · Oat milk · Less sugar"
+ */
+export function modifierLabel(modifiers = [], lang = "en", { includeDefaults = false } = {}) {
+  return (modifiers || [])
+    .filter((m) => includeDefaults || !isDefaultModifier(m))
+    .map((m) => (lang === "zh" ? m.name_zh || m.name : m.name))
+    .join(" · ");
+}
+
+function isDefaultModifier(m) {
+  const row = db.prepare("SELECT is_default FROM modifier_options WHERE group_id=? AND code=?").get(m.group, m.option);
+  return row?.is_default === 1;
+}
+
+export function listModifierGroups() {
+  return db
+    .prepare("SELECT id FROM modifier_groups ORDER BY sort_order, id")
+    .all()
+    .map(({ id }) => getModifierGroup(id));
+}
+
+function getModifierGroup(id) {
+  const g = db.prepare("SELECT * FROM modifier_groups WHERE id=?").get(id);
+  if (!g) return null;
+  return {
+    id: g.id,
+    name: g.name,
+    name_zh: g.name_zh || g.name,
+    required: g.required === 1,
+    sort_order: g.sort_order,
+    options: db
+      .prepare("SELECT * FROM modifier_options WHERE group_id=? ORDER BY sort_order, code")
+      .all(g.id)
+      .map((o) => ({
+        code: o.code,
+        name: o.name,
+        name_zh: o.name_zh || o.name,
+        price_delta: o.price_delta,
+        default: o.is_default === 1,
+      })),
+  };
+}
+
+/**
+ * 新增 / 取代整個 modifier group（含選項）
+ */
+export function upsertModifierGroup({ id, name, name_zh, required = true, sort_order, options } = {}) {
+  const slug = String(id || "").trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,32}$/.test(slug)) throw badRequest("modifier group id must be a slug (a-z, 0-9, _ -)");
+  if (!String(name || "").trim()) throw badRequest("modifier group name required");
+  if (!Array.isArray(options) || !options.length) throw badRequest("options required (array)");
+
+  const now = Date.now();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO modifier_groups(id, name, name_zh, required, sort_order, created_at, updated_at)
+      VALUES(?,?,?,?,?,?,?)
+      ON CONFLICT(id) DO UPDATE SET
+        name=excluded.name, name_zh=excluded.name_zh, required=excluded.required,
+        sort_order=excluded.sort_order, updated_at=excluded.updated_at
+    `).run(slug, String(name).trim(), name_zh || null, required ? 1 : 0, Number(sort_order || 0), now, now);
+
+    db.prepare("DELETE FROM modifier_options WHERE group_id=?").run(slug);
+    options.forEach((o, idx) => {
+      const code = String(o?.code || "").trim().toLowerCase();
+      if (!code) throw badRequest("option code required", { index: idx });
+      const delta = Number(o.price_delta || 0);
+      if (!Number.isFinite(delta)) throw badRequest("price_delta must be a number", { code });
+      db.prepare(`
+        INSERT INTO modifier_options(group_id, code, name, name_zh, price_delta, is_default, sort_order)
+        VALUES(?,?,?,?,?,?,?)
+      `).run(slug, code, String(o.name || code), o.name_zh || null, delta, o.default ? 1 : 0, idx + 1);
+    });
+  })();
+  return getModifierGroup(slug);
+}
+
+export function setItemModifierGroups(itemId, groupIds = []) {
+  if (!getItem(itemId)) throw notFound(`Menu item not found: ${itemId}`);
+  if (!Array.isArray(groupIds)) throw badRequest("group_ids required (array)");
+
+  db.transaction(() => {
+    db.prepare("DELETE FROM item_modifier_groups WHERE item_id=?").run(Number(itemId));
+    groupIds.forEach((gid, idx) => {
+      if (!getModifierGroup(gid)) throw badRequest("UNKNOWN_MODIFIER_GROUP", { group_id: gid });
+      db.prepare("INSERT INTO item_modifier_groups(item_id, group_id, sort_order) VALUES(?,?,?)").run(
+        Number(itemId),
+        gid,
+        idx + 1
+      );
+    });
+  })();
+  return getItem(itemId);
+}
@@ -0,0 +1,102 @@
+// store/chatSessionStore.js
+import { v4 as uuidv4 } from "uuid";
+import db, { parseJson, ensureColumn } from "./db.js";
+import { emptyCart } from "../chat/cart.js";
+
+/**
+ * 💬 多輪對話 session：對話紀錄 + 目前購物車都存在 server 端
+ * 前端只保存 session_id（localStorage），重新整理後仍可接續
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  id TEXT PRIMARY KEY,
+  lang TEXT,
+  history_json TEXT NOT NULL,   -- [{ role: "user"|"assistant", content, at }]
+  cart_json TEXT NOT NULL,      -- chat/cart.js 的 cart 結構
+  last_order_id TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_updated ON chat_sessions(updated_at);
+`);
+
+// undo_last：先前 cart 的堆疊（chat/cart.js applyCartActions）
+ensureColumn("chat_sessions", "undo_json", "TEXT");
+
+function rowToSession(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    lang: row.lang,
+    history: parseJson(row.history_json, []),
+    cart: parseJson(row.cart_json, null) || emptyCart(),
+    undo: parseJson(row.undo_json, []),
+    lastOrderId: row.last_order_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function getSession(id) {
+  if (!id) return null;
+  return rowToSession(db.prepare("SELECT * FROM chat_sessions WHERE id=?").get(String(id)));
+}
+
+export function createSession({ lang } = {}) {
+  const now = Date.now();
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO chat_sessions(id, lang, history_json, cart_json, created_at, updated_at)
+    VALUES(?,?,?,?,?,?)
+  `).run(id, lang || null, "[]", JSON.stringify(emptyCart()), now, now);
+  return getSession(id);
+}
+
+/**
+ * session_id 不存在（過期被清掉 / 第一次使用）時自動開新的
+ */
+export function getOrCreateSession(id, { lang } = {}) {
+  return getSession(id) || createSession({ lang });
+}
+
+/**
+ * 寫回 cart / undo 堆疊 / 追加對話紀錄；history 只保留最後 historyLimit 筆
+ */
+export function saveSession(id, { cart, undo, append = [], lang, lastOrderId, historyLimit = 40 } = {}) {
+  db.transaction(() => {
+    const cur = getSession(id);
+    if (!cur) throw new Error(`Chat session not found: ${id}`);
+
+    const now = Date.now();
+    const history = cur.history
+      .concat(append.map((m) => ({ role: m.role, content: String(m.content || ""), at: now })))
+      .slice(-historyLimit);
+
+    db.prepare(`
+      UPDATE chat_sessions
+      SET history_json=?, cart_json=?, undo_json=?, lang=COALESCE(?, lang), last_order_id=COALESCE(?, last_order_id), updated_at=?
+      WHERE id=?
+    `).run(
+      JSON.stringify(history),
+      JSON.stringify(cart === undefined ? cur.cart : cart),
+      JSON.stringify(undo === undefined ? cur.undo : undo),
+      lang || null,
+      lastOrderId || null,
+      now,
+      id
+    );
+  })();
+  return getSession(id);
+}
+
+export function deleteSession(id) {
+  return db.prepare("DELETE FROM chat_sessions WHERE id=?").run(String(id)).changes;
+}
+
+/**
+ * TTL sweep：閒置超過 ttlMs 的 session 直接刪除（訂單本身另存在 orders）
+ */
+export function purgeIdleSessions({ ttlMs, now = Date.now() }) {
+  return db.prepare("DELETE FROM chat_sessions WHERE updated_at < ?").run(now - ttlMs).changes;
+}
@@ -0,0 +1,34 @@
+// store/db.js
+import Database from "better-sqlite3";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * 🗄️ AI-order 的 SQLite 連線（與 MPT-Issuer 的 data.sqlite 相同做法，WAL 模式）
+ * 各 store 模組自行 CREATE TABLE IF NOT EXISTS 建立自己的表
+ */
+export const DB_FILE = process.env.ORDER_DB_FILE || path.join(process.cwd(), "data.sqlite");
+
+const db = new Database(DB_FILE);
+db.pragma("journal_mode = WAL");
+
+export function parseJson(raw, fallback = null) {
+  if (raw == null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * 舊資料庫補欄位（CREATE TABLE IF NOT EXISTS 不會幫既有的表加新欄位）
+ */
+export function ensureColumn(table, column, ddl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some((c) => c.name === column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+}
+
+export default db;
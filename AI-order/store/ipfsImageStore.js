@@ -0,0 +1,74 @@
+// store/ipfsImageStore.js
+import db from "./db.js";
+
+/**
+ * 🖼️ 已上傳的商品圖片（ipfs/ipfsStorage.js 的 image registry）
+ * 以檔案內容的 sha256 + backend 為 key：同一張圖在同一個 backend 只上傳一次，
+ * 換了圖檔內容就是新的 key；換 backend（IPFS_PROVIDER）時該 backend 會重新上傳一次
+ *
+ * ipfs_pins：這台 server 上傳過的所有 CID（含兌換券卡面與 metadata），/ipfs/:cid 只代讀這些內容
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS ipfs_images (
+  content_hash TEXT NOT NULL,     -- sha256 hex of the file bytes
+  backend TEXT NOT NULL,          -- pinata / kubo / fs
+  cid TEXT NOT NULL,
+  url TEXT NOT NULL,              -- gateway URL written into NFT metadata
+  filename TEXT,
+  size INTEGER,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (content_hash, backend)
+);
+
+CREATE TABLE IF NOT EXISTS ipfs_pins (
+  cid TEXT PRIMARY KEY,
+  backend TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
+`);
+
+function rowToImage(row) {
+  if (!row) return null;
+  return {
+    contentHash: row.content_hash,
+    backend: row.backend,
+    cid: row.cid,
+    url: row.url,
+    filename: row.filename,
+    size: row.size,
+    createdAt: row.created_at,
+  };
+}
+
+export function getPinnedImage(contentHash, backend) {
+  return rowToImage(db.prepare("SELECT * FROM ipfs_images WHERE content_hash=? AND backend=?").get(contentHash, backend));
+}
+
+export function recordPinnedImage({ contentHash, backend, cid, url, filename = null, size = null }) {
+  db.prepare(`
+    INSERT INTO ipfs_images(content_hash, backend, cid, url, filename, size, created_at) VALUES(?,?,?,?,?,?,?)
+    ON CONFLICT(content_hash, backend) DO UPDATE SET cid=excluded.cid, url=excluded.url, filename=excluded.filename, size=excluded.size
+  `).run(contentHash, backend, cid, url, filename, size, Date.now());
+  return getPinnedImage(contentHash, backend);
+}
+
+export function listPinnedImages() {
+  return db.prepare("SELECT * FROM ipfs_images ORDER BY created_at DESC").all().map(rowToImage);
+}
+
+// 內容被 unpin 時讓下一次重新上傳
+export function forgetPinnedImage(contentHash, backend) {
+  return db.prepare("DELETE FROM ipfs_images WHERE content_hash=? AND backend=?").run(contentHash, backend).changes > 0;
+}
+
+export function recordPinnedCid({ cid, backend }) {
+  db.prepare("INSERT OR IGNORE INTO ipfs_pins(cid, backend, created_at) VALUES(?,?,?)").run(cid, backend, Date.now());
+}
+
+// ipfs_pins 之前上傳的商品圖只記在 ipfs_images
+export function isPinnedCid(cid) {
+  return !!(
+    db.prepare("SELECT 1 FROM ipfs_pins WHERE cid=?").get(cid) ||
+    db.prepare("SELECT 1 FROM ipfs_images WHERE cid=? LIMIT 1").get(cid)
+  );
+}
@@ -0,0 +1,163 @@
+// store/jobStore.js
+import { v4 as uuidv4 } from "uuid";
+import db, { parseJson } from "./db.js";
+
+/**
+ * 🧵 持久化工作佇列（fulfillment/worker.js 執行）
+ *
+ * status 流程：
+ *   queued -> running -> done
+ *   running -> queued   (失敗，run_at 指數退避後重試)
+ *   running -> dead     (超過 max_attempts，進 dead-letter 等人工重試)
+ *
+ * state_json 是 handler 自己的進度（例如每杯飲料的 pin / mint / offer / claim 步驟），
+ * 每完成一步就寫回，重啟後從上次的步驟繼續
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL,           -- fulfill_order ...
+  ref_id TEXT NOT NULL,         -- 例如 order id；同 kind + ref_id 只會有一個 job
+  status TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  run_at INTEGER NOT NULL,      -- 下一次可執行的時間
+  state_json TEXT,
+  last_error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  finished_at INTEGER,
+  UNIQUE(kind, ref_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(status, run_at);
+`);
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  DEAD: "dead",
+};
+
+function rowToJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    refId: row.ref_id,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    state: parseJson(row.state_json, null),
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+export function getJob(id) {
+  return rowToJob(db.prepare("SELECT * FROM jobs WHERE id=?").get(id));
+}
+
+export function getJobByRef(kind, refId) {
+  return rowToJob(db.prepare("SELECT * FROM jobs WHERE kind=? AND ref_id=?").get(kind, String(refId)));
+}
+
+/**
+ * 冪等：同 kind + ref_id 已存在就直接回傳既有的 job（不重設進度）
+ */
+export function enqueueJob({ kind, refId, state = null, maxAttempts = 6, runAt = Date.now() }) {
+  const now = Date.now();
+  db.prepare(`
+    INSERT OR IGNORE INTO jobs(id, kind, ref_id, status, attempts, max_attempts, run_at, state_json, created_at, updated_at)
+    VALUES(?,?,?,?,?,?,?,?,?,?)
+  `).run(uuidv4(), kind, String(refId), JOB_STATUS.QUEUED, 0, maxAttempts, runAt, state ? JSON.stringify(state) : null, now, now);
+  return getJobByRef(kind, refId);
+}
+
+/**
+ * 取出到期的 job 並標記為 running（單一 process，不需要跨機器鎖）
+ */
+export function claimDueJobs({ now = Date.now(), limit = 5 } = {}) {
+  return db.transaction(() => {
+    const rows = db
+      .prepare("SELECT * FROM jobs WHERE status=? AND run_at<=? ORDER BY run_at ASC LIMIT ?")
+      .all(JOB_STATUS.QUEUED, now, limit);
+    const mark = db.prepare("UPDATE jobs SET status=?, attempts=attempts+1, updated_at=? WHERE id=?");
+    for (const r of rows) mark.run(JOB_STATUS.RUNNING, now, r.id);
+    return rows.map((r) => getJob(r.id));
+  })();
+}
+
+export function saveJobState(id, state) {
+  db.prepare("UPDATE jobs SET state_json=?, updated_at=? WHERE id=?").run(JSON.stringify(state), Date.now(), id);
+}
+
+export function completeJob(id) {
+  const now = Date.now();
+  db.prepare("UPDATE jobs SET status=?, last_error=NULL, finished_at=?, updated_at=? WHERE id=?").run(JOB_STATUS.DONE, now, now, id);
+  return getJob(id);
+}
+
+/**
+ * 這次嘗試失敗：retryAt 有值就排回 queued，否則進 dead-letter
+ */
+export function failJob(id, { error, retryAt = null }) {
+  const now = Date.now();
+  if (retryAt != null) {
+    db.prepare("UPDATE jobs SET status=?, run_at=?, last_error=?, updated_at=? WHERE id=?").run(
+      JOB_STATUS.QUEUED,
+      retryAt,
+      String(error),
+      now,
+      id
+    );
+  } else {
+    db.prepare("UPDATE jobs SET status=?, last_error=?, finished_at=?, updated_at=? WHERE id=?").run(
+      JOB_STATUS.DEAD,
+      String(error),
+      now,
+      now,
+      id
+    );
+  }
+  return getJob(id);
+}
+
+/**
+ * dead-letter 人工重試：次數歸零、立即排入（state 保留，已完成的步驟不會重做）
+ */
+export function requeueJob(id) {
+  const now = Date.now();
+  const changes = db
+    .prepare("UPDATE jobs SET status=?, attempts=0, run_at=?, finished_at=NULL, updated_at=? WHERE id=? AND status=?")
+    .run(JOB_STATUS.QUEUED, now, now, id, JOB_STATUS.DEAD).changes;
+  return changes ? getJob(id) : null;
+}
+
+/**
+ * 啟動時呼叫：上次 process 中斷時仍是 running 的 job 放回佇列（不算一次失敗）
+ */
+export function resetRunningJobs() {
+  return db
+    .prepare("UPDATE jobs SET status=?, attempts=MAX(attempts-1, 0), run_at=?, updated_at=? WHERE status=?")
+    .run(JOB_STATUS.QUEUED, Date.now(), Date.now(), JOB_STATUS.RUNNING).changes;
+}
+
+export function listJobs({ kind, status, limit = 100 } = {}) {
+  const where = [];
+  const args = [];
+  if (kind) {
+    where.push("kind=?");
+    args.push(kind);
+  }
+  if (status) {
+    where.push("status=?");
+    args.push(status);
+  }
+  const sql = `SELECT * FROM jobs ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY updated_at DESC LIMIT ?`;
+  return db.prepare(sql).all(...args, limit).map(rowToJob);
+}
@@ -0,0 +1,492 @@
+// store/orderStore.js
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import db, { parseJson, ensureColumn } from "./db.js";
+
+/**
+ * 📦 訂單持久化（取代 ordersByPaymentPayload / completedByPayload / txCache / processedTx）
+ *
+ * status 流程：
+ *   created -> paid -> minting -> completed
+ *   created -> failed   (付款驗證失敗)
+ *   minting -> failed   (fulfill_order job 進 dead-letter，見 fulfillment/)
+ *   minting -> partial  (部分品項交付；未交付的部分由 refunds 退款)
+ *   created -> expired  (TTL 內未付款，由 sweep 歸檔)
+ *   created -> underpaid -> paid / overpaid   (付款不足：補款 payload 付清差額；可能不只補一次)
+ *   created -> overpaid -> minting            (付太多：照常出貨，多的部分由 refunds（kind=change）找零)
+ *
+ * invoice_id（order id 的 SHA-256）與選用的 destination_tag 會放進付款 payload，
+ * 讓 ledger watcher 能把沒經過 Xumm payload 的付款對回訂單；付款驗證也要求兩者相符
+ *
+ * payment_claims：一個 txid 只能被一張訂單認領（PRIMARY KEY，重啟後仍有效）；補款的 txid 也登記在這裡
+ * amount_paid：已收到的金額（十進位字串，與 total 同單位），topup_*：目前的補款 payload
+ * quote_json：建單時鎖定的報價（菜單幣別總額 + 匯率快照），total 就是報價換算後的資產數量
+ * pricing_json：促銷計價 breakdown（subtotal / discounts / total，見 pricing/promotions.js），quote 以折扣後 total 報價
+ *
+ * 👨‍🍳 廚房（/kitchen）：付清款項時給當天的叫號 order_number（business_date 內從 1 開始），
+ *   kitchen_status：paid -> preparing -> ready -> picked_up（與上面的付款 / NFT status 分開），
+ *   kitchen_json 記錄每個狀態的時間 { paid, preparing, ready, picked_up }
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS orders (
+  id TEXT PRIMARY KEY,
+  order_key TEXT,
+  payload_uuid TEXT UNIQUE,
+  buyer TEXT,
+  payment_method TEXT NOT NULL,
+  items_json TEXT NOT NULL,
+  total REAL NOT NULL,
+  status TEXT NOT NULL,
+  txid TEXT,
+  mint_json TEXT,               -- { nfts: [...], accept_qr_list: [...] }，逐顆寫入
+  result_json TEXT,             -- /buy/status 最終回應
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  completed_at INTEGER,
+  archived_at INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS order_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  detail_json TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_txid ON orders(txid);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status, archived_at);
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, created_at);
+`);
+
+ensureColumn("orders", "invoice_id", "TEXT");
+ensureColumn("orders", "destination_tag", "INTEGER");
+ensureColumn("orders", "amount_paid", "TEXT");
+ensureColumn("orders", "quote_json", "TEXT");
+ensureColumn("orders", "pricing_json", "TEXT");
+ensureColumn("orders", "topup_payload_uuid", "TEXT");
+ensureColumn("orders", "topup_json", "TEXT"); // { payload_uuid, amount, qr, url, created_at }
+ensureColumn("orders", "business_date", "TEXT"); // YYYY-MM-DD in STORE_TIMEZONE
+ensureColumn("orders", "order_number", "INTEGER");
+ensureColumn("orders", "kitchen_status", "TEXT");
+ensureColumn("orders", "kitchen_json", "TEXT");
+db.exec(`
+CREATE INDEX IF NOT EXISTS idx_orders_invoice ON orders(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_orders_dest_tag ON orders(destination_tag, status);
+CREATE INDEX IF NOT EXISTS idx_orders_topup ON orders(topup_payload_uuid);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_number ON orders(business_date, order_number);
+CREATE INDEX IF NOT EXISTS idx_orders_kitchen ON orders(kitchen_status);
+
+CREATE TABLE IF NOT EXISTS payment_claims (
+  txid TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
+`);
+
+export const ORDER_STATUS = {
+  CREATED: "created",
+  PAID: "paid",
+  UNDERPAID: "underpaid",
+  OVERPAID: "overpaid",
+  MINTING: "minting",
+  COMPLETED: "completed",
+  PARTIAL: "partial",
+  FAILED: "failed",
+  EXPIRED: "expired",
+};
+
+export const KITCHEN_STATUS = {
+  PAID: "paid",
+  PREPARING: "preparing",
+  READY: "ready",
+  PICKED_UP: "picked_up",
+};
+
+// bump 往下一步；recall 退回上一步（按錯時用）
+const KITCHEN_FLOW = [KITCHEN_STATUS.PAID, KITCHEN_STATUS.PREPARING, KITCHEN_STATUS.READY, KITCHEN_STATUS.PICKED_UP];
+
+// 舊資料：已付款訂單的 txid 補登記（先建立的訂單優先）
+db.prepare(`
+  INSERT OR IGNORE INTO payment_claims(txid, order_id, created_at)
+  SELECT txid, id, updated_at FROM orders
+  WHERE txid IS NOT NULL AND status IN (?, ?, ?, ?)
+  ORDER BY created_at ASC
+`).run(ORDER_STATUS.PAID, ORDER_STATUS.MINTING, ORDER_STATUS.COMPLETED, ORDER_STATUS.PARTIAL);
+
+function rowToOrder(row) {
+  if (!row) return null;
+  const mint = parseJson(row.mint_json, null);
+  return {
+    id: row.id,
+    orderKey: row.order_key,
+    payloadUuid: row.payload_uuid,
+    buyer: row.buyer,
+    paymentMethod: row.payment_method,
+    items: parseJson(row.items_json, []),
+    total: row.total,
+    status: row.status,
+    txid: row.txid,
+    invoiceId: row.invoice_id,
+    destinationTag: row.destination_tag,
+    amountPaid: row.amount_paid,
+    topUp: parseJson(row.topup_json, null),
+    quote: parseJson(row.quote_json, null),
+    pricing: parseJson(row.pricing_json, null),
+    businessDate: row.business_date,
+    orderNumber: row.order_number,
+    kitchenStatus: row.kitchen_status,
+    kitchen: parseJson(row.kitchen_json, null),
+    mint: mint || { nfts: [], accept_qr_list: [] },
+    result: parseJson(row.result_json, null),
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+    archivedAt: row.archived_at,
+  };
+}
+
+function insertEvent(orderId, fromStatus, toStatus, detail, now) {
+  db.prepare(`
+    INSERT INTO order_events(order_id, from_status, to_status, detail_json, created_at)
+    VALUES(?,?,?,?,?)
+  `).run(orderId, fromStatus || null, toStatus, detail ? JSON.stringify(detail) : null, now);
+}
+
+// XRPL InvoiceID (Hash256)
+export function invoiceIdFor(orderId) {
+  return crypto.createHash("sha256").update(String(orderId)).digest("hex").toUpperCase();
+}
+
+let lastDestinationTag = null;
+
+/**
+ * 付款 payload 建立前先決定 order id / InvoiceID / DestinationTag（同步遞增，不會重複發號）
+ */
+export function newOrderRef({ withDestinationTag = false } = {}) {
+  const id = uuidv4();
+  let destinationTag = null;
+  if (withDestinationTag) {
+    if (lastDestinationTag == null) {
+      lastDestinationTag = db.prepare("SELECT MAX(destination_tag) AS t FROM orders").get()?.t || 10000;
+    }
+    lastDestinationTag = lastDestinationTag >= 0xffffffff ? 10001 : lastDestinationTag + 1;
+    destinationTag = lastDestinationTag;
+  }
+  return { id, invoiceId: invoiceIdFor(id), destinationTag };
+}
+
+export function createOrder({ id = uuidv4(), destinationTag = null, orderKey, payloadUuid, buyer, paymentMethod, items, total, quote = null, pricing = null }) {
+  const now = Date.now();
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO orders(id, order_key, payload_uuid, buyer, payment_method, items_json, total, quote_json, pricing_json, status, invoice_id, destination_tag, created_at, updated_at)
+      VALUES(?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+    `).run(
+      id,
+      orderKey || null,
+      payloadUuid || null,
+      buyer || null,
+      paymentMethod,
+      JSON.stringify(items || []),
+      Number(total),
+      quote ? JSON.stringify(quote) : null,
+      pricing ? JSON.stringify(pricing) : null,
+      ORDER_STATUS.CREATED,
+      invoiceIdFor(id),
+      destinationTag ?? null,
+      now,
+      now
+    );
+    insertEvent(id, null, ORDER_STATUS.CREATED, { payloadUuid }, now);
+  })();
+
+  return getOrder(id);
+}
+
+export function getOrder(id) {
+  return rowToOrder(db.prepare("SELECT * FROM orders WHERE id=?").get(id));
+}
+
+/**
+ * 原本的付款 payload 或補款 payload 都對得到訂單
+ */
+export function getOrderByPayload(payloadUuid) {
+  return rowToOrder(
+    db.prepare("SELECT * FROM orders WHERE payload_uuid=? OR topup_payload_uuid=? LIMIT 1").get(payloadUuid, payloadUuid)
+  );
+}
+
+export function getOrderByInvoiceId(invoiceId) {
+  return rowToOrder(db.prepare("SELECT * FROM orders WHERE invoice_id=?").get(String(invoiceId || "").toUpperCase()));
+}
+
+/**
+ * DestinationTag 會循環使用，只對還在等付款、未歸檔的訂單：尚未付款（created）或等補差額（underpaid，只帶 tag 的補款也要找得到）
+ */
+export function getOpenOrderByDestinationTag(tag) {
+  return rowToOrder(
+    db
+      .prepare("SELECT * FROM orders WHERE destination_tag=? AND status IN (?, ?) AND archived_at IS NULL ORDER BY created_at DESC LIMIT 1")
+      .get(Number(tag), ORDER_STATUS.CREATED, ORDER_STATUS.UNDERPAID)
+  );
+}
+
+/**
+ * 尚未歸檔、狀態在 statuses 之中的訂單（付款輪詢 / 啟動時補排 job 用）
+ */
+export function listOrdersByStatus(statuses = []) {
+  if (!statuses.length) return [];
+  return db
+    .prepare(`
+      SELECT * FROM orders
+      WHERE archived_at IS NULL AND status IN (${statuses.map(() => "?").join(",")})
+      ORDER BY created_at ASC
+    `)
+    .all(...statuses)
+    .map(rowToOrder);
+}
+
+/**
+ * 收到的金額超過總額的訂單（含已歸檔；找零可能在訂單完成很久之後才處理）
+ * REAL 比較只是粗篩，精確的餘額由呼叫端用 payments/amounts.js 計算
+ */
+export function listOverpaidOrders() {
+  return db
+    .prepare("SELECT * FROM orders WHERE amount_paid IS NOT NULL AND CAST(amount_paid AS REAL) > total ORDER BY created_at ASC")
+    .all()
+    .map(rowToOrder);
+}
+
+/**
+ * txid 是否已被（其他）訂單認領或用來開始 mint（取代原本的 processedTx）
+ */
+export function isTxProcessed(txid, { excludeOrderId = null } = {}) {
+  const claim = db.prepare("SELECT order_id FROM payment_claims WHERE txid=?").get(txid);
+  if (claim) return claim.order_id !== excludeOrderId;
+  const row = db
+    .prepare(`
+      SELECT 1 AS x FROM orders
+      WHERE txid=? AND status IN (?, ?, ?, ?, ?, ?) AND id IS NOT ?
+      LIMIT 1
+    `)
+    .get(
+      txid,
+      ORDER_STATUS.PAID,
+      ORDER_STATUS.UNDERPAID,
+      ORDER_STATUS.OVERPAID,
+      ORDER_STATUS.MINTING,
+      ORDER_STATUS.COMPLETED,
+      ORDER_STATUS.PARTIAL,
+      excludeOrderId
+    );
+  return !!row;
+}
+
+/**
+ * 驗證通過、轉 paid 之前認領 txid；已被其他訂單認領時回傳 false
+ */
+export function claimPaymentTx(txid, orderId) {
+  db.prepare("INSERT OR IGNORE INTO payment_claims(txid, order_id, created_at) VALUES(?,?,?)").run(txid, orderId, Date.now());
+  return db.prepare("SELECT order_id FROM payment_claims WHERE txid=?").get(txid)?.order_id === orderId;
+}
+
+export function getPaymentClaim(txid) {
+  return db.prepare("SELECT order_id FROM payment_claims WHERE txid=?").get(txid)?.order_id || null;
+}
+
+// 訂單認領的所有 txid（第一筆付款 + 補款），依時間排序
+export function listPaymentClaims(orderId) {
+  return db
+    .prepare("SELECT txid, created_at FROM payment_claims WHERE order_id=? ORDER BY created_at ASC, rowid ASC")
+    .all(orderId)
+    .map((r) => ({ txid: r.txid, createdAt: r.created_at }));
+}
+
+/**
+ * 只更新 buyer / txid（第一次寫入後凍結，不覆蓋）
+ * replaceBuyer：ledger watcher 對到的付款以實際付款錢包為 buyer（NFT 送到付款的錢包）
+ */
+export function bindPayment(id, { buyer, txid, replaceBuyer = false }) {
+  db.prepare(`
+    UPDATE orders
+    SET buyer=CASE WHEN ? THEN ? ELSE COALESCE(buyer, ?) END, txid=COALESCE(txid, ?), updated_at=?
+    WHERE id=?
+  `).run(replaceBuyer ? 1 : 0, buyer || null, buyer || null, txid || null, Date.now(), id);
+  return getOrder(id);
+}
+
+/**
+ * 驗證通過的付款金額累計（呼叫端用 payments/amounts.js 的 addDecimal 算好）
+ */
+export function setAmountPaid(id, amountPaid) {
+  db.prepare("UPDATE orders SET amount_paid=?, updated_at=? WHERE id=?").run(String(amountPaid), Date.now(), id);
+  return getOrder(id);
+}
+
+/**
+ * 目前的補款 payload；topUp=null 代表沒有（已付清 / 被拒絕 / 過期）
+ */
+export function saveTopUp(id, topUp) {
+  db.prepare("UPDATE orders SET topup_payload_uuid=?, topup_json=?, updated_at=? WHERE id=?").run(
+    topUp?.payload_uuid || null,
+    topUp ? JSON.stringify(topUp) : null,
+    Date.now(),
+    id
+  );
+  return getOrder(id);
+}
+
+export function transitionOrder(id, toStatus, { detail = null, result, error } = {}) {
+  const now = Date.now();
+  db.transaction(() => {
+    const cur = db.prepare("SELECT status FROM orders WHERE id=?").get(id);
+    if (!cur) throw new Error(`Order not found: ${id}`);
+
+    db.prepare(`
+      UPDATE orders
+      SET status=?,
+          result_json=COALESCE(?, result_json),
+          error=COALESCE(?, error),
+          completed_at=CASE WHEN ? = ? THEN ? ELSE completed_at END,
+          updated_at=?
+      WHERE id=?
+    `).run(
+      toStatus,
+      result === undefined ? null : JSON.stringify(result),
+      error === undefined ? null : String(error),
+      toStatus,
+      ORDER_STATUS.COMPLETED,
+      now,
+      now,
+      id
+    );
+
+    if (cur.status !== toStatus) insertEvent(id, cur.status, toStatus, detail, now);
+  })();
+  return getOrder(id);
+}
+
+/**
+ * 每鑄造完成一顆 NFT 就寫入，重啟後可得知哪些已經 mint
+ */
+export function saveMintProgress(id, mint) {
+  db.prepare("UPDATE orders SET mint_json=?, updated_at=? WHERE id=?").run(
+    JSON.stringify(mint || { nfts: [], accept_qr_list: [] }),
+    Date.now(),
+    id
+  );
+}
+
+export function getOrderEvents(id) {
+  return db
+    .prepare("SELECT * FROM order_events WHERE order_id=? ORDER BY id ASC")
+    .all(id)
+    .map((r) => ({ ...r, detail: parseJson(r.detail_json, null) }));
+}
+
+/**
+ * TTL sweep：不刪除，改為歸檔
+ * - completed / partial / failed 超過 TTL -> archived_at
+ * - created 超過 TTL 仍未付款 -> status=expired + archived_at
+ */
+export function archiveStaleOrders({ ttlMs, now = Date.now() }) {
+  const cutoff = now - ttlMs;
+  let archived = 0;
+
+  db.transaction(() => {
+    archived += db
+      .prepare(`
+        UPDATE orders SET archived_at=?, updated_at=?
+        WHERE archived_at IS NULL AND status IN (?, ?, ?) AND COALESCE(completed_at, updated_at) < ?
+      `)
+      .run(now, now, ORDER_STATUS.COMPLETED, ORDER_STATUS.PARTIAL, ORDER_STATUS.FAILED, cutoff).changes;
+
+    const stale = db
+      .prepare("SELECT id FROM orders WHERE archived_at IS NULL AND status=? AND created_at < ?")
+      .all(ORDER_STATUS.CREATED, cutoff);
+
+    for (const { id } of stale) {
+      db.prepare("UPDATE orders SET status=?, archived_at=?, updated_at=? WHERE id=?").run(
+        ORDER_STATUS.EXPIRED,
+        now,
+        now,
+        id
+      );
+      insertEvent(id, ORDER_STATUS.CREATED, ORDER_STATUS.EXPIRED, { reason: "ttl" }, now);
+      archived++;
+    }
+  })();
+
+  return archived;
+}
+
+/**
+ * 付清款項時給叫號（同一張訂單只給一次；補款付清或多付都在這時候）
+ * @param {string} businessDate - YYYY-MM-DD（server 依 STORE_TIMEZONE 算好）
+ */
+export function assignOrderNumber(id, { businessDate, now = Date.now() }) {
+  db.transaction(() => {
+    const cur = db.prepare("SELECT order_number FROM orders WHERE id=?").get(id);
+    if (!cur) throw new Error(`Order not found: ${id}`);
+    if (cur.order_number != null) return;
+
+    const { n } = db.prepare("SELECT COALESCE(MAX(order_number), 0) + 1 AS n FROM orders WHERE business_date=?").get(businessDate);
+    db.prepare(`
+      UPDATE orders SET business_date=?, order_number=?, kitchen_status=?, kitchen_json=?, updated_at=? WHERE id=?
+    `).run(businessDate, n, KITCHEN_STATUS.PAID, JSON.stringify({ [KITCHEN_STATUS.PAID]: now }), now, id);
+  })();
+  return getOrder(id);
+}
+
+function kitchenError(message, status, code) {
+  const e = new Error(message);
+  e.status = status;
+  e.code = code;
+  return e;
+}
+
+/**
+ * bump / recall：只能往前或往後一步
+ * @param {"bump"|"recall"|string} to - 指定狀態或 bump / recall
+ */
+export function moveKitchenStatus(id, to, { now = Date.now() } = {}) {
+  db.transaction(() => {
+    const cur = db.prepare("SELECT kitchen_status, kitchen_json FROM orders WHERE id=?").get(id);
+    if (!cur) throw kitchenError(`Order not found: ${id}`, 404, "ORDER_NOT_FOUND");
+    if (!cur.kitchen_status) throw kitchenError("Order is not paid yet", 409, "ORDER_NOT_PAID");
+
+    const i = KITCHEN_FLOW.indexOf(cur.kitchen_status);
+    const next = to === "bump" ? KITCHEN_FLOW[i + 1] : to === "recall" ? KITCHEN_FLOW[i - 1] : to;
+    const j = KITCHEN_FLOW.indexOf(next);
+    if (j < 0 || Math.abs(j - i) !== 1) {
+      const what = ["bump", "recall"].includes(to) ? `${to} an order that is` : `move to ${to} an order that is`;
+      throw kitchenError(`Cannot ${what} ${cur.kitchen_status}`, 409, "INVALID_KITCHEN_TRANSITION");
+    }
+
+    const times = { ...parseJson(cur.kitchen_json, {}), [next]: now };
+    // recall 後重新 bump 時以新的時間為準
+    if (j < i) delete times[cur.kitchen_status];
+    db.prepare("UPDATE orders SET kitchen_status=?, kitchen_json=?, updated_at=? WHERE id=?").run(next, JSON.stringify(times), now, id);
+  })();
+  return getOrder(id);
+}
+
+/**
+ * 廚房畫面：還沒取餐的訂單（依叫號順序），加上 pickedUpSince 之後取餐的（可以 recall）
+ */
+export function listKitchenOrders({ pickedUpSince = Date.now() - 15 * 60 * 1000 } = {}) {
+  return db
+    .prepare(`
+      SELECT * FROM orders
+      WHERE kitchen_status IN (?, ?, ?)
+         OR (kitchen_status=? AND json_extract(kitchen_json, '$.picked_up') >= ?)
+      ORDER BY business_date ASC, order_number ASC
+    `)
+    .all(KITCHEN_STATUS.PAID, KITCHEN_STATUS.PREPARING, KITCHEN_STATUS.READY, KITCHEN_STATUS.PICKED_UP, pickedUpSince)
+    .map(rowToOrder);
+}
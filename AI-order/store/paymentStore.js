@@ -0,0 +1,169 @@
+// store/paymentStore.js
+import db, { parseJson } from "./db.js";
+
+/**
+ * 💰 ledger watcher 看到的每一筆入帳（STORE_ADDRESS 收到、tesSUCCESS 的 Payment）
+ *
+ * status：
+ *   matched     -> 對到訂單（InvoiceID / DestinationTag）並交給付款驗證
+ *   unassigned  -> 對不到訂單、訂單已付過款、或金額 / 幣別驗證不過，等店員處理
+ *   resolved    -> 店員處理完（退款 / 手動補單等），note 記錄處理方式
+ *
+ * 最大的 ledger_index 也是 watcher 重連後補抓（account_tx）的起點
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS incoming_payments (
+  txid TEXT PRIMARY KEY,
+  ledger_index INTEGER NOT NULL,
+  account TEXT NOT NULL,
+  amount_json TEXT,               -- tx Amount
+  delivered_json TEXT,            -- meta.delivered_amount
+  invoice_id TEXT,
+  destination_tag INTEGER,
+  order_id TEXT,                  -- 對到（或看起來屬於）的訂單
+  status TEXT NOT NULL,
+  reason TEXT,                    -- no_matching_order / order_already_paid / amount_mismatch ...
+  note TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_incoming_payments_status ON incoming_payments(status, created_at);
+`);
+
+export const INCOMING_STATUS = {
+  MATCHED: "matched",
+  UNASSIGNED: "unassigned",
+  RESOLVED: "resolved",
+};
+
+function rowToPayment(row) {
+  if (!row) return null;
+  return {
+    txid: row.txid,
+    ledgerIndex: row.ledger_index,
+    account: row.account,
+    amount: parseJson(row.amount_json, null),
+    deliveredAmount: parseJson(row.delivered_json, null),
+    invoiceId: row.invoice_id,
+    destinationTag: row.destination_tag,
+    orderId: row.order_id,
+    status: row.status,
+    reason: row.reason,
+    note: row.note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function getIncomingPayment(txid) {
+  return rowToPayment(db.prepare("SELECT * FROM incoming_payments WHERE txid=?").get(txid));
+}
+
+export function recordIncomingPayment({ txid, ledgerIndex, account, amount, deliveredAmount, invoiceId, destinationTag, orderId, status, reason }) {
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO incoming_payments(txid, ledger_index, account, amount_json, delivered_json, invoice_id, destination_tag, order_id, status, reason, created_at, updated_at)
+    VALUES(?,?,?,?,?,?,?,?,?,?,?,?)
+    ON CONFLICT(txid) DO NOTHING
+  `).run(
+    txid,
+    Number(ledgerIndex),
+    account,
+    amount == null ? null : JSON.stringify(amount),
+    deliveredAmount == null ? null : JSON.stringify(deliveredAmount),
+    invoiceId || null,
+    destinationTag ?? null,
+    orderId || null,
+    status,
+    reason || null,
+    now,
+    now
+  );
+  return getIncomingPayment(txid);
+}
+
+export function listIncomingPayments({ status, limit = 100 } = {}) {
+  const sql = `SELECT * FROM incoming_payments ${status ? "WHERE status=?" : ""} ORDER BY created_at DESC LIMIT ?`;
+  return db.prepare(sql).all(...(status ? [status] : []), limit).map(rowToPayment);
+}
+
+/**
+ * 只有 unassigned 的可以標記為已處理
+ */
+export function resolveIncomingPayment(txid, { note }) {
+  db.prepare("UPDATE incoming_payments SET status=?, note=?, updated_at=? WHERE txid=? AND status=?").run(
+    INCOMING_STATUS.RESOLVED,
+    note || null,
+    Date.now(),
+    txid,
+    INCOMING_STATUS.UNASSIGNED
+  );
+  return getIncomingPayment(txid);
+}
+
+export function lastSeenLedger() {
+  return db.prepare("SELECT MAX(ledger_index) AS l FROM incoming_payments").get()?.l || null;
+}
+
+/**
+ * 🧾 付款驗證紀錄：每次 verifyPaymentTx 的結果（含 reason code）都留一筆，供對帳 / 稽核
+ *   source：payload（Xaman 簽名流程）/ ledger（ledger watcher 對到的入帳）
+ *   not_validated_yet 之類會重試的暫時狀態不記
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS payment_verifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id TEXT NOT NULL,
+  txid TEXT NOT NULL,
+  source TEXT NOT NULL,
+  ok INTEGER NOT NULL,
+  reason TEXT,                    -- amount_mismatch / partial_payment / partial_payment_flag ...；成功且無旗標時為 NULL
+  details_json TEXT,              -- { value, expected, amount, delivered, partial_payment, ... }
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_order ON payment_verifications(order_id, id);
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_txid ON payment_verifications(txid, id);
+`);
+
+function rowToVerification(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    txid: row.txid,
+    source: row.source,
+    ok: !!row.ok,
+    reason: row.reason,
+    details: parseJson(row.details_json, null),
+    createdAt: row.created_at,
+  };
+}
+
+export function recordVerification({ orderId, txid, source, ok, reason, details }) {
+  const info = db.prepare(`
+    INSERT INTO payment_verifications(order_id, txid, source, ok, reason, details_json, created_at)
+    VALUES(?,?,?,?,?,?,?)
+  `).run(orderId, txid, source, ok ? 1 : 0, reason || null, details ? JSON.stringify(details) : null, Date.now());
+  return rowToVerification(db.prepare("SELECT * FROM payment_verifications WHERE id=?").get(info.lastInsertRowid));
+}
+
+export function listVerifications({ orderId, txid, ok, limit = 100 } = {}) {
+  const where = [];
+  const args = [];
+  if (orderId) {
+    where.push("order_id=?");
+    args.push(orderId);
+  }
+  if (txid) {
+    where.push("txid=?");
+    args.push(txid);
+  }
+  if (ok != null) {
+    where.push("ok=?");
+    args.push(ok ? 1 : 0);
+  }
+  const sql = `SELECT * FROM payment_verifications ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id DESC LIMIT ?`;
+  return db.prepare(sql).all(...args, limit).map(rowToVerification);
+}
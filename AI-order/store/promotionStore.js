@@ -0,0 +1,286 @@
+// store/promotionStore.js
+import db, { parseJson } from "./db.js";
+import { ORDER_STATUS } from "./orderStore.js";
+
+/**
+ * 🏷️ 促銷 / 折扣碼（pricing/promotions.js 計算折扣）
+ * - code 有值：顧客輸入折扣碼才套用（chat「I have code NKUST10」或結帳視窗）；NULL：符合條件自動套用
+ * - type：percent（value% off）/ fixed（折 value，PRICE_CURRENCY）/ bogo（每買 buy_qty 件，另外 get_qty 件打 value% off，100 = 免費）
+ * - product_ids / category_ids 限定適用品項，都空白 = 整張訂單
+ * - starts_at / ends_at 有效期間，max_uses 總次數，max_uses_per_wallet 每個錢包次數
+ *
+ * promotion_redemptions：每張訂單用了哪些促銷（建單時寫入，付款後補上錢包）；
+ * 使用次數只算收到款項的訂單（underpaid 起），加上付款視窗（PROMOTION_HOLD_MS）內還沒付款的新訂單；
+ * 拒絕付款 / 付款被退回（failed）、過期或放著沒付的訂單都不佔名額
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS promotions (
+  id TEXT PRIMARY KEY,            -- slug, e.g. nkust10 / latte-2nd-half
+  code TEXT UNIQUE,               -- upper-case customer code; NULL = automatic
+  name TEXT NOT NULL,
+  name_zh TEXT,
+  type TEXT NOT NULL,             -- percent / fixed / bogo
+  value REAL NOT NULL,
+  buy_qty INTEGER,                -- bogo only
+  get_qty INTEGER,                -- bogo only
+  product_ids_json TEXT,
+  category_ids_json TEXT,
+  min_subtotal REAL,
+  starts_at INTEGER,
+  ends_at INTEGER,
+  max_uses INTEGER,
+  max_uses_per_wallet INTEGER,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  order_id TEXT NOT NULL,
+  promotion_id TEXT NOT NULL,
+  wallet TEXT,                    -- buyer; filled in once the payment is verified
+  discount TEXT NOT NULL,         -- PRICE_CURRENCY, decimal string
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (order_id, promotion_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promo ON promotion_redemptions(promotion_id, wallet);
+`);
+
+export const PROMOTION_TYPE = {
+  PERCENT: "percent",
+  FIXED: "fixed",
+  BOGO: "bogo",
+};
+
+function badRequest(message, detail) {
+  const e = new Error(message);
+  e.status = 400;
+  if (detail) e.detail = detail;
+  return e;
+}
+
+function notFound(message) {
+  const e = new Error(message);
+  e.status = 404;
+  return e;
+}
+
+function rowToPromotion(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    name_zh: row.name_zh,
+    type: row.type,
+    value: row.value,
+    buy_qty: row.buy_qty,
+    get_qty: row.get_qty,
+    product_ids: parseJson(row.product_ids_json, []),
+    category_ids: parseJson(row.category_ids_json, []),
+    min_subtotal: row.min_subtotal,
+    starts_at: row.starts_at,
+    ends_at: row.ends_at,
+    max_uses: row.max_uses,
+    max_uses_per_wallet: row.max_uses_per_wallet,
+    enabled: row.enabled === 1,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+export function normalizePromoCode(code) {
+  const c = String(code || "").trim().toUpperCase();
+  return c || null;
+}
+
+export function getPromotion(id) {
+  return rowToPromotion(db.prepare("SELECT * FROM promotions WHERE id=?").get(String(id)));
+}
+
+export function getPromotionByCode(code) {
+  const c = normalizePromoCode(code);
+  return c ? rowToPromotion(db.prepare("SELECT * FROM promotions WHERE code=?").get(c)) : null;
+}
+
+export function listPromotions({ includeDisabled = true } = {}) {
+  return db
+    .prepare(`SELECT * FROM promotions ${includeDisabled ? "" : "WHERE enabled = 1"} ORDER BY created_at ASC`)
+    .all()
+    .map(rowToPromotion);
+}
+
+function optionalInt(v, field) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n <= 0) throw badRequest(`${field} must be a positive integer`, { [field]: v });
+  return n;
+}
+
+function optionalTime(v, field) {
+  if (v == null || v === "") return null;
+  const t = typeof v === "number" ? v : Date.parse(v);
+  if (!Number.isFinite(t)) throw badRequest(`${field} must be a timestamp or ISO date`, { [field]: v });
+  return t;
+}
+
+function idList(v, field, map = (x) => x) {
+  if (v == null) return [];
+  if (!Array.isArray(v)) throw badRequest(`${field} must be an array`, { [field]: v });
+  return [...new Set(v.map(map))];
+}
+
+/**
+ * 新增或整筆更新（id 相同時覆蓋；使用紀錄保留）
+ */
+export function upsertPromotion(body = {}) {
+  const id = String(body.id || "").trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,40}$/.test(id)) throw badRequest("promotion id must be a slug (a-z, 0-9, _ -)");
+  if (!String(body.name || "").trim()) throw badRequest("promotion name required");
+  if (!Object.values(PROMOTION_TYPE).includes(body.type)) {
+    throw badRequest("type must be percent, fixed or bogo", { type: body.type });
+  }
+
+  const value = Number(body.value);
+  if (!Number.isFinite(value) || value <= 0) throw badRequest("value must be > 0", { value: body.value });
+  if (body.type !== PROMOTION_TYPE.FIXED && value > 100) throw badRequest("value is a percentage (<= 100)", { value: body.value });
+
+  const code = normalizePromoCode(body.code);
+  if (code && !/^[A-Z0-9_-]{3,32}$/.test(code)) throw badRequest("code must be 3-32 letters / digits", { code: body.code });
+  if (code) {
+    const other = db.prepare("SELECT id FROM promotions WHERE code=? AND id<>?").get(code, id);
+    if (other) throw badRequest("code already used by another promotion", { code, promotion_id: other.id });
+  }
+
+  const buyQty = body.type === PROMOTION_TYPE.BOGO ? optionalInt(body.buy_qty ?? 1, "buy_qty") : null;
+  const getQty = body.type === PROMOTION_TYPE.BOGO ? optionalInt(body.get_qty ?? 1, "get_qty") : null;
+  const startsAt = optionalTime(body.starts_at, "starts_at");
+  const endsAt = optionalTime(body.ends_at, "ends_at");
+  if (startsAt && endsAt && endsAt <= startsAt) throw badRequest("ends_at must be after starts_at");
+  const minSubtotal = body.min_subtotal == null || body.min_subtotal === "" ? null : Number(body.min_subtotal);
+  if (minSubtotal != null && !(minSubtotal >= 0)) throw badRequest("min_subtotal must be >= 0", { min_subtotal: body.min_subtotal });
+
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO promotions(id, code, name, name_zh, type, value, buy_qty, get_qty, product_ids_json, category_ids_json,
+      min_subtotal, starts_at, ends_at, max_uses, max_uses_per_wallet, enabled, created_at, updated_at)
+    VALUES(?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+    ON CONFLICT(id) DO UPDATE SET
+      code=excluded.code, name=excluded.name, name_zh=excluded.name_zh, type=excluded.type, value=excluded.value,
+      buy_qty=excluded.buy_qty, get_qty=excluded.get_qty, product_ids_json=excluded.product_ids_json,
+      category_ids_json=excluded.category_ids_json, min_subtotal=excluded.min_subtotal, starts_at=excluded.starts_at,
+      ends_at=excluded.ends_at, max_uses=excluded.max_uses, max_uses_per_wallet=excluded.max_uses_per_wallet,
+      enabled=excluded.enabled, updated_at=excluded.updated_at
+  `).run(
+    id,
+    code,
+    String(body.name).trim(),
+    body.name_zh ? String(body.name_zh).trim() : null,
+    body.type,
+    value,
+    buyQty,
+    getQty,
+    JSON.stringify(idList(body.product_ids, "product_ids", Number)),
+    JSON.stringify(idList(body.category_ids, "category_ids", String)),
+    minSubtotal,
+    startsAt,
+    endsAt,
+    optionalInt(body.max_uses, "max_uses"),
+    optionalInt(body.max_uses_per_wallet, "max_uses_per_wallet"),
+    body.enabled === false ? 0 : 1,
+    now,
+    now
+  );
+  return getPromotion(id);
+}
+
+export function setPromotionEnabled(id, enabled) {
+  const r = db.prepare("UPDATE promotions SET enabled=?, updated_at=? WHERE id=?").run(enabled ? 1 : 0, Date.now(), String(id));
+  if (!r.changes) throw notFound(`Promotion not found: ${id}`);
+  return getPromotion(id);
+}
+
+// 建單後還沒付款的訂單先佔名額的時間（= /create-order 的 Xaman payload 有效時間）
+export const PROMOTION_HOLD_MS = 5 * 60 * 1000;
+
+// 收到款項的訂單（含等補差額的 underpaid）；failed / expired 不算
+const REDEEMED_STATUSES = [
+  ORDER_STATUS.UNDERPAID,
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.OVERPAID,
+  ORDER_STATUS.MINTING,
+  ORDER_STATUS.COMPLETED,
+  ORDER_STATUS.PARTIAL,
+];
+
+/**
+ * 使用次數：total = 所有佔名額的訂單；wallet = 該錢包的訂單（excludeOrderId 排除正在計價 / 驗證的訂單本身）
+ */
+export function promotionUsage(promotionId, { wallet = null, excludeOrderId = null, now = Date.now() } = {}) {
+  const base = `
+    SELECT COUNT(*) AS n FROM promotion_redemptions r JOIN orders o ON o.id = r.order_id
+    WHERE r.promotion_id=? AND r.order_id<>?
+      AND (o.status IN (${REDEEMED_STATUSES.map(() => "?").join(",")}) OR (o.status=? AND o.created_at>?))`;
+  const args = [promotionId, excludeOrderId || "", ...REDEEMED_STATUSES, ORDER_STATUS.CREATED, now - PROMOTION_HOLD_MS];
+  return {
+    total: db.prepare(base).get(...args).n,
+    wallet: wallet ? db.prepare(`${base} AND r.wallet=?`).get(...args, wallet).n : 0,
+  };
+}
+
+/**
+ * 次數限制：PROMO_USED_UP / PROMO_WALLET_LIMIT / null（不檢查期間與適用品項）
+ */
+export function promotionLimitReason(promo, { wallet = null, excludeOrderId = null } = {}) {
+  if (!promo?.max_uses && !(promo?.max_uses_per_wallet && wallet)) return null;
+  const used = promotionUsage(promo.id, { wallet, excludeOrderId });
+  if (promo.max_uses && used.total >= promo.max_uses) return "PROMO_USED_UP";
+  if (promo.max_uses_per_wallet && wallet && used.wallet >= promo.max_uses_per_wallet) return "PROMO_WALLET_LIMIT";
+  return null;
+}
+
+/**
+ * 寫入前在同一個 transaction 再檢查一次次數：計價與寫入之間隔著報價與 Xumm 的 await，
+ * 同時建立的兩張單可能都通過計價時的檢查
+ */
+export function recordRedemptions(orderId, { wallet = null, discounts = [] }) {
+  const now = Date.now();
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO promotion_redemptions(order_id, promotion_id, wallet, discount, created_at)
+    VALUES(?,?,?,?,?)
+  `);
+  db.transaction(() => {
+    for (const d of discounts) {
+      const reason = promotionLimitReason(getPromotion(d.promotion_id), { wallet, excludeOrderId: orderId });
+      if (reason) {
+        const e = badRequest(`Promotion ${d.code || d.promotion_id} cannot be used: ${reason}`, { promotion_id: d.promotion_id });
+        e.code = reason;
+        throw e;
+      }
+      stmt.run(orderId, d.promotion_id, wallet, String(d.amount), now);
+    }
+  })();
+}
+
+// 付款驗證後才知道真正的錢包（Plan A 建單時通常沒有 buyer）
+export function bindRedemptionWallet(orderId, wallet) {
+  if (!wallet) return;
+  db.prepare("UPDATE promotion_redemptions SET wallet=? WHERE order_id=?").run(wallet, orderId);
+}
+
+export function listRedemptions(promotionId) {
+  return db
+    .prepare(`
+      SELECT r.*, o.status AS order_status FROM promotion_redemptions r JOIN orders o ON o.id = r.order_id
+      WHERE r.promotion_id=? ORDER BY r.created_at DESC
+    `)
+    .all(String(promotionId))
+    .map((r) => ({
+      order_id: r.order_id,
+      order_status: r.order_status,
+      wallet: r.wallet,
+      discount: r.discount,
+      created_at: r.created_at,
+    }));
+}
@@ -0,0 +1,47 @@
+// store/rateStore.js
+import db from "./db.js";
+
+/**
+ * 💱 店員手動設定的匯率（pricing/sources/adminRates.js）
+ * rate = 1 單位資產值多少 base_currency（十進位字串）
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  asset TEXT PRIMARY KEY,         -- xrp / rlusd / mpt
+  base_currency TEXT NOT NULL,    -- PRICE_CURRENCY at the time it was set
+  rate TEXT NOT NULL,
+  note TEXT,
+  updated_at INTEGER NOT NULL
+);
+`);
+
+function rowToRate(row) {
+  if (!row) return null;
+  return {
+    asset: row.asset,
+    baseCurrency: row.base_currency,
+    rate: row.rate,
+    note: row.note,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function getAdminRate(asset) {
+  return rowToRate(db.prepare("SELECT * FROM exchange_rates WHERE asset=?").get(asset));
+}
+
+export function listAdminRates() {
+  return db.prepare("SELECT * FROM exchange_rates ORDER BY asset").all().map(rowToRate);
+}
+
+export function setAdminRate(asset, { baseCurrency, rate, note }) {
+  db.prepare(`
+    INSERT INTO exchange_rates(asset, base_currency, rate, note, updated_at) VALUES(?,?,?,?,?)
+    ON CONFLICT(asset) DO UPDATE SET base_currency=excluded.base_currency, rate=excluded.rate, note=excluded.note, updated_at=excluded.updated_at
+  `).run(asset, baseCurrency, String(rate), note || null, Date.now());
+  return getAdminRate(asset);
+}
+
+export function deleteAdminRate(asset) {
+  return db.prepare("DELETE FROM exchange_rates WHERE asset=?").run(asset).changes > 0;
+}
@@ -0,0 +1,171 @@
+// store/refundStore.js
+import { v4 as uuidv4 } from "uuid";
+import db, { parseJson, ensureColumn } from "./db.js";
+import { addDecimal, normalizeDecimal } from "../payments/amounts.js";
+
+/**
+ * 💸 退款紀錄：從 STORE_ADDRESS 退回未交付品項的金額
+ *
+ * status 流程：
+ *   queued -> completed   (Payment validated，txid 寫入)
+ *   queued -> failed      (refund job 進 dead-letter)
+ *
+ * unit_keys 對應 fulfill_order job 的 unit（"lineIndex:i"）；同一 unit 只能有一筆未失敗的退款
+ *
+ * kind：
+ *   refund -> 退回訂單金額（未交付品項 / 手動），累計不得超過訂單總額
+ *   change -> 找零：付款超過總額（overpaid）的部分，不計入退款總額
+ *
+ * value_text：金額的十進位字串（value 是 REAL，只留給舊資料與排序），加總 / 比較都用 payments/amounts.js
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS refunds (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL,
+  unit_keys_json TEXT NOT NULL,   -- ["0:1", ...]；手動指定金額時可為 []
+  value REAL NOT NULL,            -- 以訂單付款幣別計的金額（與 orders.total 同單位）
+  amount_json TEXT NOT NULL,      -- XRPL Amount（drops / { currency, issuer, value } / { mpt_issuance_id, value }）
+  payment_method TEXT NOT NULL,
+  destination TEXT NOT NULL,
+  reason TEXT,
+  created_by TEXT NOT NULL,       -- policy / admin
+  status TEXT NOT NULL,
+  txid TEXT,
+  error TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  completed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status, created_at);
+`);
+
+ensureColumn("refunds", "kind", "TEXT NOT NULL DEFAULT 'refund'");
+ensureColumn("refunds", "value_text", "TEXT");
+
+export const REFUND_KIND = {
+  REFUND: "refund",
+  CHANGE: "change",
+};
+
+export const REFUND_STATUS = {
+  QUEUED: "queued",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+function rowToRefund(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    kind: row.kind || REFUND_KIND.REFUND,
+    unitKeys: parseJson(row.unit_keys_json, []),
+    value: row.value_text ?? normalizeDecimal(row.value),
+    amount: parseJson(row.amount_json, null),
+    paymentMethod: row.payment_method,
+    destination: row.destination,
+    reason: row.reason,
+    createdBy: row.created_by,
+    status: row.status,
+    txid: row.txid,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+  };
+}
+
+export function createRefund({ orderId, kind = REFUND_KIND.REFUND, unitKeys = [], value, amount, paymentMethod, destination, reason, createdBy }) {
+  const now = Date.now();
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO refunds(id, order_id, kind, unit_keys_json, value, value_text, amount_json, payment_method, destination, reason, created_by, status, created_at, updated_at)
+    VALUES(?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+  `).run(
+    id,
+    orderId,
+    kind,
+    JSON.stringify(unitKeys),
+    Number(value),
+    normalizeDecimal(value),
+    JSON.stringify(amount),
+    paymentMethod,
+    destination,
+    reason || null,
+    createdBy,
+    REFUND_STATUS.QUEUED,
+    now,
+    now
+  );
+  return getRefund(id);
+}
+
+export function getRefund(id) {
+  return rowToRefund(db.prepare("SELECT * FROM refunds WHERE id=?").get(id));
+}
+
+export function listRefunds({ orderId, status, limit = 100 } = {}) {
+  const where = [];
+  const args = [];
+  if (orderId) {
+    where.push("order_id=?");
+    args.push(orderId);
+  }
+  if (status) {
+    where.push("status=?");
+    args.push(status);
+  }
+  const sql = `SELECT * FROM refunds ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY created_at ASC LIMIT ?`;
+  return db.prepare(sql).all(...args, limit).map(rowToRefund);
+}
+
+export function completeRefund(id, { txid }) {
+  const now = Date.now();
+  db.prepare("UPDATE refunds SET status=?, txid=?, error=NULL, completed_at=?, updated_at=? WHERE id=?").run(
+    REFUND_STATUS.COMPLETED,
+    txid,
+    now,
+    now,
+    id
+  );
+  return getRefund(id);
+}
+
+export function failRefund(id, { error }) {
+  db.prepare("UPDATE refunds SET status=?, error=?, updated_at=? WHERE id=?").run(REFUND_STATUS.FAILED, String(error), Date.now(), id);
+  return getRefund(id);
+}
+
+/**
+ * dead-letter 的退款被人工重試時改回 queued
+ */
+export function reopenRefund(id) {
+  db.prepare("UPDATE refunds SET status=?, error=NULL, updated_at=? WHERE id=? AND status=?").run(
+    REFUND_STATUS.QUEUED,
+    Date.now(),
+    id,
+    REFUND_STATUS.FAILED
+  );
+  return getRefund(id);
+}
+
+/**
+ * 已退款 / 退款中的 unit 與金額（failed 的不算，可以重新申請；找零另計，見 activeChangeTotal）
+ */
+export function activeRefundTotals(orderId) {
+  const active = listRefunds({ orderId }).filter((r) => r.kind === REFUND_KIND.REFUND && r.status !== REFUND_STATUS.FAILED);
+  return {
+    unitKeys: new Set(active.flatMap((r) => r.unitKeys)),
+    value: active.reduce((s, r) => addDecimal(s, r.value), "0"),
+  };
+}
+
+/**
+ * 已找零 / 找零中的金額（十進位字串）
+ */
+export function activeChangeTotal(orderId) {
+  const active = listRefunds({ orderId }).filter((r) => r.kind === REFUND_KIND.CHANGE && r.status !== REFUND_STATUS.FAILED);
+  return active.reduce((s, r) => addDecimal(s, r.value), "0");
+}
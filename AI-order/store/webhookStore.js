@@ -0,0 +1,73 @@
+// store/webhookStore.js
+import db, { parseJson } from "./db.js";
+
+/**
+ * 🪝 收到的 Xumm webhook（每個 payload 一列，重送 / replay 時累加 deliveries）
+ *
+ * outcome：signed / cancelled / expired / resolved
+ * processed_at / process_error 是交給訂單付款流程後的結果，replay 會重新處理一次（下游本身是冪等的）
+ */
+db.exec(`
+CREATE TABLE IF NOT EXISTS xumm_webhooks (
+  payload_uuid TEXT PRIMARY KEY,
+  outcome TEXT NOT NULL,
+  txid TEXT,
+  identifier TEXT,
+  body_json TEXT NOT NULL,
+  deliveries INTEGER NOT NULL DEFAULT 1,
+  first_received_at INTEGER NOT NULL,
+  last_received_at INTEGER NOT NULL,
+  processed_at INTEGER,
+  process_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_xumm_webhooks_received ON xumm_webhooks(last_received_at);
+`);
+
+function rowToEvent(row) {
+  if (!row) return null;
+  return {
+    payloadUuid: row.payload_uuid,
+    outcome: row.outcome,
+    txid: row.txid,
+    identifier: row.identifier,
+    body: parseJson(row.body_json, null),
+    deliveries: row.deliveries,
+    firstReceivedAt: row.first_received_at,
+    lastReceivedAt: row.last_received_at,
+    processedAt: row.processed_at,
+    processError: row.process_error,
+  };
+}
+
+export function recordWebhook({ payloadUuid, outcome, txid, identifier, body }) {
+  const now = Date.now();
+  db.prepare(`
+    INSERT INTO xumm_webhooks(payload_uuid, outcome, txid, identifier, body_json, first_received_at, last_received_at)
+    VALUES(?,?,?,?,?,?,?)
+    ON CONFLICT(payload_uuid) DO UPDATE SET
+      outcome=excluded.outcome,
+      txid=COALESCE(excluded.txid, xumm_webhooks.txid),
+      identifier=COALESCE(excluded.identifier, xumm_webhooks.identifier),
+      body_json=excluded.body_json,
+      deliveries=xumm_webhooks.deliveries + 1,
+      last_received_at=excluded.last_received_at
+  `).run(payloadUuid, outcome, txid || null, identifier || null, JSON.stringify(body), now, now);
+  return getWebhook(payloadUuid);
+}
+
+export function getWebhook(payloadUuid) {
+  return rowToEvent(db.prepare("SELECT * FROM xumm_webhooks WHERE payload_uuid=?").get(payloadUuid));
+}
+
+export function markWebhookProcessed(payloadUuid, { error } = {}) {
+  db.prepare("UPDATE xumm_webhooks SET processed_at=?, process_error=? WHERE payload_uuid=?").run(
+    Date.now(),
+    error ? String(error) : null,
+    payloadUuid
+  );
+}
+
+export function listWebhooks({ limit = 100 } = {}) {
+  return db.prepare("SELECT * FROM xumm_webhooks ORDER BY last_received_at DESC LIMIT ?").all(limit).map(rowToEvent);
+}
@@ -13,6 +13,10 @@ export default defineConfig({
       '/buy': 'http://localhost:3001',
       '/redeem': 'http://localhost:3001',
       '/ai-order': 'http://localhost:3001',
+      '/api': 'http://localhost:3001',
+      '/orders': 'http://localhost:3001',
+      '/kitchen': 'http://localhost:3001',
+      '/ipfs': 'http://localhost:3001',
     },
   },
 });
\ No newline at end of file
@@ -4,12 +4,20 @@ import morgan from "morgan"
 import Database from "better-sqlite3"
 import { Client, Wallet, decodeAccountID } from "xrpl"
 import { XummSdk } from "xumm-sdk"
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyXummWebhook,
+  parseXummWebhook,
+  keepRawBody,
+} from "../shared/xummWebhook.cjs"
 
 const PORT = Number(process.env.PORT || 3000)
 const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`
 const XRPL_WS = process.env.XRPL_WS
 const XUMM_API_KEY = process.env.XUMM_API_KEY
 const XUMM_API_SECRET = process.env.XUMM_API_SECRET
+const XUMM_WEBHOOK_SECRET = (process.env.XUMM_WEBHOOK_SECRET || XUMM_API_SECRET || "").trim() // HMAC key of /webhooks/xumm
 
 if (!XRPL_WS) throw new Error("Missing XRPL_WS")
 if (!XUMM_API_KEY || !XUMM_API_SECRET) throw new Error("Missing XUMM_API_KEY / XUMM_API_SECRET")
@@ -46,6 +54,19 @@ CREATE TABLE IF NOT EXISTS xumm_payloads (
   raw_json TEXT
 );
 
+-- ✅ Xumm webhook deliveries (one row per payload; replays bump deliveries)
+CREATE TABLE IF NOT EXISTS xumm_webhooks (
+  uuid TEXT PRIMARY KEY,
+  outcome TEXT NOT NULL,        -- signed / cancelled / expired / resolved
+  txid TEXT,
+  body_json TEXT NOT NULL,
+  deliveries INTEGER NOT NULL DEFAULT 1,
+  first_received_at INTEGER NOT NULL,
+  last_received_at INTEGER NOT NULL,
+  processed_at INTEGER,
+  process_error TEXT
+);
+
 -- ✅ Issuance / Audit tables (for console listing)
 CREATE TABLE IF NOT EXISTS authorizations (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -226,7 +247,7 @@ function calcMptToSendFromPayment(validatedTx) {
 
 const app = express()
 app.use(morgan("dev"))
-app.use(express.json())
+app.use(express.json({ verify: keepRawBody }))
 app.use(express.static("public"))
 
 // --------------------
@@ -713,10 +734,18 @@ app.post("/api/kfd/swap-init", async (req, res) => {
   }
 })
 
-// poll payload: once payment validated, auto issue MPT (authorize + payment) with idempotency
-app.get("/api/payload/:uuid", async (req, res) => {
+// Swap resolution shared by GET /api/payload/:uuid (browser poll) and POST /webhooks/xumm
+// 同一個 uuid 同時只跑一次（poll 與 webhook 可能同時到，issue 不能送兩次）
+const swapResolutions = new Map() // uuid -> Promise
+
+function resolveSwapPayload(uuid) {
+  if (!swapResolutions.has(uuid)) swapResolutions.set(uuid, runSwapResolution(uuid))
+  return swapResolutions.get(uuid)
+}
+
+// once payment validated, auto issue MPT (authorize + payment) with idempotency
+async function runSwapResolution(uuid) {
   try {
-    const uuid = req.params.uuid
     const p = await xumm.payload.get(uuid)
 
     const resolved = !!p?.meta?.resolved
@@ -1099,7 +1128,7 @@ app.get("/api/payload/:uuid", async (req, res) => {
       }
     }
 
-    res.json({
+    return {
       uuid,
       resolved,
       signed,
@@ -1108,12 +1137,100 @@ app.get("/api/payload/:uuid", async (req, res) => {
       txid,
       validatedTx,
       auto
-    })
+    }
+  } finally {
+    swapResolutions.delete(uuid)
+  }
+}
+
+// poll payload
+app.get("/api/payload/:uuid", async (req, res) => {
+  try {
+    res.json(await resolveSwapPayload(req.params.uuid))
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) })
   }
 })
 
+// --------------------
+// Xumm webhook: swap payload resolved => same issuance as GET /api/payload/:uuid
+// --------------------
+function recordWebhook({ payloadUuid, outcome, txid, body }) {
+  const now = Date.now()
+  db.prepare(`
+    INSERT INTO xumm_webhooks(uuid, outcome, txid, body_json, first_received_at, last_received_at)
+    VALUES(?,?,?,?,?,?)
+    ON CONFLICT(uuid) DO UPDATE SET
+      outcome=excluded.outcome,
+      txid=COALESCE(excluded.txid, xumm_webhooks.txid),
+      body_json=excluded.body_json,
+      deliveries=xumm_webhooks.deliveries + 1,
+      last_received_at=excluded.last_received_at
+  `).run(payloadUuid, outcome, txid || null, JSON.stringify(body), now, now)
+  return db.prepare("SELECT * FROM xumm_webhooks WHERE uuid=?").get(payloadUuid)
+}
+
+function markWebhookProcessed(uuid, error = null) {
+  db.prepare("UPDATE xumm_webhooks SET processed_at=?, process_error=? WHERE uuid=?")
+    .run(Date.now(), error ? String(error) : null, uuid)
+}
+
+async function handleXummWebhook(event) {
+  const known = db.prepare("SELECT identifier FROM xumm_payloads WHERE uuid=?").get(event.payloadUuid)
+  if (!known) return // not created by this server
+
+  // payload state + tx are re-read from Xumm / XRPL, not taken from the webhook body
+  if (String(known.identifier || "").startsWith("SWAP_")) {
+    const out = await resolveSwapPayload(event.payloadUuid)
+    if (out.auto && !out.auto.ok) throw new Error(`${out.auto.stage}: ${out.auto.error}`)
+    return
+  }
+  const p = await xumm.payload.get(event.payloadUuid)
+  if (p?.meta?.resolved) {
+    markPayload(event.payloadUuid, {
+      signed: !!p.meta.signed,
+      cancelled: !!p.meta.cancelled,
+      expired: !!p.meta.expired,
+      txid: p?.response?.txid || null,
+      raw: p,
+    })
+  }
+}
+
+app.post("/webhooks/xumm", (req, res) => {
+  const valid = verifyXummWebhook({
+    secret: XUMM_WEBHOOK_SECRET,
+    timestamp: req.get(TIMESTAMP_HEADER),
+    signature: req.get(SIGNATURE_HEADER),
+    rawBody: req.rawBody,
+    body: req.body,
+  })
+  if (!valid) return res.status(401).json({ error: "INVALID_WEBHOOK_SIGNATURE" })
+
+  const event = parseXummWebhook(req.body)
+  if (!event) return res.status(400).json({ error: "Missing payload uuid" })
+
+  // replays / redeliveries are accepted and processed again (issuance is idempotent per uuid)
+  const row = recordWebhook({ ...event, body: req.body })
+  res.json({ ok: true, uuid: event.payloadUuid, outcome: event.outcome, deliveries: row.deliveries })
+
+  handleXummWebhook(event).then(
+    () => markWebhookProcessed(event.payloadUuid),
+    (e) => {
+      markWebhookProcessed(event.payloadUuid, e?.message || e)
+      console.error(`Xumm webhook error (${event.payloadUuid}):`, e?.message || e)
+    }
+  )
+})
+
+app.get("/api/webhooks", (req, res) => {
+  const rows = db.prepare(`
+    SELECT uuid, outcome, txid, deliveries, first_received_at, last_received_at, processed_at, process_error
+    FROM xumm_webhooks ORDER BY last_received_at DESC LIMIT 100
+  `).all()
+  res.json({ ok: true, webhooks: rows })
+})
+
 app.post("/api/kfd/clawback", async (req, res) => {
   try {
     const issuanceId48 = getActiveIssuanceId48OrThrow(req.body?.issuanceId)
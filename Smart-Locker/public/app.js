@@ -51,7 +51,7 @@ function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 let loginUuid = null;
 let burnUuid = null;
 let nftsCache = [];
-const resolvedNftInfo = new Map(); // NFTokenID -> { name, imageUrl, metaUrl, uri }
+const resolvedNftInfo = new Map(); // NFTokenID -> { name, imageUrl, metaUrl, uri, quantity, items, status, expiresAt }
 
 // ---- 新增：紀錄當前選取的商品資訊 ----
 let currentSelectedProductName = "";
@@ -130,7 +130,7 @@ async function resolveNftInfo(nft) {
   if (resolvedNftInfo.has(tokenId)) return resolvedNftInfo.get(tokenId);
 
   const uri = hexToUtf8(nft?.URI || "");
-  const fallback = { name: "NFT Item", imageUrl: "", metaUrl: "", uri };
+  const fallback = { name: "NFT Item", imageUrl: "", metaUrl: "", uri, quantity: 1, items: [], status: "valid", expiresAt: null };
 
   if (!uri) {
     resolvedNftInfo.set(tokenId, fallback);
@@ -143,7 +143,12 @@ async function resolveNftInfo(nft) {
       name: r?.name || "NFT Item",
       imageUrl: r?.imageUrl || "",
       metaUrl: r?.metaUrl || "",
-      uri
+      uri,
+      quantity: r?.quantity || 1,
+      items: Array.isArray(r?.items) ? r.items : [],
+      status: r?.status || "valid",
+      validFrom: r?.validFrom || null,
+      expiresAt: r?.expiresAt || null
     };
     resolvedNftInfo.set(tokenId, info);
     return info;
@@ -154,6 +159,27 @@ async function resolveNftInfo(nft) {
   }
 }
 
+// 多杯兌換券（整筆品項 / 整張訂單）：顯示數量與內容
+function voucherLines(info) {
+  const items = info?.items || [];
+  if (items.length > 1) return items.map((it) => `${it.qty} × ${it.name}`);
+  return (info?.quantity || 1) > 1 ? [`× ${info.quantity}`] : [];
+}
+
+// 兌換券有效期限：過期 / 尚未生效 / 其他店家的券加上標示，不能兌換
+const VOUCHER_BADGES = { expired: "Expired", not_yet_valid: "Not yet valid", other_store: "Other store" };
+
+function voucherBadge(info) {
+  const label = VOUCHER_BADGES[info?.status];
+  return label ? `<span class="nft-badge">${label}</span>` : "";
+}
+
+function voucherValidityLine(info) {
+  if (info?.status === "not_yet_valid" && info.validFrom) return `Valid from: ${new Date(info.validFrom).toLocaleString()}`;
+  if (info?.expiresAt) return `${info.status === "expired" ? "Expired" : "Valid until"}: ${new Date(info.expiresAt).toLocaleString()}`;
+  return "";
+}
+
 function highlightSelectedCard() {
   const grid = document.getElementById("nft-grid");
   const sel = document.getElementById("nft-select");
@@ -180,7 +206,9 @@ function setPreview(info, tokenId) {
   box.innerHTML = `
     ${img ? `<img src="${img}" alt="nft" onerror="this.style.display='none'">` : ""}
     <div class="text-warmBrown/80 font-semibold text-sm leading-relaxed">
-      <div class="text-warmBrown font-extrabold text-base mb-1">Selected: ${name}</div>
+      <div class="text-warmBrown font-extrabold text-base mb-1">Selected: ${name} ${voucherBadge(info)}</div>
+      ${voucherLines(info).map((l) => `<div>${l}</div>`).join("")}
+      ${voucherValidityLine(info) ? `<div>${voucherValidityLine(info)}</div>` : ""}
       <div>TokenID: ${tokenIdShort(tokenId)}</div>
       ${uri ? `<div class="break-all">URI: ${uri}</div>` : ""}
       ${meta ? `<div class="break-all">HTTP: ${meta}</div>` : ""}
@@ -188,7 +216,13 @@ function setPreview(info, tokenId) {
   `;
 }
 
-async function renderNftGrid(nfts) {
+// 分類標題（依 NFTokenTaxon 分組，不用先讀 metadata）；沒有分類碼的券歸到 Other
+function categoryTitle(group) {
+  if (group.category) return group.category.charAt(0).toUpperCase() + group.category.slice(1);
+  return group.categoryCode ? `Category ${group.categoryCode}` : "Other";
+}
+
+async function renderNftGrid(nfts, groups = []) {
   const grid = document.getElementById("nft-grid");
   const sel = document.getElementById("nft-select");
   if (!grid || !sel) return;
@@ -196,8 +230,21 @@ async function renderNftGrid(nfts) {
   sel.innerHTML = "";
   grid.innerHTML = "";
 
+  // 只有一個分類時不顯示標題
+  const groupOf = new Map();
+  if (groups.length > 1) groups.forEach((g) => g.nftokenIds.forEach((id) => groupOf.set(id, g)));
+  let lastGroup = null;
+
   for (const nft of nfts) {
     const id = nft.NFTokenID || "";
+    const group = groupOf.get(id);
+    if (group && group !== lastGroup) {
+      const title = document.createElement("div");
+      title.className = "nft-group-title";
+      title.textContent = `${categoryTitle(group)} (${group.count})`;
+      grid.appendChild(title);
+      lastGroup = group;
+    }
     const info = await resolveNftInfo(nft);
 
     const opt = document.createElement("option");
@@ -206,7 +253,8 @@ async function renderNftGrid(nfts) {
     sel.appendChild(opt);
 
     const card = document.createElement("div");
-    card.className = "nft-card";
+    const usable = (info?.status || "valid") === "valid";
+    card.className = usable ? "nft-card" : "nft-card unusable";
     card.dataset.tokenid = id;
 
     const img = document.createElement("img");
@@ -222,17 +270,20 @@ async function renderNftGrid(nfts) {
     meta.className = "nft-meta";
     meta.innerHTML = `
       <div class="nft-name">${info?.name || "NFT Item"}</div>
+      ${(info?.quantity || 1) > 1 ? `<div class="nft-id">× ${info.quantity}</div>` : ""}
+      ${voucherBadge(info)}
       <div class="nft-id">${tokenIdShort(id)}</div>
     `;
 
     card.appendChild(img);
     card.appendChild(meta);
 
-    // 點擊卡片時，記錄資訊並自動前往產生 Burn QR
+    // 點擊卡片時，記錄資訊並自動前往產生 Burn QR（不能兌換的券只顯示預覽）
     card.addEventListener("click", () => {
       sel.value = id;
       highlightSelectedCard();
       setPreview(info, id);
+      if (!usable) return;
       createBurnQR().catch((e) => alert(e.message));
     });
 
@@ -264,8 +315,11 @@ async function loadNFTs() {
 
   setText("nft-count", "Loading…");
 
-  const resp = await apiGet(`/api/nfts?uuid=${encodeURIComponent(loginUuid)}`);
-  nftsCache = resp.nfts || [];
+  const resp = await apiGet(`/api/nfts?uuid=${encodeURIComponent(loginUuid)}&group=category`);
+  const groups = resp.groups || [];
+  // 依分類排序（groups 已按分類碼排好）
+  const byId = new Map((resp.nfts || []).map((n) => [n.NFTokenID, n]));
+  nftsCache = groups.length ? groups.flatMap((g) => g.nftokenIds.map((id) => byId.get(id))).filter(Boolean) : resp.nfts || [];
 
   setText("nft-count", String(nftsCache.length));
 
@@ -274,7 +328,7 @@ async function loadNFTs() {
     return;
   }
 
-  await renderNftGrid(nftsCache);
+  await renderNftGrid(nftsCache, groups);
 
   if (btn) {
     btn.disabled = false;
@@ -355,7 +409,8 @@ async function pollBurnStatus() {
         setHtml("burn-status", `<span class="text-sageGreen font-extrabold">Burn confirmed</span>`);
 
         if (st.unlocked) {
-          setHtml("unlock-status", `<span class="text-sageGreen font-extrabold">Door opened ✅</span>`);
+          const qty = st.voucher?.quantity || 1;
+          setHtml("unlock-status", `<span class="text-sageGreen font-extrabold">Door opened ✅${qty > 1 ? ` (${qty} items)` : ""}</span>`);
           openLockerUI();
           return;
         }
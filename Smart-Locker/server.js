@@ -1,10 +1,16 @@
 // server.js (Virtual self-service locker)
 // - Xaman SignIn
-// - List account NFTs (filter by ISSUER_ADDRESS)
+// - List account NFTs (filter by ISSUER_ADDRESS); category / store come from NFTokenTaxon, no metadata needed
 // - Resolve NFT URI -> metadata/image (server-side, avoids browser CORS)
 //   * Special fix: URI like https://<ngrok>/nft/meta/<CID> will be resolved via IPFS gateways using <CID>
 //     so we don't depend on Vite/ngrok host allowlist.
+//   * Metadata is read with ../shared/nftMetadata.cjs: XLS-24d vouchers from AI-order, then older / foreign shapes
 // - Redeem: NFTokenBurn; burn confirmed => console "[OPEN]" and set unlocked=true
+//   * Vouchers may cover several items (AI-order NFT_GRANULARITY=line / order): the quantity and item list
+//     from the metadata are shown before burning and logged with "[OPEN]"
+//   * Validity: expired / not yet valid vouchers (and other stores' vouchers when STORE_ID is set) are badged
+//     in the list and refused by /api/redeem; a voucher whose metadata can't be read is refused too (503)
+// - /webhooks/xumm: signed Xumm webhook resolves SignIn / burn payloads without waiting for the browser poll
 
 require("dotenv").config();
 
@@ -15,6 +21,17 @@ const express = require("express");
 const path = require("path");
 const { XummSdk } = require("xumm-sdk");
 const xrpl = require("xrpl");
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  verifyXummWebhook,
+  parseXummWebhook,
+  keepRawBody,
+} = require("../shared/xummWebhook.cjs");
+// XLS-24d voucher metadata, shared with AI-order (which builds and validates it before minting)
+const { parseVoucherMetadata } = require("../shared/nftMetadata.cjs");
+// NFTokenTaxon = store code * 65536 + category code, shared with AI-order (which mints with it)
+const { createTaxonScheme } = require("../shared/nftTaxon.cjs");
 
 // ---------------------- Env ----------------------
 const PORT = Number(process.env.PORT) || 3060;
@@ -22,12 +39,19 @@ const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 
 const XAMAN_API_KEY = process.env.XAMAN_API_KEY;
 const XAMAN_API_SECRET = process.env.XAMAN_API_SECRET;
+const XAMAN_WEBHOOK_SECRET = (process.env.XAMAN_WEBHOOK_SECRET || XAMAN_API_SECRET || "").trim(); // HMAC key of /webhooks/xumm
 
 const XRPL_WSS = process.env.XRPL_WSS || "wss://s.altnet.rippletest.net:51233";
 const ISSUER_ADDRESS = (process.env.ISSUER_ADDRESS || "").trim();
+// Optional: only accept vouchers whose metadata carries this store_id (same value as AI-order STORE_ID)
+const STORE_ID = (process.env.STORE_ID || "").trim();
+// Same values as AI-order: category names of the taxon codes, and this store's code (default: derived from STORE_ID)
+const NFT_CATEGORY_TAXONS = (process.env.NFT_CATEGORY_TAXONS || "coffee=1,dessert=2").trim();
+const NFT_STORE_CODE = (process.env.NFT_STORE_CODE || "").trim();
 
 // Optional: comma-separated IPFS gateways
 // Example: IPFS_GATEWAYS=https://nftstorage.link/ipfs/,https://ipfs.io/ipfs/,https://cloudflare-ipfs.com/ipfs/
+// With AI-order IPFS_PROVIDER=kubo / fs add its gateway: http://127.0.0.1:8080/ipfs/ (Kubo) or http://localhost:3001/ipfs/ (AI-order)
 const IPFS_GATEWAYS = (
   process.env.IPFS_GATEWAYS
     ? process.env.IPFS_GATEWAYS.split(",")
@@ -51,15 +75,25 @@ if (!ISSUER_ADDRESS) {
   process.exit(1);
 }
 
+let taxonScheme;
+try {
+  taxonScheme = createTaxonScheme({ storeId: STORE_ID, storeCode: NFT_STORE_CODE, categories: NFT_CATEGORY_TAXONS });
+} catch (e) {
+  console.error(`Invalid NFT_CATEGORY_TAXONS / NFT_STORE_CODE: ${e.message}`);
+  process.exit(1);
+}
+
 const xumm = new XummSdk(XAMAN_API_KEY, XAMAN_API_SECRET);
 
 const app = express();
-app.use(express.json({ limit: "1mb" }));
+app.use(express.json({ limit: "1mb", verify: keepRawBody }));
 app.use(express.static(path.join(__dirname, "public")));
 
 // In-memory stores (restart clears)
 const sessions = new Map(); // login_uuid -> { account, createdAt }
-const redeems = new Map(); // burn_uuid -> { account, nftokenId, unlocked }
+const redeems = new Map(); // burn_uuid -> { account, nftokenId, voucher, unlocked }
+const burnChecks = new Map(); // burn_uuid -> Promise (poll and webhook may race)
+const webhookEvents = new Map(); // payload_uuid -> { outcome, txid, deliveries, receivedAt, processedAt, error }
 
 // ---------------------- Helpers ----------------------
 function normalizeIpfsGateway(gw) {
@@ -74,7 +108,8 @@ const NORMALIZED_IPFS_GATEWAYS = IPFS_GATEWAYS.map(normalizeIpfsGateway).filter(
 
 function isIpfsCid(x) {
   const s = String(x || "").trim();
-  return /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|bafy[a-z0-9]{20,})$/i.test(s);
+  // v0 (Qm...) or base32 v1 (bafy... dag-pb from Pinata, bafk... raw from Kubo / the AI-order fs store)
+  return /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/i.test(s);
 }
 
 function ipfsCidFromUri(uri) {
@@ -122,10 +157,20 @@ const ALLOWED_HOST_SUFFIXES = [
   "w3s.link",
 ];
 
+// hosts of the configured gateways (e.g. a local Kubo gateway or AI-order's /ipfs/) are trusted too
+const GATEWAY_HOSTS = NORMALIZED_IPFS_GATEWAYS.map((g) => {
+  try {
+    return new URL(g).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}).filter(Boolean);
+
 function isAllowedHost(host) {
   if (!host) return false;
   const h = host.toLowerCase();
   if (ALLOWED_HOST_SUFFIXES.some((s) => h === s || h.endsWith("." + s))) return true;
+  if (GATEWAY_HOSTS.includes(h)) return true;
   if (h.endsWith(".ngrok-free.dev")) return true; // allow reading metadata from ngrok (if possible)
   if (h.endsWith(".ngrok.app")) return true;
   return false;
@@ -166,60 +211,18 @@ async function fetchWithTimeout(url, { timeoutMs = 25000, ...opts } = {}) {
   }
 }
 
-function pickImageFromMeta(meta) {
-  if (!meta || typeof meta !== "object") return "";
-
-  const direct =
-    meta.image ||
-    meta.image_url ||
-    meta.imageUrl ||
-    meta.imageURI ||
-    "";
-
-  if (typeof direct === "string" && direct.trim()) return direct.trim();
-
-  const pFiles = meta?.properties?.files;
-  if (Array.isArray(pFiles) && pFiles[0]) {
-    const v = pFiles[0].uri || pFiles[0].url || pFiles[0].href;
-    if (typeof v === "string" && v.trim()) return v.trim();
-  }
-
-  const files = meta?.files;
-  if (Array.isArray(files) && files[0]) {
-    const v = files[0].uri || files[0].url || files[0].href;
-    if (typeof v === "string" && v.trim()) return v.trim();
-  }
-
-  const nested =
-    meta?.content?.image ||
-    meta?.content?.image_url ||
-    meta?.links?.image ||
-    meta?.data?.image ||
-    meta?.data?.image_url ||
-    "";
-
-  return typeof nested === "string" ? nested.trim() : "";
+// "valid" / "expired" / "not_yet_valid" / "other_store"
+function voucherStatus(v, now = Date.now()) {
+  if (STORE_ID && v?.storeId && v.storeId !== STORE_ID) return "other_store";
+  if (v?.expiresAt && now >= v.expiresAt) return "expired";
+  if (v?.validFrom && now < v.validFrom) return "not_yet_valid";
+  return "valid";
 }
 
-function pickNameFromMeta(meta) {
-  if (!meta || typeof meta !== "object") return "";
-
-  const n1 = meta.name || meta.title || meta.collection?.name;
-  if (typeof n1 === "string" && n1.trim()) return n1.trim();
-
-  const n2 = meta?.properties?.name;
-  if (typeof n2 === "string" && n2.trim()) return n2.trim();
-
-  const attrs = meta.attributes;
-  if (Array.isArray(attrs)) {
-    const hit = attrs.find((a) => {
-      const t = String(a?.trait_type || "").toLowerCase();
-      return t === "name" || t === "product" || t === "title";
-    });
-    const v = hit?.value;
-    if (typeof v === "string" && v.trim()) return v.trim();
-  }
-
+function voucherStatusMessage(status, v) {
+  if (status === "expired") return `This voucher expired on ${new Date(v.expiresAt).toISOString()}`;
+  if (status === "not_yet_valid") return `This voucher is valid from ${new Date(v.validFrom).toISOString()}`;
+  if (status === "other_store") return `This voucher belongs to another store (${v.storeId})`;
   return "";
 }
 
@@ -311,6 +314,30 @@ app.get("/api/login/status", async (req, res) => {
 });
 
 // 3) List NFTs (filter by issuer)
+// ?category=coffee | <code> | none -> category code from NFT_CATEGORY_TAXONS (undefined = unknown name)
+function categoryCodeFromQuery(v) {
+  const c = String(v).trim().toLowerCase();
+  if (c === "none") return 0;
+  if (/^\d+$/.test(c)) return Number(c);
+  return taxonScheme.categories[c];
+}
+
+// Groups in category-code order; code 0 (mixed / uncategorized / legacy vouchers) comes last
+function groupByCategory(nfts) {
+  const groups = new Map();
+  for (const n of nfts) {
+    const { categoryCode, category } = n.taxonInfo;
+    if (!groups.has(categoryCode)) groups.set(categoryCode, { categoryCode, category, count: 0, nftokenIds: [] });
+    const g = groups.get(categoryCode);
+    g.count += 1;
+    g.nftokenIds.push(n.NFTokenID);
+  }
+  return [...groups.values()].sort((a, b) => (a.categoryCode || Infinity) - (b.categoryCode || Infinity));
+}
+
+// Filtering and grouping use NFTokenTaxon only, so no metadata is fetched:
+//   ?category=coffee|<code>|none, ?taxon=<n>, ?store=own (drop vouchers minted with another store's code),
+//   ?group=category adds groups: [{ categoryCode, category, count, nftokenIds }]
 app.get("/api/nfts", async (req, res) => {
   const uuid = String(req.query.uuid || "").trim();
   if (!uuid) return res.status(400).json({ error: "missing uuid" });
@@ -318,32 +345,54 @@ app.get("/api/nfts", async (req, res) => {
   const s = sessions.get(uuid);
   if (!s?.account) return res.status(401).json({ error: "not logged in" });
 
+  const category = req.query.category ? categoryCodeFromQuery(req.query.category) : null;
+  if (category === undefined) {
+    return res.status(400).json({ error: "unknown category", categories: Object.keys(taxonScheme.categories) });
+  }
+  const taxon = req.query.taxon != null && req.query.taxon !== "" ? Number(req.query.taxon) : null;
+  if (taxon !== null && !Number.isInteger(taxon)) return res.status(400).json({ error: "taxon must be an integer" });
+
   try {
     const nfts = await getAccountNFTs(s.account);
-    const filtered = nfts.filter((n) => {
-      const issuer = (n.Issuer || n.issuer || "").trim();
-      return issuer && issuer.toUpperCase() === ISSUER_ADDRESS.toUpperCase();
-    });
+    const filtered = nfts
+      .filter((n) => {
+        const issuer = (n.Issuer || n.issuer || "").trim();
+        return issuer && issuer.toUpperCase() === ISSUER_ADDRESS.toUpperCase();
+      })
+      .map((n) => ({ ...n, taxonInfo: taxonScheme.describe(n.NFTokenTaxon) }))
+      .filter((n) => {
+        if (category !== null && n.taxonInfo.categoryCode !== category) return false;
+        if (taxon !== null && n.taxonInfo.taxon !== taxon) return false;
+        if (req.query.store === "own" && n.taxonInfo.ownStore === false) return false;
+        return true;
+      });
 
-    res.json({ account: s.account, count: filtered.length, nfts: filtered });
+    res.json({
+      account: s.account,
+      count: filtered.length,
+      nfts: filtered,
+      ...(req.query.group === "category" ? { groups: groupByCategory(filtered) } : {}),
+    });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
-// 4) Resolve URI -> metadata/image (server-side)
-// ✅ Important: always return 200 with kind/error to avoid breaking Step 2 rendering.
-app.get("/api/resolve-uri", async (req, res) => {
-  const uri = String(req.query.uri || "").trim();
-  if (!uri) return res.status(400).json({ error: "missing uri" });
-  if (uri.length > 4096) return res.status(400).json({ error: "uri too long" });
-
+// Resolve URI -> metadata/image (server-side); never throws, errors come back as kind "error"
+async function resolveNftUri(uri) {
   const baseResp = {
     kind: "error",
     name: "NFT Item",
     uri,
     metaUrl: "",
     imageUrl: "",
+    quantity: 1,
+    items: [],
+    storeId: null,
+    orderId: null,
+    validFrom: null,
+    expiresAt: null,
+    status: "valid",
     error: "",
     detail: "",
     tried: [],
@@ -363,7 +412,7 @@ app.get("/api/resolve-uri", async (req, res) => {
       candidates = [uri];
     } else {
       baseResp.error = "uri must be http(s) or ipfs://";
-      return res.json(baseResp);
+      return baseResp;
     }
 
     // allowlist filter
@@ -378,7 +427,7 @@ app.get("/api/resolve-uri", async (req, res) => {
 
     if (!filtered.length) {
       baseResp.error = "no allowed host candidates";
-      return res.json(baseResp);
+      return baseResp;
     }
 
     // fetch candidates in order
@@ -402,20 +451,23 @@ app.get("/api/resolve-uri", async (req, res) => {
     if (!resp || !finalUrl) {
       baseResp.error = "fetch failed";
       baseResp.detail = String(lastErr?.message || lastErr || "unknown");
-      return res.json(baseResp);
+      return baseResp;
     }
 
     const ct = (resp.headers.get("content-type") || "").toLowerCase();
 
     // (1) direct image
     if (ct.startsWith("image/")) {
-      return res.json({
+      return {
         kind: "image",
         name: "NFT Item",
         uri,
         metaUrl: finalUrl,
         imageUrl: finalUrl,
-      });
+        quantity: 1,
+        items: [],
+        status: "valid",
+      };
     }
 
     // (2) metadata json
@@ -428,8 +480,7 @@ app.get("/api/resolve-uri", async (req, res) => {
     }
 
     if (meta && typeof meta === "object") {
-      const name = pickNameFromMeta(meta) || "NFT Item";
-      const imageRaw = pickImageFromMeta(meta);
+      const { name, image: imageRaw, ...voucher } = parseVoucherMetadata(meta);
       let imageUrl = resolveImageUrl(imageRaw, finalUrl);
 
       // image host allowlist
@@ -442,30 +493,45 @@ app.get("/api/resolve-uri", async (req, res) => {
         }
       }
 
-      return res.json({
+      return {
         kind: "metadata",
-        name,
+        name: name || "NFT Item",
         uri,
         metaUrl: finalUrl,
         imageUrl,
-      });
+        ...voucher,
+        status: voucherStatus(voucher),
+      };
     }
 
     // (3) unknown (not image, not json)
-    return res.json({
+    return {
       kind: "unknown",
       name: "NFT Item",
       uri,
       metaUrl: finalUrl,
       imageUrl: "",
+      quantity: 1,
+      items: [],
+      status: "valid",
       error: "not image/json",
       detail: `content-type=${ct}`,
-    });
+    };
   } catch (e) {
     baseResp.error = "resolve error";
     baseResp.detail = String(e?.message || e);
-    return res.json(baseResp);
+    return baseResp;
   }
+}
+
+// 4) Resolve URI -> metadata/image (server-side)
+// ✅ Important: always return 200 with kind/error to avoid breaking Step 2 rendering.
+app.get("/api/resolve-uri", async (req, res) => {
+  const uri = String(req.query.uri || "").trim();
+  if (!uri) return res.status(400).json({ error: "missing uri" });
+  if (uri.length > 4096) return res.status(400).json({ error: "uri too long" });
+
+  res.json(await resolveNftUri(uri));
 });
 
 // 5) Create burn payload
@@ -480,6 +546,42 @@ app.post("/api/redeem", async (req, res) => {
   if (!s?.account) return res.status(401).json({ error: "not logged in" });
 
   try {
+    // the voucher must still be in the wallet; its metadata tells how many items the burn releases
+    const nft = (await getAccountNFTs(s.account)).find(
+      (n) => (n.NFTokenID || "").toUpperCase() === nftokenId.toUpperCase()
+    );
+    const issuer = (nft?.Issuer || nft?.issuer || "").trim();
+    if (!nft || issuer.toUpperCase() !== ISSUER_ADDRESS.toUpperCase()) {
+      return res.status(404).json({ error: "voucher not found in this wallet" });
+    }
+    const resolved = nft.URI ? await resolveNftUri(Buffer.from(nft.URI, "hex").toString("utf8")) : null;
+    const voucher = {
+      name: resolved?.name || "NFT Item",
+      quantity: resolved?.quantity || 1,
+      items: resolved?.items || [],
+      orderId: resolved?.orderId || null,
+      orderNumber: resolved?.orderNumber ?? null,
+      expiresAt: resolved?.expiresAt || null,
+    };
+
+    // fail closed: without readable metadata (gateway down, image-only URI) validity can't be checked, so no burn
+    if (resolved?.kind !== "metadata") {
+      console.warn(`[REDEEM] voucher metadata not readable, redeem refused`, { nftokenId, kind: resolved?.kind || null, error: resolved?.error || null });
+      return res.status(503).json({
+        error: "cannot verify voucher, please try again later",
+        code: "VOUCHER_UNVERIFIABLE",
+        detail: resolved?.error || null,
+      });
+    }
+    const status = voucherStatus(resolved);
+    if (status !== "valid") {
+      return res.status(403).json({
+        error: voucherStatusMessage(status, resolved),
+        code: status === "expired" ? "VOUCHER_EXPIRED" : status === "not_yet_valid" ? "VOUCHER_NOT_YET_VALID" : "VOUCHER_OTHER_STORE",
+        voucher: { ...voucher, validFrom: resolved.validFrom, storeId: resolved.storeId },
+      });
+    }
+
     const payload = await xumm.payload.create(
       {
         txjson: {
@@ -491,10 +593,11 @@ app.post("/api/redeem", async (req, res) => {
       true
     );
 
-    redeems.set(payload.uuid, { account: s.account, nftokenId, unlocked: false });
+    redeems.set(payload.uuid, { account: s.account, nftokenId, voucher, unlocked: false });
 
     res.json({
       burnUuid: payload.uuid,
+      voucher,
       qr: payload.refs.qr_png,
       websocket: payload.refs.websocket_status,
       next: `${BASE_URL}/api/redeem/status?uuid=${encodeURIComponent(payload.uuid)}`,
@@ -504,11 +607,14 @@ app.post("/api/redeem", async (req, res) => {
   }
 });
 
-// 6) Burn status: success => console "[OPEN]" (no external API)
-app.get("/api/redeem/status", async (req, res) => {
-  const burnUuid = String(req.query.uuid || "").trim();
-  if (!burnUuid) return res.status(400).json({ error: "missing uuid" });
+// Burn confirmation shared by /api/redeem/status (browser poll) and /webhooks/xumm
+// one check per burn uuid at a time, so "[OPEN]" fires once
+function confirmBurn(burnUuid) {
+  if (!burnChecks.has(burnUuid)) burnChecks.set(burnUuid, checkBurn(burnUuid));
+  return burnChecks.get(burnUuid);
+}
 
+async function checkBurn(burnUuid) {
   try {
     const p = await xumm.payload.get(burnUuid);
 
@@ -522,7 +628,7 @@ app.get("/api/redeem/status", async (req, res) => {
       p?.application?.txid ||
       null;
 
-    const r = redeems.get(burnUuid) || { unlocked: false, account: null, nftokenId: null };
+    const r = redeems.get(burnUuid) || { unlocked: false, account: null, nftokenId: null, voucher: null };
 
     // on-chain confirm burn by checking account_nfts
     let burnedOnChain = false;
@@ -558,6 +664,9 @@ app.get("/api/redeem/status", async (req, res) => {
         burnUuid,
         account: r.account,
         nftokenId: r.nftokenId,
+        quantity: r.voucher?.quantity || 1,
+        items: r.voucher?.items || [],
+        orderId: r.voucher?.orderId || null,
         txid: txid || null,
         burnedOnChain,
       });
@@ -566,7 +675,7 @@ app.get("/api/redeem/status", async (req, res) => {
       redeems.set(burnUuid, { ...r, unlocked: true });
     }
 
-    res.json({
+    return {
       resolved,
       signed,
       cancelled,
@@ -574,13 +683,78 @@ app.get("/api/redeem/status", async (req, res) => {
       burnedOnChain,
       chainError,
       unlocked: redeems.get(burnUuid)?.unlocked || false,
+      voucher: r.voucher || null,
       unlockResult,
-    });
+    };
+  } finally {
+    burnChecks.delete(burnUuid);
+  }
+}
+
+// 6) Burn status: success => console "[OPEN]" (no external API)
+app.get("/api/redeem/status", async (req, res) => {
+  const burnUuid = String(req.query.uuid || "").trim();
+  if (!burnUuid) return res.status(400).json({ error: "missing uuid" });
+
+  try {
+    res.json({ ...(await confirmBurn(burnUuid)), webhook: webhookEvents.get(burnUuid) || null });
   } catch (e) {
     res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
+// 7) Xumm webhook: burn payload resolved => same confirmation as /api/redeem/status
+//    SignIn payloads => session ready before the browser polls /api/login/status
+async function handleXummWebhook(event) {
+  if (redeems.has(event.payloadUuid)) {
+    if (event.signed) await confirmBurn(event.payloadUuid);
+    return;
+  }
+  if (!event.signed || sessions.has(event.payloadUuid)) return;
+
+  const p = await xumm.payload.get(event.payloadUuid);
+  const account = p?.response?.account || p?.meta?.account || null;
+  if (p?.payload?.tx_type === "SignIn" && p?.meta?.signed && account) {
+    sessions.set(event.payloadUuid, { account, createdAt: Date.now() });
+  }
+}
+
+app.post("/webhooks/xumm", (req, res) => {
+  const valid = verifyXummWebhook({
+    secret: XAMAN_WEBHOOK_SECRET,
+    timestamp: req.get(TIMESTAMP_HEADER),
+    signature: req.get(SIGNATURE_HEADER),
+    rawBody: req.rawBody,
+    body: req.body,
+  });
+  if (!valid) return res.status(401).json({ error: "invalid webhook signature" });
+
+  const event = parseXummWebhook(req.body);
+  if (!event) return res.status(400).json({ error: "missing payload uuid" });
+
+  // replays / redeliveries are accepted and processed again
+  const prev = webhookEvents.get(event.payloadUuid);
+  const record = {
+    outcome: event.outcome,
+    txid: event.txid || prev?.txid || null,
+    deliveries: (prev?.deliveries || 0) + 1,
+    receivedAt: Date.now(),
+    processedAt: null,
+    error: null,
+  };
+  webhookEvents.set(event.payloadUuid, record);
+  res.json({ ok: true, uuid: event.payloadUuid, outcome: event.outcome, deliveries: record.deliveries });
+
+  handleXummWebhook(event)
+    .catch((e) => {
+      record.error = String(e?.message || e);
+      console.error(`Xumm webhook error (${event.payloadUuid}):`, record.error);
+    })
+    .finally(() => {
+      record.processedAt = Date.now();
+    });
+});
+
 app.post("/api/logout", (req, res) => {
   const uuid = String(req.body?.uuid || "").trim();
   if (uuid) sessions.delete(uuid);
@@ -593,5 +767,7 @@ app.listen(PORT, () => {
   console.log(`BASE_URL = ${BASE_URL}`);
   console.log(`XRPL_WSS = ${XRPL_WSS}`);
   console.log(`ISSUER_ADDRESS = ${ISSUER_ADDRESS}`);
+  console.log(`STORE_ID = ${STORE_ID || "(any store)"}`);
+  console.log(`NFT taxon: store code ${taxonScheme.storeCode || "(any)"}, categories ${NFT_CATEGORY_TAXONS || "(none)"}`);
   console.log(`IPFS_GATEWAYS = ${NORMALIZED_IPFS_GATEWAYS.join(", ")}`);
 });
\ No newline at end of file
@@ -0,0 +1,260 @@
+// shared/nftMetadata.cjs
+// NFT voucher metadata (XLS-24d) shared by both servers:
+//   AI-order builds and validates the document before pinning / minting (fulfillment/fulfillOrder.js)
+//   Smart-Locker parses whatever the NFT URI resolves to (resolveNftUri)
+// CommonJS so the ESM cafe server (`import ... from "../../shared/nftMetadata.cjs"`) and the CommonJS locker can load it.
+//
+// Document shape:
+//   { schema, nftType: "voucher.v0", name, description, image, collection: { name, family },
+//     attributes: [{ trait_type, value, display_type? }],
+//     properties: { store_id, order_id, order_number, category, valid_from, expires_at (ISO 8601, null = no limit),
+//                   quantity, items: [{ product_id, name, qty, modifiers: [{ group, name }] }],
+//                   localized: { zh: { name, description } } } }
+// The attributes repeat the properties for wallets and marketplaces; the properties are what the locker reads.
+
+// Schema reference of the XLS-24d examples
+const XLS24_SCHEMA = "ipfs://QmNpi8rcXEkohca8iXu7zysKKSJYqCvBJn3xJwga8jXqWU";
+const VOUCHER_NFT_TYPE = "voucher.v0";
+
+const quantityLabel = (name, qty) => (qty > 1 ? `${name} × ${qty}` : name);
+const isoTime = (ms) => (ms == null ? null : new Date(ms).toISOString());
+const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+
+/**
+ * Build a voucher document.
+ * @param {object} v
+ * @param {string} v.name - voucher name, e.g. "Latte (Large · Oat milk) × 2"
+ * @param {string} [v.description] - defaults to "Purchased: <items>"
+ * @param {string} [v.image] - usually filled in by the IPFS pin step
+ * @param {{ name: string, family?: string }} v.collection
+ * @param {string} [v.storeId]
+ * @param {string} v.orderId
+ * @param {number} [v.orderNumber] - daily order number
+ * @param {string} [v.category] - catalog category of the (first) item
+ * @param {number} [v.validFrom] - ms
+ * @param {number} [v.expiresAt] - ms, null = never expires
+ * @param {Array<{ product_id, product?: string, name: string, qty?: number, modifiers?: Array<{ group: string, name: string }> }>} v.items
+ *   product = plain product name (Product attribute), name = display name with modifiers
+ * @param {object} [v.localized] - { zh: { name, description } }
+ */
+function buildVoucherMetadata({
+  name,
+  description,
+  image,
+  collection,
+  storeId = null,
+  orderId,
+  orderNumber = null,
+  category = null,
+  validFrom = null,
+  expiresAt = null,
+  items = [],
+  localized = {},
+}) {
+  const lines = items.map((it) => ({
+    product_id: it.product_id ?? null,
+    name: it.name,
+    qty: it.qty || 1,
+    modifiers: (it.modifiers || []).map((m) => ({ group: m.group, name: m.name })),
+  }));
+  const quantity = lines.reduce((n, it) => n + it.qty, 0) || 1;
+
+  const attributes =
+    items.length === 1
+      ? [
+          { trait_type: "Product", value: items[0].product || items[0].name },
+          ...lines[0].modifiers.map((m) => ({ trait_type: m.group, value: m.name })),
+        ]
+      : [{ trait_type: "Voucher", value: "Order" }, ...lines.map((it) => ({ trait_type: "Item", value: quantityLabel(it.name, it.qty) }))];
+  if (quantity > 1) attributes.push({ trait_type: "Quantity", value: quantity, display_type: "number" });
+  if (category) attributes.push({ trait_type: "Category", value: category });
+  if (storeId) attributes.push({ trait_type: "Store", value: storeId });
+  attributes.push({ trait_type: "Order", value: orderId });
+  if (orderNumber != null) attributes.push({ trait_type: "Order Number", value: orderNumber, display_type: "number" });
+  if (validFrom) attributes.push({ trait_type: "Valid From", value: Math.floor(validFrom / 1000), display_type: "date" });
+  if (expiresAt) attributes.push({ trait_type: "Expires", value: Math.floor(expiresAt / 1000), display_type: "date" });
+
+  return {
+    schema: XLS24_SCHEMA,
+    nftType: VOUCHER_NFT_TYPE,
+    name,
+    description: description || `Purchased: ${lines.map((it) => quantityLabel(it.name, it.qty)).join(", ")}`,
+    ...(image ? { image } : {}),
+    collection: { name: collection?.name, ...(collection?.family ? { family: collection.family } : {}) },
+    attributes,
+    properties: {
+      store_id: storeId || null,
+      order_id: orderId,
+      order_number: orderNumber ?? null,
+      category: category || null,
+      valid_from: isoTime(validFrom),
+      expires_at: isoTime(expiresAt),
+      quantity,
+      items: lines,
+      ...(Object.keys(localized).length ? { localized } : {}),
+    },
+  };
+}
+
+const isIsoTime = (v) => typeof v === "string" && Number.isFinite(Date.parse(v));
+const isMediaUrl = (v) => typeof v === "string" && /^(https?:\/\/|ipfs:\/\/)\S+$/i.test(v);
+
+/**
+ * Check a voucher document before it is pinned. Returns the list of problems (empty = valid).
+ */
+function validateVoucherMetadata(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return ["metadata must be an object"];
+
+  if (!isNonEmptyString(doc.schema)) errors.push("schema is required");
+  if (!/^[a-z0-9_-]+\.v\d+$/i.test(String(doc.nftType || ""))) errors.push('nftType must look like "<type>.v<version>"');
+  if (!isNonEmptyString(doc.name)) errors.push("name is required");
+  if (doc.description != null && typeof doc.description !== "string") errors.push("description must be a string");
+  if (doc.image != null && !isMediaUrl(doc.image)) errors.push("image must be an http(s):// or ipfs:// URL");
+  if (!isNonEmptyString(doc.collection?.name)) errors.push("collection.name is required");
+
+  if (!Array.isArray(doc.attributes)) {
+    errors.push("attributes must be an array");
+  } else {
+    doc.attributes.forEach((a, i) => {
+      if (!isNonEmptyString(a?.trait_type)) errors.push(`attributes[${i}].trait_type is required`);
+      const ok =
+        a?.display_type === "date" || a?.display_type === "number"
+          ? Number.isFinite(a?.value)
+          : isNonEmptyString(a?.value) || Number.isFinite(a?.value);
+      if (!ok) errors.push(`attributes[${i}] (${a?.trait_type || "?"}) has an invalid value`);
+    });
+  }
+
+  const p = doc.properties;
+  if (!p || typeof p !== "object") return [...errors, "properties is required"];
+  if (!isNonEmptyString(p.order_id)) errors.push("properties.order_id is required");
+  if (p.store_id != null && !isNonEmptyString(p.store_id)) errors.push("properties.store_id must be a string");
+  for (const k of ["valid_from", "expires_at"]) {
+    if (p[k] != null && !isIsoTime(p[k])) errors.push(`properties.${k} must be an ISO 8601 time or null`);
+  }
+  if (isIsoTime(p.valid_from) && isIsoTime(p.expires_at) && Date.parse(p.expires_at) <= Date.parse(p.valid_from)) {
+    errors.push("properties.expires_at must be after valid_from");
+  }
+  if (!Number.isInteger(p.quantity) || p.quantity < 1) errors.push("properties.quantity must be a positive integer");
+  if (!Array.isArray(p.items) || !p.items.length) {
+    errors.push("properties.items must list at least one item");
+  } else {
+    p.items.forEach((it, i) => {
+      if (!isNonEmptyString(it?.name)) errors.push(`properties.items[${i}].name is required`);
+      if (!Number.isInteger(it?.qty) || it.qty < 1) errors.push(`properties.items[${i}].qty must be a positive integer`);
+    });
+    const total = p.items.reduce((n, it) => n + (Number(it?.qty) || 0), 0);
+    if (Number.isInteger(p.quantity) && total !== p.quantity) errors.push(`properties.quantity (${p.quantity}) does not match the items (${total})`);
+  }
+  if (p.localized != null) {
+    for (const [lang, l] of Object.entries(p.localized)) {
+      if (!isNonEmptyString(l?.name)) errors.push(`properties.localized.${lang}.name is required`);
+    }
+  }
+  return errors;
+}
+
+// Throws (code INVALID_NFT_METADATA, detail.errors) so nothing malformed reaches the ledger
+function assertValidVoucherMetadata(doc) {
+  const errors = validateVoucherMetadata(doc);
+  if (errors.length) {
+    const e = new Error(`Invalid NFT metadata: ${errors.join("; ")}`);
+    e.code = "INVALID_NFT_METADATA";
+    e.detail = { errors };
+    throw e;
+  }
+  return doc;
+}
+
+// ISO string / ms / unix seconds (attributes with display_type "date") -> ms
+function parseVoucherTime(v) {
+  if (v == null || v === "") return null;
+  if (typeof v === "number" || /^\d+$/.test(String(v))) {
+    const n = Number(v);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+const firstString = (...vals) => {
+  const hit = vals.find(isNonEmptyString);
+  return hit ? hit.trim() : "";
+};
+
+const fileUri = (files) => (Array.isArray(files) && files[0] ? firstString(files[0].uri, files[0].url, files[0].href) : "");
+
+// Other NFTs (and vouchers minted before XLS-24d) keep their image in one of many places
+function legacyImage(meta) {
+  return (
+    firstString(meta.image_url, meta.imageUrl, meta.imageURI) ||
+    fileUri(meta.properties?.files) ||
+    fileUri(meta.files) ||
+    firstString(meta.content?.image, meta.content?.image_url, meta.links?.image, meta.data?.image, meta.data?.image_url)
+  );
+}
+
+function legacyName(meta) {
+  const hit = Array.isArray(meta.attributes)
+    ? meta.attributes.find((a) => ["name", "product", "title"].includes(String(a?.trait_type || "").toLowerCase()))
+    : null;
+  return firstString(meta.title, meta.collection?.name, meta.properties?.name, hit?.value);
+}
+
+/**
+ * Read a resolved metadata document: XLS-24d vouchers first, then the older / foreign shapes.
+ * Missing quantity = 1 item, missing validity = no limit.
+ * @returns {{ xls24: boolean, nftType, name, image, collection, quantity, items, storeId, orderId, orderNumber,
+ *             category, validFrom, expiresAt, localized }}
+ */
+function parseVoucherMetadata(meta) {
+  if (!meta || typeof meta !== "object") meta = {};
+  const props = meta.properties && typeof meta.properties === "object" ? meta.properties : {};
+  const attr = (name) =>
+    Array.isArray(meta.attributes) ? meta.attributes.find((a) => String(a?.trait_type || "").toLowerCase() === name)?.value : undefined;
+
+  const items = Array.isArray(props.items)
+    ? props.items
+        .map((it) => ({
+          name: String(it?.name || "").trim(),
+          qty: Math.max(1, parseInt(it?.qty, 10) || 1),
+          ...(Array.isArray(it?.modifiers) && it.modifiers.length ? { modifiers: it.modifiers } : {}),
+        }))
+        .filter((it) => it.name)
+    : [];
+
+  let quantity = parseInt(props.quantity, 10);
+  if (!(quantity > 0)) quantity = parseInt(attr("quantity"), 10);
+  if (!(quantity > 0)) quantity = items.reduce((n, it) => n + it.qty, 0) || 1;
+
+  const orderNumber = parseInt(props.order_number ?? attr("order number"), 10);
+  const str = (v) => (v != null && v !== "" ? String(v) : null);
+
+  return {
+    xls24: isNonEmptyString(meta.schema) && isNonEmptyString(meta.nftType),
+    nftType: str(meta.nftType),
+    name: firstString(meta.name) || legacyName(meta),
+    image: firstString(meta.image) || legacyImage(meta),
+    collection: isNonEmptyString(meta.collection?.name) ? { name: meta.collection.name, family: str(meta.collection.family) } : null,
+    quantity,
+    items,
+    storeId: str(props.store_id ?? attr("store")),
+    orderId: str(props.order_id ?? attr("order")),
+    orderNumber: Number.isFinite(orderNumber) ? orderNumber : null,
+    category: str(props.category ?? attr("category")),
+    validFrom: parseVoucherTime(props.valid_from ?? attr("valid from")),
+    expiresAt: parseVoucherTime(props.expires_at ?? attr("expires")),
+    localized: props.localized && typeof props.localized === "object" ? props.localized : {},
+  };
+}
+
+module.exports = {
+  XLS24_SCHEMA,
+  VOUCHER_NFT_TYPE,
+  buildVoucherMetadata,
+  validateVoucherMetadata,
+  assertValidVoucherMetadata,
+  parseVoucherTime,
+  parseVoucherMetadata,
+};
@@ -0,0 +1,101 @@
+// shared/nftTaxon.cjs
+// NFTokenTaxon scheme shared by AI-order (mint) and Smart-Locker (filter / group /api/nfts without reading metadata)
+//
+//   taxon = storeCode * 65536 + categoryCode      (both 0..65535, taxon fits the uint32 field)
+//   storeCode    = NFT_STORE_CODE, or derived from STORE_ID (same STORE_ID -> same code on both servers)
+//   categoryCode = NFT_CATEGORY_TAXONS, e.g. "coffee=1,dessert=2"; 0 = no category (unmapped or mixed order voucher)
+// Vouchers minted before the scheme have taxon 0: no store, no category.
+
+const crypto = require("crypto");
+
+const CATEGORY_BITS = 16;
+const CODE_MAX = 0xffff;
+const STORE_FACTOR = 2 ** CATEGORY_BITS;
+
+function invalid(message, detail) {
+  const e = new Error(message);
+  e.code = "INVALID_TAXON_CONFIG";
+  if (detail) e.detail = detail;
+  return e;
+}
+
+function assertCode(n, what) {
+  if (!Number.isInteger(n) || n < 0 || n > CODE_MAX) throw invalid(`${what} must be an integer 0..${CODE_MAX}`, { [what]: n });
+  return n;
+}
+
+// "coffee=1,dessert=2" -> { coffee: 1, dessert: 2 }
+function parseCategoryCodes(spec) {
+  const out = {};
+  const used = new Map();
+  for (const pair of String(spec || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [rawId = "", rawCode = ""] = pair.split("=").map((s) => (s || "").trim());
+    const id = rawId.toLowerCase();
+    const code = Number(rawCode);
+    if (!id || rawCode === "") throw invalid(`Invalid category taxon "${pair}" (use category=code)`);
+    assertCode(code, `category code of ${id}`);
+    if (code === 0) throw invalid(`Category code 0 is reserved for "no category" (${id})`);
+    if (used.has(code)) throw invalid(`Categories ${used.get(code)} and ${id} share the code ${code}`);
+    used.set(code, id);
+    out[id] = code;
+  }
+  return out;
+}
+
+// Stable 1..65535 code for a store id (first two bytes of its sha256)
+function storeCodeFor(storeId) {
+  if (!storeId) return 0;
+  const h = crypto.createHash("sha256").update(String(storeId)).digest();
+  return h.readUInt16BE(0) || 1;
+}
+
+function encodeTaxon({ storeCode = 0, categoryCode = 0 } = {}) {
+  return assertCode(storeCode, "storeCode") * STORE_FACTOR + assertCode(categoryCode, "categoryCode");
+}
+
+function decodeTaxon(taxon) {
+  const n = Number(taxon) || 0;
+  return { storeCode: Math.floor(n / STORE_FACTOR), categoryCode: n % STORE_FACTOR };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.storeId] - used when storeCode is not given
+ * @param {number|string} [opts.storeCode] - NFT_STORE_CODE
+ * @param {string|object} [opts.categories] - NFT_CATEGORY_TAXONS or an already parsed map
+ * @returns {{ storeCode, categories, taxonFor(categoryId), describe(taxon) }}
+ */
+function createTaxonScheme({ storeId = "", storeCode = "", categories = "" } = {}) {
+  const code = storeCode !== "" && storeCode != null ? assertCode(Number(storeCode), "storeCode") : storeCodeFor(storeId);
+  const byId = typeof categories === "string" ? parseCategoryCodes(categories) : { ...categories };
+  const byCode = new Map(Object.entries(byId).map(([id, c]) => [c, id]));
+
+  return {
+    storeCode: code,
+    categories: byId,
+
+    // null / unmapped category -> category code 0
+    taxonFor(categoryId) {
+      return encodeTaxon({ storeCode: code, categoryCode: byId[String(categoryId || "").toLowerCase()] || 0 });
+    },
+
+    // ownStore: true = this store, false = another store, null = no store in the taxon (legacy vouchers)
+    describe(taxon) {
+      const t = decodeTaxon(taxon);
+      return {
+        taxon: Number(taxon) || 0,
+        ...t,
+        category: byCode.get(t.categoryCode) || null,
+        ownStore: t.storeCode === 0 || code === 0 ? null : t.storeCode === code,
+      };
+    },
+  };
+}
+
+module.exports = {
+  parseCategoryCodes,
+  storeCodeFor,
+  encodeTaxon,
+  decodeTaxon,
+  createTaxonScheme,
+};
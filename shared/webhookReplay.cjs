@@ -0,0 +1,84 @@
+// shared/webhookReplay.cjs
+// Local testing: send a fixture to /webhooks/xumm as if Xumm delivered it (every package's `npm run webhook:replay`)
+//
+//   npm run webhook:replay -- signed --payload <payload uuid>
+//   npm run webhook:replay -- expired --payload <payload uuid> --url http://localhost:3001/webhooks/xumm
+//
+// The fixture is a name from shared/webhookFixtures/ (signed, cancelled, expired) or a path to a JSON file:
+// a webhook body, or a recorded { headers, body }. Recorded signatures are replayed as-is; everything else is
+// signed with XUMM_WEBHOOK_SECRET / XUMM_API_SECRET (AI-order, MPT-Issuer) or XAMAN_WEBHOOK_SECRET / XAMAN_API_SECRET
+// (Smart-Locker). The package script loads its .env (`node -r dotenv/config`) and passes --port, its default PORT.
+
+const fs = require("fs");
+const path = require("path");
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, signXummWebhook } = require("./xummWebhook.cjs");
+
+const FIXTURES_DIR = path.join(__dirname, "webhookFixtures");
+const OPTIONS = ["--payload", "--url", "--port"];
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i > 0 ? process.argv[i + 1] : undefined;
+}
+
+// first argument that is neither an option nor an option's value
+function fixtureArg() {
+  const args = process.argv.slice(2);
+  return args.find((a, i) => !a.startsWith("--") && !OPTIONS.includes(args[i - 1]));
+}
+
+function fixturePath(arg) {
+  const named = path.join(FIXTURES_DIR, `${arg}.json`);
+  return !arg.includes("/") && !arg.endsWith(".json") && fs.existsSync(named) ? named : path.resolve(arg);
+}
+
+async function main() {
+  const file = fixtureArg();
+  if (!file) {
+    const names = fs.readdirSync(FIXTURES_DIR).map((f) => path.basename(f, ".json"));
+    console.error(`Usage: npm run webhook:replay -- <${names.join(" | ")} | fixture.json> [--payload <uuid>] [--url <webhook url>]`);
+    process.exit(1);
+  }
+
+  const url = argValue("--url") || `http://localhost:${process.env.PORT || argValue("--port") || 3000}/webhooks/xumm`;
+  const payloadUuid = argValue("--payload");
+  const secret = (
+    process.env.XUMM_WEBHOOK_SECRET ||
+    process.env.XUMM_API_SECRET ||
+    process.env.XAMAN_WEBHOOK_SECRET ||
+    process.env.XAMAN_API_SECRET ||
+    ""
+  ).trim();
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath(file), "utf8"));
+  const recorded = fixture.body && fixture.headers ? fixture : null;
+  const body = structuredClone(recorded ? recorded.body : fixture);
+
+  if (!recorded) body.meta = { ...body.meta, url };
+  if (payloadUuid) {
+    body.meta = { ...body.meta, payload_uuidv4: payloadUuid };
+    body.payloadResponse = { ...body.payloadResponse, payload_uuidv4: payloadUuid };
+  }
+
+  const raw = JSON.stringify(body);
+  let headers;
+  if (recorded && !payloadUuid && recorded.headers[SIGNATURE_HEADER]) {
+    headers = { [TIMESTAMP_HEADER]: recorded.headers[TIMESTAMP_HEADER], [SIGNATURE_HEADER]: recorded.headers[SIGNATURE_HEADER] };
+  } else {
+    if (!secret) {
+      console.error("❌ Missing XUMM_WEBHOOK_SECRET / XUMM_API_SECRET (XAMAN_* for the locker) to sign the fixture");
+      process.exit(1);
+    }
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers = { [TIMESTAMP_HEADER]: timestamp, [SIGNATURE_HEADER]: signXummWebhook(secret, timestamp, raw) };
+  }
+
+  const resp = await fetch(url, { method: "POST", headers: { "content-type": "application/json", ...headers }, body: raw });
+  console.log(`${resp.status} ${await resp.text()}`);
+  process.exit(resp.ok ? 0 : 1);
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
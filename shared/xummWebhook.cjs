@@ -0,0 +1,74 @@
+// shared/xummWebhook.cjs
+// Xumm / Xaman webhook helpers shared by the three servers (signature check + body parsing)
+// CommonJS so the ESM servers (`import ... from "../shared/xummWebhook.cjs"`) and the CommonJS locker can load it.
+//
+// Xumm POSTs to the webhook URL of the app when a payload resolves, with headers:
+//   x-xumm-request-timestamp
+//   x-xumm-request-signature = HMAC-SHA1(key = API secret without "-", data = timestamp + body) hex
+// For local testing, shared/webhookReplay.cjs signs a fixture (shared/webhookFixtures/) with the same secret.
+
+const crypto = require("crypto");
+
+const SIGNATURE_HEADER = "x-xumm-request-signature";
+const TIMESTAMP_HEADER = "x-xumm-request-timestamp";
+
+function signXummWebhook(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha1", String(secret).replace(/-/g, ""))
+    .update(String(timestamp) + body)
+    .digest("hex");
+}
+
+/**
+ * @param {object} args
+ * @param {string} args.secret
+ * @param {string} args.timestamp
+ * @param {string} args.signature
+ * @param {string} args.rawBody - body as received; falls back to JSON.stringify(body)
+ * @param {object} [args.body]
+ */
+function verifyXummWebhook({ secret, timestamp, signature, rawBody, body }) {
+  if (!secret || !timestamp || !signature) return false;
+  const given = Buffer.from(String(signature).trim().toLowerCase(), "utf8");
+  const candidates = [rawBody, body != null ? JSON.stringify(body) : null].filter((b) => typeof b === "string");
+  return candidates.some((b) => {
+    const expected = Buffer.from(signXummWebhook(secret, timestamp, b), "utf8");
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+// webhook body -> { payloadUuid, outcome: signed | cancelled | expired | resolved, signed, txid, identifier, userToken }
+function parseXummWebhook(body) {
+  const meta = body?.meta || {};
+  const response = body?.payloadResponse || {};
+  const payloadUuid = String(response.payload_uuidv4 || meta.payload_uuidv4 || "").trim();
+  if (!payloadUuid) return null;
+
+  let outcome = "resolved";
+  if (response.signed === true) outcome = "signed";
+  else if (meta.expired || response.expired) outcome = "expired";
+  else if (response.signed === false) outcome = "cancelled";
+
+  return {
+    payloadUuid,
+    outcome,
+    signed: outcome === "signed",
+    txid: response.txid || null,
+    identifier: body?.custom_meta?.identifier || null,
+    userToken: body?.userToken?.user_token || null,
+  };
+}
+
+// express.json({ verify }) hook: keep the raw body for the signature check
+function keepRawBody(req, res, buf) {
+  if (req.originalUrl?.startsWith("/webhooks/")) req.rawBody = buf.toString("utf8");
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signXummWebhook,
+  verifyXummWebhook,
+  parseXummWebhook,
+  keepRawBody,
+};